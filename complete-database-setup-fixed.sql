@@ -12,14 +12,25 @@ DROP TABLE IF EXISTS case_statuses CASCADE;
 DROP TABLE IF EXISTS case_assignments CASCADE;
 DROP TABLE IF EXISTS user_profile_updates CASCADE;
 DROP TABLE IF EXISTS user_permissions CASCADE;
+DROP TABLE IF EXISTS password_history CASCADE;
+DROP TABLE IF EXISTS password_policy CASCADE;
+DROP TABLE IF EXISTS password_reset_tokens CASCADE;
+DROP TABLE IF EXISTS webauthn_credentials CASCADE;
+DROP TABLE IF EXISTS webauthn_challenges CASCADE;
+DROP TABLE IF EXISTS two_factor_backup_codes CASCADE;
+DROP TABLE IF EXISTS user_two_factor CASCADE;
 DROP TABLE IF EXISTS user_sessions CASCADE;
+DROP TABLE IF EXISTS auth_nonces CASCADE;
 DROP TABLE IF EXISTS role_change_requests CASCADE;
 DROP TABLE IF EXISTS evidence_tags CASCADE;
 DROP TABLE IF EXISTS tags CASCADE;
 DROP TABLE IF EXISTS notifications CASCADE;
 DROP TABLE IF EXISTS admin_actions CASCADE;
 DROP TABLE IF EXISTS activity_logs CASCADE;
+DROP TABLE IF EXISTS custody_events CASCADE;
 DROP TABLE IF EXISTS evidence CASCADE;
+DROP TABLE IF EXISTS anchor_batches CASCADE;
+DROP TABLE IF EXISTS audit_checkpoints CASCADE;
 DROP TABLE IF EXISTS cases CASCADE;
 DROP TABLE IF EXISTS users CASCADE;
 
@@ -45,6 +56,10 @@ CREATE TABLE users (
     created_at TIMESTAMPTZ DEFAULT NOW(),
     last_updated TIMESTAMPTZ DEFAULT NOW(),
     is_active BOOLEAN DEFAULT TRUE,
+    password_changed_at TIMESTAMPTZ DEFAULT NOW(), -- start of the password policy's maxAge
+    failed_login_attempts INTEGER NOT NULL DEFAULT 0, -- per-account lockout (lib/auth/lockout.js)
+    last_failed_login_at TIMESTAMPTZ,
+    locked_until TIMESTAMPTZ,
     CONSTRAINT users_auth_check CHECK (
         (wallet_address IS NOT NULL) OR (email IS NOT NULL)
     )
@@ -90,6 +105,20 @@ CREATE TABLE cases (
     status_changed_by TEXT
 );
 
+-- Merkle batches anchored through EvidenceStorage.anchorBatch
+CREATE TABLE anchor_batches (
+    id SERIAL PRIMARY KEY,
+    merkle_root TEXT NOT NULL UNIQUE,
+    leaf_count INTEGER NOT NULL,
+    blockchain_tx TEXT,
+    block_number BIGINT,
+    onchain_batch_id BIGINT,
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'failed')),
+    anchor_error TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    anchored_at TIMESTAMPTZ
+);
+
 -- Evidence table
 CREATE TABLE evidence (
     id SERIAL PRIMARY KEY,
@@ -97,33 +126,100 @@ CREATE TABLE evidence (
     title TEXT NOT NULL,
     description TEXT,
     type TEXT NOT NULL,
-    file_data TEXT NOT NULL,
+    file_data TEXT, -- legacy inline payload; uploads are kept in blob storage (storage_key)
     file_name TEXT NOT NULL,
     file_size BIGINT NOT NULL,
+    file_type TEXT,
     hash TEXT NOT NULL,
+    digests JSONB, -- { md5, sha1, sha256, sha512, sha3-256, ... } as configured by EVIDENCE_DIGESTS
+    client_hash TEXT, -- SHA-256 computed in the uploader's browser; must equal hash when present
+    storage_key TEXT,
+    location TEXT,
+    collection_date TIMESTAMPTZ,
+    blockchain_tx TEXT,
+    block_number BIGINT,
+    onchain_id BIGINT,
+    anchor_status TEXT DEFAULT 'unanchored' CHECK (anchor_status IN ('unanchored', 'queued', 'pending', 'confirmed', 'failed')),
+    anchor_error TEXT,
+    anchored_at TIMESTAMPTZ,
+    anchor_batch_id INTEGER REFERENCES anchor_batches(id),
+    merkle_proof JSONB, -- sibling hashes from the leaf up to anchor_batches.merkle_root
+    custodian TEXT, -- mirrors EvidenceStorage.custodians; NULL means the submitter still holds it
+    is_sealed BOOLEAN DEFAULT false,
+    sealed_at TIMESTAMPTZ,
+    sealed_by TEXT,
     submitted_by TEXT NOT NULL,
     timestamp TIMESTAMPTZ DEFAULT NOW(),
-    status TEXT DEFAULT 'pending'
+    status TEXT DEFAULT 'pending',
+    parent_id INTEGER REFERENCES evidence(id), -- item this version was derived from; NULL for originals
+    root_id INTEGER REFERENCES evidence(id), -- original at the top of the version tree
+    relation_type TEXT CHECK (relation_type IN ('enhanced', 'redacted', 'transcoded', 'transcript', 'extracted')),
+    derivation JSONB, -- { tool, tool_version, parameters, notes }
+    scan_status TEXT DEFAULT 'pending' CHECK (scan_status IN ('pending', 'clean', 'infected', 'error')), -- quarantined unless 'clean'
+    scan_signature TEXT, -- what the scanner detected when scan_status is 'infected'
+    scan_engine TEXT, -- scanner and signature database version, e.g. "ClamAV 1.3.1/27431/..."
+    scan_error TEXT,
+    scanned_at TIMESTAMPTZ,
+    CHECK ((parent_id IS NULL) = (relation_type IS NULL) AND (parent_id IS NULL) = (root_id IS NULL)),
+    CHECK (digests IS NULL OR digests->>'sha256' = hash)
 );
 
--- Activity logs table
+-- Activity logs table (hash chain, appended through lib/audit)
 CREATE TABLE activity_logs (
     id SERIAL PRIMARY KEY,
     user_id TEXT NOT NULL,
     action TEXT NOT NULL,
-    details TEXT,
+    resource_type TEXT, -- 'evidence', 'case' or 'user'
+    resource_id TEXT, -- evidence/case id, or the account's wallet address or email
+    details JSONB,
     timestamp TIMESTAMPTZ DEFAULT NOW(),
-    ip_address TEXT
+    ip_address TEXT,
+    chain_seq BIGINT NOT NULL UNIQUE, -- position in the chain, from 1
+    prev_hash TEXT NOT NULL, -- entry_hash of chain_seq - 1 (64 zeros for the first entry)
+    entry_hash TEXT NOT NULL -- SHA-256 over chain_seq, prev_hash and the fields above
 );
 
--- Admin actions table
+-- Admin actions table (hash chain, appended through lib/audit)
 CREATE TABLE admin_actions (
     id SERIAL PRIMARY KEY,
     admin_wallet TEXT NOT NULL,
     action_type TEXT NOT NULL,
     target_wallet TEXT,
     details JSONB,
-    timestamp TIMESTAMPTZ DEFAULT NOW()
+    timestamp TIMESTAMPTZ DEFAULT NOW(),
+    chain_seq BIGINT NOT NULL UNIQUE,
+    prev_hash TEXT NOT NULL,
+    entry_hash TEXT NOT NULL
+);
+
+-- Audit chain checkpoints: both chain heads, with their Merkle root anchored on-chain
+CREATE TABLE audit_checkpoints (
+    id SERIAL PRIMARY KEY,
+    heads JSONB NOT NULL, -- { activity_logs: { seq, hash }, admin_actions: { seq, hash } }
+    merkle_root TEXT NOT NULL UNIQUE,
+    blockchain_tx TEXT,
+    block_number BIGINT,
+    onchain_batch_id BIGINT,
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'failed', 'unanchored')),
+    anchor_error TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    anchored_at TIMESTAMPTZ
+);
+
+-- Chain-of-custody ledger (append-only, each entry signed with the server key)
+CREATE TABLE custody_events (
+    id SERIAL PRIMARY KEY,
+    evidence_id INTEGER NOT NULL REFERENCES evidence(id),
+    evidence_hash TEXT NOT NULL, -- SHA-256 of the evidence at the time of the event
+    event_type TEXT NOT NULL CHECK (event_type IN ('collected', 'uploaded', 'viewed', 'downloaded', 'transferred', 'analyzed', 'sealed', 'archived', 'destroyed')),
+    actor TEXT NOT NULL, -- wallet address or email
+    occurred_at TIMESTAMPTZ NOT NULL,
+    location TEXT,
+    purpose TEXT,
+    details JSONB,
+    signature TEXT NOT NULL, -- Ed25519 over the fields above (lib/custody custodyPayload)
+    signing_key_id TEXT NOT NULL,
+    recorded_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 -- Notifications table
@@ -182,22 +278,114 @@ CREATE TABLE role_change_requests (
 CREATE TABLE user_sessions (
     id SERIAL PRIMARY KEY,
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-    session_token TEXT UNIQUE NOT NULL,
+    session_token TEXT UNIQUE NOT NULL, -- SHA-256 of the current refresh token
     wallet_address TEXT,
     email TEXT,
-    login_type TEXT CHECK (login_type IN ('wallet', 'email')),
+    login_type TEXT CHECK (login_type IN ('wallet', 'email', 'passkey')),
     ip_address TEXT,
     user_agent TEXT,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     expires_at TIMESTAMPTZ DEFAULT (NOW() + INTERVAL '24 hours'),
-    is_active BOOLEAN DEFAULT TRUE
+    last_used_at TIMESTAMPTZ, -- last refresh
+    last_activity_at TIMESTAMPTZ DEFAULT NOW(), -- last API request; drives the role's idle timeout
+    last_ip_address TEXT,
+    step_up_at TIMESTAMPTZ, -- last time this session passed a second-factor check
+    step_up_method TEXT CHECK (step_up_method IN ('totp', 'backup_code', 'passkey')),
+    is_active BOOLEAN DEFAULT TRUE,
+    ended_at TIMESTAMPTZ,
+    end_reason TEXT CHECK (end_reason IN ('logout', 'revoked', 'idle_timeout', 'password_reset', 'account_inactive'))
+);
+
+-- One-time Sign-In with Ethereum (EIP-4361) challenges
+CREATE TABLE auth_nonces (
+    nonce TEXT PRIMARY KEY,
+    wallet_address TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ
+);
+
+-- TOTP two-factor enrollment; one row per user, enabled once the first code is confirmed
+CREATE TABLE user_two_factor (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    secret_encrypted TEXT NOT NULL, -- AES-256-GCM, key derived from ENCRYPTION_KEY
+    enabled BOOLEAN DEFAULT FALSE,
+    enabled_at TIMESTAMPTZ,
+    last_used_step BIGINT, -- TOTP time step of the last accepted code, so codes cannot be replayed
+    last_used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Single-use recovery codes; only a keyed hash is stored
+CREATE TABLE two_factor_backup_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash TEXT NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Passkeys and security keys (WebAuthn), several per user
+CREATE TABLE webauthn_credentials (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    credential_id TEXT UNIQUE NOT NULL, -- base64url
+    public_key TEXT NOT NULL, -- SPKI PEM
+    algorithm INTEGER NOT NULL, -- COSE: -7 ES256, -8 EdDSA, -257 RS256
+    sign_count BIGINT DEFAULT 0,
+    transports TEXT[],
+    aaguid TEXT,
+    name TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ
+);
+
+-- One-time WebAuthn challenges; user_id is null for passkey sign-in, where the credential names the user
+CREATE TABLE webauthn_challenges (
+    challenge TEXT PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    purpose TEXT NOT NULL CHECK (purpose IN ('registration', 'authentication', 'step_up')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ
+);
+
+-- Password reset links; only the SHA-256 of the token is stored and each link works once
+CREATE TABLE password_reset_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    requested_ip TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ -- superseded by a newer request
+);
+
+-- Password policy edited through /api/admin/password-policy; a single row (id = 1) whose
+-- settings use the keys of DEFAULT_PASSWORD_POLICY in lib/auth/password-policy.js
+CREATE TABLE password_policy (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    settings JSONB NOT NULL,
+    updated_by TEXT,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Hashes of every password a user has set, for the policy's preventReuse rule
+CREATE TABLE password_history (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    password_hash TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 -- User permissions table
+-- Per-user overrides of the role permission matrix in lib/permissions.js
 CREATE TABLE user_permissions (
     id SERIAL PRIMARY KEY,
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-    permission_name TEXT NOT NULL,
+    permission_name TEXT NOT NULL, -- resource:action, e.g. evidence:download
+    effect TEXT NOT NULL DEFAULT 'grant' CHECK (effect IN ('grant', 'deny')),
     granted_by INTEGER REFERENCES users(id),
     granted_at TIMESTAMPTZ DEFAULT NOW(),
     expires_at TIMESTAMPTZ,
@@ -265,6 +453,9 @@ CREATE TABLE case_assignments (
 
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE evidence ENABLE ROW LEVEL SECURITY;
+ALTER TABLE anchor_batches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_checkpoints ENABLE ROW LEVEL SECURITY;
+ALTER TABLE custody_events ENABLE ROW LEVEL SECURITY;
 ALTER TABLE cases ENABLE ROW LEVEL SECURITY;
 ALTER TABLE activity_logs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE admin_actions ENABLE ROW LEVEL SECURITY;
@@ -273,6 +464,14 @@ ALTER TABLE tags ENABLE ROW LEVEL SECURITY;
 ALTER TABLE evidence_tags ENABLE ROW LEVEL SECURITY;
 ALTER TABLE role_change_requests ENABLE ROW LEVEL SECURITY;
 ALTER TABLE user_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE auth_nonces ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_two_factor ENABLE ROW LEVEL SECURITY;
+ALTER TABLE two_factor_backup_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webauthn_credentials ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webauthn_challenges ENABLE ROW LEVEL SECURITY;
+ALTER TABLE password_reset_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE password_policy ENABLE ROW LEVEL SECURITY;
+ALTER TABLE password_history ENABLE ROW LEVEL SECURITY;
 ALTER TABLE user_permissions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE user_profile_updates ENABLE ROW LEVEL SECURITY;
 ALTER TABLE case_statuses ENABLE ROW LEVEL SECURITY;
@@ -280,6 +479,64 @@ ALTER TABLE case_status_transitions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE case_status_history ENABLE ROW LEVEL SECURITY;
 ALTER TABLE case_assignments ENABLE ROW LEVEL SECURITY;
 
+-- ============================================================================
+-- CASE-SCOPED ACCESS (same rules as lib/access.js)
+-- ============================================================================
+
+-- users.id of the caller, taken from the "sub" claim of the request JWT
+CREATE OR REPLACE FUNCTION app_user_id()
+RETURNS INTEGER AS $$
+    SELECT CASE WHEN claims.sub ~ '^[0-9]+$' THEN claims.sub::INTEGER END
+    FROM (SELECT current_setting('request.jwt.claims', true)::jsonb ->> 'sub' AS sub) claims;
+$$ LANGUAGE sql STABLE;
+
+-- admin/auditor: every case; court_official/evidence_manager: their jurisdiction;
+-- investigator, forensic_analyst, legal_professional (and the two above): cases they created or are assigned to
+CREATE OR REPLACE FUNCTION can_view_case(p_case_id INTEGER)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1
+        FROM users u
+        JOIN cases c ON c.id = p_case_id
+        WHERE u.id = app_user_id()
+          AND u.is_active = true
+          AND (
+              u.role IN ('admin', 'auditor')
+              OR (u.role IN ('court_official', 'evidence_manager') AND c.jurisdiction = u.jurisdiction)
+              OR (
+                  u.role IN ('investigator', 'forensic_analyst', 'legal_professional', 'court_official', 'evidence_manager')
+                  AND u.wallet_address IS NOT NULL
+                  AND (
+                      lower(u.wallet_address) IN (lower(c.created_by), lower(c.assigned_investigator), lower(c.assigned_prosecutor), lower(c.assigned_judge))
+                      OR EXISTS (
+                          SELECT 1 FROM case_assignments ca
+                          WHERE ca.case_id = c.id AND lower(ca.assigned_to) = lower(u.wallet_address) AND ca.is_active = true
+                      )
+                  )
+              )
+          )
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Evidence follows its case (by id or case number), and is always visible to its submitter and custodian
+CREATE OR REPLACE FUNCTION can_view_evidence(p_case_id TEXT, p_submitted_by TEXT, p_custodian TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM users u
+        WHERE u.id = app_user_id()
+          AND u.is_active = true
+          AND (
+              u.role IN ('admin', 'auditor')
+              OR lower(u.wallet_address) IN (lower(p_submitted_by), lower(p_custodian))
+          )
+    )
+    OR EXISTS (
+        SELECT 1 FROM cases c
+        WHERE (c.id::TEXT = p_case_id OR c.case_number = p_case_id)
+          AND can_view_case(c.id)
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
 -- ============================================================================
 -- SECURE RLS POLICIES
 -- ============================================================================
@@ -290,14 +547,20 @@ CREATE POLICY "Users can register themselves" ON users FOR INSERT WITH CHECK (tr
 CREATE POLICY "Service role full access" ON users FOR ALL USING (current_user = 'service_role');
 
 -- Evidence table policies
-CREATE POLICY "Users can view evidence" ON evidence FOR SELECT USING (true);
+CREATE POLICY "Users can view evidence in their cases" ON evidence FOR SELECT USING (can_view_evidence(case_id, submitted_by, custodian));
 CREATE POLICY "Authorized users can insert evidence" ON evidence FOR INSERT WITH CHECK (
     EXISTS (SELECT 1 FROM users u WHERE u.wallet_address = submitted_by AND u.is_active = true AND u.role IN ('investigator', 'forensic_analyst', 'evidence_manager', 'admin'))
 );
 CREATE POLICY "Service role full access" ON evidence FOR ALL USING (current_user = 'service_role');
 
+-- Anchor batches policies
+CREATE POLICY "Users can view anchor batches" ON anchor_batches FOR SELECT USING (true);
+CREATE POLICY "Service role full access" ON anchor_batches FOR ALL USING (current_user = 'service_role');
+CREATE POLICY "Service role full access" ON audit_checkpoints FOR ALL USING (current_user = 'service_role');
+CREATE POLICY "Service role full access" ON custody_events FOR ALL USING (current_user = 'service_role');
+
 -- Cases table policies
-CREATE POLICY "Users can view cases" ON cases FOR SELECT USING (true);
+CREATE POLICY "Users can view their cases" ON cases FOR SELECT USING (can_view_case(id));
 CREATE POLICY "Authorized users can create cases" ON cases FOR INSERT WITH CHECK (
     EXISTS (SELECT 1 FROM users u WHERE u.wallet_address = created_by AND u.is_active = true AND u.role IN ('investigator', 'legal_professional', 'court_official', 'admin'))
 );
@@ -317,7 +580,9 @@ CREATE POLICY "Users can view tags" ON tags FOR SELECT USING (true);
 CREATE POLICY "Service role full access" ON tags FOR ALL USING (current_user = 'service_role');
 
 -- Evidence tags policies
-CREATE POLICY "Users can view evidence tags" ON evidence_tags FOR SELECT USING (true);
+CREATE POLICY "Users can view tags on visible evidence" ON evidence_tags FOR SELECT USING (
+    EXISTS (SELECT 1 FROM evidence e WHERE e.id = evidence_id AND can_view_evidence(e.case_id, e.submitted_by, e.custodian))
+);
 CREATE POLICY "Service role full access" ON evidence_tags FOR ALL USING (current_user = 'service_role');
 
 -- Role change requests policies
@@ -326,6 +591,24 @@ CREATE POLICY "Service role full access" ON role_change_requests FOR ALL USING (
 -- User sessions policies
 CREATE POLICY "Service role full access" ON user_sessions FOR ALL USING (current_user = 'service_role');
 
+-- Auth nonces policies
+CREATE POLICY "Service role full access" ON auth_nonces FOR ALL USING (current_user = 'service_role');
+
+-- Two-factor policies (server only; secrets never leave the API)
+CREATE POLICY "Service role full access" ON user_two_factor FOR ALL USING (current_user = 'service_role');
+CREATE POLICY "Service role full access" ON two_factor_backup_codes FOR ALL USING (current_user = 'service_role');
+
+-- Passkey policies
+CREATE POLICY "Service role full access" ON webauthn_credentials FOR ALL USING (current_user = 'service_role');
+CREATE POLICY "Service role full access" ON webauthn_challenges FOR ALL USING (current_user = 'service_role');
+
+-- Password reset policies
+CREATE POLICY "Service role full access" ON password_reset_tokens FOR ALL USING (current_user = 'service_role');
+
+-- Password policy and history policies
+CREATE POLICY "Service role full access" ON password_policy FOR ALL USING (current_user = 'service_role');
+CREATE POLICY "Service role full access" ON password_history FOR ALL USING (current_user = 'service_role');
+
 -- User permissions policies
 CREATE POLICY "Service role full access" ON user_permissions FOR ALL USING (current_user = 'service_role');
 
@@ -345,7 +628,7 @@ CREATE POLICY "Users can view case status history" ON case_status_history FOR SE
 CREATE POLICY "Service role full access" ON case_status_history FOR ALL USING (current_user = 'service_role');
 
 -- Case assignments policies
-CREATE POLICY "Users can view case assignments" ON case_assignments FOR SELECT USING (true);
+CREATE POLICY "Users can view assignments on their cases" ON case_assignments FOR SELECT USING (can_view_case(case_id));
 CREATE POLICY "Service role full access" ON case_assignments FOR ALL USING (current_user = 'service_role');
 
 -- ============================================================================
@@ -357,8 +640,24 @@ CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_auth_type ON users(auth_type);
 CREATE INDEX idx_evidence_case ON evidence(case_id);
 CREATE INDEX idx_evidence_submitted ON evidence(submitted_by);
-CREATE INDEX idx_activity_user ON activity_logs(user_id);
+CREATE INDEX idx_evidence_hash ON evidence(hash);
+CREATE INDEX idx_evidence_digests ON evidence USING GIN (digests jsonb_path_ops);
+CREATE INDEX idx_evidence_anchor_status ON evidence(anchor_status);
+CREATE INDEX idx_evidence_scan_pending ON evidence(scan_status) WHERE scan_status IN ('pending', 'error');
+CREATE INDEX idx_evidence_anchor_batch ON evidence(anchor_batch_id);
+CREATE INDEX idx_anchor_batches_status ON anchor_batches(status);
+CREATE INDEX idx_activity_user ON activity_logs(user_id, chain_seq DESC);
+CREATE INDEX idx_activity_action ON activity_logs(action, chain_seq DESC);
+CREATE INDEX idx_activity_resource ON activity_logs(resource_type, resource_id, chain_seq DESC);
+CREATE INDEX idx_activity_timestamp ON activity_logs(timestamp);
+CREATE INDEX idx_activity_details ON activity_logs USING GIN (details jsonb_path_ops);
 CREATE INDEX idx_admin_actions_admin ON admin_actions(admin_wallet);
+CREATE INDEX idx_admin_actions_type ON admin_actions(action_type, timestamp DESC);
+CREATE INDEX idx_admin_actions_target ON admin_actions(target_wallet, chain_seq DESC);
+CREATE INDEX idx_custody_events_evidence ON custody_events(evidence_id, occurred_at, id);
+CREATE INDEX idx_evidence_root ON evidence(root_id);
+CREATE INDEX idx_evidence_parent ON evidence(parent_id);
+CREATE INDEX idx_admin_actions_timestamp ON admin_actions(timestamp);
 CREATE INDEX idx_notifications_user ON notifications(user_wallet);
 CREATE INDEX idx_notifications_unread ON notifications(user_wallet, is_read);
 CREATE INDEX idx_tags_name ON tags(name);
@@ -372,6 +671,10 @@ CREATE INDEX idx_role_change_requests_requesting ON role_change_requests(request
 CREATE INDEX idx_user_sessions_token ON user_sessions(session_token);
 CREATE INDEX idx_user_sessions_user_id ON user_sessions(user_id);
 CREATE INDEX idx_user_sessions_active ON user_sessions(is_active, expires_at);
+CREATE INDEX idx_two_factor_backup_codes_user ON two_factor_backup_codes(user_id, code_hash);
+CREATE INDEX idx_webauthn_credentials_user_id ON webauthn_credentials(user_id);
+CREATE INDEX idx_password_reset_tokens_user ON password_reset_tokens(user_id, created_at DESC);
+CREATE INDEX idx_password_history_user ON password_history(user_id, created_at DESC);
 CREATE INDEX idx_user_permissions_user_id ON user_permissions(user_id);
 CREATE INDEX idx_user_profile_updates_user_id ON user_profile_updates(user_id);
 CREATE INDEX idx_cases_status_id ON cases(status_id);
@@ -597,6 +900,8 @@ BEGIN
             'badge_number', badge_number,
             'auth_type', auth_type,
             'is_active', is_active,
+            'failed_login_attempts', failed_login_attempts,
+            'locked_until', locked_until,
             'created_at', created_at,
             'last_updated', last_updated
         )
@@ -620,12 +925,12 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
--- Update user profile function
+-- Update user profile function. Jurisdiction decides which cases some roles can see, so it is not
+-- a profile field; administrators change it through POST /api/admin/user-jurisdiction.
 CREATE OR REPLACE FUNCTION update_user_profile(
     p_user_id INTEGER,
     p_full_name TEXT DEFAULT NULL,
     p_department TEXT DEFAULT NULL,
-    p_jurisdiction TEXT DEFAULT NULL,
     p_badge_number TEXT DEFAULT NULL,
     p_updated_by INTEGER DEFAULT NULL
 )
@@ -645,7 +950,6 @@ BEGIN
     UPDATE users SET
         full_name = COALESCE(p_full_name, full_name),
         department = COALESCE(p_department, department),
-        jurisdiction = COALESCE(p_jurisdiction, jurisdiction),
         badge_number = COALESCE(p_badge_number, badge_number),
         last_updated = NOW()
     WHERE id = p_user_id;
@@ -666,7 +970,58 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
+-- Audit chains are append-only; rewriting a row would also break its hash link
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Evidence content and lineage never change once recorded; derived artifacts are new rows
+CREATE OR REPLACE FUNCTION prevent_evidence_content_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.hash IS DISTINCT FROM OLD.hash
+        OR NEW.client_hash IS DISTINCT FROM OLD.client_hash
+        -- digests may gain algorithms (scripts/backfill-digests.js) but never change one
+        OR NOT (COALESCE(NEW.digests, '{}'::jsonb) @> COALESCE(OLD.digests, '{}'::jsonb))
+        OR NEW.storage_key IS DISTINCT FROM OLD.storage_key
+        OR NEW.file_data IS DISTINCT FROM OLD.file_data
+        OR NEW.file_name IS DISTINCT FROM OLD.file_name
+        OR NEW.file_size IS DISTINCT FROM OLD.file_size
+        OR NEW.file_type IS DISTINCT FROM OLD.file_type
+        OR NEW.parent_id IS DISTINCT FROM OLD.parent_id
+        OR NEW.root_id IS DISTINCT FROM OLD.root_id
+        OR NEW.relation_type IS DISTINCT FROM OLD.relation_type
+        OR NEW.derivation IS DISTINCT FROM OLD.derivation THEN
+        RAISE EXCEPTION 'Evidence % is immutable; add a derived version instead', OLD.id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
 -- Create triggers
+CREATE TRIGGER activity_logs_append_only_trigger
+    BEFORE UPDATE OR DELETE ON activity_logs
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_audit_log_changes();
+
+CREATE TRIGGER admin_actions_append_only_trigger
+    BEFORE UPDATE OR DELETE ON admin_actions
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_audit_log_changes();
+
+CREATE TRIGGER evidence_immutable_content_trigger
+    BEFORE UPDATE ON evidence
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_evidence_content_changes();
+
+CREATE TRIGGER custody_events_append_only_trigger
+    BEFORE UPDATE OR DELETE ON custody_events
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_audit_log_changes();
+
 CREATE TRIGGER trigger_update_tag_usage
     AFTER INSERT OR DELETE ON evidence_tags
     FOR EACH ROW EXECUTE FUNCTION update_tag_usage_count();
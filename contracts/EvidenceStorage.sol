@@ -11,21 +11,63 @@ contract EvidenceStorage {
         bool isSealed;
     }
     
+    struct CustodyTransfer {
+        address from;
+        address to;
+        string reason;
+        uint256 timestamp;
+    }
+    
+    // Merkle root over a batch of evidence hashes (see lib/chain/merkle.js for the tree layout)
+    struct Batch {
+        bytes32 merkleRoot;
+        uint256 leafCount;
+        address anchoredBy;
+        uint256 timestamp;
+    }
+    
     mapping(uint256 => Evidence) public evidences;
     mapping(string => uint256) public hashToEvidenceId;
     mapping(address => bool) public authorizedUsers;
     mapping(address => string) public userRoles;
+    mapping(uint256 => address) public custodians;
+    mapping(uint256 => CustodyTransfer[]) private custodyHistory;
     
     uint256 public evidenceCounter;
     
+    mapping(uint256 => Batch) public batches;
+    mapping(bytes32 => uint256) public rootToBatchId;
+    uint256 public batchCounter;
+    
     event EvidenceStored(uint256 indexed evidenceId, string fileHash, address indexed uploadedBy);
     event EvidenceSealed(uint256 indexed evidenceId, address indexed sealedBy);
+    event CustodyTransferred(uint256 indexed evidenceId, address indexed from, address indexed to, string reason);
+    event UserAuthorized(address indexed user, string role, address indexed authorizedBy);
+    event UserRevoked(address indexed user, address indexed revokedBy);
+    event BatchAnchored(uint256 indexed batchId, bytes32 indexed merkleRoot, uint256 leafCount, address indexed anchoredBy);
     
     modifier onlyAuthorized() {
         require(authorizedUsers[msg.sender], "Not authorized");
         _;
     }
     
+    modifier onlyAdmin() {
+        require(isAdmin(msg.sender), "Admin only");
+        _;
+    }
+    
+    modifier evidenceExists(uint256 _evidenceId) {
+        require(_evidenceId > 0 && _evidenceId <= evidenceCounter, "Evidence not found");
+        _;
+    }
+    
+    // The current custodian or an admin may move or seal evidence, never once sealed
+    modifier onlyCustodianOrAdmin(uint256 _evidenceId) {
+        require(custodians[_evidenceId] == msg.sender || isAdmin(msg.sender), "Not custodian");
+        require(!evidences[_evidenceId].isSealed, "Evidence is sealed");
+        _;
+    }
+    
     constructor() {
         authorizedUsers[msg.sender] = true;
         userRoles[msg.sender] = "admin";
@@ -45,6 +87,7 @@ contract EvidenceStorage {
         });
         
         hashToEvidenceId[_fileHash] = evidenceCounter;
+        custodians[evidenceCounter] = msg.sender;
         emit EvidenceStored(evidenceCounter, _fileHash, msg.sender);
         return evidenceCounter;
     }
@@ -65,9 +108,96 @@ contract EvidenceStorage {
         exists = evidenceId > 0;
     }
     
-    function authorizeUser(address _user, string memory _role) public {
-        require(authorizedUsers[msg.sender], "Not authorized");
+    function transferCustody(uint256 _evidenceId, address _to, string memory _reason) 
+        public onlyAuthorized evidenceExists(_evidenceId) onlyCustodianOrAdmin(_evidenceId) {
+        require(_to != address(0), "Invalid custodian");
+        require(bytes(_reason).length > 0, "Reason required");
+        
+        address from = custodians[_evidenceId];
+        custodians[_evidenceId] = _to;
+        custodyHistory[_evidenceId].push(CustodyTransfer({
+            from: from,
+            to: _to,
+            reason: _reason,
+            timestamp: block.timestamp
+        }));
+        
+        emit CustodyTransferred(_evidenceId, from, _to, _reason);
+    }
+    
+    function getCustodyHistory(uint256 _evidenceId) public view returns (CustodyTransfer[] memory) {
+        return custodyHistory[_evidenceId];
+    }
+    
+    function sealEvidence(uint256 _evidenceId) 
+        public onlyAuthorized evidenceExists(_evidenceId) onlyCustodianOrAdmin(_evidenceId) {
+        evidences[_evidenceId].isSealed = true;
+        emit EvidenceSealed(_evidenceId, msg.sender);
+    }
+    
+    function anchorBatch(bytes32 _merkleRoot, uint256 _leafCount) 
+        public onlyAuthorized returns (uint256) {
+        require(_merkleRoot != bytes32(0), "Empty root");
+        require(_leafCount > 0, "Empty batch");
+        require(rootToBatchId[_merkleRoot] == 0, "Root already anchored");
+        
+        batchCounter++;
+        batches[batchCounter] = Batch({
+            merkleRoot: _merkleRoot,
+            leafCount: _leafCount,
+            anchoredBy: msg.sender,
+            timestamp: block.timestamp
+        });
+        
+        rootToBatchId[_merkleRoot] = batchCounter;
+        emit BatchAnchored(batchCounter, _merkleRoot, _leafCount, msg.sender);
+        return batchCounter;
+    }
+    
+    function getBatch(uint256 _batchId) public view returns (
+        bytes32 merkleRoot,
+        uint256 leafCount,
+        address anchoredBy,
+        uint256 timestamp
+    ) {
+        Batch memory batch = batches[_batchId];
+        return (batch.merkleRoot, batch.leafCount, batch.anchoredBy, batch.timestamp);
+    }
+    
+    function verifyRoot(bytes32 _merkleRoot) public view returns (bool exists, uint256 batchId) {
+        batchId = rootToBatchId[_merkleRoot];
+        exists = batchId > 0;
+    }
+    
+    // leaf = sha256(0x00 || evidence hash), node = sha256(0x01 || min(a, b) || max(a, b))
+    function verifyInclusion(bytes32 _leaf, bytes32[] calldata _proof, bytes32 _merkleRoot) 
+        public pure returns (bool) {
+        bytes32 node = _leaf;
+        for (uint256 i = 0; i < _proof.length; i++) {
+            node = node < _proof[i]
+                ? sha256(abi.encodePacked(bytes1(0x01), node, _proof[i]))
+                : sha256(abi.encodePacked(bytes1(0x01), _proof[i], node));
+        }
+        return node == _merkleRoot;
+    }
+    
+    function isAdmin(address _user) public view returns (bool) {
+        return authorizedUsers[_user] && keccak256(bytes(userRoles[_user])) == keccak256(bytes("admin"));
+    }
+    
+    function authorizeUser(address _user, string memory _role) public onlyAdmin {
+        require(_user != address(0), "Invalid user");
+        require(bytes(_role).length > 0, "Role required");
         authorizedUsers[_user] = true;
         userRoles[_user] = _role;
+        emit UserAuthorized(_user, _role, msg.sender);
+    }
+    
+    function revokeUser(address _user) public onlyAdmin {
+        require(_user != msg.sender, "Cannot revoke self");
+        require(authorizedUsers[_user], "User not authorized");
+        authorizedUsers[_user] = false;
+        delete userRoles[_user];
+        emit UserRevoked(_user, msg.sender);
     }
 }
\ No newline at end of file
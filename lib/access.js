@@ -0,0 +1,124 @@
+/**
+ * Case-Scoped Access
+ * Attribute-based rules for which cases, and therefore which evidence, a user can see:
+ *   - admin, auditor: every case
+ *   - court_official, evidence_manager: cases in their own jurisdiction, plus any they are assigned to
+ *   - investigator, forensic_analyst, legal_professional: cases they created or are assigned to
+ *   - public_viewer: no cases
+ * Evidence is also visible to whoever submitted it or currently holds custody of it.
+ * The can_view_case / can_view_evidence functions in complete-database-setup-fixed.sql mirror these rules for RLS.
+ */
+
+const GLOBAL_ROLES = ['admin', 'auditor'];
+const JURISDICTION_ROLES = ['court_official', 'evidence_manager'];
+const ASSIGNMENT_ROLES = ['investigator', 'forensic_analyst', 'legal_professional', ...JURISDICTION_ROLES];
+
+// PostgREST filter value, quoted so commas and parentheses in case numbers survive
+const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// Matches no rows; ids are SERIAL and start at 1
+const NO_ROWS = 'id.eq.0';
+
+// Wallets are stored in mixed case; ilike on a hex address is an exact, case-insensitive match
+const sameWallet = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Work out which cases a user can see.
+ * @param {Object} options
+ * @param {Object} options.supabase - Supabase client
+ * @param {Object|null} options.user - Active row from users (role, wallet_address, jurisdiction)
+ * @returns {Promise<{ global: boolean, wallet: string|null, caseIds: number[], caseKeys: string[] }>}
+ */
+const resolveAccessScope = async ({ supabase, user }) => {
+    const wallet = (user && user.wallet_address) || null;
+    const scope = { global: false, wallet, caseIds: [], caseKeys: [] };
+
+    if (!user) {
+        return scope;
+    }
+    if (GLOBAL_ROLES.includes(user.role)) {
+        return { ...scope, global: true };
+    }
+    if (!ASSIGNMENT_ROLES.includes(user.role)) {
+        return scope;
+    }
+
+    const conditions = [];
+
+    if (wallet) {
+        const { data: assignments, error } = await supabase
+            .from('case_assignments')
+            .select('case_id')
+            .ilike('assigned_to', wallet)
+            .eq('is_active', true);
+
+        if (error) throw error;
+
+        conditions.push(
+            `created_by.ilike.${wallet}`,
+            `assigned_investigator.ilike.${wallet}`,
+            `assigned_prosecutor.ilike.${wallet}`,
+            `assigned_judge.ilike.${wallet}`
+        );
+        if (assignments.length > 0) {
+            conditions.push(`id.in.(${assignments.map(assignment => assignment.case_id).join(',')})`);
+        }
+    }
+
+    if (JURISDICTION_ROLES.includes(user.role) && user.jurisdiction) {
+        conditions.push(`jurisdiction.eq.${quote(user.jurisdiction)}`);
+    }
+
+    if (conditions.length === 0) {
+        return scope;
+    }
+
+    const { data: cases, error } = await supabase
+        .from('cases')
+        .select('id, case_number')
+        .or(conditions.join(','));
+
+    if (error) throw error;
+
+    // evidence.case_id holds either the case id or its case number
+    return {
+        ...scope,
+        caseIds: cases.map(row => row.id),
+        caseKeys: cases.flatMap(row => [String(row.id), row.case_number].filter(Boolean))
+    };
+};
+
+const canViewCase = (scope, caseRow) => scope.global || scope.caseIds.includes(Number(caseRow.id));
+
+const canViewEvidence = (scope, evidence) => scope.global ||
+    sameWallet(evidence.submitted_by, scope.wallet) ||
+    sameWallet(evidence.custodian, scope.wallet) ||
+    scope.caseKeys.includes(String(evidence.case_id));
+
+// PostgREST .or() filters for list queries; null means no restriction
+const evidenceFilter = (scope) => {
+    if (scope.global) return null;
+
+    const conditions = [];
+    if (scope.caseKeys.length > 0) {
+        conditions.push(`case_id.in.(${scope.caseKeys.map(quote).join(',')})`);
+    }
+    if (scope.wallet) {
+        conditions.push(`submitted_by.ilike.${scope.wallet}`, `custodian.ilike.${scope.wallet}`);
+    }
+
+    return conditions.length > 0 ? conditions.join(',') : NO_ROWS;
+};
+
+const caseFilter = (scope) => {
+    if (scope.global) return null;
+    return scope.caseIds.length > 0 ? `id.in.(${scope.caseIds.join(',')})` : NO_ROWS;
+};
+
+module.exports = {
+    resolveAccessScope,
+    canViewCase,
+    canViewEvidence,
+    evidenceFilter,
+    caseFilter
+};
@@ -0,0 +1,296 @@
+/**
+ * Audit Event Queries and Exports
+ * Filters, cursor pagination and CSV / JSON Lines / signed PDF output for the two audit chains.
+ * Rows from either chain are returned in one event shape; pages are keyed on chain_seq, which
+ * only ever grows, so a cursor stays valid while new entries are appended.
+ */
+
+const crypto = require('crypto');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+
+// Columns behind each filter, per chain. admin_actions has no resource columns: its target
+// account is reported as a 'user' resource.
+const AUDIT_EVENT_SOURCES = {
+    activity_logs: { actor: 'user_id', action: 'action', resourceType: 'resource_type', resourceId: 'resource_id' },
+    admin_actions: { actor: 'admin_wallet', action: 'action_type', resourceType: null, resourceId: 'target_wallet' }
+};
+
+const AUDIT_EXPORT_FORMATS = ['json', 'csv', 'jsonl', 'pdf'];
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+const encodeCursor = (seq) => Buffer.from(JSON.stringify({ seq })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const { seq } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return Number.isInteger(seq) && seq > 0 ? seq : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const parseDate = (value) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Validate the query string of GET /api/audit/events.
+ * @returns {{ filters?: Object, error?: string }}
+ */
+const parseEventFilters = (query) => {
+    const source = query.source || 'activity_logs';
+    if (!AUDIT_EVENT_SOURCES[source]) {
+        return { error: `source must be one of ${Object.keys(AUDIT_EVENT_SOURCES).join(', ')}` };
+    }
+
+    const format = query.format || 'json';
+    if (!AUDIT_EXPORT_FORMATS.includes(format)) {
+        return { error: `format must be one of ${AUDIT_EXPORT_FORMATS.join(', ')}` };
+    }
+
+    const filters = {
+        source,
+        format,
+        actor: query.actor || null,
+        actions: query.action ? String(query.action).split(',').map(action => action.trim()).filter(Boolean) : [],
+        resourceType: query.resourceType || null,
+        resourceId: query.resourceId || null,
+        from: null,
+        to: null,
+        cursor: null,
+        limit: DEFAULT_PAGE_SIZE
+    };
+
+    for (const bound of ['from', 'to']) {
+        if (!query[bound]) continue;
+        filters[bound] = parseDate(query[bound]);
+        if (!filters[bound]) return { error: `${bound} must be a date` };
+    }
+
+    if (query.cursor) {
+        filters.cursor = decodeCursor(query.cursor);
+        if (!filters.cursor) return { error: 'Invalid cursor' };
+    }
+
+    if (query.limit !== undefined) {
+        const limit = parseInt(query.limit, 10);
+        if (!(limit > 0)) return { error: 'limit must be a positive number' };
+        filters.limit = Math.min(limit, MAX_PAGE_SIZE);
+    }
+
+    return { filters };
+};
+
+// Whether a chain can hold events of the requested resource type at all
+const sourceHasResourceType = (source, resourceType) => !resourceType
+    || AUDIT_EVENT_SOURCES[source].resourceType !== null
+    || resourceType === 'user';
+
+/**
+ * Apply the filters (not the cursor or limit) to a Supabase query on the filter's source table.
+ */
+const applyEventFilters = (query, filters) => {
+    const columns = AUDIT_EVENT_SOURCES[filters.source];
+
+    if (filters.actor) query = query.eq(columns.actor, filters.actor);
+    if (filters.actions.length) query = query.in(columns.action, filters.actions);
+    if (filters.resourceType && columns.resourceType) query = query.eq(columns.resourceType, filters.resourceType);
+    if (filters.resourceId) query = query.eq(columns.resourceId, filters.resourceId);
+    if (filters.from) query = query.gte('timestamp', filters.from);
+    if (filters.to) query = query.lte('timestamp', filters.to);
+
+    return query;
+};
+
+/**
+ * One row of either chain in the shape the API returns.
+ */
+const toAuditEvent = (source, row) => {
+    const columns = AUDIT_EVENT_SOURCES[source];
+    const resourceId = row[columns.resourceId];
+
+    return {
+        id: row.id,
+        source,
+        seq: Number(row.chain_seq),
+        timestamp: row.timestamp,
+        actor: row[columns.actor],
+        action: row[columns.action],
+        resource_type: columns.resourceType ? row[columns.resourceType] : (resourceId ? 'user' : null),
+        resource_id: resourceId || null,
+        details: row.details,
+        ip_address: row.ip_address || null,
+        entry_hash: row.entry_hash
+    };
+};
+
+const CSV_COLUMNS = ['source', 'seq', 'id', 'timestamp', 'actor', 'action', 'resource_type', 'resource_id', 'ip_address', 'details', 'entry_hash'];
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    // Quote everything that could break the row, and defuse spreadsheet formulas
+    const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+    return /[",\r\n]/.test(safe) || safe !== text ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+const eventsToCsv = (events) => [
+    CSV_COLUMNS.join(','),
+    ...events.map(event => CSV_COLUMNS.map(column => csvCell(event[column])).join(','))
+].join('\r\n') + '\r\n';
+
+const eventsToJsonLines = (events) => events.map(event => JSON.stringify(event) + '\n').join('');
+
+// pdf-lib's standard fonts only cover WinAnsi
+const pdfText = (value) => String(value === null || value === undefined ? '' : value)
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+const fitText = (text, font, size, width) => {
+    let fitted = pdfText(text);
+    if (font.widthOfTextAtSize(fitted, size) <= width) return fitted;
+    while (fitted.length && font.widthOfTextAtSize(`${fitted}...`, size) > width) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted}...`;
+};
+
+const wrapText = (text, font, size, width) => {
+    const lines = [];
+    let line = '';
+    for (const char of pdfText(text)) {
+        if (font.widthOfTextAtSize(line + char, size) > width) {
+            lines.push(line);
+            line = '';
+        }
+        line += char;
+    }
+    return line ? [...lines, line] : lines;
+};
+
+const PDF_PAGE = [842, 595]; // A4 landscape
+const PDF_MARGIN = 36;
+const PDF_FONT_SIZE = 7;
+const PDF_LINE_HEIGHT = 10;
+const PDF_COLUMNS = [
+    { label: 'Seq', width: 40, value: event => event.seq },
+    { label: 'Time (UTC)', width: 95, value: event => new Date(event.timestamp).toISOString().replace('T', ' ').slice(0, 19) },
+    { label: 'Actor', width: 150, value: event => event.actor },
+    { label: 'Action', width: 120, value: event => event.action },
+    { label: 'Resource', width: 100, value: event => event.resource_type ? `${event.resource_type} ${event.resource_id || ''}` : '' },
+    { label: 'Details', width: 265, value: event => event.details === null ? '' : JSON.stringify(event.details) }
+];
+
+/**
+ * Render events as a PDF report signed with the server key. The signature covers the JSON Lines
+ * form of the events, which is attached to the PDF together with the signature and public key,
+ * so the report can be checked offline without trusting the rendered table.
+ * @param {Object} options
+ * @param {Object[]} options.events
+ * @param {Object} options.filters - From parseEventFilters
+ * @param {string} options.generatedBy
+ * @param {boolean} [options.truncated] - More events matched than were exported
+ * @param {Object} options.signer - Signer from lib/signing
+ * @returns {Promise<{ buffer: Buffer, sha256: string, signature: string }>}
+ */
+const createSignedEventsPdf = async ({ events, filters, generatedBy, truncated = false, signer }) => {
+    const jsonLines = eventsToJsonLines(events);
+    const sha256 = crypto.createHash('sha256').update(jsonLines).digest('hex');
+    const signature = signer.sign(jsonLines);
+    const generatedAt = new Date().toISOString();
+
+    const pdfDoc = await PDFDocument.create();
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    const [pageWidth, pageHeight] = PDF_PAGE;
+    const textWidth = pageWidth - 2 * PDF_MARGIN;
+
+    pdfDoc.setTitle('EVID-DGC Audit Log Export');
+    pdfDoc.setSubject(`${filters.source} events`);
+    pdfDoc.setProducer('EVID-DGC');
+    pdfDoc.setCreationDate(new Date(generatedAt));
+
+    let page;
+    let y;
+    const newPage = () => {
+        page = pdfDoc.addPage(PDF_PAGE);
+        y = pageHeight - PDF_MARGIN;
+    };
+    const writeLine = (text, { size = PDF_FONT_SIZE + 1, font: lineFont = font, color = rgb(0, 0, 0) } = {}) => {
+        if (y < PDF_MARGIN + PDF_LINE_HEIGHT) newPage();
+        page.drawText(pdfText(text), { x: PDF_MARGIN, y, size, font: lineFont, color });
+        y -= Math.max(PDF_LINE_HEIGHT, size + 4);
+    };
+    const writeRow = (cells, rowFont) => {
+        if (y < PDF_MARGIN + PDF_LINE_HEIGHT) {
+            newPage();
+            writeRow(PDF_COLUMNS.map(column => column.label), bold);
+        }
+        let x = PDF_MARGIN;
+        PDF_COLUMNS.forEach((column, index) => {
+            page.drawText(fitText(cells[index], rowFont, PDF_FONT_SIZE, column.width - 4), {
+                x, y, size: PDF_FONT_SIZE, font: rowFont
+            });
+            x += column.width;
+        });
+        y -= PDF_LINE_HEIGHT;
+    };
+
+    newPage();
+    writeLine('Audit Log Export', { size: 16, font: bold });
+    writeLine(`Source: ${filters.source}    Generated: ${generatedAt}    By: ${generatedBy}`);
+    writeLine(`Filters: ${[
+        filters.actor && `actor=${filters.actor}`,
+        filters.actions.length && `action=${filters.actions.join(',')}`,
+        filters.resourceType && `resource type=${filters.resourceType}`,
+        filters.resourceId && `resource id=${filters.resourceId}`,
+        filters.from && `from=${filters.from}`,
+        filters.to && `to=${filters.to}`
+    ].filter(Boolean).join(', ') || 'none'}`);
+    writeLine(`${events.length} events${truncated ? ' (export limit reached - narrow the filters for the rest)' : ''}`,
+        truncated ? { color: rgb(0.7, 0, 0) } : undefined);
+    y -= PDF_LINE_HEIGHT;
+
+    writeRow(PDF_COLUMNS.map(column => column.label), bold);
+    events.forEach(event => writeRow(PDF_COLUMNS.map(column => column.value(event)), font));
+
+    newPage();
+    writeLine('Signature', { size: 12, font: bold });
+    writeLine('The attached events.jsonl holds every exported event in full. events.jsonl.sig is its');
+    writeLine(`${signer.algorithm} signature by the server key in signing-key.pem; check both before relying on this report.`);
+    y -= PDF_LINE_HEIGHT;
+    writeLine(`SHA-256 of events.jsonl: ${sha256}`);
+    writeLine(`Algorithm: ${signer.algorithm}    Key ID: ${signer.keyId}`);
+    wrapText(`Signature: ${signature}`, font, PDF_FONT_SIZE + 1, textWidth).forEach(line => writeLine(line));
+
+    await pdfDoc.attach(Buffer.from(jsonLines), 'events.jsonl', {
+        mimeType: 'application/x-ndjson',
+        description: 'Exported audit events',
+        creationDate: new Date(generatedAt)
+    });
+    await pdfDoc.attach(Buffer.from(signature + '\n'), 'events.jsonl.sig', {
+        mimeType: 'text/plain',
+        description: `${signer.algorithm} signature of events.jsonl (base64)`
+    });
+    await pdfDoc.attach(Buffer.from(signer.publicKeyPem), 'signing-key.pem', {
+        mimeType: 'application/x-pem-file',
+        description: 'Server public key'
+    });
+
+    return { buffer: Buffer.from(await pdfDoc.save()), sha256, signature };
+};
+
+module.exports = {
+    AUDIT_EVENT_SOURCES,
+    AUDIT_EXPORT_FORMATS,
+    encodeCursor,
+    parseEventFilters,
+    sourceHasResourceType,
+    applyEventFilters,
+    toAuditEvent,
+    eventsToCsv,
+    eventsToJsonLines,
+    createSignedEventsPdf
+};
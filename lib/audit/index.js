@@ -0,0 +1,253 @@
+/**
+ * Tamper-Evident Audit Log
+ * activity_logs and admin_actions are each a hash chain: every row carries its chain_seq, the
+ * previous row's entry_hash and its own SHA-256 over a canonical form of its fields, so editing,
+ * deleting, inserting or reordering a row breaks the link after it. Checkpoints record both chain
+ * heads and anchor their Merkle root on-chain, which also exposes a truncated tail.
+ */
+
+const crypto = require('crypto');
+const { buildMerkleTree } = require('../chain/merkle');
+const events = require('./events');
+
+// Fields covered by entry_hash, per chain
+const AUDIT_CHAINS = {
+    activity_logs: ['user_id', 'action', 'resource_type', 'resource_id', 'details', 'timestamp', 'ip_address'],
+    admin_actions: ['admin_wallet', 'action_type', 'target_wallet', 'details', 'timestamp']
+};
+
+// prev_hash of the first entry in a chain
+const GENESIS_HASH = '0'.repeat(64);
+
+const MAX_APPEND_ATTEMPTS = 5;
+const VERIFY_PAGE_SIZE = 1000;
+
+// Postgres unique_violation: another writer took the sequence number first
+const UNIQUE_VIOLATION = '23505';
+
+const sortKeys = (value) => {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((sorted, key) => {
+            sorted[key] = sortKeys(value[key]);
+            return sorted;
+        }, {});
+    }
+    return value;
+};
+
+// JSON with sorted keys, after the same round trip the value makes through the database
+const canonicalJson = (value) => JSON.stringify(sortKeys(JSON.parse(JSON.stringify(value === undefined ? null : value))));
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Hash of one chain entry over its sequence number, the previous hash and its fields.
+ * @param {string} chainName - 'activity_logs' or 'admin_actions'
+ * @param {Object} row - Entry as inserted or as read back
+ * @returns {string} Hex SHA-256
+ */
+const entryHash = (chainName, row) => {
+    const fields = {};
+    AUDIT_CHAINS[chainName].forEach(field => {
+        const value = row[field] === undefined ? null : row[field];
+        fields[field] = field === 'timestamp' && value !== null ? new Date(value).toISOString() : value;
+    });
+
+    return sha256(canonicalJson({
+        chain: chainName,
+        chain_seq: Number(row.chain_seq),
+        prev_hash: row.prev_hash,
+        fields
+    }));
+};
+
+/**
+ * Merkle root over the chain heads of a checkpoint; this is what gets anchored on-chain.
+ * @param {Object<string, { seq: number, hash: string }>} heads
+ * @returns {string} 0x-prefixed root
+ */
+const checkpointRoot = (heads) => buildMerkleTree(
+    Object.keys(AUDIT_CHAINS).map(chainName => `0x${(heads[chainName] || { hash: GENESIS_HASH }).hash}`)
+).root;
+
+class AuditLog {
+    constructor({ supabase }) {
+        this.supabase = supabase;
+        this.heads = {};
+        this.queues = {};
+    }
+
+    assertChain(chainName) {
+        if (!AUDIT_CHAINS[chainName]) {
+            throw new Error(`Unknown audit chain "${chainName}"`);
+        }
+    }
+
+    // Last entry of a chain, or the genesis position when it is empty
+    async head(chainName) {
+        this.assertChain(chainName);
+
+        const { data: last, error } = await this.supabase
+            .from(chainName)
+            .select('chain_seq, entry_hash')
+            .order('chain_seq', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) throw error;
+        return last ? { seq: Number(last.chain_seq), hash: last.entry_hash } : { seq: 0, hash: GENESIS_HASH };
+    }
+
+    /**
+     * Append an entry to a chain. Appends from this process are serialized; a unique chain_seq
+     * makes a concurrent writer elsewhere lose the race, re-read the head and try again.
+     * @returns {Promise<Object>} The inserted row
+     */
+    append(chainName, fields) {
+        this.assertChain(chainName);
+
+        const previous = this.queues[chainName] || Promise.resolve();
+        const appended = previous.catch(() => {}).then(() => this.insertNext(chainName, fields));
+        this.queues[chainName] = appended;
+        return appended;
+    }
+
+    async insertNext(chainName, fields) {
+        const entry = { ...fields, timestamp: new Date(fields.timestamp || Date.now()).toISOString() };
+
+        for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+            const head = this.heads[chainName] || await this.head(chainName);
+            const chained = { ...entry, chain_seq: head.seq + 1, prev_hash: head.hash };
+            chained.entry_hash = entryHash(chainName, chained);
+
+            const { data: row, error } = await this.supabase
+                .from(chainName)
+                .insert(chained)
+                .select()
+                .single();
+
+            if (!error) {
+                this.heads[chainName] = { seq: chained.chain_seq, hash: chained.entry_hash };
+                return row;
+            }
+
+            delete this.heads[chainName];
+            if (error.code !== UNIQUE_VIOLATION) throw error;
+        }
+
+        throw new Error(`Could not append to ${chainName}: the chain head kept moving`);
+    }
+
+    /**
+     * Walk a chain from its first entry and report the first broken link.
+     * @returns {Promise<{ chain: string, valid: boolean, entries: number, head: Object, first_broken: Object|null }>}
+     */
+    async verifyChain(chainName) {
+        this.assertChain(chainName);
+
+        let expected = { seq: 1, hash: GENESIS_HASH };
+        const result = (firstBroken) => ({
+            chain: chainName,
+            valid: !firstBroken,
+            entries: expected.seq - 1,
+            head: { seq: expected.seq - 1, hash: expected.hash },
+            first_broken: firstBroken
+        });
+
+        for (;;) {
+            const { data: rows, error } = await this.supabase
+                .from(chainName)
+                .select('*')
+                .gte('chain_seq', expected.seq)
+                .order('chain_seq', { ascending: true })
+                .limit(VERIFY_PAGE_SIZE);
+
+            if (error) throw error;
+
+            for (const row of rows) {
+                const broken = (reason) => result({ seq: expected.seq, id: row.id, reason });
+
+                if (Number(row.chain_seq) !== expected.seq) {
+                    return result({ seq: expected.seq, id: null, reason: `Entry ${expected.seq} is missing` });
+                }
+                if (row.prev_hash !== expected.hash) {
+                    return broken('prev_hash does not match the previous entry');
+                }
+                if (entryHash(chainName, row) !== row.entry_hash) {
+                    return broken('Entry contents do not match its hash');
+                }
+
+                expected = { seq: expected.seq + 1, hash: row.entry_hash };
+            }
+
+            if (rows.length < VERIFY_PAGE_SIZE) {
+                return result(null);
+            }
+        }
+    }
+
+    // entry_hash of the given positions, by chain_seq
+    async entryHashes(chainName, seqs) {
+        const hashes = new Map();
+
+        for (let start = 0; start < seqs.length; start += VERIFY_PAGE_SIZE) {
+            const { data: rows, error } = await this.supabase
+                .from(chainName)
+                .select('chain_seq, entry_hash')
+                .in('chain_seq', seqs.slice(start, start + VERIFY_PAGE_SIZE));
+
+            if (error) throw error;
+            rows.forEach(row => hashes.set(Number(row.chain_seq), row.entry_hash));
+        }
+        return hashes;
+    }
+
+    /**
+     * Check that each checkpoint's root matches its heads and that the chains still hold those
+     * heads, which catches entries removed from the end of a chain.
+     * @param {Object[]} checkpoints - audit_checkpoints rows, oldest first
+     * @returns {Promise<{ valid: boolean, checked: number, first_broken: Object|null }>}
+     */
+    async verifyCheckpoints(checkpoints) {
+        const stored = {};
+        for (const chainName of Object.keys(AUDIT_CHAINS)) {
+            const seqs = [...new Set(checkpoints
+                .map(checkpoint => (checkpoint.heads[chainName] || { seq: 0 }).seq)
+                .filter(seq => seq > 0))];
+            stored[chainName] = await this.entryHashes(chainName, seqs);
+        }
+
+        for (const checkpoint of checkpoints) {
+            const broken = (reason) => ({ valid: false, checked: checkpoints.length, first_broken: { id: checkpoint.id, reason } });
+
+            if (checkpointRoot(checkpoint.heads) !== checkpoint.merkle_root) {
+                return broken('Checkpoint root does not match its recorded heads');
+            }
+
+            for (const chainName of Object.keys(AUDIT_CHAINS)) {
+                const head = checkpoint.heads[chainName];
+                if (!head || head.seq === 0) continue;
+
+                if (stored[chainName].get(head.seq) !== head.hash) {
+                    return broken(`${chainName} entry ${head.seq} is missing or differs from the checkpoint`);
+                }
+            }
+        }
+
+        return { valid: true, checked: checkpoints.length, first_broken: null };
+    }
+}
+
+const createAuditLog = ({ supabase }) => new AuditLog({ supabase });
+
+module.exports = {
+    AUDIT_CHAINS,
+    GENESIS_HASH,
+    AuditLog,
+    createAuditLog,
+    canonicalJson,
+    entryHash,
+    checkpointRoot,
+    ...events
+};
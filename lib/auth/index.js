@@ -0,0 +1,57 @@
+/**
+ * Authentication
+ * Bearer access tokens for every API route, issued after email/password login or
+ * Sign-In with Ethereum (plus a TOTP code where two-factor applies) or a passkey, and renewed
+ * with rotating refresh tokens.
+ */
+
+const { TokenService, createTokenService } = require('./tokens');
+const { generateNonce, createSiweMessage, parseSiweMessage, verifySiweMessage } = require('./siwe');
+const totp = require('./totp');
+const passwordPolicy = require('./password-policy');
+const sessions = require('./sessions');
+const lockout = require('./lockout');
+const webauthn = require('./webauthn');
+
+/**
+ * Middleware that populates req.user from the access token; identity never comes from the body.
+ * @param {TokenService} tokens
+ * @param {Object} [options]
+ * @param {boolean} [options.allowQueryToken=false] - Accept ?access_token= (for <img>/<video> sources)
+ */
+const authenticate = (tokens, { allowQueryToken = false } = {}) => (req, res, next) => {
+    const [scheme, headerToken] = (req.headers.authorization || '').split(' ');
+    const token = scheme === 'Bearer' && headerToken
+        ? headerToken
+        : (allowQueryToken ? req.query.access_token : null);
+
+    if (!token) {
+        return res.status(401).json({ error: 'Authentication required', code: 'missing_token' });
+    }
+
+    try {
+        req.user = tokens.verifyAccessToken(token);
+        next();
+    } catch (error) {
+        const expired = error.name === 'TokenExpiredError';
+        res.status(401).json({
+            error: expired ? 'Access token expired' : 'Invalid access token',
+            code: expired ? 'token_expired' : 'invalid_token'
+        });
+    }
+};
+
+module.exports = {
+    TokenService,
+    createTokenService,
+    authenticate,
+    generateNonce,
+    createSiweMessage,
+    parseSiweMessage,
+    verifySiweMessage,
+    ...totp,
+    ...passwordPolicy,
+    ...sessions,
+    ...lockout,
+    webauthn
+};
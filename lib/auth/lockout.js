@@ -0,0 +1,112 @@
+/**
+ * Account Lockout
+ * Failed sign-in attempts counted per account — wrong passwords, bad wallet signatures and wrong
+ * two-factor codes together — on top of the per-IP authLimiter. After a few failures each attempt
+ * has to wait longer than the last; after maxAttempts the account is locked for lockoutMinutes or
+ * until an admin unlocks it. The counters live on the users row.
+ */
+
+const DEFAULT_LOCKOUT_POLICY = {
+    delayAfter: 3, // failures before attempts are delayed
+    baseDelaySeconds: 2, // doubled for every further failure
+    maxDelaySeconds: 120,
+    maxAttempts: 10, // failures that lock the account
+    lockoutMinutes: 30,
+    notifyAfter: 5, // failures before the user is told
+    resetAfterMinutes: 60 // failures older than this are forgotten
+};
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Lockout policy with LOGIN_LOCKOUT_ATTEMPTS and LOGIN_LOCKOUT_MINUTES applied.
+ * @returns {Object}
+ */
+const createLockoutPolicy = (env = process.env) => {
+    const policy = { ...DEFAULT_LOCKOUT_POLICY };
+    const attempts = parseInt(env.LOGIN_LOCKOUT_ATTEMPTS, 10);
+    const minutes = parseInt(env.LOGIN_LOCKOUT_MINUTES, 10);
+
+    if (attempts > 0) policy.maxAttempts = attempts;
+    if (minutes > 0) policy.lockoutMinutes = minutes;
+    policy.notifyAfter = Math.min(policy.notifyAfter, policy.maxAttempts);
+
+    return policy;
+};
+
+// Failures that still count toward a lockout
+const recentFailures = (account, policy, now) => {
+    if (!account.failed_login_attempts || !account.last_failed_login_at) return 0;
+
+    const quietFor = now - new Date(account.last_failed_login_at).getTime();
+    return quietFor > policy.resetAfterMinutes * MINUTE_MS ? 0 : account.failed_login_attempts;
+};
+
+// Wait required after the given number of failures
+const delaySeconds = (failures, policy) => {
+    if (failures < policy.delayAfter) return 0;
+    return Math.min(policy.maxDelaySeconds, policy.baseDelaySeconds * 2 ** (failures - policy.delayAfter));
+};
+
+/**
+ * Whether a sign-in attempt on the account may go ahead now.
+ * @param {{ failed_login_attempts?: number, last_failed_login_at?: string, locked_until?: string }} account
+ * @returns {{ allowed: boolean, reason?: 'locked'|'delayed', retry_after?: number, locked_until?: string }}
+ */
+const loginAttemptStatus = (account, policy, now = Date.now()) => {
+    const lockedUntil = account.locked_until ? new Date(account.locked_until).getTime() : 0;
+    if (lockedUntil > now) {
+        return {
+            allowed: false,
+            reason: 'locked',
+            locked_until: new Date(lockedUntil).toISOString(),
+            retry_after: Math.ceil((lockedUntil - now) / 1000)
+        };
+    }
+
+    const failures = recentFailures(account, policy, now);
+    const waitMs = failures
+        ? delaySeconds(failures, policy) * 1000 - (now - new Date(account.last_failed_login_at).getTime())
+        : 0;
+
+    if (waitMs > 0) {
+        return { allowed: false, reason: 'delayed', retry_after: Math.ceil(waitMs / 1000) };
+    }
+    return { allowed: true };
+};
+
+/**
+ * Count one more failed attempt.
+ * @returns {{ changes: Object, failures: number, locked: boolean, notify: boolean }} `changes` is the
+ *          update for the users row; `notify` is set when the user should hear about it
+ */
+const registerLoginFailure = (account, policy, now = Date.now()) => {
+    const failures = recentFailures(account, policy, now) + 1;
+    const locked = failures >= policy.maxAttempts;
+
+    return {
+        changes: {
+            failed_login_attempts: failures,
+            last_failed_login_at: new Date(now).toISOString(),
+            locked_until: locked ? new Date(now + policy.lockoutMinutes * MINUTE_MS).toISOString() : null
+        },
+        failures,
+        locked,
+        notify: locked || failures === policy.notifyAfter
+    };
+};
+
+// Update for the users row after a successful sign-in, password reset or admin unlock
+const CLEARED_LOGIN_FAILURES = {
+    failed_login_attempts: 0,
+    last_failed_login_at: null,
+    locked_until: null
+};
+
+module.exports = {
+    DEFAULT_LOCKOUT_POLICY,
+    CLEARED_LOGIN_FAILURES,
+    createLockoutPolicy,
+    loginAttemptStatus,
+    registerLoginFailure
+};
@@ -0,0 +1,160 @@
+/**
+ * Password Policy
+ * Rules every new password must meet, and how long a password lasts. Admins edit the policy
+ * through /api/admin/password-policy; the settings keep the names used by the admin panel
+ * (public/password-policy-admin.js). Reuse is checked by the caller against password_history.
+ */
+
+const DEFAULT_PASSWORD_POLICY = {
+    minLength: 12,
+    maxLength: 128,
+    requireUppercase: true,
+    requireLowercase: true,
+    requireNumbers: true,
+    requireSpecialChars: true,
+    minSpecialChars: 2,
+    preventCommonPasswords: true,
+    preventUserInfo: true,
+    preventReuse: 5, // last N passwords
+    maxAge: 90, // days; 0 turns expiry off
+    warningDays: 14
+};
+
+// Allowed range of each numeric setting
+const NUMERIC_LIMITS = {
+    minLength: [8, 50],
+    maxLength: [20, 256],
+    minSpecialChars: [1, 10],
+    preventReuse: [0, 20],
+    maxAge: [0, 365],
+    warningDays: [1, 30]
+};
+
+const SPECIAL_CHARS = '!@#$%^&*()_+-=[]{}|;:,.<>?';
+
+const COMMON_PASSWORDS = [
+    'password', '123456', '123456789', 'qwerty', 'abc123',
+    'password123', 'admin', 'letmein', 'welcome', 'monkey',
+    'dragon', 'master', 'shadow', 'superman', 'michael',
+    'football', 'baseball', 'liverpool', 'jordan', 'harley'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Apply changes to a policy, rejecting unknown settings and out-of-range values.
+ * @param {Object} changes - Settings to change; the rest are taken from `base`
+ * @param {Object} [base=DEFAULT_PASSWORD_POLICY]
+ * @returns {{ policy: Object, errors: string[] }}
+ */
+const normalizePasswordPolicy = (changes = {}, base = DEFAULT_PASSWORD_POLICY) => {
+    const policy = { ...DEFAULT_PASSWORD_POLICY, ...base };
+    const errors = [];
+
+    Object.entries(changes || {}).forEach(([key, value]) => {
+        if (!(key in DEFAULT_PASSWORD_POLICY)) {
+            errors.push(`Unknown password policy setting: ${key}`);
+        } else if (typeof DEFAULT_PASSWORD_POLICY[key] === 'boolean') {
+            if (typeof value !== 'boolean') {
+                errors.push(`${key} must be true or false`);
+            } else {
+                policy[key] = value;
+            }
+        } else {
+            const [min, max] = NUMERIC_LIMITS[key];
+            if (!Number.isInteger(value) || value < min || value > max) {
+                errors.push(`${key} must be a whole number from ${min} to ${max}`);
+            } else {
+                policy[key] = value;
+            }
+        }
+    });
+
+    if (policy.minLength > policy.maxLength) {
+        errors.push('Minimum length cannot be greater than maximum length');
+    }
+    if (policy.maxAge > 0 && policy.warningDays > policy.maxAge) {
+        errors.push('Warning days cannot be greater than password max age');
+    }
+    if (policy.minSpecialChars > policy.minLength) {
+        errors.push('Minimum special characters cannot exceed minimum length');
+    }
+
+    return { policy, errors };
+};
+
+const countSpecialChars = (password) => [...password].filter(char => SPECIAL_CHARS.includes(char)).length;
+
+const isCommonPassword = (password) => {
+    const lowerPassword = password.toLowerCase();
+    return COMMON_PASSWORDS.some(common => lowerPassword.includes(common) || common.includes(lowerPassword));
+};
+
+// Email local part and each name longer than two characters
+const personalTerms = (user) => [
+    ...(user.email ? [user.email.split('@')[0]] : []),
+    ...String(user.full_name || '').split(/\s+/)
+].map(term => term.toLowerCase()).filter(term => term.length > 2);
+
+/**
+ * Check a new password against the policy (everything except reuse).
+ * @param {string} password
+ * @param {Object} policy
+ * @param {{ email?: string, full_name?: string }} [user]
+ * @returns {string[]} Reasons the password is refused; empty when it is acceptable
+ */
+const checkPassword = (password, policy, user = {}) => {
+    const issues = [];
+
+    if (typeof password !== 'string' || password.length < policy.minLength) {
+        issues.push(`Password must be at least ${policy.minLength} characters long`);
+        if (typeof password !== 'string') return issues;
+    }
+    if (password.length > policy.maxLength) {
+        issues.push(`Password must not exceed ${policy.maxLength} characters`);
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+        issues.push('Password must contain at least one uppercase letter');
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+        issues.push('Password must contain at least one lowercase letter');
+    }
+    if (policy.requireNumbers && !/[0-9]/.test(password)) {
+        issues.push('Password must contain at least one number');
+    }
+    if (policy.requireSpecialChars && countSpecialChars(password) < policy.minSpecialChars) {
+        issues.push(`Password must contain at least ${policy.minSpecialChars} special characters (${SPECIAL_CHARS})`);
+    }
+    if (policy.preventCommonPasswords && isCommonPassword(password)) {
+        issues.push('Password is too common. Please choose a more unique password');
+    }
+    if (policy.preventUserInfo && personalTerms(user).some(term => password.toLowerCase().includes(term))) {
+        issues.push('Password should not contain personal information');
+    }
+
+    return issues;
+};
+
+/**
+ * When a password set at `changedAt` expires under the policy.
+ * @returns {{ expires_at: string|null, expired: boolean, warning: boolean }}
+ */
+const passwordExpiry = (changedAt, policy, now = Date.now()) => {
+    if (!policy.maxAge || !changedAt) {
+        return { expires_at: null, expired: false, warning: false };
+    }
+
+    const expiresAt = new Date(changedAt).getTime() + policy.maxAge * DAY_MS;
+    return {
+        expires_at: new Date(expiresAt).toISOString(),
+        expired: now >= expiresAt,
+        warning: now >= expiresAt - policy.warningDays * DAY_MS
+    };
+};
+
+module.exports = {
+    DEFAULT_PASSWORD_POLICY,
+    normalizePasswordPolicy,
+    checkPassword,
+    passwordExpiry
+};
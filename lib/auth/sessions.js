@@ -0,0 +1,86 @@
+/**
+ * Session Policy
+ * Idle timeouts per role, and the device label shown in the session list. A session with no
+ * API activity for longer than its role's timeout is ended by the server.
+ */
+
+// Minutes without activity before a session ends
+const IDLE_TIMEOUT_MINUTES = {
+    admin: 30,
+    evidence_manager: 45,
+    court_official: 60,
+    auditor: 90,
+    legal_professional: 120,
+    forensic_analyst: 120,
+    investigator: 180,
+    public_viewer: 240
+};
+
+const DEFAULT_IDLE_TIMEOUT_MINUTES = 240;
+
+/**
+ * Role timeouts with SESSION_IDLE_TIMEOUTS applied, e.g. "admin:15,auditor:60".
+ * @returns {Object<string, number>} Minutes per role
+ */
+const createIdleTimeouts = (env = process.env) => {
+    const timeouts = { ...IDLE_TIMEOUT_MINUTES };
+
+    (env.SESSION_IDLE_TIMEOUTS || '').split(',').forEach(entry => {
+        const [role, minutes] = entry.split(':').map(part => part && part.trim());
+        const parsed = parseInt(minutes, 10);
+        if (role && parsed > 0) {
+            timeouts[role] = parsed;
+        }
+    });
+
+    return timeouts;
+};
+
+const idleTimeoutMinutes = (timeouts, role) => timeouts[role] || DEFAULT_IDLE_TIMEOUT_MINUTES;
+
+/**
+ * When a session ends for inactivity.
+ * @param {{ last_activity_at?: string, created_at: string }} session
+ * @returns {Date}
+ */
+const idleExpiry = (session, timeouts, role) => {
+    const lastActivity = new Date(session.last_activity_at || session.created_at).getTime();
+    return new Date(lastActivity + idleTimeoutMinutes(timeouts, role) * 60 * 1000);
+};
+
+const BROWSERS = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari']
+];
+
+const PLATFORMS = [
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/CrOS/, 'ChromeOS'],
+    [/Linux/, 'Linux']
+];
+
+// "Chrome on Windows" from a User-Agent header
+const describeDevice = (userAgent) => {
+    if (!userAgent) return 'Unknown device';
+
+    const match = (patterns) => (patterns.find(([pattern]) => pattern.test(userAgent)) || [])[1];
+    const browser = match(BROWSERS);
+    const platform = match(PLATFORMS);
+
+    if (browser && platform) return `${browser} on ${platform}`;
+    return browser || platform || 'Unknown device';
+};
+
+module.exports = {
+    IDLE_TIMEOUT_MINUTES,
+    createIdleTimeouts,
+    idleTimeoutMinutes,
+    idleExpiry,
+    describeDevice
+};
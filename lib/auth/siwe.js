@@ -0,0 +1,91 @@
+/**
+ * Sign-In with Ethereum (EIP-4361)
+ * The server builds the message around a one-time nonce, the wallet signs it with
+ * personal_sign, and the server recovers the signer and checks every field it issued.
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const STATEMENT = 'Sign in to EVID-DGC. This request will not trigger a blockchain transaction or cost any gas.';
+
+const generateNonce = () => crypto.randomBytes(16).toString('hex');
+
+const createSiweMessage = ({ domain, address, uri, chainId, nonce, issuedAt, expirationTime, statement = STATEMENT }) => [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    ethers.getAddress(address),
+    '',
+    statement,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expirationTime}`
+].join('\n');
+
+const FIELD_PATTERN = /^(URI|Version|Chain ID|Nonce|Issued At|Expiration Time|Not Before|Request ID): (.+)$/;
+
+const parseSiweMessage = (message) => {
+    const lines = String(message).split('\n');
+    const header = lines[0].match(/^(\S+) wants you to sign in with your Ethereum account:$/);
+
+    if (!header || !ethers.isAddress(lines[1] || '')) {
+        throw new Error('Not a Sign-In with Ethereum message');
+    }
+
+    const fields = {};
+    lines.slice(2).forEach(line => {
+        const match = line.match(FIELD_PATTERN);
+        if (match) fields[match[1]] = match[2];
+    });
+
+    return {
+        domain: header[1],
+        address: lines[1],
+        uri: fields.URI,
+        version: fields.Version,
+        chainId: Number(fields['Chain ID']),
+        nonce: fields.Nonce,
+        issuedAt: fields['Issued At'],
+        expirationTime: fields['Expiration Time']
+    };
+};
+
+/**
+ * Verify a signed SIWE message against what the server expects.
+ * @param {Object} options
+ * @param {string} options.message - Message exactly as signed
+ * @param {string} options.signature - personal_sign signature
+ * @param {string} options.domain - Host the message must be bound to
+ * @returns {{ address: string, nonce: string }} Lower-cased signer address and the nonce to consume
+ */
+const verifySiweMessage = ({ message, signature, domain }) => {
+    const fields = parseSiweMessage(message);
+
+    if (fields.domain !== domain) {
+        throw new Error('Message was issued for a different domain');
+    }
+    if (fields.version !== '1' || !fields.nonce) {
+        throw new Error('Malformed Sign-In with Ethereum message');
+    }
+    if (!fields.expirationTime || new Date(fields.expirationTime).getTime() < Date.now()) {
+        throw new Error('Sign-in message has expired');
+    }
+
+    let recovered;
+    try {
+        recovered = ethers.verifyMessage(message, signature);
+    } catch (error) {
+        throw new Error('Invalid signature');
+    }
+
+    if (recovered.toLowerCase() !== fields.address.toLowerCase()) {
+        throw new Error('Signature does not match the signing address');
+    }
+
+    return { address: recovered.toLowerCase(), nonce: fields.nonce };
+};
+
+module.exports = { generateNonce, createSiweMessage, parseSiweMessage, verifySiweMessage };
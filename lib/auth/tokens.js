@@ -0,0 +1,105 @@
+/**
+ * Session Tokens
+ * Short-lived JWT access tokens carry the caller's identity; long-lived opaque refresh
+ * tokens are stored hashed in user_sessions and rotated on every use.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ISSUER = 'evid-dgc';
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+class TokenService {
+    constructor({ secret, accessTtlSeconds = 15 * 60, refreshTtlSeconds = 7 * 24 * 60 * 60 }) {
+        this.secret = secret;
+        this.accessTtlSeconds = accessTtlSeconds;
+        this.refreshTtlSeconds = refreshTtlSeconds;
+    }
+
+    issueAccessToken(user, sessionId) {
+        return jwt.sign({
+            sid: sessionId,
+            role: user.role,
+            wallet: user.wallet_address || null,
+            email: user.email || null
+        }, this.secret, {
+            algorithm: 'HS256',
+            subject: String(user.id),
+            issuer: ISSUER,
+            expiresIn: this.accessTtlSeconds
+        });
+    }
+
+    // Throws jsonwebtoken's TokenExpiredError / JsonWebTokenError on bad tokens
+    verifyAccessToken(token) {
+        const claims = jwt.verify(token, this.secret, { algorithms: ['HS256'], issuer: ISSUER });
+        if (claims.typ) {
+            throw new jwt.JsonWebTokenError('Not an access token');
+        }
+        return {
+            id: Number(claims.sub),
+            session_id: claims.sid,
+            role: claims.role,
+            wallet_address: claims.wallet,
+            email: claims.email,
+            expires_at: new Date(claims.exp * 1000).toISOString()
+        };
+    }
+
+    /**
+     * Short-lived token proving the first sign-in factor passed; it cannot be used as an access token.
+     * @param {Object} user
+     * @param {string} purpose - 'two_factor_login', 'two_factor_enroll' or 'password_change'
+     * @param {string} loginType - 'email' or 'wallet', carried through to the session
+     */
+    issueChallengeToken(user, purpose, loginType) {
+        return jwt.sign({ typ: purpose, login_type: loginType }, this.secret, {
+            algorithm: 'HS256',
+            subject: String(user.id),
+            issuer: ISSUER,
+            expiresIn: CHALLENGE_TTL_SECONDS
+        });
+    }
+
+    verifyChallengeToken(token, purpose) {
+        const claims = jwt.verify(token, this.secret, { algorithms: ['HS256'], issuer: ISSUER });
+        if (claims.typ !== purpose) {
+            throw new jwt.JsonWebTokenError('Wrong challenge token type');
+        }
+        return { id: Number(claims.sub), login_type: claims.login_type };
+    }
+
+    generateRefreshToken() {
+        return crypto.randomBytes(48).toString('base64url');
+    }
+
+    // Only the hash is persisted, so a leaked sessions table cannot be replayed
+    hashRefreshToken(refreshToken) {
+        return crypto.createHash('sha256').update(refreshToken).digest('hex');
+    }
+
+    refreshExpiry(from = Date.now()) {
+        return new Date(from + this.refreshTtlSeconds * 1000).toISOString();
+    }
+}
+
+const createTokenService = (env = process.env) => {
+    let secret = env.JWT_SECRET;
+
+    if (!secret) {
+        if (env.NODE_ENV === 'production') {
+            throw new Error('JWT_SECRET is required in production');
+        }
+        secret = crypto.randomBytes(32).toString('hex');
+        console.warn('⚠️ JWT_SECRET not set - using an ephemeral secret; sessions end on restart');
+    }
+
+    return new TokenService({
+        secret,
+        accessTtlSeconds: parseInt(env.JWT_ACCESS_TTL_SECONDS || String(15 * 60), 10),
+        refreshTtlSeconds: parseInt(env.JWT_REFRESH_TTL_SECONDS || String(7 * 24 * 60 * 60), 10)
+    });
+};
+
+module.exports = { TokenService, createTokenService };
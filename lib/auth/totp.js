@@ -0,0 +1,145 @@
+/**
+ * TOTP Two-Factor Authentication (RFC 6238)
+ * Secrets are 160-bit, base32 encoded for authenticator apps and AES-256-GCM encrypted at rest.
+ * Backup codes are shown once and only their keyed hash is stored.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const BACKUP_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const TIME_STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = 'EVID-DGC';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    buffer.forEach(byte => {
+        bits += byte.toString(2).padStart(8, '0');
+    });
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (encoded) => {
+    const bits = encoded.toUpperCase().replace(/[\s=]/g, '').split('').map(char => {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 secret');
+        return value.toString(2).padStart(5, '0');
+    }).join('');
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TIME_STEP_SECONDS);
+
+const totpCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code against the current step and one step either side for clock drift.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} [options]
+ * @param {number|null} [options.lastUsedStep] - Steps at or before this were already redeemed
+ * @returns {number|null} The matching time step, or null
+ */
+const verifyTotp = (secret, code, { lastUsedStep = null, now = Date.now() } = {}) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const step = currentStep(now);
+    for (const candidate of [step - 1, step, step + 1]) {
+        if (lastUsedStep !== null && candidate <= lastUsedStep) continue;
+
+        const expected = Buffer.from(totpCode(secret, candidate));
+        if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+            return candidate;
+        }
+    }
+    return null;
+};
+
+const otpauthUrl = ({ secret, account }) => {
+    const label = encodeURIComponent(`${ISSUER}:${account}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&digits=${DIGITS}&period=${TIME_STEP_SECONDS}`;
+};
+
+const normalizeBackupCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const generateBackupCodes = (count = 10) => Array.from({ length: count }, () => {
+    const bytes = crypto.randomBytes(10);
+    const code = Array.from(bytes, byte => BACKUP_CODE_ALPHABET[byte % BACKUP_CODE_ALPHABET.length]).join('');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+class SecretBox {
+    constructor(masterKey) {
+        this.encryptionKey = Buffer.from(crypto.hkdfSync('sha256', masterKey, Buffer.alloc(0), 'evid-dgc totp secret', 32));
+        this.hashKey = Buffer.from(crypto.hkdfSync('sha256', masterKey, Buffer.alloc(0), 'evid-dgc backup code', 32));
+    }
+
+    // v1.<iv>.<tag>.<ciphertext>, all base64url
+    encrypt(plaintext) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+        const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+        return ['v1', iv, cipher.getAuthTag(), ciphertext].map(part => (
+            typeof part === 'string' ? part : part.toString('base64url')
+        )).join('.');
+    }
+
+    decrypt(payload) {
+        const [version, iv, tag, ciphertext] = String(payload).split('.');
+        if (version !== 'v1') throw new Error('Unsupported secret format');
+
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, Buffer.from(iv, 'base64url'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+        return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+    }
+
+    // Keyed, so a leaked table of hashes cannot be brute-forced without the server key
+    hashBackupCode(code) {
+        return crypto.createHmac('sha256', this.hashKey).update(normalizeBackupCode(code)).digest('hex');
+    }
+}
+
+// null when ENCRYPTION_KEY is unset: two-factor is then unavailable and roles that require it cannot sign in
+const createSecretBox = (env = process.env) => {
+    if (env.ENCRYPTION_KEY) {
+        return new SecretBox(env.ENCRYPTION_KEY);
+    }
+    if (env.NODE_ENV === 'production') {
+        throw new Error('ENCRYPTION_KEY is required in production');
+    }
+    return null;
+};
+
+module.exports = {
+    generateTotpSecret,
+    totpCode,
+    currentStep,
+    verifyTotp,
+    otpauthUrl,
+    generateBackupCodes,
+    SecretBox,
+    createSecretBox
+};
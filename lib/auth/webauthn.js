@@ -0,0 +1,288 @@
+/**
+ * WebAuthn (Passkeys)
+ * Builds credential creation/request options and verifies authenticator responses for ES256,
+ * EdDSA and RS256 keys. Options ask for attestation 'none', so attestation statements are not
+ * checked; the credential's public key is stored as SPKI PEM and trusted from registration on.
+ */
+
+const crypto = require('crypto');
+
+const RP_NAME = 'EVID-DGC';
+const TIMEOUT_MS = 60 * 1000;
+
+// COSE algorithm identifiers we accept, in order of preference
+const COSE_ALGORITHMS = { ES256: -7, EdDSA: -8, RS256: -257 };
+
+// Authenticator data flags
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_DATA = 0x40;
+
+const createChallenge = () => crypto.randomBytes(32).toString('base64url');
+
+const toBuffer = (value, field) => {
+    if (typeof value !== 'string' || !value) {
+        throw new Error(`Missing ${field}`);
+    }
+    return Buffer.from(value, 'base64url');
+};
+
+// Minimal CBOR (RFC 8949) decoder: enough for attestation objects and COSE keys
+const decodeCbor = (buffer, offset = 0) => {
+    const initial = buffer[offset];
+    if (initial === undefined) throw new Error('Truncated CBOR data');
+
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+    let position = offset + 1;
+    let length = info;
+
+    if (info === 24) {
+        length = buffer.readUInt8(position);
+        position += 1;
+    } else if (info === 25) {
+        length = buffer.readUInt16BE(position);
+        position += 2;
+    } else if (info === 26) {
+        length = buffer.readUInt32BE(position);
+        position += 4;
+    } else if (info === 27) {
+        length = Number(buffer.readBigUInt64BE(position));
+        position += 8;
+    } else if (info > 27) {
+        throw new Error('Unsupported CBOR encoding');
+    }
+
+    switch (major) {
+        case 0:
+            return { value: length, offset: position };
+        case 1:
+            return { value: -1 - length, offset: position };
+        case 2:
+            return { value: buffer.subarray(position, position + length), offset: position + length };
+        case 3:
+            return { value: buffer.toString('utf8', position, position + length), offset: position + length };
+        case 4: {
+            const items = [];
+            for (let i = 0; i < length; i++) {
+                const item = decodeCbor(buffer, position);
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+        case 5: {
+            const map = new Map();
+            for (let i = 0; i < length; i++) {
+                const key = decodeCbor(buffer, position);
+                const entry = decodeCbor(buffer, key.offset);
+                map.set(key.value, entry.value);
+                position = entry.offset;
+            }
+            return { value: map, offset: position };
+        }
+        case 7:
+            if (info === 20) return { value: false, offset: position };
+            if (info === 21) return { value: true, offset: position };
+            if (info === 22) return { value: null, offset: position };
+            throw new Error('Unsupported CBOR simple value');
+        default:
+            throw new Error('Unsupported CBOR major type');
+    }
+};
+
+// COSE_Key → SPKI PEM
+const coseToPublicKey = (coseKey) => {
+    const kty = coseKey.get(1);
+    const alg = coseKey.get(3);
+    let jwk;
+
+    if (kty === 2 && alg === COSE_ALGORITHMS.ES256 && coseKey.get(-1) === 1) {
+        jwk = { kty: 'EC', crv: 'P-256', x: coseKey.get(-2).toString('base64url'), y: coseKey.get(-3).toString('base64url') };
+    } else if (kty === 1 && alg === COSE_ALGORITHMS.EdDSA && coseKey.get(-1) === 6) {
+        jwk = { kty: 'OKP', crv: 'Ed25519', x: coseKey.get(-2).toString('base64url') };
+    } else if (kty === 3 && alg === COSE_ALGORITHMS.RS256) {
+        jwk = { kty: 'RSA', n: coseKey.get(-1).toString('base64url'), e: coseKey.get(-2).toString('base64url') };
+    } else {
+        throw new Error('Unsupported credential public key');
+    }
+
+    return {
+        publicKey: crypto.createPublicKey({ key: jwk, format: 'jwk' }).export({ type: 'spki', format: 'pem' }),
+        algorithm: alg
+    };
+};
+
+const parseAuthenticatorData = (authData) => {
+    if (authData.length < 37) throw new Error('Authenticator data is too short');
+
+    const parsed = {
+        rpIdHash: authData.subarray(0, 32),
+        flags: authData[32],
+        signCount: authData.readUInt32BE(33)
+    };
+
+    if (parsed.flags & FLAG_ATTESTED_DATA) {
+        const idLength = authData.readUInt16BE(53);
+        parsed.aaguid = authData.subarray(37, 53).toString('hex');
+        parsed.credentialId = authData.subarray(55, 55 + idLength);
+        parsed.credentialPublicKey = decodeCbor(authData, 55 + idLength).value;
+    }
+
+    return parsed;
+};
+
+/**
+ * Decode clientDataJSON; servers read the challenge from it to find the stored challenge row.
+ * @returns {{ type: string, challenge: string, origin: string }}
+ */
+const readClientData = (credential) => {
+    const response = (credential && credential.response) || {};
+    try {
+        return JSON.parse(toBuffer(response.clientDataJSON, 'clientDataJSON').toString('utf8'));
+    } catch (error) {
+        throw new Error('Invalid clientDataJSON');
+    }
+};
+
+const checkClientData = (clientData, { type, expectedChallenge, expectedOrigin }) => {
+    if (clientData.type !== type) {
+        throw new Error(`Expected a ${type} response`);
+    }
+    if (clientData.challenge !== expectedChallenge) {
+        throw new Error('Challenge does not match');
+    }
+    if (clientData.origin !== expectedOrigin) {
+        throw new Error(`Origin ${clientData.origin} is not allowed`);
+    }
+};
+
+const checkAuthenticatorData = (authData, { expectedRpId, requireUserVerification }) => {
+    const rpIdHash = crypto.createHash('sha256').update(expectedRpId).digest();
+    if (!rpIdHash.equals(authData.rpIdHash)) {
+        throw new Error('Credential was created for a different relying party');
+    }
+    if (!(authData.flags & FLAG_USER_PRESENT)) {
+        throw new Error('User presence was not confirmed');
+    }
+    if (requireUserVerification && !(authData.flags & FLAG_USER_VERIFIED)) {
+        throw new Error('User verification is required');
+    }
+};
+
+const registrationOptions = ({ rpId, user, challenge, excludeCredentials = [] }) => ({
+    rp: { id: rpId, name: RP_NAME },
+    user: {
+        id: Buffer.from(String(user.id)).toString('base64url'),
+        name: user.email || user.wallet_address,
+        displayName: user.full_name || user.email || user.wallet_address
+    },
+    challenge,
+    pubKeyCredParams: Object.values(COSE_ALGORITHMS).map(alg => ({ type: 'public-key', alg })),
+    timeout: TIMEOUT_MS,
+    attestation: 'none',
+    excludeCredentials: excludeCredentials.map(credential => ({
+        type: 'public-key',
+        id: credential.credential_id,
+        transports: credential.transports || undefined
+    })),
+    authenticatorSelection: { residentKey: 'preferred', userVerification: 'preferred' }
+});
+
+const authenticationOptions = ({ rpId, challenge, allowCredentials = [], userVerification = 'preferred' }) => ({
+    rpId,
+    challenge,
+    timeout: TIMEOUT_MS,
+    userVerification,
+    allowCredentials: allowCredentials.map(credential => ({
+        type: 'public-key',
+        id: credential.credential_id,
+        transports: credential.transports || undefined
+    }))
+});
+
+/**
+ * Verify a navigator.credentials.create() response (base64url-encoded fields).
+ * @returns {{ credentialId: string, publicKey: string, algorithm: number, signCount: number, aaguid: string, transports: string[], userVerified: boolean }}
+ */
+const verifyRegistration = ({ credential, expectedChallenge, expectedOrigin, expectedRpId, requireUserVerification = false }) => {
+    checkClientData(readClientData(credential), { type: 'webauthn.create', expectedChallenge, expectedOrigin });
+
+    const attestation = decodeCbor(toBuffer(credential.response.attestationObject, 'attestationObject')).value;
+    if (!(attestation instanceof Map) || !Buffer.isBuffer(attestation.get('authData'))) {
+        throw new Error('Invalid attestation object');
+    }
+
+    const authData = parseAuthenticatorData(attestation.get('authData'));
+    checkAuthenticatorData(authData, { expectedRpId, requireUserVerification });
+
+    if (!authData.credentialId) {
+        throw new Error('Attestation carries no credential');
+    }
+
+    const credentialId = authData.credentialId.toString('base64url');
+    if (credential.id !== credentialId) {
+        throw new Error('Credential id does not match authenticator data');
+    }
+
+    return {
+        credentialId,
+        ...coseToPublicKey(authData.credentialPublicKey),
+        signCount: authData.signCount,
+        aaguid: authData.aaguid,
+        transports: Array.isArray(credential.response.transports) ? credential.response.transports : [],
+        userVerified: Boolean(authData.flags & FLAG_USER_VERIFIED)
+    };
+};
+
+/**
+ * Verify a navigator.credentials.get() response against a stored credential.
+ * A signature counter that does not move forward marks a cloned authenticator and is rejected.
+ * @returns {{ signCount: number, userVerified: boolean }}
+ */
+const verifyAuthentication = ({
+    credential,
+    expectedChallenge,
+    expectedOrigin,
+    expectedRpId,
+    publicKey,
+    algorithm,
+    storedSignCount = 0,
+    requireUserVerification = false
+}) => {
+    checkClientData(readClientData(credential), { type: 'webauthn.get', expectedChallenge, expectedOrigin });
+
+    const authDataBuffer = toBuffer(credential.response.authenticatorData, 'authenticatorData');
+    const authData = parseAuthenticatorData(authDataBuffer);
+    checkAuthenticatorData(authData, { expectedRpId, requireUserVerification });
+
+    const clientDataHash = crypto.createHash('sha256')
+        .update(toBuffer(credential.response.clientDataJSON, 'clientDataJSON'))
+        .digest();
+    const signedData = Buffer.concat([authDataBuffer, clientDataHash]);
+    const signature = toBuffer(credential.response.signature, 'signature');
+    const digest = algorithm === COSE_ALGORITHMS.EdDSA ? null : 'sha256';
+
+    if (!crypto.verify(digest, signedData, publicKey, signature)) {
+        throw new Error('Invalid passkey signature');
+    }
+
+    if ((authData.signCount > 0 || storedSignCount > 0) && authData.signCount <= storedSignCount) {
+        throw new Error('Signature counter did not increase; the authenticator may be cloned');
+    }
+
+    return {
+        signCount: authData.signCount,
+        userVerified: Boolean(authData.flags & FLAG_USER_VERIFIED)
+    };
+};
+
+module.exports = {
+    createChallenge,
+    readClientData,
+    registrationOptions,
+    authenticationOptions,
+    verifyRegistration,
+    verifyAuthentication,
+    decodeCbor
+};
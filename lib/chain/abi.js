@@ -0,0 +1,30 @@
+/**
+ * EvidenceStorage contract ABI (contracts/EvidenceStorage.sol)
+ * Human-readable fragments; keep in sync with the contract source
+ */
+
+module.exports = [
+    'function storeEvidence(string _fileHash, string _metadata) returns (uint256)',
+    'function getEvidence(uint256 _evidenceId) view returns (string fileHash, string metadata, address uploadedBy, uint256 timestamp, bool isSealed)',
+    'function verifyHash(string _fileHash) view returns (bool exists, uint256 evidenceId)',
+    'function transferCustody(uint256 _evidenceId, address _to, string _reason)',
+    'function getCustodyHistory(uint256 _evidenceId) view returns (tuple(address from, address to, string reason, uint256 timestamp)[])',
+    'function custodians(uint256 _evidenceId) view returns (address)',
+    'function sealEvidence(uint256 _evidenceId)',
+    'function isAdmin(address _user) view returns (bool)',
+    'function authorizeUser(address _user, string _role)',
+    'function revokeUser(address _user)',
+    'function authorizedUsers(address _user) view returns (bool)',
+    'function userRoles(address _user) view returns (string)',
+    'function evidenceCounter() view returns (uint256)',
+    'function anchorBatch(bytes32 _merkleRoot, uint256 _leafCount) returns (uint256)',
+    'function getBatch(uint256 _batchId) view returns (bytes32 merkleRoot, uint256 leafCount, address anchoredBy, uint256 timestamp)',
+    'function verifyRoot(bytes32 _merkleRoot) view returns (bool exists, uint256 batchId)',
+    'function verifyInclusion(bytes32 _leaf, bytes32[] _proof, bytes32 _merkleRoot) pure returns (bool)',
+    'event EvidenceStored(uint256 indexed evidenceId, string fileHash, address indexed uploadedBy)',
+    'event EvidenceSealed(uint256 indexed evidenceId, address indexed sealedBy)',
+    'event CustodyTransferred(uint256 indexed evidenceId, address indexed from, address indexed to, string reason)',
+    'event UserAuthorized(address indexed user, string role, address indexed authorizedBy)',
+    'event UserRevoked(address indexed user, address indexed revokedBy)',
+    'event BatchAnchored(uint256 indexed batchId, bytes32 indexed merkleRoot, uint256 leafCount, address indexed anchoredBy)'
+];
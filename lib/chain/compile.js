@@ -0,0 +1,41 @@
+/**
+ * Compile contracts/*.sol with solc-js (devDependency), so deployment needs no
+ * compiler download and works fully offline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONTRACTS_DIR = path.join(__dirname, '..', '..', 'contracts');
+
+const compileContract = (contractName, fileName = `${contractName}.sol`) => {
+    const solc = require('solc');
+
+    const input = {
+        language: 'Solidity',
+        sources: {
+            [fileName]: { content: fs.readFileSync(path.join(CONTRACTS_DIR, fileName), 'utf8') }
+        },
+        settings: {
+            optimizer: { enabled: true, runs: 200 },
+            outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+        }
+    };
+
+    const output = JSON.parse(solc.compile(JSON.stringify(input)));
+    const errors = (output.errors || []).filter(error => error.severity === 'error');
+
+    if (errors.length > 0) {
+        throw new Error(`Solidity compilation failed:\n${errors.map(error => error.formattedMessage).join('\n')}`);
+    }
+
+    const contract = output.contracts[fileName][contractName];
+    return {
+        contractName,
+        abi: contract.abi,
+        bytecode: '0x' + contract.evm.bytecode.object,
+        compiler: solc.version()
+    };
+};
+
+module.exports = { compileContract };
@@ -0,0 +1,180 @@
+/**
+ * Evidence Chain Client
+ * Server-side bindings for contracts/EvidenceStorage.sol over JSON-RPC.
+ * Works against any EVM node: Polygon in production, Anvil locally.
+ */
+
+const { ethers } = require('ethers');
+const EVIDENCE_STORAGE_ABI = require('./abi');
+const { buildMerkleTree, merkleLeaf, verifyMerkleProof } = require('./merkle');
+
+class EvidenceChainClient {
+    constructor({ rpcUrl, contractAddress, privateKey, confirmations = 1 }) {
+        this.provider = new ethers.JsonRpcProvider(rpcUrl);
+        this.wallet = new ethers.Wallet(privateKey, this.provider);
+        // NonceManager keeps concurrent uploads from reusing the same nonce
+        this.signer = new ethers.NonceManager(this.wallet);
+        this.contract = new ethers.Contract(contractAddress, EVIDENCE_STORAGE_ABI, this.signer);
+        this.contractAddress = contractAddress;
+        this.confirmations = confirmations;
+    }
+
+    async getNetwork() {
+        const network = await this.provider.getNetwork();
+        return { chainId: Number(network.chainId), name: network.name };
+    }
+
+    // Broadcast a state-changing call. NonceManager has already counted the nonce when
+    // estimation reverts, so resync it or every later transaction waits on the gap.
+    async send(method, ...args) {
+        try {
+            return await this.contract[method](...args);
+        } catch (error) {
+            this.signer.reset();
+            throw error;
+        }
+    }
+
+    // Submit the hash; resolves once the transaction is broadcast, not mined
+    async submitEvidenceHash(fileHash, metadata = '') {
+        const tx = await this.send('storeEvidence', fileHash, metadata);
+        return { txHash: tx.hash, from: tx.from, nonce: tx.nonce };
+    }
+
+    // Anchor the Merkle root of a batch of evidence hashes; resolves once broadcast
+    async submitBatchRoot(merkleRoot, leafCount) {
+        const tx = await this.send('anchorBatch', merkleRoot, leafCount);
+        return { txHash: tx.hash, from: tx.from, nonce: tx.nonce };
+    }
+
+    // Wait for a submitted transaction and decode the on-chain id from EvidenceStored or BatchAnchored
+    async waitForAnchor(txHash, confirmations = this.confirmations) {
+        const receipt = await this.provider.waitForTransaction(txHash, confirmations);
+
+        if (!receipt) {
+            throw new Error(`Transaction ${txHash} not found`);
+        }
+        if (receipt.status !== 1) {
+            throw new Error(`Transaction ${txHash} reverted in block ${receipt.blockNumber}`);
+        }
+
+        const events = receipt.logs
+            .map(log => {
+                try {
+                    return this.contract.interface.parseLog(log);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+        const storedEvent = events.find(parsed => parsed.name === 'EvidenceStored');
+        const batchEvent = events.find(parsed => parsed.name === 'BatchAnchored');
+
+        return {
+            txHash,
+            blockNumber: receipt.blockNumber,
+            blockHash: receipt.blockHash,
+            onChainId: storedEvent ? Number(storedEvent.args.evidenceId) : null,
+            batchId: batchEvent ? Number(batchEvent.args.batchId) : null
+        };
+    }
+
+    // Send a state-changing call and wait for it to be mined
+    async execute(method, ...args) {
+        const tx = await this.send(method, ...args);
+        const receipt = await tx.wait(this.confirmations);
+
+        if (receipt.status !== 1) {
+            throw new Error(`${method} transaction ${tx.hash} reverted in block ${receipt.blockNumber}`);
+        }
+        return { txHash: tx.hash, blockNumber: receipt.blockNumber };
+    }
+
+    async transferCustody(onChainId, toAddress, reason) {
+        return this.execute('transferCustody', onChainId, toAddress, reason);
+    }
+
+    async sealEvidence(onChainId) {
+        return this.execute('sealEvidence', onChainId);
+    }
+
+    async authorizeUser(address, role) {
+        return this.execute('authorizeUser', address, role);
+    }
+
+    async revokeUser(address) {
+        return this.execute('revokeUser', address);
+    }
+
+    async getCustodian(onChainId) {
+        return this.contract.custodians(onChainId);
+    }
+
+    async getCustodyHistory(onChainId) {
+        const history = await this.contract.getCustodyHistory(onChainId);
+        return history.map(({ from, to, reason, timestamp }) => ({ from, to, reason, timestamp: Number(timestamp) }));
+    }
+
+    async getUserRole(address) {
+        const [authorized, role] = await Promise.all([
+            this.contract.authorizedUsers(address),
+            this.contract.userRoles(address)
+        ]);
+        return { authorized, role };
+    }
+
+    async verifyHash(fileHash) {
+        const [exists, evidenceId] = await this.contract.verifyHash(fileHash);
+        return { exists, evidenceId: Number(evidenceId) };
+    }
+
+    async verifyRoot(merkleRoot) {
+        const [exists, batchId] = await this.contract.verifyRoot(merkleRoot);
+        return { exists, batchId: Number(batchId) };
+    }
+
+    // Check a Merkle proof with the contract, the same check verifyMerkleProof runs offline
+    async verifyInclusion(leaf, proof, merkleRoot) {
+        return this.contract.verifyInclusion(leaf, proof, merkleRoot);
+    }
+
+    async getBatch(batchId) {
+        const [merkleRoot, leafCount, anchoredBy, timestamp] = await this.contract.getBatch(batchId);
+        return { merkleRoot, leafCount: Number(leafCount), anchoredBy, timestamp: Number(timestamp) };
+    }
+
+    async getBlockTimestamp(blockNumber) {
+        const block = await this.provider.getBlock(blockNumber);
+        return block ? block.timestamp : null;
+    }
+
+    async getEvidence(onChainId) {
+        const [fileHash, metadata, uploadedBy, timestamp, isSealed] = await this.contract.getEvidence(onChainId);
+        return { fileHash, metadata, uploadedBy, timestamp: Number(timestamp), isSealed };
+    }
+}
+
+// Returns null when the chain is not configured so callers can degrade to "unanchored"
+const createChainClient = (env = process.env) => {
+    const { BLOCKCHAIN_RPC_URL, EVIDENCE_CONTRACT_ADDRESS, BLOCKCHAIN_PRIVATE_KEY } = env;
+
+    if (!BLOCKCHAIN_RPC_URL || !EVIDENCE_CONTRACT_ADDRESS || !BLOCKCHAIN_PRIVATE_KEY) {
+        return null;
+    }
+
+    return new EvidenceChainClient({
+        rpcUrl: BLOCKCHAIN_RPC_URL,
+        contractAddress: EVIDENCE_CONTRACT_ADDRESS,
+        privateKey: BLOCKCHAIN_PRIVATE_KEY,
+        confirmations: parseInt(env.BLOCKCHAIN_CONFIRMATIONS || '1', 10)
+    });
+};
+
+module.exports = {
+    EvidenceChainClient,
+    createChainClient,
+    EVIDENCE_STORAGE_ABI,
+    buildMerkleTree,
+    merkleLeaf,
+    verifyMerkleProof
+};
@@ -0,0 +1,76 @@
+/**
+ * Merkle Tree for Batched Anchoring
+ * Same layout as EvidenceStorage.verifyInclusion, so a proof checks both on-chain and offline:
+ *   leaf = sha256(0x00 || evidence SHA-256)
+ *   node = sha256(0x01 || min(a, b) || max(a, b))
+ * An odd node at the end of a level is carried up unchanged. Values are 0x-prefixed hex.
+ */
+
+const crypto = require('crypto');
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+const toBuffer = (hex) => Buffer.from(hex.replace(/^0x/, ''), 'hex');
+const toHex = (buffer) => '0x' + buffer.toString('hex');
+
+const sha256 = (...parts) => crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+
+const hashPair = (a, b) => (Buffer.compare(a, b) < 0
+    ? sha256(NODE_PREFIX, a, b)
+    : sha256(NODE_PREFIX, b, a));
+
+const merkleLeaf = (evidenceHash) => toHex(sha256(LEAF_PREFIX, toBuffer(evidenceHash)));
+
+/**
+ * Build a tree over evidence SHA-256 hashes (duplicates collapse into one leaf).
+ * @param {string[]} evidenceHashes
+ * @returns {{ root: string, leafCount: number, proofs: Object<string, { leaf: string, proof: string[] }> }}
+ */
+const buildMerkleTree = (evidenceHashes) => {
+    const hashes = [...new Set(evidenceHashes)];
+    if (hashes.length === 0) {
+        throw new Error('Cannot build a Merkle tree without leaves');
+    }
+
+    const leaves = hashes.map(hash => toBuffer(merkleLeaf(hash)));
+    const paths = hashes.map(() => []);
+    // Which leaves sit under each node of the current level
+    let members = hashes.map((hash, index) => [index]);
+    let level = leaves;
+
+    while (level.length > 1) {
+        const nextLevel = [];
+        const nextMembers = [];
+
+        for (let i = 0; i < level.length; i += 2) {
+            if (i + 1 === level.length) {
+                nextLevel.push(level[i]);
+                nextMembers.push(members[i]);
+                continue;
+            }
+
+            members[i].forEach(index => paths[index].push(toHex(level[i + 1])));
+            members[i + 1].forEach(index => paths[index].push(toHex(level[i])));
+            nextLevel.push(hashPair(level[i], level[i + 1]));
+            nextMembers.push([...members[i], ...members[i + 1]]);
+        }
+
+        level = nextLevel;
+        members = nextMembers;
+    }
+
+    const proofs = {};
+    hashes.forEach((hash, index) => {
+        proofs[hash] = { leaf: toHex(leaves[index]), proof: paths[index] };
+    });
+
+    return { root: toHex(level[0]), leafCount: hashes.length, proofs };
+};
+
+const verifyMerkleProof = (leaf, proof, root) => {
+    const computed = proof.reduce((node, sibling) => hashPair(node, toBuffer(sibling)), toBuffer(leaf));
+    return toHex(computed) === root.toLowerCase();
+};
+
+module.exports = { buildMerkleTree, merkleLeaf, verifyMerkleProof };
@@ -0,0 +1,116 @@
+/**
+ * Content Sniffing
+ * The MIME type of an upload is whatever the client claims, so a renamed executable arrives as
+ * application/pdf. The first bytes of every upload are checked against the signature of the
+ * type it was declared as, and anything that does not match is rejected before it is stored.
+ */
+
+// Bytes of the file needed to recognise it; text is checked for binary content over all of them
+const SNIFF_BYTES = 4096;
+
+const startsWith = (head, signature, offset = 0) => {
+    if (head.length < offset + signature.length) return false;
+    return signature.every((byte, index) => head[offset + index] === byte);
+};
+
+const ascii = (text) => [...Buffer.from(text, 'latin1')];
+
+const isPdf = (head) => startsWith(head, ascii('%PDF-'));
+const isJpeg = (head) => startsWith(head, [0xff, 0xd8, 0xff]);
+const isPng = (head) => startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const isGif = (head) => startsWith(head, ascii('GIF87a')) || startsWith(head, ascii('GIF89a'));
+const isRiff = (head, form) => startsWith(head, ascii('RIFF')) && startsWith(head, ascii(form), 8);
+// ISO base media (MP4, M4A, QuickTime) starts with an ftyp box; older QuickTime files with another top-level atom
+const isIsoMedia = (head) => startsWith(head, ascii('ftyp'), 4);
+const isQuickTime = (head) => isIsoMedia(head) || ['moov', 'mdat', 'wide', 'free', 'skip', 'pnot']
+    .some(atom => startsWith(head, ascii(atom), 4));
+// ID3 tag, or an MPEG audio frame header (11 set sync bits)
+const isMp3 = (head) => startsWith(head, ascii('ID3')) || (head.length >= 2 && head[0] === 0xff && (head[1] & 0xe0) === 0xe0);
+// Compound File Binary, the container of legacy Office documents
+const isOle = (head) => startsWith(head, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const isZip = (head) => startsWith(head, [0x50, 0x4b, 0x03, 0x04]);
+
+// Formats recognised for error messages; executables are never accepted as anything
+const KNOWN_FORMATS = [
+    ['Windows executable', (head) => startsWith(head, ascii('MZ'))],
+    ['ELF executable', (head) => startsWith(head, [0x7f, 0x45, 0x4c, 0x46])],
+    ['Mach-O executable', (head) => [[0xfe, 0xed, 0xfa, 0xce], [0xfe, 0xed, 0xfa, 0xcf], [0xce, 0xfa, 0xed, 0xfe], [0xcf, 0xfa, 0xed, 0xfe], [0xca, 0xfe, 0xba, 0xbe]]
+        .some(signature => startsWith(head, signature))],
+    ['script', (head) => startsWith(head, ascii('#!'))],
+    ['PDF document', isPdf],
+    ['JPEG image', isJpeg],
+    ['PNG image', isPng],
+    ['GIF image', isGif],
+    ['AVI video', (head) => isRiff(head, 'AVI ')],
+    ['WAV audio', (head) => isRiff(head, 'WAVE')],
+    ['MP4/QuickTime media', isQuickTime],
+    ['MP3 audio', isMp3],
+    ['Office 97-2003 document', isOle],
+    ['ZIP archive or Office document', isZip]
+];
+
+const isBinary = (head) => KNOWN_FORMATS.some(([, matches]) => matches(head));
+
+// Text has no NUL bytes, except UTF-16 text, which announces itself with a byte order mark
+const isText = (head) => {
+    if (startsWith(head, [0xff, 0xfe]) || startsWith(head, [0xfe, 0xff])) return true;
+    return !head.includes(0) && !isBinary(head);
+};
+
+// Declared MIME type -> check its content must pass
+const CONTENT_CHECKS = {
+    'application/pdf': isPdf,
+    'image/jpeg': isJpeg,
+    'image/jpg': isJpeg,
+    'image/png': isPng,
+    'image/gif': isGif,
+    'video/mp4': isIsoMedia,
+    'video/avi': (head) => isRiff(head, 'AVI '),
+    'video/mov': isQuickTime,
+    'audio/mp3': isMp3,
+    'audio/wav': (head) => isRiff(head, 'WAVE'),
+    'audio/m4a': isIsoMedia,
+    'application/msword': isOle,
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': isZip,
+    'text/plain': isText
+};
+
+/**
+ * Name of the format the content looks like, or null when it is not recognised.
+ * @param {Buffer} head - The first SNIFF_BYTES of the file
+ * @returns {string|null}
+ */
+const sniffContentType = (head) => {
+    const known = KNOWN_FORMATS.find(([, matches]) => matches(head));
+    return known ? known[0] : null;
+};
+
+/**
+ * Check that a file's content matches the type it was declared as.
+ * @param {string} declaredType - MIME type sent by the client
+ * @param {Buffer} head - The first SNIFF_BYTES of the file (or all of it, when shorter)
+ * @returns {{ error: string, declaredType: string, detectedType: string|null }|null} null when the content matches
+ */
+const checkContentType = (declaredType, head) => {
+    if (head.length === 0) {
+        return { error: 'File is empty', declaredType, detectedType: null };
+    }
+
+    const matches = CONTENT_CHECKS[declaredType];
+    if (matches && matches(head)) return null;
+
+    const detectedType = sniffContentType(head);
+    return {
+        error: detectedType
+            ? `File content was detected as ${detectedType}, not ${declaredType}`
+            : `File content does not match its declared type ${declaredType}`,
+        declaredType,
+        detectedType
+    };
+};
+
+module.exports = {
+    SNIFF_BYTES,
+    sniffContentType,
+    checkContentType
+};
@@ -0,0 +1,124 @@
+/**
+ * Chain of Custody Ledger
+ * One custody_events row for everything that happens to an evidence item, from collection to
+ * destruction. Uploads, previews, downloads, exports, transfers and seals are recorded by the
+ * routes that perform them; collection, analysis, archiving and destruction happen off-system
+ * and are recorded by hand. Every entry is signed with the server key over its fields and the
+ * evidence hash, so a printed or exported ledger can be checked offline.
+ */
+
+const { canonicalJson } = require('../audit');
+
+const CUSTODY_EVENT_TYPES = [
+    'collected',
+    'uploaded',
+    'viewed',
+    'downloaded',
+    'transferred',
+    'analyzed',
+    'sealed',
+    'archived',
+    'destroyed'
+];
+
+// Events that are entered by people rather than written by the route that causes them
+const MANUAL_CUSTODY_EVENTS = ['collected', 'analyzed', 'archived', 'destroyed'];
+
+// Manual events that also end the evidence's active life by changing its status
+const DISPOSAL_CUSTODY_EVENTS = ['archived', 'destroyed'];
+
+/**
+ * The exact bytes a custody entry's signature covers.
+ * @param {Object} entry - custody_events row, or the row about to be inserted
+ * @returns {string}
+ */
+const custodyPayload = (entry) => canonicalJson({
+    evidence_id: Number(entry.evidence_id),
+    evidence_hash: entry.evidence_hash,
+    event_type: entry.event_type,
+    actor: entry.actor,
+    occurred_at: new Date(entry.occurred_at).toISOString(),
+    location: entry.location || null,
+    purpose: entry.purpose || null,
+    details: entry.details || null
+});
+
+class CustodyLedger {
+    constructor({ supabase, signer }) {
+        this.supabase = supabase;
+        this.signer = signer;
+    }
+
+    /**
+     * Append a signed entry for an evidence item.
+     * @param {{ id: number, hash: string }} evidence
+     * @param {Object} event
+     * @param {string} event.eventType - One of CUSTODY_EVENT_TYPES
+     * @param {string} event.actor - Wallet address or email of whoever acted
+     * @param {string|Date} [event.occurredAt] - Defaults to now
+     * @param {string} [event.location]
+     * @param {string} [event.purpose]
+     * @param {Object} [event.details]
+     * @returns {Promise<Object>} The inserted row
+     */
+    async record(evidence, { eventType, actor, occurredAt, location, purpose, details }) {
+        if (!CUSTODY_EVENT_TYPES.includes(eventType)) {
+            throw new Error(`Unknown custody event "${eventType}"`);
+        }
+
+        const entry = {
+            evidence_id: evidence.id,
+            evidence_hash: evidence.hash,
+            event_type: eventType,
+            actor,
+            occurred_at: new Date(occurredAt || Date.now()).toISOString(),
+            location: location || null,
+            purpose: purpose || null,
+            details: details || null
+        };
+        entry.signature = this.signer.sign(custodyPayload(entry));
+        entry.signing_key_id = this.signer.keyId;
+
+        const { data: row, error } = await this.supabase
+            .from('custody_events')
+            .insert(entry)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return row;
+    }
+
+    // Entries for an evidence item in the order they happened
+    async list(evidenceId) {
+        const { data: rows, error } = await this.supabase
+            .from('custody_events')
+            .select('*')
+            .eq('evidence_id', evidenceId)
+            .order('occurred_at', { ascending: true })
+            .order('id', { ascending: true });
+
+        if (error) throw error;
+        return rows;
+    }
+
+    /**
+     * Check an entry's signature against the current server key.
+     * @returns {'valid'|'invalid'|'unknown_key'} unknown_key when it was signed by an earlier key
+     */
+    signatureStatus(entry) {
+        if (entry.signing_key_id !== this.signer.keyId) return 'unknown_key';
+        return this.signer.verify(custodyPayload(entry), entry.signature) ? 'valid' : 'invalid';
+    }
+}
+
+const createCustodyLedger = ({ supabase, signer }) => new CustodyLedger({ supabase, signer });
+
+module.exports = {
+    CUSTODY_EVENT_TYPES,
+    MANUAL_CUSTODY_EVENTS,
+    DISPOSAL_CUSTODY_EVENTS,
+    CustodyLedger,
+    createCustodyLedger,
+    custodyPayload
+};
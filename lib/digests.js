@@ -0,0 +1,106 @@
+/**
+ * Evidence Digests
+ * Forensic tools and court filings cite other digests next to SHA-256 (MD5 and SHA-1 for legacy
+ * tools, SHA-512 or SHA3 for newer ones). Each evidence item keeps every configured digest in
+ * evidence.digests, computed in the same pass that stores the file. SHA-256 stays the identity
+ * of an item (evidence.hash, storage key, anchors) and is always included.
+ */
+
+const crypto = require('crypto');
+
+// Algorithm name -> hex digest length
+const SUPPORTED_DIGESTS = {
+    md5: 32,
+    sha1: 40,
+    sha256: 64,
+    sha512: 128,
+    'sha3-256': 64,
+    'sha3-512': 128
+};
+
+const DEFAULT_DIGESTS = ['md5', 'sha1', 'sha256', 'sha512', 'sha3-256'];
+
+// Digest assumed for a bare hex string of each length when no algorithm is named
+const ALGORITHM_BY_LENGTH = { 32: 'md5', 40: 'sha1', 64: 'sha256', 128: 'sha512' };
+
+/**
+ * Digests to compute at ingest, from EVIDENCE_DIGESTS (comma-separated). Unknown names are
+ * rejected at startup rather than silently skipped.
+ * @returns {string[]}
+ */
+const resolveDigestAlgorithms = (env = process.env) => {
+    const requested = env.EVIDENCE_DIGESTS
+        ? env.EVIDENCE_DIGESTS.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+        : DEFAULT_DIGESTS;
+
+    const unknown = requested.filter(name => !SUPPORTED_DIGESTS[name]);
+    if (unknown.length > 0) {
+        throw new Error(`Unsupported EVIDENCE_DIGESTS: ${unknown.join(', ')} (supported: ${Object.keys(SUPPORTED_DIGESTS).join(', ')})`);
+    }
+
+    return [...new Set(['sha256', ...requested])];
+};
+
+/**
+ * Several hashes fed from one pass over the data.
+ * @param {string[]} algorithms
+ * @returns {{ update: (chunk: Buffer) => void, digest: () => Object<string, string> }}
+ */
+const createDigester = (algorithms) => {
+    const hashes = algorithms.map(algorithm => [algorithm, crypto.createHash(algorithm)]);
+
+    return {
+        update: (chunk) => hashes.forEach(([, hash]) => hash.update(chunk)),
+        digest: () => Object.fromEntries(hashes.map(([algorithm, hash]) => [algorithm, hash.digest('hex')]))
+    };
+};
+
+const digestBuffer = (buffer, algorithms) => {
+    const digester = createDigester(algorithms);
+    digester.update(buffer);
+    return digester.digest();
+};
+
+const digestStream = (stream, algorithms) => new Promise((resolve, reject) => {
+    const digester = createDigester(algorithms);
+    stream.on('error', reject);
+    stream.on('data', (chunk) => digester.update(chunk));
+    stream.on('end', () => resolve(digester.digest()));
+});
+
+/**
+ * Normalize a digest someone wants to verify and work out its algorithm.
+ * @param {string} value - Hex digest
+ * @param {string} [algorithm] - Needed for SHA3, whose lengths match SHA-256 and SHA-512
+ * @returns {{ algorithm?: string, value?: string, error?: string }}
+ */
+const parseDigest = (value, algorithm) => {
+    const hex = String(value || '').trim().toLowerCase().replace(/^0x/, '');
+    const name = algorithm ? String(algorithm).trim().toLowerCase() : ALGORITHM_BY_LENGTH[hex.length];
+
+    if (!name || !SUPPORTED_DIGESTS[name]) {
+        return { error: `Unsupported hash algorithm${algorithm ? ` "${algorithm}"` : ''} (supported: ${Object.keys(SUPPORTED_DIGESTS).join(', ')})` };
+    }
+    if (!new RegExp(`^[a-f0-9]{${SUPPORTED_DIGESTS[name]}}$`).test(hex)) {
+        return { error: `Not a valid ${name} digest` };
+    }
+
+    return { algorithm: name, value: hex };
+};
+
+// The recorded digest of an evidence row for an algorithm; older rows only have `hash`
+const evidenceDigest = (evidence, algorithm) => {
+    if (algorithm === 'sha256') return evidence.hash;
+    return evidence.digests ? evidence.digests[algorithm] || null : null;
+};
+
+module.exports = {
+    SUPPORTED_DIGESTS,
+    DEFAULT_DIGESTS,
+    resolveDigestAlgorithms,
+    createDigester,
+    digestBuffer,
+    digestStream,
+    parseDigest,
+    evidenceDigest
+};
@@ -0,0 +1,89 @@
+/**
+ * Evidence Versions
+ * Derived artifacts (enhanced images, redacted copies, transcripts, ...) are evidence rows of
+ * their own, with their own hash, anchor and custody ledger. parent_id links a version to the
+ * item it was made from and root_id to the untouched original. Originals are never rewritten:
+ * the database refuses changes to an evidence row's content or lineage.
+ */
+
+const DERIVATION_RELATIONS = ['enhanced', 'redacted', 'transcoded', 'transcript', 'extracted'];
+
+const MAX_FIELD_LENGTH = 200;
+
+/**
+ * Validate the description of how a version was produced.
+ * @param {Object} body - Request body (multipart fields arrive as strings)
+ * @param {string} body.tool - Tool used, e.g. "Amped FIVE"
+ * @param {string} [body.toolVersion]
+ * @param {Object|string} [body.parameters] - Settings used, as an object or JSON text
+ * @param {string} [body.notes]
+ * @returns {{ derivation?: Object, error?: string }}
+ */
+const parseDerivation = ({ tool, toolVersion, parameters, notes }) => {
+    if (!tool || !String(tool).trim()) {
+        return { error: 'The tool used to produce the version is required' };
+    }
+
+    let parsedParameters = parameters || null;
+    if (typeof parameters === 'string' && parameters.trim()) {
+        try {
+            parsedParameters = JSON.parse(parameters);
+        } catch (error) {
+            return { error: 'parameters must be valid JSON' };
+        }
+    }
+    if (parsedParameters !== null && (typeof parsedParameters !== 'object' || Array.isArray(parsedParameters))) {
+        return { error: 'parameters must be an object' };
+    }
+
+    return {
+        derivation: {
+            tool: String(tool).trim().slice(0, MAX_FIELD_LENGTH),
+            tool_version: toolVersion ? String(toolVersion).trim().slice(0, MAX_FIELD_LENGTH) : null,
+            parameters: parsedParameters,
+            notes: notes ? String(notes).trim() : null
+        }
+    };
+};
+
+const toVersionNode = (row) => ({
+    id: row.id,
+    parent_id: row.parent_id || null,
+    relation_type: row.relation_type || null,
+    title: row.title,
+    file_name: row.file_name,
+    file_type: row.file_type,
+    file_size: row.file_size,
+    hash: row.hash,
+    derivation: row.derivation || null,
+    submitted_by: row.submitted_by,
+    timestamp: row.timestamp,
+    anchor_status: row.anchor_status,
+    children: []
+});
+
+/**
+ * Nest the rows of one lineage under their original, oldest versions first. Rows whose parent
+ * is not among `rows` (e.g. hidden from the caller) are left out with their descendants.
+ * @param {Object[]} rows - Evidence rows sharing the original
+ * @param {number} rootId - id of the original
+ * @returns {Object|null} The original with nested `children`, or null when it is not in `rows`
+ */
+const buildVersionTree = (rows, rootId) => {
+    const nodes = new Map(rows.map(row => [row.id, toVersionNode(row)]));
+
+    [...nodes.values()]
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp) || a.id - b.id)
+        .forEach(node => {
+            const parent = node.id !== rootId && nodes.get(node.parent_id);
+            if (parent) parent.children.push(node);
+        });
+
+    return nodes.get(rootId) || null;
+};
+
+module.exports = {
+    DERIVATION_RELATIONS,
+    parseDerivation,
+    buildVersionTree
+};
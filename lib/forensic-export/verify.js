@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * EVID-DGC Forensic Export Verifier
+ * Standalone: needs only Node.js (v16+), no network access and no other packages.
+ *
+ * Usage: node verify.js [path-to-extracted-package]
+ *
+ * Checks that manifest.json is signed by the key in signing-key.pem and that every
+ * evidence file still hashes to the SHA-256 and every other digest recorded in the manifest
+ * (digests this Node.js build cannot compute are reported and skipped). For evidence anchored in a
+ * Merkle batch it also checks that the inclusion proof leads to the anchored root; look the root
+ * up with verifyRoot on the EvidenceStorage contract to confirm it on-chain.
+ * Compare the printed key fingerprint with the one published by the issuing agency.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const packageDir = path.resolve(process.argv[2] || __dirname);
+
+// All the given digests of a file in one read
+const hashFile = (filePath, algorithms) => new Promise((resolve, reject) => {
+    const hashes = algorithms.map(algorithm => [algorithm, crypto.createHash(algorithm)]);
+    fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', (chunk) => hashes.forEach(([, hash]) => hash.update(chunk)))
+        .on('end', () => resolve(Object.fromEntries(hashes.map(([algorithm, hash]) => [algorithm, hash.digest('hex')]))));
+});
+
+// Same tree layout as EvidenceStorage.verifyInclusion
+const sha256 = (...parts) => crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+const fromHex = (hex) => Buffer.from(hex.replace(/^0x/, ''), 'hex');
+
+const verifyMerkleProof = (evidenceHash, proof, root) => {
+    let node = sha256(Buffer.from([0x00]), fromHex(evidenceHash));
+    for (const sibling of proof.map(fromHex)) {
+        node = Buffer.compare(node, sibling) < 0
+            ? sha256(Buffer.from([0x01]), node, sibling)
+            : sha256(Buffer.from([0x01]), sibling, node);
+    }
+    return '0x' + node.toString('hex') === root.toLowerCase();
+};
+
+const main = async () => {
+    const manifestBytes = fs.readFileSync(path.join(packageDir, 'manifest.json'));
+    const manifest = JSON.parse(manifestBytes.toString('utf8'));
+    const publicKey = crypto.createPublicKey(fs.readFileSync(path.join(packageDir, manifest.signing.public_key_file)));
+    const signature = Buffer.from(fs.readFileSync(path.join(packageDir, manifest.signing.signature_file), 'utf8').trim(), 'base64');
+
+    const fingerprint = crypto.createHash('sha256')
+        .update(publicKey.export({ type: 'spki', format: 'der' }))
+        .digest('hex');
+
+    console.log(`Export:          ${manifest.export_id}`);
+    console.log(`Exported at:     ${manifest.exported_at}`);
+    console.log(`Signing key:     ${fingerprint}`);
+
+    let failures = 0;
+
+    const signatureValid = crypto.verify(null, manifestBytes, publicKey, signature);
+    console.log(`Manifest signature: ${signatureValid ? 'VALID' : 'INVALID'}`);
+    if (!signatureValid) failures++;
+
+    for (const item of manifest.items) {
+        const filePath = path.join(packageDir, item.path);
+        let status;
+        let checked = [];
+        let skipped = [];
+
+        if (!fs.existsSync(filePath)) {
+            status = 'MISSING';
+        } else {
+            const recorded = { ...(item.digests || {}), sha256: item.sha256 };
+            const available = crypto.getHashes();
+            const algorithms = Object.keys(recorded).filter(algorithm => available.includes(algorithm));
+            const actual = await hashFile(filePath, algorithms);
+            const mismatched = algorithms.filter(algorithm => actual[algorithm] !== recorded[algorithm]);
+
+            status = mismatched.length === 0
+                ? 'OK'
+                : `HASH MISMATCH (${mismatched.map(algorithm => `${algorithm} got ${actual[algorithm]}`).join(', ')})`;
+            skipped = Object.keys(recorded).filter(algorithm => !algorithms.includes(algorithm));
+            checked = algorithms;
+        }
+
+        if (status !== 'OK') failures++;
+        console.log(`  [${status}] ${item.path}`);
+        if (checked.length > 0) console.log(`      Digests checked: ${checked.join(', ')}`);
+        if (skipped.length > 0) console.log(`      Not supported by this Node.js, skipped: ${skipped.join(', ')}`);
+
+        const merkle = item.blockchain_proof?.merkle;
+        if (merkle) {
+            const included = verifyMerkleProof(item.sha256, merkle.proof, merkle.root);
+            if (!included) failures++;
+            console.log(`      Merkle proof: ${included ? 'VALID' : 'INVALID'} (root ${merkle.root}, tx ${merkle.root_transaction_hash || 'n/a'})`);
+        }
+    }
+
+    console.log(failures === 0
+        ? `\nPackage verified: ${manifest.items.length} file(s) intact.`
+        : `\nVerification FAILED: ${failures} problem(s) found.`);
+    process.exit(failures === 0 ? 0 : 1);
+};
+
+main().catch((error) => {
+    console.error('Verification error:', error.message);
+    process.exit(2);
+});
@@ -0,0 +1,21 @@
+/**
+ * Console mail transport
+ * Prints messages to the server log; the default when no transport is configured.
+ */
+
+const crypto = require('crypto');
+
+class ConsoleMailTransport {
+    constructor({ from }) {
+        this.name = 'console';
+        this.from = from;
+    }
+
+    async send({ to, subject, text }) {
+        const messageId = crypto.randomBytes(8).toString('hex');
+        console.log(`✉️ [mail ${messageId}] From: ${this.from} To: ${to}\nSubject: ${subject}\n\n${text}\n`);
+        return { messageId };
+    }
+}
+
+module.exports = ConsoleMailTransport;
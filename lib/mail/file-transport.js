@@ -0,0 +1,31 @@
+/**
+ * File mail transport
+ * Writes each message to MAIL_OUTBOX_PATH as JSON instead of sending it, so tests and offline
+ * setups can read the reset links back.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+class FileMailTransport {
+    constructor({ from, directory }) {
+        this.name = 'file';
+        this.from = from;
+        this.directory = directory;
+    }
+
+    async send({ to, subject, text, html }) {
+        const messageId = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(
+            path.join(this.directory, `${messageId}.json`),
+            JSON.stringify({ messageId, from: this.from, to, subject, text, html, sent_at: new Date().toISOString() }, null, 2)
+        );
+
+        return { messageId };
+    }
+}
+
+module.exports = FileMailTransport;
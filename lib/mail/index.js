@@ -0,0 +1,83 @@
+/**
+ * Outgoing Mail
+ * Pluggable transports selected by MAIL_TRANSPORT: smtp for real delivery, file or console for
+ * offline development and testing. Every transport exposes send({ to, subject, text, html }).
+ */
+
+const SmtpMailTransport = require('./smtp-transport');
+const FileMailTransport = require('./file-transport');
+const ConsoleMailTransport = require('./console-transport');
+
+const createMailTransport = (env = process.env) => {
+    // Falling back to the console in production would print password reset links to the server log
+    if (!env.MAIL_TRANSPORT && env.NODE_ENV === 'production') {
+        throw new Error('MAIL_TRANSPORT is required in production');
+    }
+
+    const transport = (env.MAIL_TRANSPORT || 'console').toLowerCase();
+    const from = env.MAIL_FROM || 'EVID-DGC <no-reply@localhost>';
+
+    switch (transport) {
+        case 'smtp':
+            return new SmtpMailTransport({
+                from,
+                host: env.SMTP_HOST,
+                port: parseInt(env.SMTP_PORT || '587', 10),
+                secure: env.SMTP_SECURE === 'true',
+                user: env.SMTP_USER,
+                password: env.SMTP_PASSWORD
+            });
+        case 'file':
+            return new FileMailTransport({ from, directory: env.MAIL_OUTBOX_PATH || './mail-outbox' });
+        case 'console':
+            return new ConsoleMailTransport({ from });
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${transport}" (expected "smtp", "file" or "console")`);
+    }
+};
+
+const passwordResetEmail = ({ name, resetUrl, expiresInMinutes }) => ({
+    subject: 'Reset your EVID-DGC password',
+    text: [
+        `Hello ${name || 'there'},`,
+        '',
+        'Someone asked to reset the password for your EVID-DGC account. Open this link to choose a new one:',
+        '',
+        resetUrl,
+        '',
+        `The link works once and expires in ${expiresInMinutes} minutes. If you did not ask for this, ignore this email; your password has not changed.`
+    ].join('\n')
+});
+
+const passwordChangedEmail = ({ name }) => ({
+    subject: 'Your EVID-DGC password was changed',
+    text: [
+        `Hello ${name || 'there'},`,
+        '',
+        'The password for your EVID-DGC account was just reset and all existing sessions were signed out.',
+        'If this was not you, contact your administrator immediately.'
+    ].join('\n')
+});
+
+const failedSignInEmail = ({ name, failures, lockedUntil }) => ({
+    subject: lockedUntil ? 'Your EVID-DGC account has been locked' : 'Failed sign-in attempts on your EVID-DGC account',
+    text: [
+        `Hello ${name || 'there'},`,
+        '',
+        `There have been ${failures} failed attempts to sign in to your EVID-DGC account.`,
+        lockedUntil
+            ? `To protect it, sign-in is locked until ${new Date(lockedUntil).toUTCString()}. An administrator can unlock it sooner.`
+            : 'Further failures will lock the account for a while.',
+        'If this was not you, reset your password and contact your administrator.'
+    ].join('\n')
+});
+
+module.exports = {
+    SmtpMailTransport,
+    FileMailTransport,
+    ConsoleMailTransport,
+    createMailTransport,
+    passwordResetEmail,
+    passwordChangedEmail,
+    failedSignInEmail
+};
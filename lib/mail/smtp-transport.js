@@ -0,0 +1,29 @@
+/**
+ * SMTP mail transport (nodemailer)
+ */
+
+const nodemailer = require('nodemailer');
+
+class SmtpMailTransport {
+    constructor({ from, host, port, secure, user, password }) {
+        if (!host) {
+            throw new Error('SMTP mail transport requires SMTP_HOST');
+        }
+
+        this.name = 'smtp';
+        this.from = from;
+        this.transporter = nodemailer.createTransport({
+            host,
+            port,
+            secure,
+            auth: user ? { user, pass: password } : undefined
+        });
+    }
+
+    async send({ to, subject, text, html }) {
+        const info = await this.transporter.sendMail({ from: this.from, to, subject, text, html });
+        return { messageId: info.messageId };
+    }
+}
+
+module.exports = SmtpMailTransport;
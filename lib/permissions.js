@@ -0,0 +1,148 @@
+/**
+ * Permission Matrix
+ * Declares what each role may do as role → resource → actions. A permission is written
+ * `resource:action` (e.g. `evidence:download`). Rows in user_permissions add permissions to
+ * a single user, or take them away when their effect is 'deny'.
+ */
+
+const PERMISSIONS = {
+    'evidence:view': 'View evidence records and preview files',
+    'evidence:upload': 'Upload new evidence',
+    'evidence:download': 'Download watermarked copies and bulk exports',
+    'evidence:export_forensic': 'Export unwatermarked originals in a forensic package',
+    'evidence:verify': 'Verify evidence integrity and issue verification certificates',
+    'evidence:compare': 'Compare evidence items side by side',
+    'evidence:transfer_custody': 'Transfer custody of evidence they hold',
+    'evidence:supervise_custody': 'Transfer or seal evidence held by someone else',
+    'evidence:seal': 'Seal evidence on-chain',
+    'evidence:record_custody': 'Record collection and analysis in the custody ledger',
+    'evidence:dispose': 'Record archiving and destruction, which end the evidence\'s active life',
+    'evidence:legal_hold': 'Place and release legal holds',
+    'cases:view': 'View cases, their status and statistics',
+    'cases:create': 'Open new cases',
+    'cases:update_status': 'Move cases through their status workflow',
+    'cases:assign': 'Assign users to cases',
+    'cases:export': 'Export case lists',
+    'tags:view': 'Browse tags and tagged evidence',
+    'tags:create': 'Create new tags',
+    'tags:apply': 'Tag and untag evidence',
+    'reports:generate': 'Generate timeline and comparison reports',
+    'retention:view': 'View retention policies and expiring evidence',
+    'retention:manage': 'Create retention policies and apply them to evidence',
+    'audit:view': 'Review download and verification history',
+    'notifications:view': 'Receive notifications',
+    'notifications:send': 'Send notifications to other users',
+    'activity:log': 'Record activity in the audit log',
+    'users:view': 'Look up user profiles',
+    'users:manage': 'Create, edit and deactivate user accounts',
+    'admins:manage': 'Create administrator accounts',
+    'roles:manage': 'Request and approve role changes',
+    'chain:manage': 'Authorize and revoke wallets on the evidence contract',
+    'security:manage': 'Edit the password policy',
+    'permissions:view_any': "View another user's effective permissions"
+};
+
+// Every signed-in user, whatever their role
+const BASE = {
+    evidence: ['view', 'verify'],
+    cases: ['view'],
+    tags: ['view'],
+    notifications: ['view'],
+    activity: ['log'],
+    users: ['view']
+};
+
+const ROLE_MATRIX = {
+    public_viewer: {},
+    investigator: {
+        evidence: ['upload', 'download', 'compare', 'transfer_custody', 'record_custody'],
+        cases: ['create', 'update_status'],
+        tags: ['create', 'apply'],
+        reports: ['generate'],
+        retention: ['view']
+    },
+    forensic_analyst: {
+        evidence: ['upload', 'download', 'compare', 'transfer_custody', 'record_custody'],
+        tags: ['create', 'apply'],
+        reports: ['generate'],
+        retention: ['view']
+    },
+    legal_professional: {
+        evidence: ['download', 'export_forensic', 'compare', 'legal_hold'],
+        cases: ['update_status'],
+        reports: ['generate'],
+        retention: ['view']
+    },
+    court_official: {
+        evidence: ['download', 'export_forensic', 'compare', 'seal', 'legal_hold'],
+        cases: ['update_status', 'assign'],
+        reports: ['generate'],
+        retention: ['view']
+    },
+    evidence_manager: {
+        evidence: ['upload', 'download', 'export_forensic', 'compare', 'transfer_custody', 'supervise_custody', 'seal', 'legal_hold', 'record_custody', 'dispose'],
+        cases: ['create', 'update_status', 'assign', 'export'],
+        tags: ['create', 'apply'],
+        reports: ['generate'],
+        retention: ['view', 'manage']
+    },
+    auditor: {
+        evidence: ['download', 'compare'],
+        cases: ['export'],
+        reports: ['generate'],
+        retention: ['view'],
+        audit: ['view']
+    },
+    // Admins hold every permission; see rolePermissions
+    admin: {}
+};
+
+const flatten = (matrix) => Object.entries(matrix)
+    .flatMap(([resource, actions]) => actions.map(action => `${resource}:${action}`));
+
+const rolePermissions = (role) => {
+    if (role === 'admin') {
+        return Object.keys(PERMISSIONS);
+    }
+    if (!ROLE_MATRIX[role]) {
+        return [];
+    }
+    return [...new Set([...flatten(BASE), ...flatten(ROLE_MATRIX[role])])];
+};
+
+const isOverrideActive = (override, now) => override.is_active !== false &&
+    (!override.expires_at || new Date(override.expires_at).getTime() > now);
+
+/**
+ * Combine a role's permissions with a user's user_permissions rows. Denies win over grants.
+ * @param {string} role
+ * @param {Array<{ permission_name: string, effect?: string, is_active?: boolean, expires_at?: string }>} overrides
+ * @returns {{ permissions: string[], granted: string[], denied: string[] }}
+ */
+const resolvePermissions = (role, overrides = [], now = Date.now()) => {
+    const active = overrides.filter(override => PERMISSIONS[override.permission_name] && isOverrideActive(override, now));
+    const granted = active.filter(override => override.effect !== 'deny').map(override => override.permission_name);
+    const denied = active.filter(override => override.effect === 'deny').map(override => override.permission_name);
+
+    const permissions = new Set([...rolePermissions(role), ...granted]);
+    denied.forEach(permission => permissions.delete(permission));
+
+    return {
+        permissions: Object.keys(PERMISSIONS).filter(permission => permissions.has(permission)),
+        granted: [...new Set(granted)],
+        denied: [...new Set(denied)]
+    };
+};
+
+const describePermissions = (permissions) => permissions.map(permission => ({
+    permission,
+    description: PERMISSIONS[permission]
+}));
+
+module.exports = {
+    PERMISSIONS,
+    ROLE_MATRIX,
+    rolePermissions,
+    resolvePermissions,
+    describePermissions
+};
@@ -0,0 +1,103 @@
+/**
+ * ClamAV scanner
+ * Streams files to clamd over its unix socket or TCP port with the INSTREAM command, so the
+ * scanner needs no access to evidence storage. clamd rejects streams larger than its
+ * StreamMaxLength; that is reported as a scan error, not as a clean result.
+ */
+
+const net = require('net');
+
+class ClamdScanner {
+    constructor({ socketPath, host, port, timeoutMs }) {
+        if (!socketPath && !host) {
+            throw new Error('ClamAV scanning requires CLAMD_SOCKET or CLAMD_HOST');
+        }
+
+        this.name = 'clamd';
+        this.socketPath = socketPath;
+        this.host = host;
+        this.port = port;
+        this.timeoutMs = timeoutMs;
+    }
+
+    /**
+     * Send one command and resolve with clamd's reply, which ends when clamd closes the connection.
+     * @param {string} command - e.g. "VERSION"
+     * @param {Function} [sendBody] - (socket, fail) => void, writes the request body after the command
+     * @returns {Promise<string>}
+     */
+    request(command, sendBody) {
+        return new Promise((resolve, reject) => {
+            const socket = this.socketPath
+                ? net.createConnection(this.socketPath)
+                : net.createConnection(this.port, this.host);
+            const reply = [];
+            let settled = false;
+
+            const finish = (error, value) => {
+                if (settled) return;
+                settled = true;
+                socket.destroy();
+                if (error) reject(error);
+                else resolve(value);
+            };
+
+            socket.setTimeout(this.timeoutMs);
+            socket.on('timeout', () => finish(new Error(`clamd did not answer within ${this.timeoutMs}ms`)));
+            socket.on('error', (error) => finish(new Error(`clamd connection failed: ${error.message}`)));
+            socket.on('data', (chunk) => reply.push(chunk));
+            socket.on('close', () => finish(null, Buffer.concat(reply).toString('utf8').replace(/\0+$/, '').trim()));
+            socket.on('connect', () => {
+                // The z prefix makes clamd expect and send NUL-terminated messages
+                socket.write(`z${command}\0`);
+                if (sendBody) sendBody(socket, finish);
+            });
+        });
+    }
+
+    // Engine and signature database version, e.g. "ClamAV 1.3.1/27431/Tue Oct 14 08:21:47 2026"
+    version() {
+        return this.request('VERSION');
+    }
+
+    /**
+     * Scan a file as it is read.
+     * @param {import('stream').Readable} stream
+     * @returns {Promise<{ status: 'clean'|'infected', signature: string|null, engine: string }>}
+     */
+    async scan(stream) {
+        const [engine, reply] = await Promise.all([
+            this.version(),
+            this.request('INSTREAM', (socket, fail) => {
+                // Each chunk is prefixed with its length; a zero length ends the stream
+                stream.on('data', (chunk) => {
+                    if (chunk.length === 0) return;
+                    const length = Buffer.alloc(4);
+                    length.writeUInt32BE(chunk.length);
+                    socket.write(length);
+                    if (!socket.write(chunk)) {
+                        stream.pause();
+                        socket.once('drain', () => stream.resume());
+                    }
+                });
+                stream.on('end', () => socket.write(Buffer.alloc(4)));
+                stream.on('error', (error) => fail(error));
+                // clamd may answer early, e.g. when the size limit is exceeded
+                socket.on('close', () => stream.destroy());
+            })
+        ]);
+
+        if (reply === 'stream: OK') {
+            return { status: 'clean', signature: null, engine };
+        }
+
+        const found = reply.match(/^stream: (.+) FOUND$/);
+        if (found) {
+            return { status: 'infected', signature: found[1], engine };
+        }
+
+        throw new Error(`clamd: ${reply || 'no reply'}`);
+    }
+}
+
+module.exports = ClamdScanner;
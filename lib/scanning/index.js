@@ -0,0 +1,38 @@
+/**
+ * Malware Scanning
+ * Pluggable scanners selected by SCAN_BACKEND: clamd for a local ClamAV daemon, stub for
+ * development. Every scanner exposes scan(stream) resolving to { status, signature, engine },
+ * where status is 'clean' or 'infected'; a scan that cannot finish rejects.
+ */
+
+const ClamdScanner = require('./clamd-scanner');
+const StubScanner = require('./stub-scanner');
+
+const createScanner = (env = process.env) => {
+    const backend = (env.SCAN_BACKEND || 'stub').toLowerCase();
+
+    // The stub lets real malware through, so production has to name a real scanner
+    if (env.NODE_ENV === 'production' && backend !== 'clamd') {
+        throw new Error('SCAN_BACKEND=clamd is required in production');
+    }
+
+    switch (backend) {
+        case 'clamd':
+            return new ClamdScanner({
+                socketPath: env.CLAMD_SOCKET,
+                host: env.CLAMD_HOST,
+                port: parseInt(env.CLAMD_PORT || '3310', 10),
+                timeoutMs: parseInt(env.CLAMD_TIMEOUT_MS || '60000', 10)
+            });
+        case 'stub':
+            return new StubScanner();
+        default:
+            throw new Error(`Unknown SCAN_BACKEND "${backend}" (expected "clamd" or "stub")`);
+    }
+};
+
+module.exports = {
+    ClamdScanner,
+    StubScanner,
+    createScanner
+};
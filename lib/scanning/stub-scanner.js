@@ -0,0 +1,36 @@
+/**
+ * Stub scanner
+ * For development without clamd: reports the EICAR anti-virus test file as infected and
+ * everything else as clean. It does not protect against real malware.
+ */
+
+// Split so this file is not itself detected as the test file
+const EICAR = Buffer.from('X5O!P%@AP[4\\PZX54(P^)7CC)7}$' + 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*', 'latin1');
+
+class StubScanner {
+    constructor() {
+        this.name = 'stub';
+        this.engine = 'stub (EICAR test file only)';
+    }
+
+    async scan(stream) {
+        let tail = Buffer.alloc(0);
+        let found = false;
+
+        for await (const chunk of stream) {
+            // Keep the end of the previous chunk so a signature split across chunks is still found
+            const window = Buffer.concat([tail, chunk]);
+            if (window.includes(EICAR)) {
+                found = true;
+                break;
+            }
+            tail = window.subarray(Math.max(0, window.length - EICAR.length + 1));
+        }
+
+        return found
+            ? { status: 'infected', signature: 'Eicar-Test-Signature', engine: this.engine }
+            : { status: 'clean', signature: null, engine: this.engine };
+    }
+}
+
+module.exports = StubScanner;
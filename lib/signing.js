@@ -0,0 +1,45 @@
+/**
+ * Server Signing Key
+ * Ed25519 key used to sign export manifests and receipts so recipients can verify them offline
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const fingerprint = (publicKey) => {
+    const der = publicKey.export({ type: 'spki', format: 'der' });
+    return crypto.createHash('sha256').update(der).digest('hex');
+};
+
+const createSigner = (privateKey) => {
+    const publicKey = crypto.createPublicKey(privateKey);
+
+    return {
+        algorithm: 'Ed25519',
+        keyId: fingerprint(publicKey).slice(0, 16),
+        publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+        sign: (data) => crypto.sign(null, Buffer.from(data), privateKey).toString('base64'),
+        verify: (data, signature) => crypto.verify(null, Buffer.from(data), publicKey, Buffer.from(signature, 'base64'))
+    };
+};
+
+// EVIDENCE_SIGNING_KEY_PATH points at a PEM Ed25519 private key.
+// Without one an ephemeral key is generated, which is only suitable for development:
+// signatures will not verify against a key published before the restart.
+const loadSigner = (env = process.env) => {
+    if (env.EVIDENCE_SIGNING_KEY_PATH) {
+        const pem = fs.readFileSync(env.EVIDENCE_SIGNING_KEY_PATH, 'utf8');
+        const privateKey = crypto.createPrivateKey(pem);
+
+        if (privateKey.asymmetricKeyType !== 'ed25519') {
+            throw new Error('EVIDENCE_SIGNING_KEY_PATH must contain an Ed25519 private key');
+        }
+        return createSigner(privateKey);
+    }
+
+    console.warn('⚠️ EVIDENCE_SIGNING_KEY_PATH not set - using an ephemeral signing key');
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    return createSigner(privateKey);
+};
+
+module.exports = { loadSigner, createSigner };
@@ -0,0 +1,82 @@
+/**
+ * Evidence Blob Storage
+ * Content-addressed: every blob is keyed by its SHA-256, so identical files are stored once
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { digestBuffer, digestStream } = require('../digests');
+const LocalStorageAdapter = require('./local-adapter');
+const S3StorageAdapter = require('./s3-adapter');
+
+const hashBuffer = (buffer) => {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+};
+
+// sha256/ab/cd/abcd... keeps directory listings small on filesystem backends
+const storageKeyForHash = (hash) => {
+    if (!/^[a-f0-9]{64}$/.test(hash)) {
+        throw new Error('Storage keys require a lowercase hex SHA-256 digest');
+    }
+    return `sha256/${hash.slice(0, 2)}/${hash.slice(2, 4)}/${hash}`;
+};
+
+const createStorageAdapter = (env = process.env) => {
+    const backend = (env.STORAGE_BACKEND || 'local').toLowerCase();
+
+    switch (backend) {
+        case 'local':
+            return new LocalStorageAdapter({ root: env.UPLOAD_PATH || './uploads' });
+        case 's3':
+            return new S3StorageAdapter({
+                bucket: env.S3_BUCKET,
+                region: env.S3_REGION,
+                endpoint: env.S3_ENDPOINT,
+                accessKeyId: env.S3_ACCESS_KEY_ID,
+                secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+                forcePathStyle: env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE === 'true' : undefined
+            });
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected "local" or "s3")`);
+    }
+};
+
+// Store a blob under its hash; returns the key, whether the bytes were already present and
+// the digests for `algorithms` (see lib/digests), all computed in one pass
+const storeBlob = async (adapter, buffer, algorithms = ['sha256']) => {
+    const digests = digestBuffer(buffer, [...new Set(['sha256', ...algorithms])]);
+    const hash = digests.sha256;
+    const key = storageKeyForHash(hash);
+    const deduplicated = await adapter.exists(key);
+
+    if (!deduplicated) {
+        await adapter.put(key, buffer);
+    }
+
+    return { hash, key, size: buffer.length, deduplicated, digests };
+};
+
+// Same as storeBlob for a file on disk, which is streamed rather than read into memory
+const storeFile = async (adapter, filePath, algorithms = ['sha256']) => {
+    const digests = await digestStream(fs.createReadStream(filePath), [...new Set(['sha256', ...algorithms])]);
+    const hash = digests.sha256;
+    const key = storageKeyForHash(hash);
+    const { size } = await fs.promises.stat(filePath);
+    const deduplicated = await adapter.exists(key);
+
+    if (!deduplicated) {
+        await adapter.putFile(key, filePath);
+    }
+
+    return { hash, key, size, deduplicated, digests };
+};
+
+module.exports = {
+    LocalStorageAdapter,
+    S3StorageAdapter,
+    createStorageAdapter,
+    hashBuffer,
+    storageKeyForHash,
+    storeBlob,
+    storeFile
+};
@@ -0,0 +1,68 @@
+/**
+ * Local filesystem storage adapter
+ * Stores evidence blobs under a root directory (UPLOAD_PATH)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class LocalStorageAdapter {
+    constructor({ root }) {
+        this.name = 'local';
+        this.root = path.resolve(root);
+    }
+
+    resolveKey(key) {
+        const fullPath = path.resolve(this.root, key);
+        if (!fullPath.startsWith(this.root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return fullPath;
+    }
+
+    async exists(key) {
+        try {
+            await fs.promises.access(this.resolveKey(key), fs.constants.F_OK);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async put(key, buffer) {
+        const target = this.resolveKey(key);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+        // Write to a temp file first so a crash never leaves a truncated blob under its final key
+        const tempFile = `${target}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        await fs.promises.writeFile(tempFile, buffer, { mode: 0o440 });
+        await fs.promises.rename(tempFile, target);
+    }
+
+    async putFile(key, sourcePath) {
+        const target = this.resolveKey(key);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+        const tempFile = `${target}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        await fs.promises.copyFile(sourcePath, tempFile);
+        await fs.promises.chmod(tempFile, 0o440);
+        await fs.promises.rename(tempFile, target);
+    }
+
+    async get(key) {
+        return fs.promises.readFile(this.resolveKey(key));
+    }
+
+    async createReadStream(key) {
+        const target = this.resolveKey(key);
+        await fs.promises.access(target, fs.constants.R_OK);
+        return fs.createReadStream(target);
+    }
+
+    async remove(key) {
+        await fs.promises.rm(this.resolveKey(key), { force: true });
+    }
+}
+
+module.exports = LocalStorageAdapter;
@@ -0,0 +1,80 @@
+/**
+ * S3-compatible storage adapter
+ * Works against AWS S3 or any compatible server (MinIO for local development)
+ */
+
+const fs = require('fs');
+const {
+    S3Client,
+    HeadObjectCommand,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+class S3StorageAdapter {
+    constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+        if (!bucket) {
+            throw new Error('S3 storage requires S3_BUCKET');
+        }
+
+        this.name = 's3';
+        this.bucket = bucket;
+        this.client = new S3Client({
+            region: region || 'us-east-1',
+            endpoint: endpoint || undefined,
+            // MinIO and most self-hosted servers only support path-style addressing
+            forcePathStyle: forcePathStyle ?? Boolean(endpoint),
+            credentials: accessKeyId && secretAccessKey
+                ? { accessKeyId, secretAccessKey }
+                : undefined
+        });
+    }
+
+    async exists(key) {
+        try {
+            await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+            return true;
+        } catch (error) {
+            if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async put(key, buffer) {
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+            Body: buffer,
+            ContentLength: buffer.length
+        }));
+    }
+
+    async putFile(key, sourcePath) {
+        const { size } = await fs.promises.stat(sourcePath);
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+            Body: fs.createReadStream(sourcePath),
+            ContentLength: size
+        }));
+    }
+
+    async get(key) {
+        const { Body } = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+        return Buffer.from(await Body.transformToByteArray());
+    }
+
+    async createReadStream(key) {
+        const { Body } = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+        return Body;
+    }
+
+    async remove(key) {
+        await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+    }
+}
+
+module.exports = S3StorageAdapter;
@@ -0,0 +1,311 @@
+/**
+ * Resumable Uploads
+ * Large evidence files arrive as a series of fixed-size chunks instead of one multipart request.
+ * Each upload session is a sparse data file plus a JSON manifest under UPLOAD_SESSION_PATH; every
+ * chunk carries its own SHA-256 and is written straight to its offset, so nothing is held in
+ * memory and an interrupted upload continues from the chunks the server already has. Completing
+ * an upload re-reads the assembled file, checks every chunk hash again and computes the
+ * whole-file SHA-256 before the file is handed to blob storage.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MB = 1024 * 1024;
+const DEFAULT_CHUNK_SIZE_MB = 8;
+const DEFAULT_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{32}$/;
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// What the client needs to resume: which chunks are already stored
+const uploadStatus = (session) => {
+    const received = Object.keys(session.chunks).map(Number).sort((a, b) => a - b);
+    const bytesReceived = received.reduce((total, index) => total + chunkLength(session, index), 0);
+
+    return {
+        upload_id: session.id,
+        file_name: session.file_name,
+        file_type: session.file_type,
+        file_size: session.file_size,
+        sha256: session.sha256,
+        chunk_size: session.chunk_size,
+        chunk_count: session.chunk_count,
+        received,
+        bytes_received: bytesReceived,
+        complete: received.length === session.chunk_count,
+        expires_at: session.expires_at
+    };
+};
+
+// Every chunk is chunk_size bytes except the last
+const chunkLength = (session, index) => {
+    return Math.min(session.chunk_size, session.file_size - index * session.chunk_size);
+};
+
+class ResumableUploads {
+    constructor({ root, chunkSize, ttlMs }) {
+        this.root = path.resolve(root);
+        this.chunkSize = chunkSize;
+        this.ttlMs = ttlMs;
+        this.queues = new Map();
+    }
+
+    paths(uploadId) {
+        return {
+            manifest: path.join(this.root, `${uploadId}.json`),
+            data: path.join(this.root, `${uploadId}.part`)
+        };
+    }
+
+    // Work on one upload runs one step at a time so concurrent chunks cannot lose each other's manifest entries
+    serialize(uploadId, task) {
+        const previous = this.queues.get(uploadId) || Promise.resolve();
+        const next = previous.catch(() => {}).then(task);
+        this.queues.set(uploadId, next);
+        next.catch(() => {}).finally(() => {
+            if (this.queues.get(uploadId) === next) this.queues.delete(uploadId);
+        });
+        return next;
+    }
+
+    async saveManifest(session) {
+        const { manifest } = this.paths(session.id);
+        const tempFile = `${manifest}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        await fs.promises.writeFile(tempFile, JSON.stringify(session));
+        await fs.promises.rename(tempFile, manifest);
+    }
+
+    touch(session) {
+        session.expires_at = new Date(Date.now() + this.ttlMs).toISOString();
+    }
+
+    /**
+     * Open a new upload session.
+     * @param {Object} upload
+     * @param {string} upload.owner - Wallet address of the uploader; only they may add chunks
+     * @param {string} upload.fileName
+     * @param {string} upload.fileType - Declared MIME type
+     * @param {number} upload.fileSize - Total size in bytes
+     * @param {string} [upload.sha256] - Whole-file hash to check the assembled file against
+     * @param {Object} [upload.metadata] - Evidence fields applied when the upload completes
+     * @returns {Promise<Object>} The session manifest
+     */
+    async create({ owner, fileName, fileType, fileSize, sha256: declaredHash, metadata }) {
+        const session = {
+            id: crypto.randomBytes(16).toString('hex'),
+            owner,
+            file_name: fileName,
+            file_type: fileType,
+            file_size: fileSize,
+            sha256: declaredHash ? declaredHash.toLowerCase() : null,
+            chunk_size: this.chunkSize,
+            chunk_count: Math.max(1, Math.ceil(fileSize / this.chunkSize)),
+            chunks: {},
+            metadata: metadata || {},
+            created_at: new Date().toISOString()
+        };
+        this.touch(session);
+
+        await fs.promises.mkdir(this.root, { recursive: true });
+        await fs.promises.writeFile(this.paths(session.id).data, Buffer.alloc(0), { mode: 0o600 });
+        await this.saveManifest(session);
+        return session;
+    }
+
+    // The session manifest, or null when it does not exist or has expired
+    async get(uploadId) {
+        if (!UPLOAD_ID_PATTERN.test(uploadId)) return null;
+
+        let session;
+        try {
+            session = JSON.parse(await fs.promises.readFile(this.paths(uploadId).manifest, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        if (new Date(session.expires_at).getTime() <= Date.now()) {
+            await this.remove(uploadId);
+            return null;
+        }
+        return session;
+    }
+
+    /**
+     * Write one chunk at its offset. Sending a chunk that is already stored with the same hash is a no-op.
+     * @param {string} uploadId
+     * @param {number} index - Zero-based chunk number
+     * @param {Buffer} buffer - Chunk bytes
+     * @param {string} declaredHash - SHA-256 of the chunk as computed by the client
+     * @param {Function} [checkContent] - (session, index, buffer) => problem|null, called only for a chunk
+     *   that arrived intact; a problem cannot be fixed by resending, so the session is deleted
+     * @returns {Promise<{ session?: Object, error?: string, status?: number, rejected?: Object }>}
+     */
+    writeChunk(uploadId, index, buffer, declaredHash, checkContent) {
+        return this.serialize(uploadId, async () => {
+            const session = await this.get(uploadId);
+            if (!session) {
+                return { error: 'Upload not found or expired', status: 404 };
+            }
+
+            if (!Number.isInteger(index) || index < 0 || index >= session.chunk_count) {
+                return { error: `Chunk index must be between 0 and ${session.chunk_count - 1}`, status: 400 };
+            }
+
+            const expectedLength = chunkLength(session, index);
+            if (buffer.length !== expectedLength) {
+                return { error: `Chunk ${index} must be ${expectedLength} bytes, got ${buffer.length}`, status: 400 };
+            }
+
+            const hash = sha256(buffer);
+            if (hash !== String(declaredHash || '').toLowerCase()) {
+                return { error: `Chunk ${index} does not match its SHA-256`, status: 422 };
+            }
+
+            const problem = checkContent ? checkContent(session, index, buffer) : null;
+            if (problem) {
+                await this.remove(uploadId);
+                return { rejected: problem, status: 400 };
+            }
+
+            if (session.chunks[index] !== hash) {
+                const handle = await fs.promises.open(this.paths(uploadId).data, 'r+');
+                try {
+                    await handle.write(buffer, 0, buffer.length, index * session.chunk_size);
+                    await handle.datasync();
+                } finally {
+                    await handle.close();
+                }
+                session.chunks[index] = hash;
+            }
+
+            this.touch(session);
+            await this.saveManifest(session);
+            return { session };
+        });
+    }
+
+    /**
+     * Assemble the upload, hand it to `finish` and delete the session, as one step in the upload's
+     * queue: a second request to complete the same upload waits, then finds the session gone.
+     * @param {string} uploadId
+     * @param {Function} finish - async ({ session, filePath, hash }) => result; the session is kept when it throws
+     * @returns {Promise<{ session?: Object, hash?: string, result?: *, error?: string, status?: number, missing?: number[] }>}
+     */
+    complete(uploadId, finish) {
+        return this.serialize(uploadId, async () => {
+            const assembled = await this.checkAssembled(uploadId);
+            if (assembled.error) return assembled;
+
+            const result = await finish(assembled);
+            await this.remove(uploadId);
+            return { ...assembled, result };
+        });
+    }
+
+    // Drop a session after any queued work on it has finished
+    cancel(uploadId) {
+        return this.serialize(uploadId, () => this.remove(uploadId));
+    }
+
+    /**
+     * Check the assembled file: every chunk present and matching its hash, and the whole-file
+     * SHA-256 matching the one declared when the upload was opened. Runs inside the upload's queue.
+     * @param {string} uploadId
+     * @returns {Promise<{ session?: Object, filePath?: string, hash?: string, error?: string, status?: number, missing?: number[] }>}
+     */
+    async checkAssembled(uploadId) {
+        const session = await this.get(uploadId);
+        if (!session) {
+            return { error: 'Upload not found or expired', status: 404 };
+        }
+
+        const missing = [];
+        for (let index = 0; index < session.chunk_count; index++) {
+            if (!session.chunks[index]) missing.push(index);
+        }
+        if (missing.length > 0) {
+            return { error: `${missing.length} chunk(s) have not been uploaded`, status: 409, missing };
+        }
+
+        const filePath = this.paths(uploadId).data;
+        const whole = crypto.createHash('sha256');
+        const buffer = Buffer.alloc(Math.min(session.chunk_size, session.file_size));
+        const handle = await fs.promises.open(filePath, 'r');
+
+        try {
+            for (let index = 0; index < session.chunk_count; index++) {
+                const length = chunkLength(session, index);
+                const { bytesRead } = await handle.read(buffer, 0, length, index * session.chunk_size);
+                const chunk = buffer.subarray(0, bytesRead);
+
+                if (bytesRead !== length || sha256(chunk) !== session.chunks[index]) {
+                    delete session.chunks[index];
+                    await this.saveManifest(session);
+                    return { error: `Chunk ${index} is damaged on the server and must be sent again`, status: 409, missing: [index] };
+                }
+                whole.update(chunk);
+            }
+        } finally {
+            await handle.close();
+        }
+
+        const hash = whole.digest('hex');
+        if (session.sha256 && hash !== session.sha256) {
+            return { error: 'The file received does not match the hash computed before upload', status: 422, hash };
+        }
+
+        return { session, filePath, hash };
+    }
+
+    async remove(uploadId) {
+        const { manifest, data } = this.paths(uploadId);
+        await fs.promises.rm(data, { force: true });
+        await fs.promises.rm(manifest, { force: true });
+    }
+
+    // Delete sessions nobody has touched within the TTL; returns how many were removed
+    async removeExpired() {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(this.root);
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+
+        let removed = 0;
+        for (const entry of entries) {
+            const match = entry.match(/^([a-f0-9]{32})\.json$/);
+            if (match && !(await this.get(match[1]))) removed++;
+        }
+        return removed;
+    }
+}
+
+/**
+ * Upload session store with UPLOAD_SESSION_PATH, UPLOAD_CHUNK_SIZE_MB and UPLOAD_SESSION_TTL_MS applied.
+ * @returns {ResumableUploads}
+ */
+const createResumableUploads = (env = process.env) => {
+    const chunkSizeMb = parseInt(env.UPLOAD_CHUNK_SIZE_MB, 10);
+    const ttlMs = parseInt(env.UPLOAD_SESSION_TTL_MS, 10);
+
+    return new ResumableUploads({
+        root: env.UPLOAD_SESSION_PATH || './upload-sessions',
+        chunkSize: (chunkSizeMb > 0 ? chunkSizeMb : DEFAULT_CHUNK_SIZE_MB) * MB,
+        ttlMs: ttlMs > 0 ? ttlMs : DEFAULT_SESSION_TTL_MS
+    });
+};
+
+module.exports = {
+    ResumableUploads,
+    createResumableUploads,
+    uploadStatus,
+    SHA256_PATTERN,
+    ...require('./receipt')
+};
@@ -0,0 +1,45 @@
+/**
+ * Upload Receipts
+ * A signed acknowledgment of what the server received: the SHA-256 the uploader's browser
+ * computed before sending and the one the server computed over the stored bytes. The
+ * uploader keeps it as proof that the file they collected is the file the system holds.
+ */
+
+const { canonicalJson } = require('../audit');
+
+// The receipt fields for an evidence row; the signature covers exactly these
+const uploadReceipt = (evidence) => ({
+    type: 'evidence_upload_receipt',
+    evidence_id: evidence.id,
+    case_id: evidence.case_id,
+    file_name: evidence.file_name,
+    file_size: Number(evidence.file_size),
+    file_type: evidence.file_type,
+    client_sha256: evidence.client_hash || null,
+    server_sha256: evidence.hash,
+    digests: evidence.digests || { sha256: evidence.hash },
+    uploaded_by: evidence.submitted_by,
+    received_at: new Date(evidence.timestamp).toISOString()
+});
+
+/**
+ * Sign the receipt for an uploaded evidence item.
+ * @param {Object} evidence - evidence row
+ * @param {Object} signer - From lib/signing
+ * @returns {{ receipt: Object, signature: string, algorithm: string, signing_key_id: string, public_key: string }}
+ */
+const signUploadReceipt = (evidence, signer) => {
+    const receipt = uploadReceipt(evidence);
+    return {
+        receipt,
+        signature: signer.sign(canonicalJson(receipt)),
+        algorithm: signer.algorithm,
+        signing_key_id: signer.keyId,
+        public_key: signer.publicKeyPem
+    };
+};
+
+module.exports = {
+    uploadReceipt,
+    signUploadReceipt
+};
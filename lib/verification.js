@@ -0,0 +1,210 @@
+/**
+ * Evidence Integrity Verification
+ * Runs each independent check and reports why it passed or failed:
+ *   storage         - stored blob re-hashes to the recorded SHA-256 and every other recorded digest
+ *   database        - evidence row is consistent with its content-addressed storage key
+ *   chain           - EvidenceStorage.verifyHash knows the hash under the recorded on-chain id,
+ *                     or for batched anchors the Merkle proof leads to a root the contract knows
+ *   block_timestamp - anchoring block exists and its time matches the on-chain record
+ */
+
+const { storageKeyForHash } = require('./storage');
+const { SUPPORTED_DIGESTS, digestStream } = require('./digests');
+const { merkleLeaf, verifyMerkleProof } = require('./chain/merkle');
+
+// Anchoring happens right after upload; allow for clock skew between server and chain
+const MAX_CLOCK_SKEW_SECONDS = 300;
+
+const passed = (name, reason, details = {}) => ({ name, status: 'passed', reason, details });
+const failed = (name, reason, details = {}) => ({ name, status: 'failed', reason, details });
+const skipped = (name, reason, details = {}) => ({ name, status: 'skipped', reason, details });
+
+const checkStorage = async (evidence, storage) => {
+    if (!evidence.storage_key) {
+        return failed('storage', 'Evidence has no stored file');
+    }
+
+    const recorded = { ...(evidence.digests || {}), sha256: evidence.hash };
+    const algorithms = Object.keys(recorded).filter(algorithm => SUPPORTED_DIGESTS[algorithm]);
+
+    let computed;
+    try {
+        computed = await digestStream(await storage.createReadStream(evidence.storage_key), algorithms);
+    } catch (error) {
+        return failed('storage', `Stored file could not be read: ${error.message}`, { storage_key: evidence.storage_key });
+    }
+
+    if (computed.sha256 !== evidence.hash) {
+        return failed('storage', 'Stored file does not match the recorded SHA-256', { computed_hash: computed.sha256, recorded_hash: evidence.hash });
+    }
+
+    const mismatched = algorithms.filter(algorithm => computed[algorithm] !== recorded[algorithm]);
+    if (mismatched.length > 0) {
+        return failed('storage', `Stored file does not match the recorded ${mismatched.join(', ')} digest(s)`, {
+            computed_digests: computed,
+            recorded_digests: recorded
+        });
+    }
+
+    return passed('storage', `Stored file re-hashes to the recorded ${algorithms.join(', ')} digest(s)`, {
+        computed_hash: computed.sha256,
+        computed_digests: computed
+    });
+};
+
+const checkDatabase = (evidence) => {
+    if (!/^[a-f0-9]{64}$/.test(evidence.hash || '')) {
+        return failed('database', 'Recorded hash is not a SHA-256 digest', { recorded_hash: evidence.hash });
+    }
+    if (!evidence.storage_key) {
+        return skipped('database', 'No storage key to cross-check');
+    }
+
+    const expectedKey = storageKeyForHash(evidence.hash);
+    return evidence.storage_key === expectedKey
+        ? passed('database', 'Recorded hash matches the content-addressed storage key', { storage_key: evidence.storage_key })
+        : failed('database', 'Recorded hash does not match the storage key it points to', { storage_key: evidence.storage_key, expected_key: expectedKey });
+};
+
+// Batched anchor: the inclusion proof must reach a root the contract has recorded
+const checkBatchChain = async (evidence, chain) => {
+    const batch = evidence.anchor_batch;
+    if (!batch) {
+        return { check: failed('chain', 'Anchor batch record is missing') };
+    }
+
+    const leaf = merkleLeaf(evidence.hash);
+    if (!verifyMerkleProof(leaf, evidence.merkle_proof || [], batch.merkle_root)) {
+        return { check: failed('chain', 'Merkle proof does not lead to the batch root', { leaf, merkle_root: batch.merkle_root }) };
+    }
+
+    const { exists, batchId } = await chain.verifyRoot(batch.merkle_root);
+    if (!exists) {
+        return { check: failed('chain', 'Contract has no record of the batch root', { merkle_root: batch.merkle_root }) };
+    }
+    if (batch.onchain_batch_id && batchId !== Number(batch.onchain_batch_id)) {
+        return {
+            check: failed('chain', 'Contract records the batch root under a different batch id', {
+                onchain_batch_id: batchId,
+                recorded_onchain_batch_id: batch.onchain_batch_id
+            })
+        };
+    }
+
+    const record = await chain.getBatch(batchId);
+    return {
+        check: passed('chain', 'Merkle proof leads to a batch root confirmed by verifyRoot', {
+            contract_address: chain.contractAddress,
+            leaf,
+            merkle_root: batch.merkle_root,
+            onchain_batch_id: batchId,
+            anchored_by: record.anchoredBy
+        }),
+        record
+    };
+};
+
+const checkChain = async (evidence, chain) => {
+    if (!chain) {
+        return { check: skipped('chain', 'Blockchain is not configured on this server') };
+    }
+    if (evidence.anchor_status !== 'confirmed') {
+        return { check: failed('chain', `Evidence is not anchored (status: ${evidence.anchor_status || 'unanchored'})`) };
+    }
+    if (evidence.anchor_batch_id) {
+        return checkBatchChain(evidence, chain);
+    }
+
+    const { exists, evidenceId } = await chain.verifyHash(evidence.hash);
+    if (!exists) {
+        return { check: failed('chain', 'Contract has no record of this hash') };
+    }
+    if (evidence.onchain_id && evidenceId !== Number(evidence.onchain_id)) {
+        return {
+            check: failed('chain', 'Contract records this hash under a different evidence id', {
+                onchain_id: evidenceId,
+                recorded_onchain_id: evidence.onchain_id
+            })
+        };
+    }
+
+    const record = await chain.getEvidence(evidenceId);
+    return {
+        check: passed('chain', 'Contract verifyHash confirms the hash', {
+            contract_address: chain.contractAddress,
+            onchain_id: evidenceId,
+            uploaded_by: record.uploadedBy,
+            sealed: record.isSealed
+        }),
+        record
+    };
+};
+
+const checkBlockTimestamp = async (evidence, chain, record) => {
+    if (!record) {
+        return skipped('block_timestamp', 'No on-chain record to check');
+    }
+    if (!evidence.block_number) {
+        return skipped('block_timestamp', 'Anchoring block number was not recorded');
+    }
+
+    const blockTimestamp = await chain.getBlockTimestamp(Number(evidence.block_number));
+    if (blockTimestamp === null) {
+        return failed('block_timestamp', `Block ${evidence.block_number} not found on this chain`);
+    }
+
+    const details = {
+        block_number: Number(evidence.block_number),
+        block_time: new Date(blockTimestamp * 1000).toISOString(),
+        uploaded_at: evidence.timestamp
+    };
+
+    if (blockTimestamp !== record.timestamp) {
+        return failed('block_timestamp', 'On-chain record timestamp differs from the recorded block', {
+            ...details,
+            record_time: new Date(record.timestamp * 1000).toISOString()
+        });
+    }
+
+    const uploadedAt = Math.floor(new Date(evidence.timestamp).getTime() / 1000);
+    if (blockTimestamp + MAX_CLOCK_SKEW_SECONDS < uploadedAt) {
+        return failed('block_timestamp', 'Hash was anchored before the evidence was uploaded', details);
+    }
+
+    return passed('block_timestamp', 'Anchored in the recorded block, after upload', details);
+};
+
+/**
+ * Verify an evidence item against storage, its database row and the chain.
+ * Batched rows need their anchor_batch joined in (see EVIDENCE_WITH_BATCH in server.js).
+ * @returns {Promise<{ valid: boolean, checks: Array<{ name, status, reason, details }>, verified_at: string }>}
+ */
+const verifyEvidence = async ({ evidence, storage, chain }) => {
+    const checks = [];
+
+    checks.push(await checkStorage(evidence, storage));
+    checks.push(checkDatabase(evidence));
+
+    let record = null;
+    try {
+        const result = await checkChain(evidence, chain);
+        checks.push(result.check);
+        record = result.record || null;
+    } catch (error) {
+        checks.push(failed('chain', `Chain query failed: ${error.message}`));
+    }
+
+    try {
+        checks.push(await checkBlockTimestamp(evidence, chain, record));
+    } catch (error) {
+        checks.push(failed('block_timestamp', `Block query failed: ${error.message}`));
+    }
+
+    return {
+        valid: checks.every(check => check.status === 'passed'),
+        checks,
+        verified_at: new Date().toISOString()
+    };
+};
+
+module.exports = { verifyEvidence };
@@ -3,6 +3,7 @@ class AccountSettings {
     constructor() {
         this.currentUser = null;
         this.sessions = [];
+        this.passkeys = [];
         this.init();
     }
 
@@ -11,6 +12,7 @@ class AccountSettings {
         this.setupEventListeners();
         this.loadUserData();
         this.loadSessions();
+        this.loadPasskeys();
     }
 
     loadCurrentUser() {
@@ -100,48 +102,21 @@ class AccountSettings {
         const newPassword = document.getElementById('newPassword').value;
         const confirmPassword = document.getElementById('confirmPassword').value;
 
-        // Validate current password
-        if (this.currentUser.password && this.currentUser.password !== currentPassword) {
-            this.showAlert('Current password is incorrect', 'error');
-            return;
-        }
-
-        // Validate new password
         if (newPassword !== confirmPassword) {
             this.showAlert('New passwords do not match', 'error');
             return;
         }
 
-        if (newPassword.length < 6) {
-            this.showAlert('Password must be at least 6 characters long', 'error');
-            return;
-        }
-
+        // The server checks the current password and the password policy
         try {
-            // Update password
-            const updatedData = {
-                ...this.currentUser,
-                password: newPassword,
-                lastPasswordChange: new Date().toISOString()
-            };
+            await passwordManager.changePassword(currentPassword, newPassword);
 
-            // Save to localStorage
-            const currentUserKey = localStorage.getItem('currentUser');
-            if (currentUserKey.startsWith('email_')) {
-                localStorage.setItem('evidUser_' + currentUserKey, JSON.stringify(updatedData));
-                localStorage.setItem('emailUser_' + this.currentUser.email, JSON.stringify(updatedData));
-            } else {
-                localStorage.setItem('evidUser_' + currentUserKey, JSON.stringify(updatedData));
-            }
-
-            this.currentUser = updatedData;
-            
             // Clear form
             document.getElementById('passwordForm').reset();
             
             this.showAlert('Password updated successfully!', 'success');
         } catch (error) {
-            this.showAlert('Failed to update password. Please try again.', 'error');
+            this.showAlert(error.message || 'Failed to update password. Please try again.', 'error');
         }
     }
 
@@ -199,19 +174,14 @@ class AccountSettings {
         }
     }
 
-    loadSessions() {
-        // Simulate session data
-        this.sessions = [
-            {
-                id: 1,
-                device: 'Current Session',
-                browser: 'Chrome on Windows',
-                location: 'Local',
-                lastActive: new Date().toISOString(),
-                current: true
-            }
-        ];
-
+    async loadSessions() {
+        try {
+            const data = await userSessions.listSessions();
+            this.sessions = data.sessions;
+        } catch (error) {
+            console.error('Error loading sessions:', error);
+            this.sessions = [];
+        }
         this.renderSessions();
     }
 
@@ -221,14 +191,14 @@ class AccountSettings {
             <div class="session-item ${session.current ? 'current-session' : ''}">
                 <div class="session-info">
                     <div class="session-device">
-                        <i data-lucide="${session.current ? 'monitor' : 'smartphone'}"></i>
-                        <strong>${session.device}</strong>
+                        <i data-lucide="${/iOS|Android/.test(session.device) ? 'smartphone' : 'monitor'}"></i>
+                        <strong>${this.escapeHtml(session.device)}</strong>
                         ${session.current ? '<span class="current-badge">Current</span>' : ''}
                     </div>
                     <div class="session-details">
-                        <span>${session.browser}</span>
-                        <span>${session.location}</span>
-                        <span>Last active: ${new Date(session.lastActive).toLocaleString()}</span>
+                        <span>${this.escapeHtml(session.last_ip_address || session.ip_address || 'Unknown location')}</span>
+                        <span>Signed in: ${new Date(session.created_at).toLocaleString()}</span>
+                        <span>Last active: ${new Date(session.last_activity_at || session.created_at).toLocaleString()}</span>
                     </div>
                 </div>
                 ${!session.current ? `
@@ -243,39 +213,113 @@ class AccountSettings {
         lucide.createIcons();
     }
 
-    terminateSession(sessionId) {
-        this.sessions = this.sessions.filter(s => s.id !== sessionId);
-        this.renderSessions();
-        this.showAlert('Session terminated successfully', 'success');
+    async terminateSession(sessionId) {
+        try {
+            await userSessions.revokeSession(sessionId);
+            this.showAlert('Session terminated successfully', 'success');
+            this.loadSessions();
+        } catch (error) {
+            console.error('Error ending session:', error);
+            this.showAlert(error.message, 'error');
+        }
     }
 
-    logoutAllSessions() {
-        if (confirm('Are you sure you want to logout all other sessions? This will end all active sessions except the current one.')) {
-            this.sessions = this.sessions.filter(s => s.current);
-            this.renderSessions();
-            this.showAlert('All other sessions have been terminated', 'success');
+    async logoutAllSessions() {
+        if (!confirm('Are you sure you want to logout all other sessions? This will end all active sessions except the current one.')) return;
+
+        try {
+            const { revoked } = await userSessions.revokeOtherSessions();
+            this.showAlert(revoked ? `${revoked} other session(s) have been terminated` : 'No other sessions were active', 'success');
+            this.loadSessions();
+        } catch (error) {
+            console.error('Error ending sessions:', error);
+            this.showAlert(error.message, 'error');
         }
     }
 
     toggleTwoFactor() {
-        const status = document.getElementById('twoFactorStatus');
-        const button = document.getElementById('twoFactorToggle');
-        
-        if (status.textContent === 'Disabled') {
-            // Enable 2FA
-            status.textContent = 'Enabled';
-            status.className = 'status-badge enabled';
-            button.textContent = 'Disable';
-            this.showAlert('Two-factor authentication enabled', 'success');
-        } else {
-            // Disable 2FA
-            status.textContent = 'Disabled';
-            status.className = 'status-badge disabled';
-            button.textContent = 'Enable';
-            this.showAlert('Two-factor authentication disabled', 'info');
+        // Enrollment, disabling and the status badge are handled by two-factor-auth.js
+        twoFactorAuth.toggle2FA();
+    }
+
+    async loadPasskeys() {
+        try {
+            const response = await fetch(`${authClient.apiBase()}/auth/webauthn/credentials`);
+            const data = await response.json();
+            this.passkeys = data.success ? data.credentials : [];
+        } catch (error) {
+            console.error('Error loading passkeys:', error);
+            this.passkeys = [];
+        }
+        this.renderPasskeys();
+    }
+
+    renderPasskeys() {
+        const passkeyList = document.getElementById('passkeyList');
+        if (!passkeyList) return;
+
+        passkeyList.innerHTML = this.passkeys.map(passkey => `
+            <div class="session-item">
+                <div class="session-info">
+                    <div class="session-device">
+                        <i data-lucide="key-round"></i>
+                        <strong>${this.escapeHtml(passkey.name || 'Passkey')}</strong>
+                    </div>
+                    <div class="session-details">
+                        <span>Added: ${new Date(passkey.created_at).toLocaleString()}</span>
+                        <span>Last used: ${passkey.last_used_at ? new Date(passkey.last_used_at).toLocaleString() : 'Never'}</span>
+                    </div>
+                </div>
+                <button class="btn btn-outline btn-sm" onclick="accountSettings.removePasskey(${passkey.id})">
+                    <i data-lucide="trash-2"></i>
+                    Remove
+                </button>
+            </div>
+        `).join('');
+
+        lucide.createIcons();
+    }
+
+    async addPasskey() {
+        if (!authClient.passkeysSupported()) {
+            this.showAlert('This browser does not support passkeys', 'error');
+            return;
+        }
+
+        const name = prompt('Name this passkey (for example "YubiKey" or "Work laptop"):', 'Passkey');
+        if (name === null) return;
+
+        try {
+            await authClient.registerPasskey(name.trim() || 'Passkey');
+            this.showAlert('Passkey added', 'success');
+            this.loadPasskeys();
+        } catch (error) {
+            console.error('Passkey registration error:', error);
+            this.showAlert(error.name === 'NotAllowedError' ? 'Passkey registration was cancelled' : error.message, 'error');
         }
     }
 
+    async removePasskey(passkeyId) {
+        if (!confirm('Remove this passkey? You will no longer be able to sign in with it.')) return;
+
+        try {
+            const response = await fetch(`${authClient.apiBase()}/auth/webauthn/credentials/${passkeyId}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (!data.success) throw new Error(data.error || 'Failed to remove passkey');
+
+            this.showAlert('Passkey removed', 'info');
+            this.loadPasskeys();
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     loadNotificationSettings() {
         const settings = JSON.parse(localStorage.getItem('notificationSettings_' + this.currentUser.walletAddress)) || {
             evidenceUploads: true,
@@ -352,11 +396,16 @@ function toggleTwoFactor() {
     accountSettings.toggleTwoFactor();
 }
 
+function addPasskey() {
+    accountSettings.addPasskey();
+}
+
 function saveNotificationSettings() {
     accountSettings.saveNotificationSettings();
 }
 
 function logout() {
+    if (window.authClient) authClient.logout();
     localStorage.clear();
     window.location.href = '/';
 }
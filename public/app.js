@@ -140,6 +140,16 @@ function closeEmailRegistration() {
   }
 }
 
+// Sign-in responses may ask for a new password (expired), a 2FA code, or first-time 2FA
+// enrollment before issuing a session
+async function finishSignIn(data) {
+  showLoading(false);
+  if (data.password_change_required) {
+    data = await passwordManager.completeExpiredChange(data);
+  }
+  authClient.setTokens(await twoFactorAuth.completeSignIn(data));
+}
+
 // Email login handler
 async function handleEmailLogin(event) {
   event.preventDefault();
@@ -167,6 +177,8 @@ async function handleEmailLogin(event) {
     const data = await response.json();
 
     if (data.success) {
+      await finishSignIn(data);
+
       // Store user data
       localStorage.setItem(
         "currentUser",
@@ -198,6 +210,51 @@ async function handleEmailLogin(event) {
   }
 }
 
+// Passkey login; the email is optional because discoverable passkeys name the account themselves
+async function handlePasskeyLogin() {
+  if (!authClient.passkeysSupported()) {
+    showAlert("This browser does not support passkeys", "error");
+    return;
+  }
+
+  const email = document.getElementById("loginEmail").value.trim();
+
+  try {
+    showLoading(true, "Waiting for your passkey...");
+
+    const data = await authClient.signInWithPasskey(email || undefined);
+
+    localStorage.setItem(
+      "currentUser",
+      JSON.stringify({
+        type: data.user.email ? "email" : "wallet",
+        user: data.user,
+      })
+    );
+
+    showAlert("Login successful!", "success");
+    closeEmailLogin();
+
+    if (data.user.role === "admin") {
+      displayAdminOptions(data.user);
+      toggleSections("adminOptions");
+    } else {
+      displayUserInfo(data.user);
+      toggleSections("alreadyRegistered");
+    }
+  } catch (error) {
+    console.error("Passkey login error:", error);
+    showAlert(error.name === "NotAllowedError" ? "Passkey sign-in was cancelled" : error.message, "error");
+  } finally {
+    showLoading(false);
+  }
+}
+
+// New accounts always start as public viewers; an administrator grants other roles
+const SELF_REGISTRATION_ROLE = "public_viewer";
+const SELF_REGISTRATION_NOTICE =
+  "New accounts are created as Public Viewer. Register with that role and ask an administrator for a role change.";
+
 // Handle email registration
 async function handleEmailRegistration(event) {
   event.preventDefault();
@@ -216,13 +273,13 @@ async function handleEmailRegistration(event) {
     return;
   }
 
-  if (password.length < 6) {
-    showAlert("Password must be at least 6 characters.", "error");
+  if (!fullName || !role) {
+    showAlert("Please fill in all required fields.", "error");
     return;
   }
 
-  if (!fullName || !role) {
-    showAlert("Please fill in all required fields.", "error");
+  if (role !== SELF_REGISTRATION_ROLE) {
+    showAlert(SELF_REGISTRATION_NOTICE, "error");
     return;
   }
 
@@ -240,7 +297,6 @@ async function handleEmailRegistration(event) {
         fullName: fullName.trim(),
         role,
         department: "General",
-        jurisdiction: "General",
       }),
     });
 
@@ -248,6 +304,7 @@ async function handleEmailRegistration(event) {
     console.log("Registration response:", data);
 
     if (data.success) {
+      await finishSignIn(data);
       localStorage.setItem(
         "currentUser",
         JSON.stringify({
@@ -431,13 +488,14 @@ async function checkRegistrationStatus() {
   }
 
   try {
-    showLoading(true, "Checking registration...");
+    showLoading(true, "Waiting for wallet signature...");
 
-    const response = await fetch(`${config.API_BASE_URL}/user/${userAccount}`);
-    const data = await response.json();
+    // Proves control of the wallet; unregistered wallets come back with registered: false
+    const data = await authClient.signInWithEthereum(userAccount);
 
-    if (data.user) {
+    if (data.success) {
       console.log("Found existing user:", data.user);
+      await finishSignIn(data);
 
       // Store user data
       localStorage.setItem(
@@ -456,9 +514,11 @@ async function checkRegistrationStatus() {
       } else {
         toggleSections("alreadyRegistered");
       }
-    } else {
+    } else if (data.registered === false) {
       console.log("No existing user found, showing registration");
       toggleSections("registration");
+    } else {
+      showAlert(data.error || "Wallet sign-in failed", "error");
     }
   } catch (error) {
     console.error("Error checking registration:", error);
@@ -524,7 +584,6 @@ async function handleRegistration(event) {
     const fullName = document.getElementById("fullName")?.value;
     const badgeNumber = document.getElementById("badgeNumber")?.value;
     const department = document.getElementById("department")?.value;
-    const jurisdiction = document.getElementById("jurisdiction")?.value;
 
     console.log("Wallet registration data:", { role, fullName, userAccount });
 
@@ -533,11 +592,19 @@ async function handleRegistration(event) {
       return;
     }
 
+    if (role !== SELF_REGISTRATION_ROLE) {
+      showAlert(SELF_REGISTRATION_NOTICE, "error");
+      return;
+    }
+
     if (!userAccount) {
       showAlert("Please connect your wallet first.", "error");
       return;
     }
 
+    showLoading(true, "Waiting for wallet signature...");
+    const { message, signature } = await authClient.signChallenge(userAccount);
+
     showLoading(true, "Registering user...");
 
     const response = await fetch(
@@ -548,12 +615,12 @@ async function handleRegistration(event) {
           "Content-Type": "application/json",
         },
         body: JSON.stringify({
-          walletAddress: userAccount.toLowerCase(),
+          message,
+          signature,
           fullName: fullName.trim(),
           role: role,
           badgeNumber: badgeNumber || "",
           department: department || "General",
-          jurisdiction: jurisdiction || "General",
         }),
       }
     );
@@ -562,6 +629,7 @@ async function handleRegistration(event) {
     console.log("Wallet registration response:", data);
 
     if (data.success) {
+      await finishSignIn(data);
       localStorage.setItem(
         "currentUser",
         JSON.stringify({
@@ -599,6 +667,7 @@ function goToAdminDashboard() {
 }
 
 function logout() {
+  if (window.authClient) authClient.logout();
   localStorage.clear();
   userAccount = null;
 
@@ -0,0 +1,106 @@
+/**
+ * Audit Log Integrity
+ * Shows the result of /api/audit/verify: whether the activity_logs and admin_actions hash chains
+ * are intact, where the first broken link is, and the latest on-chain checkpoint.
+ * Renders into [data-audit-integrity] (full report) and [data-audit-integrity-summary] (one word).
+ */
+class AuditIntegrityPanel {
+    constructor() {
+        this.chainNames = {
+            activity_logs: 'Activity log',
+            admin_actions: 'Admin actions'
+        };
+    }
+
+    async verify() {
+        this.render({ loading: true });
+
+        try {
+            const response = await fetch(`${authClient.apiBase()}/audit/verify`);
+            const data = await response.json();
+            if (!data.success) throw new Error(data.error || 'Verification failed');
+            this.render({ report: data });
+        } catch (error) {
+            console.error('Audit verification error:', error);
+            this.render({ error: error.message });
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    renderChain(name, result) {
+        const broken = result.first_broken;
+        return `
+            <li>
+                ${result.valid ? '✅' : '❌'} <strong>${this.chainNames[name] || name}</strong>:
+                ${result.entries} entries verified
+                ${broken ? `- broken at entry #${broken.seq}: ${this.escapeHtml(broken.reason)}` : ''}
+            </li>
+        `;
+    }
+
+    renderCheckpoint(checkpoints) {
+        const latest = checkpoints.latest;
+        if (!latest) {
+            return '<p class="text-muted">No checkpoint has been recorded yet.</p>';
+        }
+
+        const anchor = checkpoints.anchor;
+        return `
+            <p>
+                Latest checkpoint #${latest.id} (${new Date(latest.created_at).toLocaleString()}):
+                <strong>${this.escapeHtml(latest.status)}</strong>
+                ${latest.blockchain_tx ? `<br><small>Transaction: <code>${this.escapeHtml(latest.blockchain_tx)}</code></small>` : ''}
+            </p>
+            ${checkpoints.first_broken ? `<p>❌ Checkpoint #${checkpoints.first_broken.id}: ${this.escapeHtml(checkpoints.first_broken.reason)}</p>` : ''}
+            <p><small>On-chain check: ${this.escapeHtml(anchor.status)} - ${this.escapeHtml(anchor.reason)}</small></p>
+        `;
+    }
+
+    render({ loading, report, error }) {
+        let summary;
+        let html;
+
+        if (loading) {
+            summary = '…';
+            html = '<p>Verifying audit log…</p>';
+        } else if (error) {
+            summary = 'Unknown';
+            html = `<p class="text-danger">Could not verify the audit log: ${this.escapeHtml(error)}</p>`;
+        } else {
+            summary = report.valid ? 'Intact' : 'Broken';
+            html = `
+                <p class="${report.valid ? 'text-success' : 'text-danger'}">
+                    <strong>${report.valid ? '✅ Audit log is intact' : '❌ Audit log integrity check failed'}</strong>
+                    <small class="text-muted">(${new Date(report.verified_at).toLocaleString()})</small>
+                </p>
+                <ul>
+                    ${Object.entries(report.chains).map(([name, result]) => this.renderChain(name, result)).join('')}
+                </ul>
+                ${this.renderCheckpoint(report.checkpoints)}
+            `;
+        }
+
+        document.querySelectorAll('[data-audit-integrity-summary]').forEach(element => {
+            element.textContent = summary;
+        });
+        document.querySelectorAll('[data-audit-integrity]').forEach(element => {
+            element.innerHTML = html;
+        });
+    }
+}
+
+const auditIntegrity = new AuditIntegrityPanel();
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.querySelector('[data-audit-integrity], [data-audit-integrity-summary]')) {
+        auditIntegrity.verify();
+    }
+});
+
+window.AuditIntegrityPanel = AuditIntegrityPanel;
+window.auditIntegrity = auditIntegrity;
@@ -0,0 +1,306 @@
+/**
+ * EVID-DGC Auth Client
+ * Keeps the access/refresh token pair issued at login and attaches the access token to
+ * every API request. Expired access tokens are refreshed once and the request retried;
+ * actions that need a passkey step-up prompt for one and are retried.
+ * Load before any script that calls the API.
+ */
+class AuthClient {
+    constructor() {
+        this.storageKey = 'authTokens';
+        this.refreshPromise = null;
+        this.nativeFetch = window.fetch.bind(window);
+        window.fetch = this.fetch.bind(this);
+    }
+
+    getTokens() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setTokens(tokens) {
+        if (tokens && tokens.access_token) {
+            localStorage.setItem(this.storageKey, JSON.stringify(tokens));
+        }
+    }
+
+    clearTokens() {
+        localStorage.removeItem(this.storageKey);
+    }
+
+    getAccessToken() {
+        const tokens = this.getTokens();
+        return tokens ? tokens.access_token : null;
+    }
+
+    // Not every page loads config.js; those call the API on the same origin
+    apiBase() {
+        return typeof config !== 'undefined' ? config.API_BASE_URL : '/api';
+    }
+
+    isApiRequest(url) {
+        const target = new URL(url, window.location.href);
+        const base = new URL(this.apiBase(), window.location.href);
+        return target.origin === base.origin && target.pathname.startsWith('/api/');
+    }
+
+    // For <img>/<video> sources, which cannot send an Authorization header
+    withAccessToken(url) {
+        const token = this.getAccessToken();
+        if (!token) return url;
+        return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(token)}`;
+    }
+
+    async fetch(input, init = {}) {
+        const url = typeof input === 'string' ? input : input.url;
+        if (!this.isApiRequest(url)) {
+            return this.nativeFetch(input, init);
+        }
+
+        const response = await this.nativeFetch(input, this.authorize(init));
+        if (response.status === 403) {
+            return this.retryAfterPasskeyStepUp(response, input, init);
+        }
+        if (response.status !== 401) {
+            return response;
+        }
+
+        const body = await response.clone().json().catch(() => ({}));
+        if (body.code === 'token_expired' && await this.refresh()) {
+            return this.nativeFetch(input, this.authorize(init));
+        }
+
+        // A 401 from /api/auth/* (wrong password, bad 2FA code) is an answer, not a dead session
+        if (body.code !== 'missing_token' && !url.includes('/api/auth/')) {
+            this.handleSessionEnded();
+        }
+        return response;
+    }
+
+    // Sensitive actions may answer 403 passkey_step_up_required; confirm with a passkey and retry once
+    async retryAfterPasskeyStepUp(response, input, init) {
+        const body = await response.clone().json().catch(() => ({}));
+        if (body.code !== 'passkey_step_up_required' || !this.passkeysSupported()) {
+            return response;
+        }
+
+        try {
+            await this.passkeyStepUp();
+        } catch (error) {
+            console.error('Passkey step-up failed:', error);
+            return response;
+        }
+        return this.nativeFetch(input, this.authorize(init));
+    }
+
+    authorize(init) {
+        const token = this.getAccessToken();
+        if (!token) return init;
+
+        const headers = new Headers(init.headers || {});
+        if (!headers.has('Authorization')) {
+            headers.set('Authorization', `Bearer ${token}`);
+        }
+        return { ...init, headers };
+    }
+
+    // Concurrent 401s share one refresh call
+    refresh() {
+        const tokens = this.getTokens();
+        if (!tokens || !tokens.refresh_token) return Promise.resolve(false);
+
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.nativeFetch(`${this.apiBase()}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken: tokens.refresh_token })
+            })
+                .then(response => response.json())
+                .then(data => {
+                    if (!data.success) return false;
+                    this.setTokens(data.tokens);
+                    return true;
+                })
+                .catch(() => false)
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+
+        return this.refreshPromise;
+    }
+
+    handleSessionEnded() {
+        this.clearTokens();
+        localStorage.removeItem('currentUser');
+        if (!/\/(index\.html)?$/.test(window.location.pathname)) {
+            window.location.href = 'index.html';
+        }
+    }
+
+    /**
+     * Sign-In with Ethereum: fetch a challenge, have the wallet sign it with personal_sign.
+     * @returns {Promise<{ message: string, signature: string }>}
+     */
+    async signChallenge(address) {
+        const chainId = await window.ethereum.request({ method: 'eth_chainId' });
+        const response = await this.nativeFetch(`${this.apiBase()}/auth/siwe/nonce`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ address, chainId })
+        });
+        const challenge = await response.json();
+
+        if (!challenge.success) {
+            throw new Error(challenge.error || 'Could not start wallet sign-in');
+        }
+
+        const signature = await window.ethereum.request({
+            method: 'personal_sign',
+            params: [challenge.message, address]
+        });
+
+        return { message: challenge.message, signature };
+    }
+
+    // Resolves to the server response: { success, user, tokens } or { registered: false }
+    async signInWithEthereum(address) {
+        const signed = await this.signChallenge(address);
+        const response = await this.nativeFetch(`${this.apiBase()}/auth/siwe/verify`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(signed)
+        });
+        const data = await response.json();
+
+        if (data.success) {
+            this.setTokens(data.tokens);
+        }
+        return data;
+    }
+
+    passkeysSupported() {
+        return Boolean(window.PublicKeyCredential && navigator.credentials);
+    }
+
+    // WebAuthn options and responses travel as JSON with binary fields base64url-encoded
+    static fromBase64url(value) {
+        const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '='));
+        return Uint8Array.from(binary, char => char.charCodeAt(0)).buffer;
+    }
+
+    static toBase64url(buffer) {
+        const binary = String.fromCharCode(...new Uint8Array(buffer));
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    serializeCredential(credential) {
+        const { response } = credential;
+        const encode = AuthClient.toBase64url;
+        const serialized = {
+            id: credential.id,
+            rawId: encode(credential.rawId),
+            type: credential.type,
+            response: { clientDataJSON: encode(response.clientDataJSON) }
+        };
+
+        if (response.attestationObject) {
+            serialized.response.attestationObject = encode(response.attestationObject);
+            serialized.response.transports = response.getTransports ? response.getTransports() : [];
+        } else {
+            serialized.response.authenticatorData = encode(response.authenticatorData);
+            serialized.response.signature = encode(response.signature);
+            if (response.userHandle) serialized.response.userHandle = encode(response.userHandle);
+        }
+        return serialized;
+    }
+
+    async getPasskeyAssertion(options) {
+        const decode = AuthClient.fromBase64url;
+        const credential = await navigator.credentials.get({
+            publicKey: {
+                ...options,
+                challenge: decode(options.challenge),
+                allowCredentials: options.allowCredentials.map(allowed => ({ ...allowed, id: decode(allowed.id) }))
+            }
+        });
+        return this.serializeCredential(credential);
+    }
+
+    async postJson(path, body, { authenticated = true } = {}) {
+        const send = authenticated ? this.fetch.bind(this) : this.nativeFetch;
+        const response = await send(`${this.apiBase()}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body || {})
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!data.success) {
+            throw new Error(data.error || 'Request failed');
+        }
+        return data;
+    }
+
+    // Add a passkey or security key to the signed-in account
+    async registerPasskey(name) {
+        const decode = AuthClient.fromBase64url;
+        const { options } = await this.postJson('/auth/webauthn/register/options');
+
+        const credential = await navigator.credentials.create({
+            publicKey: {
+                ...options,
+                challenge: decode(options.challenge),
+                user: { ...options.user, id: decode(options.user.id) },
+                excludeCredentials: options.excludeCredentials.map(excluded => ({ ...excluded, id: decode(excluded.id) }))
+            }
+        });
+
+        return this.postJson('/auth/webauthn/register/verify', {
+            credential: this.serializeCredential(credential),
+            name
+        });
+    }
+
+    // Resolves to the server response: { success, user, tokens }. The email is optional.
+    async signInWithPasskey(email) {
+        const { options } = await this.postJson('/auth/webauthn/login/options', { email }, { authenticated: false });
+        const credential = await this.getPasskeyAssertion(options);
+        const data = await this.postJson('/auth/webauthn/login/verify', { credential }, { authenticated: false });
+
+        this.setTokens(data.tokens);
+        return data;
+    }
+
+    // Confirm a sensitive action with a passkey; the session stays stepped up for a few minutes
+    async passkeyStepUp() {
+        const { options } = await this.postJson('/auth/webauthn/step-up/options');
+        const credential = await this.getPasskeyAssertion(options);
+        return this.postJson('/auth/webauthn/step-up/verify', { credential });
+    }
+
+    // Ends the server session; survives the page navigating away right after
+    logout() {
+        const token = this.getAccessToken();
+        this.clearTokens();
+
+        if (token) {
+            this.nativeFetch(`${this.apiBase()}/auth/logout`, {
+                method: 'POST',
+                headers: { Authorization: `Bearer ${token}` },
+                keepalive: true
+            }).catch(() => {});
+        }
+    }
+}
+
+const authClient = new AuthClient();
+
+if (typeof window !== 'undefined') {
+    window.AuthClient = AuthClient;
+    window.authClient = authClient;
+}
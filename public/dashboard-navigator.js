@@ -101,6 +101,8 @@ class DashboardNavigator {
     }
 
     logout() {
+        if (window.authClient) authClient.logout();
+
         // Clear all user data
         localStorage.removeItem('selectedRole');
         localStorage.removeItem('roleWizardCompleted');
@@ -21,7 +21,8 @@ class EvidenceUploader {
             'application/zip': { ext: 'ZIP', maxSize: 200 },
             'application/x-rar-compressed': { ext: 'RAR', maxSize: 200 }
         };
-        this.maxFileSize = 100 * 1024 * 1024; // 100MB default
+        this.maxFileSize = 500 * 1024 * 1024; // Largest per-type limit; files are sent in chunks
+        this.maxChunkAttempts = 8;
         this.init();
     }
 
@@ -184,32 +185,160 @@ class EvidenceUploader {
         return '📁';
     }
 
-    async uploadWithProgress(file, formData, onProgress) {
+    // Resumable upload sessions are remembered per file so a retry after a dropped connection continues
+    uploadSessionKey(file) {
+        return `resumableUpload:${file.name}:${file.size}:${file.lastModified}`;
+    }
+
+    async sha256Hex(buffer) {
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    async apiJson(path, options = {}) {
+        const response = await fetch(`${authClient.apiBase()}${path}`, options);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(data.error || `Request failed with status ${response.status}`);
+            error.status = response.status;
+            error.retryAfter = Number(response.headers.get('Retry-After')) || null;
+            throw error;
+        }
+        return data;
+    }
+
+    /**
+     * SHA-256 of a file, computed in hash-worker.js so large files neither block the page nor
+     * have to fit in memory.
+     * @param {File} file
+     * @param {Function} onProgress - (loaded, total)
+     * @returns {Promise<string>} Hex digest
+     */
+    hashFile(file, onProgress) {
         return new Promise((resolve, reject) => {
-            const xhr = new XMLHttpRequest();
-            
-            xhr.upload.addEventListener('progress', (e) => {
-                if (e.lengthComputable) {
-                    const percentComplete = (e.loaded / e.total) * 100;
-                    onProgress(percentComplete, e.loaded, e.total);
+            const worker = new Worker('hash-worker.js');
+
+            worker.addEventListener('message', (event) => {
+                const message = event.data;
+                if (message.type === 'progress') {
+                    onProgress(message.loaded, message.total);
+                    return;
                 }
-            });
 
-            xhr.addEventListener('load', () => {
-                if (xhr.status === 200) {
-                    resolve(JSON.parse(xhr.responseText));
+                worker.terminate();
+                if (message.type === 'done') {
+                    resolve(message.hash);
                 } else {
-                    reject(new Error(`Upload failed: ${xhr.statusText}`));
+                    reject(new Error(`Could not hash file: ${message.message}`));
                 }
             });
-
-            xhr.addEventListener('error', () => {
-                reject(new Error('Upload failed: Network error'));
+            worker.addEventListener('error', (event) => {
+                worker.terminate();
+                reject(new Error(`Could not hash file: ${event.message}`));
             });
 
-            xhr.open('POST', '/api/evidence/upload');
-            xhr.send(formData);
+            worker.postMessage({ file });
+        });
+    }
+
+    // The upload session stored for this file, if the server still has it, otherwise a new one
+    async openUploadSession(file, fields) {
+        const storedId = localStorage.getItem(this.uploadSessionKey(file));
+        if (storedId) {
+            try {
+                const { upload } = await this.apiJson(`/evidence/uploads/${storedId}`);
+                if (upload.sha256 === fields.sha256) return upload;
+                localStorage.removeItem(this.uploadSessionKey(file));
+            } catch (error) {
+                if (error.status !== 404) throw error;
+                localStorage.removeItem(this.uploadSessionKey(file));
+            }
+        }
+
+        const { upload } = await this.apiJson('/evidence/uploads', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...fields, fileName: file.name, fileType: file.type, fileSize: file.size })
         });
+        localStorage.setItem(this.uploadSessionKey(file), upload.upload_id);
+        return upload;
+    }
+
+    // Resolves once the browser is back online
+    waitForNetwork() {
+        if (navigator.onLine) return Promise.resolve();
+        return new Promise(resolve => window.addEventListener('online', resolve, { once: true }));
+    }
+
+    // Network failures and server errors are retried with backoff; rejected chunks are not.
+    // Rate limiting (429) waits for Retry-After and does not use up an attempt.
+    async sendChunk(uploadId, index, chunk, hash) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.apiJson(`/evidence/uploads/${uploadId}/chunks/${index}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/octet-stream', 'X-Chunk-SHA256': hash },
+                    body: chunk
+                });
+            } catch (error) {
+                if (error.status === 429) {
+                    const waitSeconds = error.retryAfter || 60;
+                    this.updateProgressStatus(`Upload limit reached, continuing in ${waitSeconds}s...`);
+                    await this.delay(waitSeconds * 1000);
+                    attempt--;
+                    continue;
+                }
+
+                const retryable = !error.status || error.status >= 500;
+                if (!retryable || attempt >= this.maxChunkAttempts) throw error;
+
+                this.updateProgressStatus(navigator.onLine ? 'Connection problem, retrying...' : 'Offline, waiting for network...');
+                await this.waitForNetwork();
+                await this.delay(Math.min(30000, 1000 * 2 ** (attempt - 1)));
+            }
+        }
+    }
+
+    /**
+     * Upload a file in hashed chunks, skipping chunks the server already has.
+     * @param {File} file
+     * @param {Object} fields - caseId, type, description, location, collectionDate
+     * @param {Function} onProgress - (percentage, loaded, total)
+     */
+    async uploadResumable(file, fields, onProgress) {
+        const upload = await this.openUploadSession(file, fields);
+        const received = new Set(upload.received);
+        let loaded = upload.bytes_received;
+
+        if (received.size > 0) {
+            this.updateProgressStatus(`Resuming upload (${received.size} of ${upload.chunk_count} chunks already sent)...`);
+        }
+        onProgress((loaded / file.size) * 100, loaded, file.size);
+
+        for (let index = 0; index < upload.chunk_count; index++) {
+            if (received.has(index)) continue;
+
+            const start = index * upload.chunk_size;
+            const chunk = await file.slice(start, Math.min(start + upload.chunk_size, file.size)).arrayBuffer();
+            await this.sendChunk(upload.upload_id, index, chunk, await this.sha256Hex(chunk));
+
+            loaded += chunk.byteLength;
+            onProgress((loaded / file.size) * 100, loaded, file.size);
+        }
+
+        this.updateProgressStatus('Verifying file...');
+        try {
+            const result = await this.apiJson(`/evidence/uploads/${upload.upload_id}/complete`, { method: 'POST' });
+            localStorage.removeItem(this.uploadSessionKey(file));
+            return result;
+        } catch (error) {
+            // The assembled file does not hash to what was computed here; resuming cannot fix that
+            if (error.status === 422) {
+                localStorage.removeItem(this.uploadSessionKey(file));
+                await this.apiJson(`/evidence/uploads/${upload.upload_id}`, { method: 'DELETE' }).catch(() => {});
+            }
+            throw error;
+        }
     }
 
     showProgress(show = true) {
@@ -236,7 +365,12 @@ class EvidenceUploader {
         }
     }
 
-    async handleUpload(formData, file) {
+    updateProgressStatus(status) {
+        const progressStatus = document.querySelector('.progress-status');
+        if (progressStatus) progressStatus.textContent = status;
+    }
+
+    async handleUpload(fields, file) {
         this.uploadStartTime = Date.now();
         this.showProgress(true);
         
@@ -245,20 +379,18 @@ class EvidenceUploader {
         if (fileNameSpan) fileNameSpan.textContent = file.name;
 
         try {
-            // Simulate different upload stages
-            this.updateProgress(0, 0, file.size, 'Preparing upload...');
-            await this.delay(500);
+            this.updateProgress(0, 0, file.size, 'Calculating hash...');
 
-            this.updateProgress(10, 0, file.size, 'Validating file...');
-            await this.delay(300);
-
-            this.updateProgress(20, 0, file.size, 'Calculating hash...');
-            await this.delay(800);
+            // Hash before sending; the server refuses the upload if what arrives hashes differently
+            const sha256 = await this.hashFile(file, (loaded, total) => {
+                this.updateProgress((loaded / total) * 30, loaded, total, 'Calculating hash...'); // 0-30% for hashing
+            });
 
+            this.uploadStartTime = Date.now();
             this.updateProgress(30, 0, file.size, 'Uploading to server...');
 
-            // Actual upload with progress
-            const result = await this.uploadWithProgress(file, formData, (percentage, loaded, total) => {
+            // Actual upload with progress; resumes where an earlier attempt for this file stopped
+            const result = await this.uploadResumable(file, { ...fields, sha256 }, (percentage, loaded, total) => {
                 const adjustedPercentage = 30 + (percentage * 0.6); // 30-90% for upload
                 this.updateProgress(adjustedPercentage, loaded, total, 'Uploading...');
             });
@@ -270,6 +402,7 @@ class EvidenceUploader {
             await this.delay(500);
 
             this.showSuccess('🎉 Evidence uploaded successfully and stored on blockchain!');
+            this.showReceipt(result.receipt, result.evidence);
             return result;
 
         } catch (error) {
@@ -280,6 +413,58 @@ class EvidenceUploader {
         }
     }
 
+    // Both hashes side by side, with the server-signed receipt available to save
+    showReceipt(signedReceipt, evidence = {}) {
+        if (!signedReceipt) return;
+
+        const { receipt } = signedReceipt;
+        const hashesMatch = receipt.client_sha256 === receipt.server_sha256;
+        const panel = document.querySelector('.upload-receipt') || document.createElement('div');
+        panel.className = 'upload-receipt';
+        panel.innerHTML = `
+            <h4>${hashesMatch ? '✅' : '⚠️'} Upload Receipt</h4>
+            <dl>
+                <dt>Evidence ID</dt><dd>${this.escapeHtml(receipt.evidence_id)}</dd>
+                <dt>File</dt><dd>${this.escapeHtml(receipt.file_name)} (${this.formatFileSize(receipt.file_size)})</dd>
+                <dt>Hash computed in your browser</dt><dd><code>${this.escapeHtml(receipt.client_sha256 || 'not sent')}</code></dd>
+                <dt>Hash computed by the server</dt><dd><code>${this.escapeHtml(receipt.server_sha256)}</code></dd>
+                <dt>Received</dt><dd>${this.escapeHtml(new Date(receipt.received_at).toLocaleString())}</dd>
+                <dt>Malware scan</dt><dd>${evidence.scan_status === 'clean' ? 'Clean' : 'Pending - the file is quarantined until the scan passes'}</dd>
+                <dt>Signed by</dt><dd>${this.escapeHtml(signedReceipt.algorithm)} key <code>${this.escapeHtml(signedReceipt.signing_key_id)}</code></dd>
+            </dl>
+            <div class="upload-receipt-actions">
+                <button type="button" class="btn btn-primary btn-sm save-receipt">💾 Save Signed Receipt</button>
+                <button type="button" class="btn btn-outline btn-sm close-receipt">Close</button>
+            </div>
+        `;
+
+        panel.querySelector('.save-receipt').addEventListener('click', () => this.saveReceipt(signedReceipt));
+        panel.querySelector('.close-receipt').addEventListener('click', () => panel.remove());
+
+        const form = document.getElementById('evidenceForm');
+        if (form && !panel.parentNode) {
+            form.appendChild(panel);
+        }
+    }
+
+    saveReceipt(signedReceipt) {
+        const blob = new Blob([JSON.stringify(signedReceipt, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `upload-receipt-${signedReceipt.receipt.evidence_id}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    }
+
     clearFileInput() {
         const fileInput = document.getElementById('evidenceFile');
         if (fileInput) {
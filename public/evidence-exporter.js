@@ -51,9 +51,12 @@ class EvidenceExporter {
     /**
      * Export multiple evidence files as ZIP archive
      * @param {number[]} evidenceIds - Array of evidence IDs to export
+     * @param {Object} [options]
+     * @param {string} [options.format='watermarked'] - 'watermarked' or 'forensic' (originals + signed manifest)
+     * @param {string} [options.layout='forensic'] - Forensic package layout: 'forensic' or 'bagit'
      * @returns {Promise<boolean>} - Success status
      */
-    async bulkExport(evidenceIds) {
+    async bulkExport(evidenceIds, { format = 'watermarked', layout = 'forensic' } = {}) {
         try {
             if (!Array.isArray(evidenceIds) || evidenceIds.length === 0) {
                 throw new Error('Evidence IDs array is required');
@@ -70,7 +73,9 @@ class EvidenceExporter {
                 },
                 body: JSON.stringify({
                     evidenceIds: evidenceIds,
-                    userWallet: this.userWallet
+                    userWallet: this.userWallet,
+                    format,
+                    layout
                 })
             });
 
@@ -253,6 +253,15 @@ class EvidencePreviewSystem {
                                     </button>
                                 </div>
                             </div>
+
+                            <!-- Quarantined until the malware scan passes -->
+                            <div class="quarantine-viewer viewer-container" style="display: none;">
+                                <div class="unsupported-content">
+                                    <div class="unsupported-icon">🦠</div>
+                                    <h3>Evidence Quarantined</h3>
+                                    <p id="quarantineMessage"></p>
+                                </div>
+                            </div>
                         </div>
 
                         <!-- Watermark Overlay -->
@@ -295,6 +304,10 @@ class EvidencePreviewSystem {
                                     <label>Hash (SHA-256):</label>
                                     <span id="infoHash" class="hash-display"></span>
                                 </div>
+                                <div class="info-item">
+                                    <label>Malware Scan:</label>
+                                    <span id="infoScanStatus"></span>
+                                </div>
                                 <div class="info-item">
                                     <label>Submitted By:</label>
                                     <span id="infoSubmittedBy"></span>
@@ -306,6 +319,13 @@ class EvidencePreviewSystem {
                             </div>
                         </div>
 
+                        <div class="info-section">
+                            <h3>Versions</h3>
+                            <div class="version-tree" id="versionTree">
+                                <!-- Populated dynamically -->
+                            </div>
+                        </div>
+
                         <div class="info-section">
                             <h3>Chain of Custody</h3>
                             <div class="custody-timeline" id="custodyTimeline">
@@ -387,10 +407,7 @@ class EvidencePreviewSystem {
             }
 
             this.showModal();
-            this.populateEvidenceInfo();
-            this.setupWatermark();
-            await this.loadAndDisplayEvidence();
-            this.logPreviewAccess();
+            await this.displayCurrentEvidence();
 
         } catch (error) {
             console.error('Error opening preview:', error);
@@ -398,6 +415,71 @@ class EvidencePreviewSystem {
         }
     }
 
+    async displayCurrentEvidence() {
+        this.populateEvidenceInfo();
+        this.setupWatermark();
+        await this.loadAndDisplayEvidence();
+        // Loaded after the file, so the ledger already shows this preview
+        await this.populateChainOfCustody();
+        await this.populateVersions();
+    }
+
+    // Show another version of the same evidence without closing the preview
+    async switchVersion(evidenceId) {
+        if (this.currentEvidence && String(this.currentEvidence.id) === String(evidenceId)) return;
+
+        try {
+            if (this.currentViewer && this.currentViewer.cleanup) this.currentViewer.cleanup();
+            this.currentEvidence = await this.fetchEvidenceData(evidenceId);
+            await this.displayCurrentEvidence();
+        } catch (error) {
+            console.error('Error switching version:', error);
+            this.showError('Failed to load version: ' + error.message);
+        }
+    }
+
+    async populateVersions() {
+        const container = document.getElementById('versionTree');
+
+        try {
+            const response = await fetch(`/api/evidence/${this.currentEvidence.id}/versions`);
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || 'Failed to load versions');
+            }
+
+            if (!data.versions || data.versions.children.length === 0) {
+                container.innerHTML = '<p>Original only - no derived versions.</p>';
+                return;
+            }
+            container.innerHTML = `<ul>${this.renderVersionNode(data.versions)}</ul>`;
+        } catch (error) {
+            console.error('Error loading versions:', error);
+            container.innerHTML = `<p>Could not load versions: ${this.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    renderVersionNode(node) {
+        const current = String(node.id) === String(this.currentEvidence.id);
+        const label = node.relation_type
+            ? `${this.formatCustodyEvent(node.relation_type)} #${node.id}`
+            : `Original #${node.id}`;
+        const tool = node.derivation && node.derivation.tool
+            ? ` - ${node.derivation.tool}${node.derivation.tool_version ? ' ' + node.derivation.tool_version : ''}`
+            : '';
+
+        return `
+            <li>
+                <button class="version-link${current ? ' current' : ''}" onclick="evidencePreview.switchVersion(${Number(node.id)})"
+                    title="SHA-256 ${this.escapeHtml(node.hash)}">
+                    ${this.escapeHtml(label)}
+                </button>
+                <small>${this.escapeHtml(tool)}</small>
+                ${node.children.length ? `<ul>${node.children.map(child => this.renderVersionNode(child)).join('')}</ul>` : ''}
+            </li>
+        `;
+    }
+
     async fetchEvidenceData(evidenceId) {
         const response = await fetch(`/api/evidence/${evidenceId}`);
         if (!response.ok) {
@@ -457,38 +539,49 @@ class EvidencePreviewSystem {
         document.getElementById('infoFileSize').textContent = this.formatFileSize(evidence.file_size);
         document.getElementById('infoFileType').textContent = evidence.type;
         document.getElementById('infoHash').textContent = evidence.hash;
+        document.getElementById('infoScanStatus').textContent = this.describeScan(evidence);
         document.getElementById('infoSubmittedBy').textContent = evidence.submitted_by;
         document.getElementById('infoTimestamp').textContent = new Date(evidence.timestamp).toLocaleString();
-
-        // Chain of custody
-        this.populateChainOfCustody();
     }
 
-    populateChainOfCustody() {
+    async populateChainOfCustody() {
         const timeline = document.getElementById('custodyTimeline');
-        const events = [
-            {
-                action: 'Evidence Uploaded',
-                user: this.currentEvidence.submitted_by,
-                timestamp: this.currentEvidence.timestamp,
-                details: 'Initial evidence submission'
-            },
-            {
-                action: 'Preview Accessed',
-                user: this.getCurrentUser(),
-                timestamp: new Date().toISOString(),
-                details: 'Evidence preview opened'
+        const evidenceId = this.currentEvidence.id;
+
+        try {
+            const response = await fetch(`/api/evidence/${evidenceId}/custody`);
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || 'Failed to load custody ledger');
             }
-        ];
-
-        timeline.innerHTML = events.map(event => `
-            <div class="custody-event">
-                <div class="custody-timestamp">${new Date(event.timestamp).toLocaleString()}</div>
-                <div class="custody-action">${event.action}</div>
-                <div class="custody-user">by ${event.user}</div>
-                <div class="custody-details">${event.details}</div>
-            </div>
-        `).join('');
+
+            const events = data.entries.map(entry => `
+                <div class="custody-event">
+                    <div class="custody-timestamp">${new Date(entry.timestamp).toLocaleString()}</div>
+                    <div class="custody-action">${this.escapeHtml(this.formatCustodyEvent(entry.event))}
+                        ${entry.signature_status === 'valid' ? '' : `<span title="Signature ${this.escapeHtml(entry.signature_status)}">⚠️</span>`}
+                    </div>
+                    <div class="custody-user">by ${this.escapeHtml(entry.actor)}</div>
+                    <div class="custody-details">${this.escapeHtml([entry.purpose, entry.location].filter(Boolean).join(' - '))}</div>
+                </div>
+            `).join('');
+
+            timeline.innerHTML = (events || '<p>No custody events recorded.</p>') +
+                `<a class="custody-form-link" href="custody-form.html?id=${encodeURIComponent(evidenceId)}" target="_blank" rel="noopener">🖨️ Printable custody form</a>`;
+        } catch (error) {
+            console.error('Error loading chain of custody:', error);
+            timeline.innerHTML = `<p>Could not load the chain of custody: ${this.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    formatCustodyEvent(event) {
+        return event.charAt(0).toUpperCase() + event.slice(1);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
     }
 
     setupWatermark() {
@@ -503,7 +596,15 @@ class EvidencePreviewSystem {
     }
 
     async loadAndDisplayEvidence() {
-        const fileType = this.detectFileType(this.currentEvidence.type);
+        // The server refuses the file until its malware scan has passed
+        if (this.currentEvidence.scan_status !== 'clean') {
+            this.hideAllViewers();
+            document.getElementById('quarantineMessage').textContent = this.describeScan(this.currentEvidence);
+            this.showViewer('quarantine');
+            return;
+        }
+
+        const fileType = this.detectFileType(this.currentEvidence.file_type || this.currentEvidence.type);
         const viewer = this.viewerInstances.get(fileType);
         
         if (!viewer) {
@@ -550,6 +651,19 @@ class EvidencePreviewSystem {
     }
 
     // Utility methods
+    describeScan(evidence) {
+        switch (evidence.scan_status) {
+            case 'clean':
+                return `Clean (${evidence.scan_engine})`;
+            case 'infected':
+                return `Malware detected: ${evidence.scan_signature}`;
+            case 'error':
+                return 'Scan could not complete and will be retried';
+            default:
+                return 'Waiting for the malware scan to finish';
+        }
+    }
+
     formatFileSize(bytes) {
         if (bytes === 0) return '0 Bytes';
         const k = 1024;
@@ -577,7 +691,6 @@ class EvidencePreviewSystem {
     }
 
     async downloadEvidence() {
-        const currentUser = this.getCurrentUser();
         const userRole = this.getUserRole();
         
         if (!this.downloadPermissions.has(userRole)) {
@@ -592,8 +705,7 @@ class EvidencePreviewSystem {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
-                    userWallet: currentUser,
-                    reason: 'Evidence preview download'
+                    purpose: 'Evidence preview download'
                 })
             });
 
@@ -609,8 +721,6 @@ class EvidencePreviewSystem {
             a.click();
             window.URL.revokeObjectURL(url);
 
-            this.logDownloadAction();
-
         } catch (error) {
             console.error('Download error:', error);
             this.showError('Failed to download evidence: ' + error.message);
@@ -621,37 +731,6 @@ class EvidencePreviewSystem {
         return localStorage.getItem('userRole') || 'public_viewer';
     }
 
-    logPreviewAccess() {
-        // Log preview access for audit trail
-        fetch('/api/evidence/log-access', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                evidenceId: this.currentEvidence.id,
-                action: 'preview_accessed',
-                user: this.getCurrentUser(),
-                timestamp: new Date().toISOString()
-            })
-        }).catch(console.error);
-    }
-
-    logDownloadAction() {
-        fetch('/api/evidence/log-access', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                evidenceId: this.currentEvidence.id,
-                action: 'evidence_downloaded',
-                user: this.getCurrentUser(),
-                timestamp: new Date().toISOString()
-            })
-        }).catch(console.error);
-    }
-
     showError(message) {
         // Create and show error toast
         const toast = document.createElement('div');
@@ -784,22 +863,16 @@ class EvidencePreviewSystem {
     // Action methods
     async verifyIntegrity() {
         try {
-            const response = await fetch(`/api/evidence/${this.currentEvidence.id}/verify`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    user: this.getCurrentUser()
-                })
-            });
-
+            const response = await fetch(`/api/evidence/${this.currentEvidence.id}/verify`);
             const result = await response.json();
             
-            if (result.verified) {
+            if (result.valid) {
                 this.showSuccess('Evidence integrity verified successfully');
             } else {
-                this.showError('Evidence integrity verification failed');
+                const failedCheck = (result.checks || []).find(check => check.status !== 'passed');
+                this.showError(failedCheck
+                    ? `Evidence integrity verification failed: ${failedCheck.name} - ${failedCheck.reason}`
+                    : 'Evidence integrity verification failed');
             }
         } catch (error) {
             this.showError('Failed to verify evidence integrity');
@@ -243,9 +243,8 @@ function displayVerificationResult(result, calculatedHash) {
             <div style="margin-top: 15px; text-align: left;">
                 <h4>Evidence Details:</h4>
                 <p><strong>Evidence ID:</strong> ${result.evidence.id}</p>
-                <p><strong>Case:</strong> ${result.evidence.case_id}</p>
                 <p><strong>Submitted:</strong> ${new Date(result.evidence.timestamp).toLocaleString()}</p>
-                <p><strong>Submitted By:</strong> ${result.evidence.submitted_by}</p>
+                <p><strong>Anchor Status:</strong> ${result.evidence.anchor_status}</p>
             </div>
         ` : ''}
     `;
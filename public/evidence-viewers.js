@@ -1,5 +1,12 @@
 // Specialized Viewer Classes for Evidence Preview System
 
+// URL of the stored original; evidence without a stored blob falls back to demo content
+function getEvidenceFileUrl(evidence) {
+    if (!evidence.storage_key) return null;
+    const url = `/api/evidence/${evidence.id}/file`;
+    return window.authClient ? authClient.withAccessToken(url) : url;
+}
+
 // PDF Viewer Class
 class PDFViewer {
     constructor() {
@@ -17,8 +24,7 @@ class PDFViewer {
         this.ctx = this.canvas.getContext('2d');
         
         try {
-            // For demo purposes, we'll create a mock PDF or load from a URL
-            const pdfUrl = this.getMockPdfUrl(evidence);
+            const pdfUrl = getEvidenceFileUrl(evidence) || this.getMockPdfUrl(evidence);
             
             const loadingTask = pdfjsLib.getDocument(pdfUrl);
             this.pdfDoc = await loadingTask.promise;
@@ -118,7 +124,7 @@ class ImageViewer {
         this.ctx = this.canvas.getContext('2d');
         
         try {
-            const imageUrl = this.getMockImageUrl(evidence);
+            const imageUrl = getEvidenceFileUrl(evidence) || this.getMockImageUrl(evidence);
             this.image = new Image();
             
             await new Promise((resolve, reject) => {
@@ -309,7 +315,7 @@ class VideoViewer {
         this.video = document.getElementById('videoPlayer');
         
         try {
-            const videoUrl = this.getMockVideoUrl(evidence);
+            const videoUrl = getEvidenceFileUrl(evidence) || this.getMockVideoUrl(evidence);
             this.video.src = videoUrl;
             
             await new Promise((resolve, reject) => {
@@ -406,7 +412,7 @@ class AudioViewer {
         this.ctx = this.canvas.getContext('2d');
         
         try {
-            const audioUrl = this.getMockAudioUrl(evidence);
+            const audioUrl = getEvidenceFileUrl(evidence) || this.getMockAudioUrl(evidence);
             this.audio.src = audioUrl;
             
             await this.setupAudioContext();
@@ -487,6 +487,7 @@ class FixedNavbarManager {
 
     logout() {
         if (confirm('Are you sure you want to logout?')) {
+            if (window.authClient) authClient.logout();
             localStorage.clear();
             window.location.href = 'index.html';
         }
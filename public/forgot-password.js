@@ -51,11 +51,10 @@ class ForgotPasswordManager {
             submitBtn.disabled = true;
             submitBtn.textContent = 'Sending...';
 
-            // Simulate API call (replace with actual endpoint)
             const response = await this.sendResetEmail(email);
 
             if (response.success) {
-                this.showSuccess('Password reset email sent! Check your inbox.');
+                this.showSuccess(response.message);
                 document.getElementById('forgotPasswordModal').classList.remove('active');
             } else {
                 this.showError(response.error || 'Failed to send reset email');
@@ -85,11 +84,6 @@ class ForgotPasswordManager {
             return;
         }
 
-        if (newPassword.length < 6) {
-            this.showError('Password must be at least 6 characters');
-            return;
-        }
-
         try {
             const response = await this.resetPassword(token, newPassword);
 
@@ -107,69 +101,20 @@ class ForgotPasswordManager {
     }
 
     async sendResetEmail(email) {
-        // Simulate sending reset email
-        // In production, this would call your backend API
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                // Check if email exists in localStorage (for demo)
-                const userExists = localStorage.getItem('emailUser_' + email);
-                if (userExists) {
-                    // Generate reset token and store it
-                    const resetToken = this.generateResetToken();
-                    const resetData = {
-                        email: email,
-                        token: resetToken,
-                        expires: Date.now() + (15 * 60 * 1000) // 15 minutes
-                    };
-                    localStorage.setItem('resetToken_' + resetToken, JSON.stringify(resetData));
-
-                    // In production, send actual email here
-                    console.log(`Reset link: ${window.location.origin}/reset-password.html?token=${resetToken}`);
-
-                    resolve({ success: true });
-                } else {
-                    resolve({ success: false, error: 'Email not found' });
-                }
-            }, 1000);
-        });
+        return this.post('/auth/forgot-password', { email });
     }
 
     async resetPassword(token, newPassword) {
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                const resetData = localStorage.getItem('resetToken_' + token);
-                if (!resetData) {
-                    resolve({ success: false, error: 'Invalid or expired reset token' });
-                    return;
-                }
-
-                const data = JSON.parse(resetData);
-                if (Date.now() > data.expires) {
-                    localStorage.removeItem('resetToken_' + token);
-                    resolve({ success: false, error: 'Reset token has expired' });
-                    return;
-                }
-
-                // Update user password
-                const userData = localStorage.getItem('emailUser_' + data.email);
-                if (userData) {
-                    const user = JSON.parse(userData);
-                    user.password = newPassword;
-                    localStorage.setItem('emailUser_' + data.email, JSON.stringify(user));
-
-                    // Remove reset token
-                    localStorage.removeItem('resetToken_' + token);
-
-                    resolve({ success: true });
-                } else {
-                    resolve({ success: false, error: 'User not found' });
-                }
-            }, 1000);
-        });
+        return this.post('/auth/reset-password', { token, password: newPassword });
     }
 
-    generateResetToken() {
-        return Math.random().toString(36).substring(2) + Date.now().toString(36);
+    async post(path, body) {
+        const response = await fetch(`${authClient.apiBase()}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return response.json();
     }
 
     getResetTokenFromURL() {
@@ -219,6 +219,7 @@ class NavbarManager {
 
     logout() {
         if (confirm('Are you sure you want to logout?')) {
+            if (window.authClient) authClient.logout();
             localStorage.clear();
             window.location.href = 'index.html';
         }
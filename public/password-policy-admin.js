@@ -1,32 +1,36 @@
 /**
  * Password Policy Admin Configuration
- * Admin interface for managing password policies
+ * Admin interface for the server's password policy (/api/admin/password-policy). The panel only
+ * appears for users with the security:manage permission.
  */
 
 class PasswordPolicyAdmin {
     constructor() {
-        this.defaultPolicies = {
-            minLength: 12,
-            maxLength: 128,
-            requireUppercase: true,
-            requireLowercase: true,
-            requireNumbers: true,
-            requireSpecialChars: true,
-            minSpecialChars: 2,
-            preventCommonPasswords: true,
-            preventUserInfo: true,
-            preventReuse: 5,
-            maxAge: 90,
-            warningDays: 14,
-            lockoutAttempts: 5,
-            lockoutDuration: 30
-        };
+        this.defaultPolicies = null;
+        this.currentPolicies = null;
         this.init();
     }
 
     init() {
-        this.loadCurrentPolicies();
-        this.createAdminPanel();
+        document.addEventListener('DOMContentLoaded', async () => {
+            if (await this.loadCurrentPolicies()) {
+                this.createAdminPanel();
+            }
+        });
+    }
+
+    async request(method, body) {
+        const response = await fetch(`${authClient.apiBase()}/admin/password-policy`, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : undefined,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || 'Password policy request failed');
+        }
+        return data;
     }
 
     // Create admin configuration panel
@@ -66,8 +70,9 @@ class PasswordPolicyAdmin {
         
         // Add to admin page if container exists
         const container = document.querySelector('.container');
-        if (container && this.isAdmin()) {
+        if (container) {
             container.appendChild(adminPanel);
+            lucide.createIcons();
         }
     }
 
@@ -139,9 +144,9 @@ class PasswordPolicyAdmin {
             <div class="policy-group">
                 <h4>Expiry Settings</h4>
                 <div class="policy-setting">
-                    <label>Password Max Age (days):</label>
+                    <label>Password Max Age (days, 0 = never expires):</label>
                     <input type="number" class="policy-input" id="maxAge" 
-                           value="${this.currentPolicies.maxAge}" min="30" max="365">
+                           value="${this.currentPolicies.maxAge}" min="0" max="365">
                 </div>
                 <div class="policy-setting">
                     <label>Warning Days Before Expiry:</label>
@@ -149,39 +154,12 @@ class PasswordPolicyAdmin {
                            value="${this.currentPolicies.warningDays}" min="1" max="30">
                 </div>
             </div>
-
-            <div class="policy-group">
-                <h4>Account Lockout</h4>
-                <div class="policy-setting">
-                    <label>Failed Attempts Before Lockout:</label>
-                    <input type="number" class="policy-input" id="lockoutAttempts" 
-                           value="${this.currentPolicies.lockoutAttempts}" min="3" max="10">
-                </div>
-                <div class="policy-setting">
-                    <label>Lockout Duration (minutes):</label>
-                    <input type="number" class="policy-input" id="lockoutDuration" 
-                           value="${this.currentPolicies.lockoutDuration}" min="5" max="120">
-                </div>
-            </div>
         `;
     }
 
     // Save password policies
-    savePolicies() {
-        const policies = {};
-        
-        // Collect all policy values
-        const inputs = document.querySelectorAll('.policy-input, .policy-checkbox');
-        inputs.forEach(input => {
-            const key = input.id;
-            if (input.type === 'checkbox') {
-                policies[key] = input.checked;
-            } else if (input.type === 'number') {
-                policies[key] = parseInt(input.value);
-            } else {
-                policies[key] = input.value;
-            }
-        });
+    async savePolicies() {
+        const policies = this.readForm();
 
         // Validate policies
         const validation = this.validatePolicies(policies);
@@ -190,17 +168,43 @@ class PasswordPolicyAdmin {
             return;
         }
 
-        // Update password manager
-        if (window.passwordManager) {
-            window.passwordManager.updatePasswordPolicy(policies);
+        try {
+            const data = await this.request('PUT', { policy: policies });
+            this.applyPolicies(data.policy);
+            this.showStatus('Password policies saved successfully!', 'success');
+        } catch (error) {
+            this.showStatus(error.message, 'error');
         }
+    }
 
-        // Save to localStorage
-        localStorage.setItem('passwordPolicies', JSON.stringify(policies));
-        this.currentPolicies = policies;
-        
-        this.showStatus('Password policies saved successfully!', 'success');
-        this.logAdminAction('password_policies_updated', policies);
+    // Collect all policy values from the form
+    readForm() {
+        const policies = {};
+
+        document.querySelectorAll('.policy-input, .policy-checkbox').forEach(input => {
+            policies[input.id] = input.type === 'checkbox' ? input.checked : parseInt(input.value, 10);
+        });
+        return policies;
+    }
+
+    // Show policies in the form and use them for "Test Password"
+    applyPolicies(policies) {
+        this.currentPolicies = { ...policies };
+
+        Object.keys(policies).forEach(key => {
+            const input = document.getElementById(key);
+            if (input) {
+                if (input.type === 'checkbox') {
+                    input.checked = policies[key];
+                } else {
+                    input.value = policies[key];
+                }
+            }
+        });
+
+        if (window.passwordManager) {
+            window.passwordManager.policies = { ...policies };
+        }
     }
 
     // Validate policy configuration
@@ -215,7 +219,7 @@ class PasswordPolicyAdmin {
             errors.push('Minimum length should be at least 8 characters');
         }
         
-        if (policies.maxAge < policies.warningDays) {
+        if (policies.maxAge > 0 && policies.maxAge < policies.warningDays) {
             errors.push('Warning days cannot be greater than password max age');
         }
         
@@ -230,31 +234,15 @@ class PasswordPolicyAdmin {
     }
 
     // Reset to default policies
-    resetToDefaults() {
+    async resetToDefaults() {
         if (confirm('Reset all password policies to defaults? This will affect all users.')) {
-            // Reset form inputs
-            Object.keys(this.defaultPolicies).forEach(key => {
-                const input = document.getElementById(key);
-                if (input) {
-                    if (input.type === 'checkbox') {
-                        input.checked = this.defaultPolicies[key];
-                    } else {
-                        input.value = this.defaultPolicies[key];
-                    }
-                }
-            });
-
-            // Update password manager
-            if (window.passwordManager) {
-                window.passwordManager.updatePasswordPolicy(this.defaultPolicies);
+            try {
+                const data = await this.request('PUT', { policy: this.defaultPolicies });
+                this.applyPolicies(data.policy);
+                this.showStatus('Password policies reset to defaults', 'info');
+            } catch (error) {
+                this.showStatus(error.message, 'error');
             }
-
-            // Clear custom policies
-            localStorage.removeItem('passwordPolicies');
-            this.currentPolicies = { ...this.defaultPolicies };
-            
-            this.showStatus('Password policies reset to defaults', 'info');
-            this.logAdminAction('password_policies_reset');
         }
     }
 
@@ -390,7 +378,6 @@ class PasswordPolicyAdmin {
         const config = {
             policies: this.currentPolicies,
             exportDate: new Date().toISOString(),
-            exportedBy: localStorage.getItem('currentUser'),
             version: '1.0'
         };
         
@@ -401,8 +388,6 @@ class PasswordPolicyAdmin {
         a.download = 'password-policies.json';
         a.click();
         URL.revokeObjectURL(url);
-        
-        this.logAdminAction('password_policies_exported');
     }
 
     // Import policies
@@ -426,8 +411,7 @@ class PasswordPolicyAdmin {
                             }
                         });
                         
-                        this.showStatus('Policies imported successfully', 'success');
-                        this.logAdminAction('password_policies_imported', { source: file.name });
+                        this.showStatus('Policies imported. Review them and click Save Policies to apply', 'success');
                     } else {
                         this.showStatus('Invalid policy configuration: ' + validation.errors.join(', '), 'error');
                     }
@@ -450,65 +434,22 @@ class PasswordPolicyAdmin {
         }
     }
 
-    // Load current policies
-    loadCurrentPolicies() {
+    // Load current policies; false when the user may not manage them
+    async loadCurrentPolicies() {
         try {
-            const policies = localStorage.getItem('passwordPolicies');
-            if (policies) {
-                this.currentPolicies = JSON.parse(policies);
-            } else {
-                this.currentPolicies = { ...this.defaultPolicies };
+            const data = await this.request('GET');
+            this.defaultPolicies = data.defaults;
+            this.currentPolicies = data.policy;
+            if (window.passwordManager) {
+                window.passwordManager.policies = { ...data.policy };
             }
+            return true;
         } catch (error) {
             console.error('Error loading password policies:', error);
-            this.currentPolicies = { ...this.defaultPolicies };
-        }
-    }
-
-    // Check if current user is admin
-    isAdmin() {
-        const currentUser = localStorage.getItem('currentUser');
-        if (!currentUser) return false;
-        
-        try {
-            const userData = JSON.parse(localStorage.getItem('evidUser_' + currentUser) || '{}');
-            return userData.role === 'admin' || userData.role === 8;
-        } catch (error) {
             return false;
         }
     }
 
-    // Log admin actions
-    logAdminAction(action, data = {}) {
-        const logEntry = {
-            timestamp: new Date().toISOString(),
-            admin: localStorage.getItem('currentUser'),
-            action: action,
-            data: data
-        };
-        
-        const logs = JSON.parse(localStorage.getItem('passwordPolicyLogs') || '[]');
-        logs.push(logEntry);
-        
-        // Keep only last 100 entries
-        if (logs.length > 100) {
-            logs.splice(0, logs.length - 100);
-        }
-        
-        localStorage.setItem('passwordPolicyLogs', JSON.stringify(logs));
-        console.log('Password policy action logged:', logEntry);
-    }
-
-    // Get policy statistics
-    getPolicyStatistics() {
-        return {
-            totalPolicyChanges: JSON.parse(localStorage.getItem('passwordPolicyLogs') || '[]').length,
-            currentPolicyVersion: '1.0',
-            lastModified: new Date().toISOString(),
-            complianceLevel: this.calculateComplianceLevel()
-        };
-    }
-
     // Calculate compliance level
     calculateComplianceLevel() {
         let score = 0;
@@ -1,10 +1,14 @@
 /**
  * Password Security and Strength Management System
- * Enforces strong password policies with complexity requirements
+ * Browser side of the server's password policy (/api/auth/password-policy): shows the
+ * requirements and a strength meter while typing, changes passwords through
+ * /api/auth/change-password and walks users through an expired password at sign-in.
+ * The server enforces the policy; checks here are only for feedback.
  */
 
 class PasswordSecurityManager {
     constructor() {
+        // Used until the server's policy has loaded; mirrors DEFAULT_PASSWORD_POLICY on the server
         this.policies = {
             minLength: 12,
             maxLength: 128,
@@ -17,11 +21,9 @@ class PasswordSecurityManager {
             preventUserInfo: true,
             preventReuse: 5, // Last 5 passwords
             maxAge: 90, // Days before password change required
-            warningDays: 14, // Days before expiry to show warning
-            lockoutAttempts: 5,
-            lockoutDuration: 30 // Minutes
+            warningDays: 14 // Days before expiry to show warning
         };
-        
+
         this.specialChars = '!@#$%^&*()_+-=[]{}|;:,.<>?';
         this.commonPasswords = [
             'password', '123456', '123456789', 'qwerty', 'abc123',
@@ -29,15 +31,32 @@ class PasswordSecurityManager {
             'dragon', 'master', 'shadow', 'superman', 'michael',
             'football', 'baseball', 'liverpool', 'jordan', 'harley'
         ];
-        
+        this.expiredChange = null;
+
         this.init();
     }
 
     init() {
-        this.loadPasswordHistory();
-        this.createPasswordModal();
+        // Earlier versions kept password history and policies in the browser
+        Object.keys(localStorage)
+            .filter(key => /^(passwordHistory_|passwordInfo_|passwordPolicy$)/.test(key))
+            .forEach(key => localStorage.removeItem(key));
+
+        this.ready = this.loadPolicy();
         this.setupPasswordValidation();
-        this.checkPasswordExpiry();
+    }
+
+    async loadPolicy() {
+        try {
+            const response = await fetch(`${authClient.apiBase()}/auth/password-policy`);
+            const data = await response.json();
+            if (data.success) {
+                this.policies = data.policy;
+            }
+        } catch (error) {
+            console.error('Error loading password policy:', error);
+        }
+        return this.policies;
     }
 
     // Validate password strength
@@ -53,7 +72,7 @@ class PasswordSecurityManager {
         // Length check
         if (password.length < this.policies.minLength) {
             results.issues.push(`Password must be at least ${this.policies.minLength} characters long`);
-        } else if (password.length >= this.policies.minLength) {
+        } else {
             results.score += 20;
         }
 
@@ -81,9 +100,8 @@ class PasswordSecurityManager {
         }
 
         if (this.policies.requireSpecialChars) {
-            const specialCharRegex = new RegExp(`[${this.escapeRegex(this.specialChars)}]`);
-            const specialCharCount = (password.match(specialCharRegex) || []).length;
-            
+            const specialCharCount = [...password].filter(char => this.specialChars.includes(char)).length;
+
             if (specialCharCount < this.policies.minSpecialChars) {
                 results.issues.push(`Password must contain at least ${this.policies.minSpecialChars} special characters`);
             } else {
@@ -101,17 +119,12 @@ class PasswordSecurityManager {
             results.issues.push('Password should not contain personal information');
         }
 
-        // Password reuse check
-        if (this.isPasswordReused(password, userInfo.userId)) {
-            results.issues.push(`Password cannot be one of your last ${this.policies.preventReuse} passwords`);
-        }
-
         // Additional complexity checks
         results.score += this.calculateComplexityBonus(password);
 
         // Determine strength
         results.strength = this.getStrengthLabel(results.score);
-        results.isValid = results.issues.length === 0 && results.score >= 60;
+        results.isValid = results.issues.length === 0;
 
         // Generate suggestions
         results.suggestions = this.generateSuggestions(password, results.issues);
@@ -119,22 +132,46 @@ class PasswordSecurityManager {
         return results;
     }
 
+    // Plain-language list of the current requirements
+    describePolicy() {
+        const rules = [`At least ${this.policies.minLength} characters`];
+
+        if (this.policies.requireUppercase) rules.push('One uppercase letter');
+        if (this.policies.requireLowercase) rules.push('One lowercase letter');
+        if (this.policies.requireNumbers) rules.push('One number');
+        if (this.policies.requireSpecialChars) {
+            rules.push(`${this.policies.minSpecialChars} special characters (${this.specialChars})`);
+        }
+        if (this.policies.preventCommonPasswords) rules.push('Not a common password');
+        if (this.policies.preventUserInfo) rules.push('No part of your name or email');
+        if (this.policies.preventReuse > 0) rules.push(`Not one of your last ${this.policies.preventReuse} passwords`);
+
+        return rules;
+    }
+
+    // Fill every [data-password-requirements] element with the requirement list
+    renderRequirements() {
+        document.querySelectorAll('[data-password-requirements]').forEach(element => {
+            element.textContent = `Password requirements: ${this.describePolicy().join(', ')}.`;
+        });
+    }
+
     // Calculate complexity bonus
     calculateComplexityBonus(password) {
         let bonus = 0;
-        
+
         // Length bonus
         if (password.length >= 16) bonus += 10;
         if (password.length >= 20) bonus += 5;
-        
+
         // Character variety bonus
         const uniqueChars = new Set(password).size;
         if (uniqueChars >= password.length * 0.7) bonus += 10;
-        
+
         // Pattern avoidance bonus
         if (!this.hasRepeatingPatterns(password)) bonus += 5;
         if (!this.hasSequentialChars(password)) bonus += 5;
-        
+
         return Math.min(bonus, 15); // Cap bonus at 15 points
     }
 
@@ -154,7 +191,7 @@ class PasswordSecurityManager {
     hasSequentialChars(password) {
         const sequences = ['abc', '123', 'qwe', 'asd', 'zxc'];
         const lowerPassword = password.toLowerCase();
-        
+
         return sequences.some(seq => {
             return lowerPassword.includes(seq) || lowerPassword.includes(seq.split('').reverse().join(''));
         });
@@ -173,75 +210,58 @@ class PasswordSecurityManager {
     // Check if password is common
     isCommonPassword(password) {
         const lowerPassword = password.toLowerCase();
-        return this.commonPasswords.some(common => 
+        return this.commonPasswords.some(common =>
             lowerPassword.includes(common) || common.includes(lowerPassword)
         );
     }
 
-    // Check if password contains user info
+    // Same terms the server checks: the email's local part and each part of the name
     containsUserInfo(password, userInfo) {
         if (!userInfo) return false;
-        
-        const lowerPassword = password.toLowerCase();
-        const checkFields = ['firstName', 'lastName', 'email', 'username'];
-        
-        return checkFields.some(field => {
-            if (userInfo[field]) {
-                const value = userInfo[field].toLowerCase();
-                return lowerPassword.includes(value) || value.includes(lowerPassword);
-            }
-            return false;
-        });
-    }
 
-    // Check password reuse
-    isPasswordReused(password, userId) {
-        if (!userId) return false;
-        
-        const history = this.getPasswordHistory(userId);
-        return history.some(oldPassword => this.comparePasswords(password, oldPassword));
-    }
+        const lowerPassword = password.toLowerCase();
+        const terms = [
+            ...(userInfo.email ? [userInfo.email.split('@')[0]] : []),
+            ...String(userInfo.full_name || '').split(/\s+/)
+        ].map(term => term.toLowerCase()).filter(term => term.length > 2);
 
-    // Compare passwords (would use proper hashing in production)
-    comparePasswords(password1, password2) {
-        // In production, this would compare hashed passwords
-        return password1 === password2;
+        return terms.some(term => lowerPassword.includes(term));
     }
 
     // Generate password suggestions
     generateSuggestions(password, issues) {
         const suggestions = [];
-        
-        if (issues.some(issue => issue.includes('length'))) {
+
+        if (issues.some(issue => issue.includes('characters long'))) {
             suggestions.push('Try using a passphrase with multiple words');
             suggestions.push('Add more characters to meet minimum length requirement');
         }
-        
+
         if (issues.some(issue => issue.includes('uppercase'))) {
             suggestions.push('Add at least one uppercase letter (A-Z)');
         }
-        
+
         if (issues.some(issue => issue.includes('lowercase'))) {
             suggestions.push('Add at least one lowercase letter (a-z)');
         }
-        
+
         if (issues.some(issue => issue.includes('number'))) {
             suggestions.push('Include at least one number (0-9)');
         }
-        
+
         if (issues.some(issue => issue.includes('special'))) {
             suggestions.push(`Add special characters like: ${this.specialChars.substring(0, 10)}...`);
         }
-        
+
         if (issues.some(issue => issue.includes('common'))) {
             suggestions.push('Avoid common passwords and dictionary words');
             suggestions.push('Create a unique combination of words and characters');
         }
-        
+
         if (issues.some(issue => issue.includes('personal'))) {
             suggestions.push('Avoid using your name, email, or other personal information');
         }
-        
+
         return suggestions;
     }
 
@@ -251,47 +271,51 @@ class PasswordSecurityManager {
         const lowercase = 'abcdefghijklmnopqrstuvwxyz';
         const numbers = '0123456789';
         const special = this.specialChars;
-        
-        let password = '';
-        
-        // Ensure at least one character from each required type
-        password += this.getRandomChar(uppercase);
-        password += this.getRandomChar(lowercase);
-        password += this.getRandomChar(numbers);
-        password += this.getRandomChar(special);
-        
+        const size = Math.max(length, this.policies.minLength);
+
+        // Ensure every required character type, including enough special characters
+        let password = this.getRandomChar(uppercase) + this.getRandomChar(lowercase) + this.getRandomChar(numbers);
+        for (let i = 0; i < Math.max(this.policies.minSpecialChars, 1); i++) {
+            password += this.getRandomChar(special);
+        }
+
         // Fill remaining length with random characters
         const allChars = uppercase + lowercase + numbers + special;
-        for (let i = password.length; i < length; i++) {
+        for (let i = password.length; i < size; i++) {
             password += this.getRandomChar(allChars);
         }
-        
-        // Shuffle the password
-        return password.split('').sort(() => Math.random() - 0.5).join('');
+
+        // Shuffle the password (Fisher-Yates)
+        const chars = password.split('');
+        for (let i = chars.length - 1; i > 0; i--) {
+            const j = this.randomIndex(i + 1);
+            [chars[i], chars[j]] = [chars[j], chars[i]];
+        }
+        return chars.join('');
+    }
+
+    randomIndex(max) {
+        return crypto.getRandomValues(new Uint32Array(1))[0] % max;
     }
 
     // Get random character from string
     getRandomChar(str) {
-        return str.charAt(Math.floor(Math.random() * str.length));
-    }
-
-    // Check password expiry
-    checkPasswordExpiry() {
-        const currentUser = localStorage.getItem('currentUser');
-        if (!currentUser) return;
-        
-        const passwordInfo = this.getPasswordInfo(currentUser);
-        if (!passwordInfo) return;
-        
-        const lastChanged = new Date(passwordInfo.lastChanged);
-        const now = new Date();
-        const daysSinceChange = Math.floor((now - lastChanged) / (1000 * 60 * 60 * 24));
-        
-        if (daysSinceChange >= this.policies.maxAge) {
-            this.showPasswordExpiredModal();
-        } else if (daysSinceChange >= (this.policies.maxAge - this.policies.warningDays)) {
-            const daysRemaining = this.policies.maxAge - daysSinceChange;
+        return str.charAt(this.randomIndex(str.length));
+    }
+
+    // Warn signed-in users whose password expires soon
+    async checkPasswordExpiry() {
+        if (!authClient.getAccessToken()) return;
+
+        try {
+            const response = await fetch(`${authClient.apiBase()}/auth/password-status`);
+            const status = await response.json();
+            if (!status.success || !status.has_password || !status.warning || status.expired) return;
+
+            const daysRemaining = Math.max(Math.ceil((new Date(status.expires_at) - Date.now()) / (24 * 60 * 60 * 1000)), 0);
             this.showPasswordExpiryWarning(daysRemaining);
+        } catch (error) {
+            console.error('Error checking password expiry:', error);
         }
     }
 
@@ -302,19 +326,23 @@ class PasswordSecurityManager {
         warning.innerHTML = `
             <div class="warning-content">
                 <i data-lucide="alert-triangle"></i>
-                <span>Your password expires in ${daysRemaining} days. <a href="#" onclick="passwordManager.showChangePasswordModal()">Change now</a></span>
+                <span>Your password expires in ${daysRemaining} days. <a href="#" onclick="passwordManager.showChangePasswordModal(); return false;">Change now</a></span>
                 <button onclick="this.parentElement.parentElement.remove()">&times;</button>
             </div>
         `;
         document.body.appendChild(warning);
     }
 
-    // Show password expired modal
-    showPasswordExpiredModal() {
-        const modal = document.getElementById('password-expired-modal');
-        if (modal) {
-            modal.classList.add('active');
-        }
+    /**
+     * Finish an email login that answered password_change_required: the user picks a new
+     * password and the change-password response (tokens or a two-factor challenge) is returned.
+     */
+    completeExpiredChange(data) {
+        document.getElementById('password-expired-modal').classList.add('active');
+
+        return new Promise((resolve, reject) => {
+            this.expiredChange = { challengeToken: data.challenge_token, user: data.user, resolve, reject };
+        });
     }
 
     // Create password modals
@@ -369,7 +397,7 @@ class PasswordSecurityManager {
             </div>
         `;
         document.body.appendChild(changeModal);
-        
+
         // Password expired modal
         const expiredModal = document.createElement('div');
         expiredModal.id = 'password-expired-modal';
@@ -385,7 +413,7 @@ class PasswordSecurityManager {
                         <p>Your password has expired and must be changed for security reasons.</p>
                         <p>You cannot continue until you set a new password.</p>
                     </div>
-                    <button class="btn btn-primary" onclick="passwordManager.showChangePasswordModal(); passwordManager.closeExpiredModal();">
+                    <button class="btn btn-primary" onclick="passwordManager.closeExpiredModal(); passwordManager.showChangePasswordModal();">
                         <i data-lucide="key"></i>
                         Change Password Now
                     </button>
@@ -397,54 +425,56 @@ class PasswordSecurityManager {
 
     // Setup password validation
     setupPasswordValidation() {
-        document.addEventListener('DOMContentLoaded', () => {
-            const newPasswordInput = document.getElementById('new-password');
-            const confirmPasswordInput = document.getElementById('confirm-password');
-            
-            if (newPasswordInput) {
-                newPasswordInput.addEventListener('input', () => {
-                    this.validatePasswordInput();
-                });
-            }
-            
-            if (confirmPasswordInput) {
-                confirmPasswordInput.addEventListener('input', () => {
-                    this.validatePasswordMatch();
-                });
-            }
-            
-            const changeForm = document.getElementById('change-password-form');
-            if (changeForm) {
-                changeForm.addEventListener('submit', (e) => {
-                    this.handlePasswordChange(e);
-                });
-            }
+        document.addEventListener('DOMContentLoaded', async () => {
+            this.createPasswordModal();
+
+            document.getElementById('new-password').addEventListener('input', () => {
+                this.validatePasswordInput();
+            });
+            document.getElementById('confirm-password').addEventListener('input', () => {
+                this.validatePasswordMatch();
+            });
+            document.getElementById('change-password-form').addEventListener('submit', (e) => {
+                this.handlePasswordChange(e);
+            });
+
+            await this.ready;
+            this.renderRequirements();
+            this.checkPasswordExpiry();
         });
     }
 
+    // The signed-in (or expired-password) user, for the personal information check
+    currentUserInfo() {
+        if (this.expiredChange) return this.expiredChange.user;
+
+        try {
+            const stored = JSON.parse(localStorage.getItem('currentUser') || '{}');
+            return stored.user || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
     // Validate password input
     validatePasswordInput() {
         const passwordInput = document.getElementById('new-password');
         const strengthDiv = document.getElementById('password-strength');
         const requirementsDiv = document.getElementById('password-requirements');
-        
+
         if (!passwordInput || !strengthDiv || !requirementsDiv) return;
-        
-        const password = passwordInput.value;
-        const currentUser = localStorage.getItem('currentUser');
-        const userData = JSON.parse(localStorage.getItem('evidUser_' + currentUser) || '{}');
-        
-        const validation = this.validatePassword(password, userData);
-        
+
+        const validation = this.validatePassword(passwordInput.value, this.currentUserInfo());
+
         // Update strength indicator
         strengthDiv.innerHTML = `
             <div class="strength-bar">
-                <div class="strength-fill strength-${validation.strength.toLowerCase().replace(' ', '-')}" 
+                <div class="strength-fill strength-${validation.strength.toLowerCase().replace(' ', '-')}"
                      style="width: ${validation.score}%"></div>
             </div>
             <span class="strength-label">${validation.strength} (${validation.score}/100)</span>
         `;
-        
+
         // Update requirements
         if (validation.issues.length > 0) {
             requirementsDiv.innerHTML = `
@@ -463,7 +493,7 @@ class PasswordSecurityManager {
                 </div>
             `;
         }
-        
+
         // Show suggestions if needed
         if (validation.suggestions.length > 0) {
             requirementsDiv.innerHTML += `
@@ -482,14 +512,14 @@ class PasswordSecurityManager {
         const newPassword = document.getElementById('new-password').value;
         const confirmPassword = document.getElementById('confirm-password').value;
         const matchDiv = document.getElementById('password-match');
-        
+
         if (!matchDiv) return;
-        
+
         if (confirmPassword === '') {
             matchDiv.innerHTML = '';
             return;
         }
-        
+
         if (newPassword === confirmPassword) {
             matchDiv.innerHTML = `
                 <div class="match-success">
@@ -510,97 +540,39 @@ class PasswordSecurityManager {
     // Handle password change
     async handlePasswordChange(event) {
         event.preventDefault();
-        
+
         const currentPassword = document.getElementById('current-password').value;
         const newPassword = document.getElementById('new-password').value;
         const confirmPassword = document.getElementById('confirm-password').value;
-        
-        // Validate current password
-        if (!this.verifyCurrentPassword(currentPassword)) {
-            alert('Current password is incorrect');
-            return;
-        }
-        
-        // Validate new password
-        const currentUser = localStorage.getItem('currentUser');
-        const userData = JSON.parse(localStorage.getItem('evidUser_' + currentUser) || '{}');
-        const validation = this.validatePassword(newPassword, userData);
-        
-        if (!validation.isValid) {
-            alert('New password does not meet security requirements');
-            return;
-        }
-        
-        // Check password match
+
         if (newPassword !== confirmPassword) {
             alert('New passwords do not match');
             return;
         }
-        
-        // Save new password
-        this.saveNewPassword(currentUser, newPassword);
-        
-        alert('Password changed successfully!');
-        this.closeChangePasswordModal();
-    }
-
-    // Verify current password
-    verifyCurrentPassword(password) {
-        // In production, this would verify against stored hash
-        return true; // Simplified for demo
-    }
-
-    // Save new password
-    saveNewPassword(userId, password) {
-        // Add to password history
-        this.addToPasswordHistory(userId, password);
-        
-        // Update password info
-        const passwordInfo = {
-            lastChanged: new Date().toISOString(),
-            changeCount: (this.getPasswordInfo(userId)?.changeCount || 0) + 1
-        };
-        
-        localStorage.setItem(`passwordInfo_${userId}`, JSON.stringify(passwordInfo));
-        
-        // In production, would hash and store password securely
-        console.log('Password updated for user:', userId);
-    }
-
-    // Password history management
-    addToPasswordHistory(userId, password) {
-        const history = this.getPasswordHistory(userId);
-        history.unshift(password); // Add to beginning
-        
-        // Keep only last N passwords
-        if (history.length > this.policies.preventReuse) {
-            history.splice(this.policies.preventReuse);
-        }
-        
-        localStorage.setItem(`passwordHistory_${userId}`, JSON.stringify(history));
-    }
 
-    getPasswordHistory(userId) {
-        try {
-            const history = localStorage.getItem(`passwordHistory_${userId}`);
-            return history ? JSON.parse(history) : [];
-        } catch (error) {
-            return [];
-        }
-    }
+        const expiredChange = this.expiredChange;
 
-    getPasswordInfo(userId) {
         try {
-            const info = localStorage.getItem(`passwordInfo_${userId}`);
-            return info ? JSON.parse(info) : null;
+            const data = await this.changePassword(currentPassword, newPassword, expiredChange && expiredChange.challengeToken);
+
+            this.expiredChange = null;
+            this.closeChangePasswordModal();
+            alert('Password changed successfully!');
+            if (expiredChange) expiredChange.resolve(data);
         } catch (error) {
-            return null;
+            // Issues such as reuse can only be detected by the server
+            alert(error.message);
         }
     }
 
-    loadPasswordHistory() {
-        // Load existing password history from storage
-        // This would typically be done from a secure backend
+    /**
+     * @param {string} [challengeToken] - From an expired-password sign-in; otherwise the session is used
+     */
+    changePassword(currentPassword, newPassword, challengeToken) {
+        const body = { currentPassword, newPassword };
+        if (challengeToken) body.challengeToken = challengeToken;
+
+        return authClient.postJson('/auth/change-password', body, { authenticated: !challengeToken });
     }
 
     // UI Methods
@@ -614,6 +586,15 @@ class PasswordSecurityManager {
         document.getElementById('password-strength').innerHTML = '';
         document.getElementById('password-requirements').innerHTML = '';
         document.getElementById('password-match').innerHTML = '';
+
+        // Cancelling the change abandons an expired-password sign-in
+        const expiredChange = this.expiredChange;
+        this.expiredChange = null;
+        if (expiredChange) {
+            const error = new Error('Your password has expired. Sign in again to change it.');
+            error.code = 'cancelled';
+            expiredChange.reject(error);
+        }
     }
 
     closeExpiredModal() {
@@ -630,7 +611,7 @@ class PasswordSecurityManager {
         const input = document.getElementById(inputId);
         const button = input.nextElementSibling.nextElementSibling;
         const icon = button.querySelector('i');
-        
+
         if (input.type === 'password') {
             input.type = 'text';
             icon.setAttribute('data-lucide', 'eye-off');
@@ -638,39 +619,13 @@ class PasswordSecurityManager {
             input.type = 'password';
             icon.setAttribute('data-lucide', 'eye');
         }
-        
-        lucide.createIcons();
-    }
-
-    // Utility methods
-    escapeRegex(string) {
-        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    }
 
-    // Admin methods
-    updatePasswordPolicy(newPolicy) {
-        this.policies = { ...this.policies, ...newPolicy };
-        localStorage.setItem('passwordPolicy', JSON.stringify(this.policies));
+        lucide.createIcons();
     }
 
     getPasswordPolicy() {
         return { ...this.policies };
     }
-
-    // Initialize password security for user
-    initializePasswordSecurity(userId) {
-        // Set initial password info if not exists
-        if (!this.getPasswordInfo(userId)) {
-            const passwordInfo = {
-                lastChanged: new Date().toISOString(),
-                changeCount: 1
-            };
-            localStorage.setItem(`passwordInfo_${userId}`, JSON.stringify(passwordInfo));
-        }
-        
-        // Check expiry
-        this.checkPasswordExpiry();
-    }
 }
 
 // Initialize password manager
@@ -683,4 +638,4 @@ if (typeof window !== 'undefined') {
 
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = PasswordSecurityManager;
-}
\ No newline at end of file
+}
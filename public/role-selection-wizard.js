@@ -194,6 +194,31 @@ class RoleSelectionWizard {
         if (typeof lucide !== 'undefined') {
             lucide.createIcons();
         }
+
+        this.loadServerPermissions(role.id);
+    }
+
+    // Swap the summary for the permissions the server actually grants this role
+    async loadServerPermissions(roleId) {
+        try {
+            const response = await fetch(`/api/permissions/effective?role=${encodeURIComponent(roleId)}`);
+            const data = await response.json();
+
+            if (!data.success || this.selectedRole !== roleId) return;
+
+            document.querySelector('#permissionsList .permissions-grid').innerHTML = data.permissions.map(({ description }) => `
+                    <div class="permission-item">
+                        <i data-lucide="check-circle"></i>
+                        <span>${description}</span>
+                    </div>
+                `).join('');
+
+            if (typeof lucide !== 'undefined') {
+                lucide.createIcons();
+            }
+        } catch (error) {
+            console.error('Failed to load role permissions:', error);
+        }
     }
 
     proceed() {
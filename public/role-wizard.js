@@ -253,6 +253,24 @@ class RoleSelectionWizard {
             </div>
         `;
         lucide.createIcons();
+        this.loadServerPermissions(this.selectedRole.id);
+    }
+
+    // Swap the summary for the permissions the server actually grants this role
+    async loadServerPermissions(roleId) {
+        try {
+            const response = await fetch(`/api/permissions/effective?role=${encodeURIComponent(roleId)}`);
+            const data = await response.json();
+
+            if (!data.success || this.selectedRole?.id !== roleId) return;
+
+            document.querySelector('#rolePreview .permissions-list').innerHTML = data.permissions
+                .map(({ description }) => `<li><i data-lucide="check"></i> ${description}</li>`)
+                .join('');
+            lucide.createIcons();
+        } catch (error) {
+            console.error('Failed to load role permissions:', error);
+        }
     }
 
     renderProfileForm() {
@@ -1,6 +1,8 @@
 /**
  * Session Timeout Management System
- * Configurable session timeouts based on user roles
+ * Warns before a session times out. The server ends sessions idle for longer than the role's
+ * timeout; the timeout shown here comes from /api/sessions/current, and user activity is
+ * reported there so the server sees it.
  */
 
 class SessionTimeoutManager {
@@ -33,6 +35,8 @@ class SessionTimeoutManager {
         this.warningTimeout = null;
         this.intervalId = null;
         this.lastActivity = Date.now();
+        this.lastServerSync = 0;
+        this.serverSyncInterval = 60000; // Report activity to the server at most once a minute
         this.isWarningShown = false;
         
         this.init();
@@ -62,10 +66,28 @@ class SessionTimeoutManager {
         
         // Set timeout
         this.resetTimeout();
+        this.syncWithServer();
         
         console.log(`Session started for ${role}: ${this.sessionTimeout} minutes`);
     }
 
+    // Take the idle timeout from the server; the request itself counts as activity there
+    async syncWithServer() {
+        this.lastServerSync = Date.now();
+
+        try {
+            const response = await fetch(`${authClient.apiBase()}/sessions/current`);
+            const data = await response.json();
+            if (!data.success) return;
+
+            this.sessionTimeout = data.idle_timeout_minutes;
+            this.saveSessionInfo();
+            this.resetTimeout();
+        } catch (error) {
+            console.error('Error syncing session:', error);
+        }
+    }
+
     // Reset timeout on activity
     resetTimeout() {
         this.clearTimeouts();
@@ -128,6 +150,9 @@ class SessionTimeoutManager {
             this.lastActivity = now;
             if (this.userId && this.userRole) {
                 this.resetTimeout();
+                if (now - this.lastServerSync > this.serverSyncInterval) {
+                    this.syncWithServer();
+                }
             }
         }
     }
@@ -141,24 +166,9 @@ class SessionTimeoutManager {
 
     // Check session validity
     checkSession() {
-        const currentUser = localStorage.getItem('currentUser');
-        if (!currentUser) {
+        // Ended elsewhere: signed out, revoked from another device, or timed out on the server
+        if (!localStorage.getItem('currentUser') || !authClient.getAccessToken()) {
             this.clearSession();
-            return;
-        }
-        
-        const loginTimestamp = localStorage.getItem('loginTimestamp');
-        if (!loginTimestamp) {
-            this.clearSession();
-            return;
-        }
-        
-        const loginTime = new Date(loginTimestamp);
-        const now = new Date();
-        const sessionAge = (now - loginTime) / (1000 * 60); // minutes
-        
-        if (sessionAge > this.sessionTimeout) {
-            this.handleSessionTimeout();
         }
     }
 
@@ -192,6 +202,7 @@ class SessionTimeoutManager {
 
     // Handle session timeout
     handleSessionTimeout() {
+        authClient.logout();
         this.clearSession();
         this.showTimeoutMessage();
         
@@ -226,8 +237,9 @@ class SessionTimeoutManager {
 
     // Extend session
     extendSession() {
-        this.recordActivity();
+        this.lastActivity = Date.now();
         this.resetTimeout();
+        this.syncWithServer();
         this.closeTimeoutModal();
     }
 
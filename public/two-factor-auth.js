@@ -1,18 +1,22 @@
 /**
  * Two-Factor Authentication (2FA) System
- * Enhanced security for sensitive roles
+ * Browser side of the /api/auth/2fa/* routes: enrollment, sign-in codes and step-up.
+ * Secrets and backup codes never leave the server; this class only drives the modals.
  */
 
 class TwoFactorAuth {
     constructor() {
-        this.sensitiveRoles = ['admin', 'evidence_manager', 'court_official', 8, 6, 5];
-        this.totpSecrets = new Map();
-        this.backupCodes = new Map();
+        // Mirrors TWO_FACTOR_ROLES in server.js
+        this.sensitiveRoles = ['admin', 'evidence_manager', 'court_official'];
+        this.status = null;
+        this.setup = null;
+        this.verification = null;
         this.init();
     }
 
     init() {
-        this.loadStoredSecrets();
+        // Earlier versions kept secrets in the browser; remove anything left behind
+        localStorage.removeItem('evid_2fa_data');
         this.setupEventListeners();
     }
 
@@ -21,201 +25,41 @@ class TwoFactorAuth {
         return this.sensitiveRoles.includes(role);
     }
 
-    // Generate TOTP secret for user
-    generateSecret(userId) {
-        const secret = this.generateBase32Secret();
-        this.totpSecrets.set(userId, {
-            secret: secret,
-            enabled: false,
-            setupComplete: false,
-            createdAt: new Date().toISOString()
+    async request(path, { method = 'POST', body } = {}) {
+        const response = await fetch(`${authClient.apiBase()}/auth/2fa/${path}`, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : undefined,
+            body: body ? JSON.stringify(body) : undefined
         });
-        this.saveSecrets();
-        return secret;
-    }
-
-    // Generate QR code data for authenticator apps
-    generateQRCodeData(userId, userEmail) {
-        const secret = this.totpSecrets.get(userId)?.secret;
-        if (!secret) return null;
-
-        const issuer = 'EVID-DGC';
-        const label = `${issuer}:${userEmail}`;
-        return `otpauth://totp/${encodeURIComponent(label)}?secret=${secret}&issuer=${encodeURIComponent(issuer)}`;
-    }
-
-    // Verify TOTP code
-    verifyTOTP(userId, code) {
-        const userSecret = this.totpSecrets.get(userId);
-        if (!userSecret || !userSecret.enabled) return false;
-
-        const validCodes = this.generateValidCodes(userSecret.secret);
-        return validCodes.includes(code.toString().padStart(6, '0'));
-    }
-
-    // Generate backup codes
-    generateBackupCodes(userId) {
-        const codes = [];
-        for (let i = 0; i < 10; i++) {
-            codes.push(this.generateRandomCode(8));
-        }
-        
-        this.backupCodes.set(userId, {
-            codes: codes,
-            used: [],
-            generatedAt: new Date().toISOString()
-        });
-        this.saveSecrets();
-        return codes;
-    }
-
-    // Verify backup code
-    verifyBackupCode(userId, code) {
-        const userBackup = this.backupCodes.get(userId);
-        if (!userBackup) return false;
-
-        const codeIndex = userBackup.codes.indexOf(code);
-        if (codeIndex === -1 || userBackup.used.includes(code)) return false;
-
-        userBackup.used.push(code);
-        this.saveSecrets();
-        return true;
-    }
-
-    // Enable 2FA for user
-    enable2FA(userId, verificationCode) {
-        if (!this.verifyTOTP(userId, verificationCode)) {
-            throw new Error('Invalid verification code');
-        }
-
-        const userSecret = this.totpSecrets.get(userId);
-        userSecret.enabled = true;
-        userSecret.setupComplete = true;
-        userSecret.enabledAt = new Date().toISOString();
-        
-        this.saveSecrets();
-        return this.generateBackupCodes(userId);
-    }
-
-    // Disable 2FA for user
-    disable2FA(userId, verificationCode) {
-        if (!this.verifyTOTP(userId, verificationCode) && !this.verifyBackupCode(userId, verificationCode)) {
-            throw new Error('Invalid verification code');
-        }
-
-        this.totpSecrets.delete(userId);
-        this.backupCodes.delete(userId);
-        this.saveSecrets();
-    }
-
-    // Check if user has 2FA enabled
-    is2FAEnabled(userId) {
-        const userSecret = this.totpSecrets.get(userId);
-        return userSecret && userSecret.enabled;
-    }
-
-    // Generate time-based codes
-    generateValidCodes(secret) {
-        const timeStep = 30;
-        const currentTime = Math.floor(Date.now() / 1000);
-        const codes = [];
-
-        // Allow for time drift (previous, current, next)
-        for (let i = -1; i <= 1; i++) {
-            const time = Math.floor((currentTime + (i * timeStep)) / timeStep);
-            codes.push(this.generateTOTPCode(secret, time));
-        }
+        const data = await response.json().catch(() => ({}));
 
-        return codes;
-    }
-
-    // Generate TOTP code for specific time
-    generateTOTPCode(secret, time) {
-        const key = this.base32Decode(secret);
-        const timeBuffer = new ArrayBuffer(8);
-        const timeView = new DataView(timeBuffer);
-        timeView.setUint32(4, time, false);
-
-        return this.hmacSHA1(key, new Uint8Array(timeBuffer))
-            .then(hash => {
-                const offset = hash[hash.length - 1] & 0xf;
-                const code = ((hash[offset] & 0x7f) << 24) |
-                           ((hash[offset + 1] & 0xff) << 16) |
-                           ((hash[offset + 2] & 0xff) << 8) |
-                           (hash[offset + 3] & 0xff);
-                return (code % 1000000).toString().padStart(6, '0');
-            });
-    }
-
-    // Generate base32 secret
-    generateBase32Secret() {
-        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
-        let secret = '';
-        for (let i = 0; i < 32; i++) {
-            secret += chars.charAt(Math.floor(Math.random() * chars.length));
+        if (!response.ok || !data.success) {
+            const error = new Error(data.error || 'Two-factor request failed');
+            error.code = data.code;
+            throw error;
         }
-        return secret;
+        return data;
     }
 
-    // Generate random backup code
-    generateRandomCode(length) {
-        const chars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-        let code = '';
-        for (let i = 0; i < length; i++) {
-            code += chars.charAt(Math.floor(Math.random() * chars.length));
-        }
-        return code;
+    // { available, required, enabled, enabled_at, backup_codes_remaining }
+    async loadStatus() {
+        this.status = await this.request('status', { method: 'GET' });
+        return this.status;
     }
 
-    // Base32 decode
-    base32Decode(encoded) {
-        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
-        let bits = '';
-        
-        for (let i = 0; i < encoded.length; i++) {
-            const val = alphabet.indexOf(encoded.charAt(i).toUpperCase());
-            if (val === -1) continue;
-            bits += val.toString(2).padStart(5, '0');
+    /**
+     * Finish a login or registration response. Resolves with the session tokens once any
+     * second step the server asked for (a code, or first-time enrollment) is done.
+     */
+    async completeSignIn(data) {
+        if (data.two_factor_required) {
+            return (await this.showVerificationModal(data.challenge_token)).tokens;
         }
-
-        const bytes = new Uint8Array(Math.floor(bits.length / 8));
-        for (let i = 0; i < bytes.length; i++) {
-            bytes[i] = parseInt(bits.substr(i * 8, 8), 2);
-        }
-        
-        return bytes;
-    }
-
-    // HMAC-SHA1
-    async hmacSHA1(key, data) {
-        const cryptoKey = await crypto.subtle.importKey(
-            'raw', key, { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']
-        );
-        const signature = await crypto.subtle.sign('HMAC', cryptoKey, data);
-        return new Uint8Array(signature);
-    }
-
-    // Storage methods
-    saveSecrets() {
-        const data = {
-            secrets: Array.from(this.totpSecrets.entries()),
-            backups: Array.from(this.backupCodes.entries()),
-            lastUpdated: new Date().toISOString()
-        };
-        localStorage.setItem('evid_2fa_data', JSON.stringify(data));
-    }
-
-    loadStoredSecrets() {
-        try {
-            const stored = localStorage.getItem('evid_2fa_data');
-            if (stored) {
-                const data = JSON.parse(stored);
-                this.totpSecrets = new Map(data.secrets || []);
-                this.backupCodes = new Map(data.backups || []);
-            }
-        } catch (error) {
-            console.error('Error loading 2FA data:', error);
+        if (data.two_factor_setup_required) {
+            alert('Your role requires two-factor authentication. Set up an authenticator app to continue.');
+            return (await this.showSetupModal(data.challenge_token)).tokens;
         }
+        return data.tokens;
     }
 
     // Setup event listeners
@@ -229,7 +73,10 @@ class TwoFactorAuth {
     initializeUI() {
         this.createSetupModal();
         this.createVerificationModal();
-        this.addSecuritySettings();
+
+        if (document.getElementById('twoFactorStatus') && authClient.getAccessToken()) {
+            this.refreshSecurityStatus();
+        }
     }
 
     // Create 2FA setup modal
@@ -258,12 +105,12 @@ class TwoFactorAuth {
                     <div id="setup-step-3" class="setup-step hidden">
                         <h3>Step 3: Verify Setup</h3>
                         <p>Enter the 6-digit code from your authenticator app:</p>
-                        <input type="text" id="verification-code" maxlength="6" placeholder="000000">
+                        <input type="text" id="verification-code" maxlength="6" placeholder="000000" autocomplete="one-time-code">
                         <button class="btn btn-success" onclick="twoFactorAuth.completeSetup()">Enable 2FA</button>
                     </div>
                     <div id="setup-step-4" class="setup-step hidden">
                         <h3>Setup Complete!</h3>
-                        <p>Save these backup codes in a secure location:</p>
+                        <p>Save these backup codes in a secure location. Each works once and they will not be shown again:</p>
                         <div id="backup-codes"></div>
                         <button class="btn btn-primary" onclick="twoFactorAuth.closeSetupModal()">Done</button>
                     </div>
@@ -282,17 +129,18 @@ class TwoFactorAuth {
             <div class="modal-content">
                 <div class="modal-header">
                     <h2>Two-Factor Authentication Required</h2>
+                    <button class="modal-close" onclick="twoFactorAuth.cancelVerification()">&times;</button>
                 </div>
                 <div class="modal-body">
                     <p>Enter your 6-digit authentication code:</p>
-                    <input type="text" id="auth-code" maxlength="6" placeholder="000000">
+                    <input type="text" id="auth-code" maxlength="6" placeholder="000000" autocomplete="one-time-code">
                     <div class="form-actions">
                         <button class="btn btn-primary" onclick="twoFactorAuth.verifyLogin()">Verify</button>
                         <button class="btn btn-outline" onclick="twoFactorAuth.showBackupCodes()">Use Backup Code</button>
                     </div>
                     <div id="backup-code-section" class="hidden">
                         <p>Enter a backup code:</p>
-                        <input type="text" id="backup-code" placeholder="XXXXXXXX">
+                        <input type="text" id="backup-code" placeholder="XXXXX-XXXXX">
                         <button class="btn btn-warning" onclick="twoFactorAuth.verifyBackup()">Verify Backup Code</button>
                     </div>
                 </div>
@@ -301,99 +149,77 @@ class TwoFactorAuth {
         document.body.appendChild(modal);
     }
 
-    // Add security settings to user interface
-    addSecuritySettings() {
-        // This will be called when user accesses security settings
-        const currentUser = localStorage.getItem('currentUser');
-        if (!currentUser) return;
-
-        const userData = JSON.parse(localStorage.getItem('evidUser_' + currentUser) || '{}');
-        if (this.requiresTwoFactor(userData.role)) {
-            this.addSecurityPanel();
+    async refreshSecurityStatus() {
+        try {
+            await this.loadStatus();
+            this.updateSecurityStatus();
+        } catch (error) {
+            console.error('Error loading 2FA status:', error);
         }
     }
 
-    // Add security panel to dashboard
-    addSecurityPanel() {
-        const container = document.querySelector('.container');
-        if (!container) return;
-
-        const securityCard = document.createElement('div');
-        securityCard.className = 'card';
-        securityCard.innerHTML = `
-            <div class="card-header">
-                <h2>🔐 Security Settings</h2>
-                <p>Enhanced security for your account</p>
-            </div>
-            <div class="card-body">
-                <div class="security-option">
-                    <div class="security-info">
-                        <h3>Two-Factor Authentication</h3>
-                        <p>Add an extra layer of security to your account</p>
-                    </div>
-                    <div class="security-action">
-                        <span id="2fa-status" class="status-badge">Disabled</span>
-                        <button id="2fa-toggle" class="btn btn-primary" onclick="twoFactorAuth.toggle2FA()">Enable</button>
-                    </div>
-                </div>
-            </div>
-        `;
-        container.appendChild(securityCard);
-        this.updateSecurityStatus();
-    }
-
-    // Update security status display
+    // Update the account settings security panel
     updateSecurityStatus() {
-        const currentUser = localStorage.getItem('currentUser');
-        const statusElement = document.getElementById('2fa-status');
-        const toggleButton = document.getElementById('2fa-toggle');
-        
-        if (this.is2FAEnabled(currentUser)) {
-            statusElement.textContent = 'Enabled';
-            statusElement.className = 'status-badge status-enabled';
-            toggleButton.textContent = 'Disable';
-            toggleButton.className = 'btn btn-danger';
-        } else {
-            statusElement.textContent = 'Disabled';
-            statusElement.className = 'status-badge status-disabled';
-            toggleButton.textContent = 'Enable';
-            toggleButton.className = 'btn btn-primary';
-        }
+        const statusElement = document.getElementById('twoFactorStatus');
+        const toggleButton = document.getElementById('twoFactorToggle');
+        if (!statusElement || !toggleButton || !this.status) return;
+
+        const { enabled, required, available } = this.status;
+
+        statusElement.textContent = enabled ? 'Enabled' : 'Disabled';
+        statusElement.className = `status-badge ${enabled ? 'enabled' : 'disabled'}`;
+        toggleButton.textContent = enabled ? 'Disable' : 'Enable';
+        // Roles that require 2FA cannot switch it off
+        toggleButton.disabled = !available || (enabled && required);
+        toggleButton.title = enabled && required ? 'Required for your role' : '';
     }
 
     // Toggle 2FA
-    toggle2FA() {
-        const currentUser = localStorage.getItem('currentUser');
-        if (this.is2FAEnabled(currentUser)) {
-            this.showDisableModal();
-        } else {
-            this.showSetupModal();
+    async toggle2FA() {
+        try {
+            const status = this.status || await this.loadStatus();
+            if (status.enabled) {
+                await this.showDisableModal();
+            } else {
+                await this.showSetupModal();
+            }
+        } catch (error) {
+            if (error.code !== 'cancelled') {
+                alert(error.message);
+            }
         }
+        await this.refreshSecurityStatus();
     }
 
-    // Show setup modal
-    showSetupModal() {
-        const currentUser = localStorage.getItem('currentUser');
-        const userData = JSON.parse(localStorage.getItem('evidUser_' + currentUser) || '{}');
-        
-        const secret = this.generateSecret(currentUser);
-        const qrData = this.generateQRCodeData(currentUser, userData.email || 'user@evid-dgc.com');
-        
-        document.getElementById('manual-code').textContent = secret;
-        this.generateQRCode(qrData);
-        
+    /**
+     * Start enrollment. During sign-in, pass the enrollment challenge token from the login response.
+     * Resolves with the enable response ({ backup_codes, tokens? }) when the modal is closed.
+     */
+    async showSetupModal(challengeToken = null) {
+        const data = await this.request('setup', { body: challengeToken ? { challengeToken } : {} });
+
+        document.getElementById('manual-code').textContent = data.secret;
+        this.generateQRCode(data.qr_code);
+        document.getElementById('verification-code').value = '';
+        this.nextStep(1);
         document.getElementById('twofa-setup-modal').classList.add('active');
+
+        return new Promise((resolve, reject) => {
+            this.setup = { challengeToken, result: null, resolve, reject };
+        });
     }
 
-    // Generate QR code
-    generateQRCode(data) {
+    // Server-rendered otpauth:// QR code (data URL)
+    generateQRCode(dataUrl) {
         const container = document.getElementById('qr-code-container');
-        container.innerHTML = `
-            <div class="qr-placeholder">
-                <p>QR Code would be generated here</p>
-                <p>Data: ${data}</p>
-            </div>
-        `;
+        container.innerHTML = '';
+
+        const image = document.createElement('img');
+        image.src = dataUrl;
+        image.alt = 'Authenticator QR code';
+        image.width = 200;
+        image.height = 200;
+        container.appendChild(image);
     }
 
     // Navigation methods
@@ -404,20 +230,33 @@ class TwoFactorAuth {
 
     closeSetupModal() {
         document.getElementById('twofa-setup-modal').classList.remove('active');
+        document.getElementById('manual-code').textContent = '';
+        document.getElementById('backup-codes').innerHTML = '';
+
+        const setup = this.setup;
+        this.setup = null;
+        if (!setup) return;
+
+        if (setup.result) {
+            setup.resolve(setup.result);
+        } else {
+            setup.reject(this.cancelledError());
+        }
     }
 
     // Complete setup
     async completeSetup() {
-        const currentUser = localStorage.getItem('currentUser');
-        const code = document.getElementById('verification-code').value;
-        
+        const code = document.getElementById('verification-code').value.trim();
+
         try {
-            const backupCodes = this.enable2FA(currentUser, code);
-            this.displayBackupCodes(backupCodes);
+            const body = { code };
+            if (this.setup.challengeToken) body.challengeToken = this.setup.challengeToken;
+
+            this.setup.result = await this.request('enable', { body });
+            this.displayBackupCodes(this.setup.result.backup_codes);
             this.nextStep(4);
-            this.updateSecurityStatus();
         } catch (error) {
-            alert('Invalid verification code. Please try again.');
+            alert(error.code === 'invalid_code' ? 'Invalid verification code. Please try again.' : error.message);
         }
     }
 
@@ -427,17 +266,34 @@ class TwoFactorAuth {
         container.innerHTML = codes.map(code => `<code>${code}</code>`).join(' ');
     }
 
+    // Sign-in second step; resolves with { tokens } from /verify-login
+    showVerificationModal(challengeToken) {
+        return this.openVerification('verify-login', { challengeToken });
+    }
+
+    // Re-confirm the second factor for the current session before a sensitive action
+    stepUp() {
+        return this.openVerification('step-up');
+    }
+
+    showDisableModal() {
+        return this.openVerification('disable');
+    }
+
+    openVerification(path, body = {}) {
+        document.getElementById('auth-code').value = '';
+        document.getElementById('backup-code').value = '';
+        document.getElementById('backup-code-section').classList.add('hidden');
+        document.getElementById('twofa-verify-modal').classList.add('active');
+
+        return new Promise((resolve, reject) => {
+            this.verification = { path, body, resolve, reject };
+        });
+    }
+
     // Verify login
     verifyLogin() {
-        const currentUser = localStorage.getItem('currentUser');
-        const code = document.getElementById('auth-code').value;
-        
-        if (this.verifyTOTP(currentUser, code)) {
-            this.closeVerifyModal();
-            this.onVerificationSuccess();
-        } else {
-            alert('Invalid authentication code');
-        }
+        this.submitVerification({ code: document.getElementById('auth-code').value.trim() });
     }
 
     // Show backup codes section
@@ -447,39 +303,44 @@ class TwoFactorAuth {
 
     // Verify backup code
     verifyBackup() {
-        const currentUser = localStorage.getItem('currentUser');
-        const code = document.getElementById('backup-code').value;
-        
-        if (this.verifyBackupCode(currentUser, code)) {
+        this.submitVerification({ backupCode: document.getElementById('backup-code').value.trim() });
+    }
+
+    async submitVerification(factor) {
+        const verification = this.verification;
+        if (!verification) return;
+
+        try {
+            const data = await this.request(verification.path, { body: { ...verification.body, ...factor } });
             this.closeVerifyModal();
-            this.onVerificationSuccess();
-        } else {
-            alert('Invalid backup code');
+            verification.resolve(data);
+        } catch (error) {
+            if (error.code === 'invalid_code') {
+                alert(factor.backupCode ? 'Invalid backup code' : 'Invalid authentication code');
+                return;
+            }
+            // Expired sign-in challenge or server error: this attempt cannot continue
+            this.closeVerifyModal();
+            verification.reject(error);
         }
     }
 
+    cancelVerification() {
+        const verification = this.verification;
+        this.closeVerifyModal();
+        if (verification) verification.reject(this.cancelledError());
+    }
+
     // Close verify modal
     closeVerifyModal() {
+        this.verification = null;
         document.getElementById('twofa-verify-modal').classList.remove('active');
     }
 
-    // Handle successful verification
-    onVerificationSuccess() {
-        // Continue with login process
-        console.log('2FA verification successful');
-    }
-
-    // Check if 2FA verification is required
-    requiresVerification(userId, role) {
-        return this.requiresTwoFactor(role) && this.is2FAEnabled(userId);
-    }
-
-    // Show verification modal
-    showVerificationModal() {
-        document.getElementById('twofa-verify-modal').classList.add('active');
-        return new Promise((resolve, reject) => {
-            this.verificationPromise = { resolve, reject };
-        });
+    cancelledError() {
+        const error = new Error('Two-factor authentication was cancelled');
+        error.code = 'cancelled';
+        return error;
     }
 }
 
@@ -489,4 +350,4 @@ const twoFactorAuth = new TwoFactorAuth();
 // Export for use in other modules
 if (typeof window !== 'undefined') {
     window.twoFactorAuth = twoFactorAuth;
-}
\ No newline at end of file
+}
@@ -1,63 +1,27 @@
 /**
  * 2FA Login Integration
- * Integrates 2FA with existing login system
+ * The server asks for the second factor during sign-in (see finishSignIn in app.js); this
+ * nudges signed-in users who have not enrolled yet.
  */
 
-// Enhanced login function with 2FA support
-async function enhancedLogin(userAccount, userData) {
+// Add 2FA setup prompt for sensitive roles
+async function checkAndPrompt2FASetup() {
+    if (!window.twoFactorAuth || !window.authClient || !authClient.getAccessToken()) return;
+
     try {
-        // Check if user role requires 2FA
-        if (window.twoFactorAuth && window.twoFactorAuth.requiresVerification(userAccount, userData.role)) {
-            // Show 2FA verification modal
-            await window.twoFactorAuth.showVerificationModal();
-        }
-        
-        // Proceed with normal login
-        localStorage.setItem('currentUser', userAccount);
-        localStorage.setItem('loginTimestamp', new Date().toISOString());
-        
-        // Redirect to dashboard
-        window.location.href = 'dashboard.html';
-        
-    } catch (error) {
-        console.error('2FA verification failed:', error);
-        alert('Two-factor authentication failed. Please try again.');
-    }
-}
+        const status = await window.twoFactorAuth.loadStatus();
 
-// Override existing login functions
-if (typeof window !== 'undefined') {
-    // Store original login function
-    window.originalLogin = window.login || function() {};
-    
-    // Enhanced login with 2FA
-    window.login = function(userAccount, userData) {
-        if (userData) {
-            enhancedLogin(userAccount, userData);
-        } else {
-            // Fallback to original login
-            window.originalLogin(userAccount, userData);
+        // Check if user has sensitive role but no 2FA
+        if (status.available && status.required && !status.enabled) {
+            // Show setup prompt after 3 seconds
+            setTimeout(() => {
+                if (confirm('Your role requires enhanced security. Would you like to set up Two-Factor Authentication now?')) {
+                    window.twoFactorAuth.toggle2FA();
+                }
+            }, 3000);
         }
-    };
-}
-
-// Add 2FA setup prompt for sensitive roles
-function checkAndPrompt2FASetup() {
-    const currentUser = localStorage.getItem('currentUser');
-    if (!currentUser || !window.twoFactorAuth) return;
-    
-    const userData = JSON.parse(localStorage.getItem('evidUser_' + currentUser) || '{}');
-    
-    // Check if user has sensitive role but no 2FA
-    if (window.twoFactorAuth.requiresTwoFactor(userData.role) && 
-        !window.twoFactorAuth.is2FAEnabled(currentUser)) {
-        
-        // Show setup prompt after 3 seconds
-        setTimeout(() => {
-            if (confirm('Your role requires enhanced security. Would you like to set up Two-Factor Authentication now?')) {
-                window.twoFactorAuth.showSetupModal();
-            }
-        }, 3000);
+    } catch (error) {
+        console.error('Error checking 2FA status:', error);
     }
 }
 
@@ -72,7 +36,6 @@ document.addEventListener('DOMContentLoaded', function() {
 // Export functions
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
-        enhancedLogin,
         checkAndPrompt2FASetup
     };
-}
\ No newline at end of file
+}
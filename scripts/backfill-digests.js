@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill evidence digests
+ *
+ *   npm run digests:backfill              (add missing digests)
+ *   npm run digests:backfill -- --dry-run (only report what would change)
+ *
+ * Evidence stored before evidence.digests existed, or before an algorithm was added to
+ * EVIDENCE_DIGESTS, only has some of its digests. This re-reads each such file from blob storage
+ * and adds the missing ones. A file that no longer matches its recorded SHA-256, or any digest
+ * already recorded, is reported and left untouched. Existing digests are never replaced.
+ */
+
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { createStorageAdapter } = require('../lib/storage');
+const { createAuditLog } = require('../lib/audit');
+const { resolveDigestAlgorithms, digestStream } = require('../lib/digests');
+
+const PAGE_SIZE = 100;
+
+const main = async () => {
+    const dryRun = process.argv.includes('--dry-run');
+
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
+        console.error('❌ SUPABASE_URL and SUPABASE_KEY are required');
+        process.exit(1);
+    }
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+    const storage = createStorageAdapter();
+    const algorithms = resolveDigestAlgorithms();
+
+    console.log(`🔢 Digests: ${algorithms.join(', ')}${dryRun ? ' (dry run)' : ''}`);
+
+    const updated = [];
+    const mismatched = [];
+    const unreadable = [];
+    let lastId = 0;
+
+    for (;;) {
+        const { data: rows, error } = await supabase
+            .from('evidence')
+            .select('id, hash, digests, storage_key')
+            .not('storage_key', 'is', null)
+            .gt('id', lastId)
+            .order('id', { ascending: true })
+            .limit(PAGE_SIZE);
+
+        if (error) throw error;
+        if (rows.length === 0) break;
+        lastId = rows[rows.length - 1].id;
+
+        for (const row of rows) {
+            const recorded = { ...(row.digests || {}), sha256: row.hash };
+            const missing = algorithms.filter(algorithm => !(row.digests || {})[algorithm]);
+            if (missing.length === 0) continue;
+
+            let computed;
+            try {
+                const toCompute = [...new Set([...Object.keys(recorded), ...missing])];
+                computed = await digestStream(await storage.createReadStream(row.storage_key), toCompute);
+            } catch (readError) {
+                unreadable.push(row.id);
+                console.error(`  ❌ Evidence ${row.id}: ${readError.message}`);
+                continue;
+            }
+
+            const conflicts = Object.keys(recorded).filter(algorithm => computed[algorithm] !== recorded[algorithm]);
+            if (conflicts.length > 0) {
+                mismatched.push(row.id);
+                console.error(`  ⚠️ Evidence ${row.id}: stored file does not match recorded ${conflicts.join(', ')} - left untouched`);
+                continue;
+            }
+
+            const digests = { ...computed, ...recorded };
+            if (!dryRun) {
+                const { error: updateError } = await supabase
+                    .from('evidence')
+                    .update({ digests })
+                    .eq('id', row.id);
+
+                if (updateError) throw updateError;
+            }
+
+            updated.push(row.id);
+            console.log(`  ✅ Evidence ${row.id}: added ${missing.join(', ')}`);
+        }
+    }
+
+    if (!dryRun && updated.length > 0) {
+        await createAuditLog({ supabase }).append('activity_logs', {
+            user_id: 'system',
+            action: 'evidence_digests_backfilled',
+            details: { algorithms, evidence_ids: updated, mismatched, unreadable },
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    console.log(`\n${dryRun ? 'Would update' : 'Updated'} ${updated.length} item(s); ${mismatched.length} mismatched, ${unreadable.length} unreadable.`);
+    process.exit(mismatched.length + unreadable.length === 0 ? 0 : 1);
+};
+
+main().catch((error) => {
+    console.error('❌ Backfill failed:', error.message);
+    process.exit(2);
+});
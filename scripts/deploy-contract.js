@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Deploy contracts/EvidenceStorage.sol
+ *
+ * Local dev chain:
+ *   anvil                      (npm run chain:node)
+ *   npm run chain:deploy
+ *
+ * Uses BLOCKCHAIN_RPC_URL and BLOCKCHAIN_PRIVATE_KEY from .env, then prints the
+ * EVIDENCE_CONTRACT_ADDRESS to add to .env.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { compileContract } = require('../lib/chain/compile');
+
+const main = async () => {
+    const rpcUrl = process.env.BLOCKCHAIN_RPC_URL || 'http://127.0.0.1:8545';
+    const privateKey = process.env.BLOCKCHAIN_PRIVATE_KEY;
+
+    if (!privateKey) {
+        console.error('❌ BLOCKCHAIN_PRIVATE_KEY is required to deploy');
+        process.exit(1);
+    }
+
+    console.log('🔨 Compiling EvidenceStorage.sol...');
+    const artifact = compileContract('EvidenceStorage');
+
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const wallet = new ethers.Wallet(privateKey, provider);
+    const network = await provider.getNetwork();
+
+    console.log(`🚀 Deploying from ${wallet.address} to chain ${network.chainId} (${rpcUrl})...`);
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, wallet);
+    const contract = await factory.deploy();
+    const receipt = await contract.deploymentTransaction().wait();
+    const address = await contract.getAddress();
+
+    const artifactDir = path.join(__dirname, '..', 'build', 'contracts');
+    fs.mkdirSync(artifactDir, { recursive: true });
+    fs.writeFileSync(path.join(artifactDir, 'EvidenceStorage.json'), JSON.stringify({
+        ...artifact,
+        networks: { [network.chainId.toString()]: { address, transactionHash: receipt.hash } }
+    }, null, 2));
+
+    console.log(`✅ EvidenceStorage deployed at ${address} (block ${receipt.blockNumber})`);
+    console.log(`\nAdd to .env:\nEVIDENCE_CONTRACT_ADDRESS=${address}`);
+};
+
+main().catch((error) => {
+    console.error('❌ Deployment failed:', error.message);
+    process.exit(1);
+});
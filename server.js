@@ -6,11 +6,69 @@ const { createClient } = require('@supabase/supabase-js');
 const rateLimit = require('express-rate-limit');
 const archiver = require('archiver');
 const sharp = require('sharp');
+const QRCode = require('qrcode');
 const { PDFDocument, rgb } = require('pdf-lib');
+const crypto = require('crypto');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
+const { createStorageAdapter, storeBlob, storeFile, hashBuffer } = require('./lib/storage');
+const { createResumableUploads, uploadStatus, signUploadReceipt, SHA256_PATTERN } = require('./lib/uploads');
+const { resolveDigestAlgorithms, parseDigest, evidenceDigest } = require('./lib/digests');
+const { checkContentType, SNIFF_BYTES } = require('./lib/content-sniffing');
+const { createScanner } = require('./lib/scanning');
+const { loadSigner } = require('./lib/signing');
+const { createChainClient, buildMerkleTree, merkleLeaf } = require('./lib/chain');
+const { verifyEvidence } = require('./lib/verification');
+const { DERIVATION_RELATIONS, parseDerivation, buildVersionTree } = require('./lib/evidence-versions');
+const {
+    AUDIT_CHAINS,
+    createAuditLog,
+    checkpointRoot,
+    encodeCursor,
+    parseEventFilters,
+    sourceHasResourceType,
+    applyEventFilters,
+    toAuditEvent,
+    eventsToCsv,
+    eventsToJsonLines,
+    createSignedEventsPdf
+} = require('./lib/audit');
+const { MANUAL_CUSTODY_EVENTS, DISPOSAL_CUSTODY_EVENTS, createCustodyLedger } = require('./lib/custody');
+const { rolePermissions, resolvePermissions, describePermissions } = require('./lib/permissions');
+const { resolveAccessScope, canViewCase, canViewEvidence, evidenceFilter, caseFilter } = require('./lib/access');
+const {
+    createTokenService,
+    authenticate,
+    generateNonce,
+    createSiweMessage,
+    parseSiweMessage,
+    verifySiweMessage,
+    createSecretBox,
+    generateTotpSecret,
+    verifyTotp,
+    otpauthUrl,
+    generateBackupCodes,
+    DEFAULT_PASSWORD_POLICY,
+    normalizePasswordPolicy,
+    checkPassword,
+    passwordExpiry,
+    createIdleTimeouts,
+    idleTimeoutMinutes,
+    idleExpiry,
+    describeDevice,
+    CLEARED_LOGIN_FAILURES,
+    createLockoutPolicy,
+    loginAttemptStatus,
+    registerLoginFailure,
+    webauthn
+} = require('./lib/auth');
+const { createMailTransport, passwordResetEmail, passwordChangedEmail, failedSignInEmail } = require('./lib/mail');
+const { createForensicPackage, LAYOUTS: FORENSIC_EXPORT_LAYOUTS } = require('./lib/forensic-export');
 
 const app = express();
 const server = createServer(app);
@@ -35,14 +93,105 @@ if (!supabaseUrl || !supabaseKey) {
 
 const supabase = createClient(supabaseUrl, supabaseKey);
 
+// Evidence file storage (STORAGE_BACKEND=local|s3)
+const storage = createStorageAdapter();
+console.log(`🗄️ Evidence storage backend: ${storage.name}`);
+
+// Signs export manifests and receipts (EVIDENCE_SIGNING_KEY_PATH)
+const signer = loadSigner();
+
+// JWT access tokens and rotating refresh tokens (JWT_SECRET)
+const tokens = createTokenService();
+
+// Encrypts TOTP secrets and keys backup-code hashes (ENCRYPTION_KEY)
+const secretBox = createSecretBox();
+if (!secretBox) {
+    console.warn('⚠️ ENCRYPTION_KEY not set - two-factor authentication is unavailable; roles that require it cannot sign in');
+}
+
+// Password reset and notification email (MAIL_TRANSPORT=smtp|file|console)
+const mailer = createMailTransport();
+console.log(`✉️ Mail transport: ${mailer.name}`);
+
+// On-chain anchoring through EvidenceStorage.sol (null when BLOCKCHAIN_* is not configured)
+const chain = createChainClient();
+console.log(chain
+    ? `⛓️ Evidence anchoring via contract ${chain.contractAddress}`
+    : '⛓️ Blockchain not configured - evidence will not be anchored');
+
+// ANCHOR_MODE=batch collects hashes and anchors one Merkle root per window; single anchors each upload
+const ANCHOR_MODE = process.env.ANCHOR_MODE === 'single' ? 'single' : 'batch';
+const ANCHOR_BATCH_INTERVAL_MS = parseInt(process.env.ANCHOR_BATCH_INTERVAL_MS || '60000', 10);
+const ANCHOR_BATCH_MAX_SIZE = parseInt(process.env.ANCHOR_BATCH_MAX_SIZE || '500', 10);
+
+// activity_logs and admin_actions are hash chains; their heads are checkpointed (and anchored) this often
+const auditLog = createAuditLog({ supabase });
+const AUDIT_CHECKPOINT_INTERVAL_MS = parseInt(process.env.AUDIT_CHECKPOINT_INTERVAL_MS || String(60 * 60 * 1000), 10);
+
+// Signed chain-of-custody entries per evidence item
+const custodyLedger = createCustodyLedger({ supabase, signer });
+
+// Digests computed at ingest next to SHA-256 (EVIDENCE_DIGESTS=md5,sha1,sha512,...)
+const EVIDENCE_DIGEST_ALGORITHMS = resolveDigestAlgorithms();
+
+// Chunked, resumable uploads for files too large for one request (UPLOAD_SESSION_PATH, UPLOAD_CHUNK_SIZE_MB)
+const resumableUploads = createResumableUploads();
+const UPLOAD_SESSION_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Malware scanning of uploads (SCAN_BACKEND=clamd|stub); files stay quarantined until their scan passes
+const scanner = createScanner();
+console.log(`🦠 Malware scanner: ${scanner.name}`);
+if (scanner.name === 'stub') {
+    console.warn('⚠️ SCAN_BACKEND=stub - uploads are only checked for the EICAR test file');
+}
+const SCAN_RETRY_INTERVAL_MS = 15 * 60 * 1000;
+
+// Second-factor step-up for destructive admin routes (off unless explicitly enabled)
+const ADMIN_STEP_UP_REQUIRED = process.env.ADMIN_STEP_UP_REQUIRED === 'true';
+const STEP_UP_MAX_AGE_MS = parseInt(process.env.STEP_UP_MAX_AGE_MS || String(5 * 60 * 1000), 10);
+
+// Sessions end after a role-based idle time (SESSION_IDLE_TIMEOUTS=role:minutes,... overrides defaults);
+// last_activity_at is written at most once per SESSION_ACTIVITY_WRITE_MS
+const sessionIdleTimeouts = createIdleTimeouts();
+const SESSION_ACTIVITY_WRITE_MS = 60 * 1000;
+
+// Per-account failed sign-in counting (LOGIN_LOCKOUT_ATTEMPTS, LOGIN_LOCKOUT_MINUTES)
+const lockoutPolicy = createLockoutPolicy();
+
+// Password reset links
+const PASSWORD_RESET_TTL_MS = parseInt(process.env.PASSWORD_RESET_TTL_MS || String(30 * 60 * 1000), 10);
+const PASSWORD_RESET_MAX_PER_HOUR = parseInt(process.env.PASSWORD_RESET_MAX_PER_HOUR || '3', 10);
+
+// Sensitive actions that need a recent passkey assertion on the session (comma-separated, off when empty):
+// legal_hold_release, role_change_approve, evidence_delete. evidence_delete is enforced even when not listed.
+const PASSKEY_STEP_UP_ACTIONS = (process.env.PASSKEY_STEP_UP_ACTIONS || '')
+    .split(',')
+    .map(action => action.trim())
+    .filter(Boolean);
+
+// Evidence columns plus the Merkle batch it was anchored in
+const EVIDENCE_WITH_BATCH = '*, anchor_batch:anchor_batches(*)';
+
 // Store connected users for real-time notifications
 const connectedUsers = new Map();
 
+// Sockets authenticate with the same access token as the API
+io.use((socket, next) => {
+    try {
+        socket.data.user = tokens.verifyAccessToken(socket.handshake.auth?.token);
+        next();
+    } catch (error) {
+        next(new Error('Authentication required'));
+    }
+});
+
 // WebSocket connection handling
 io.on('connection', (socket) => {
     console.log('User connected:', socket.id);
 
-    socket.on('join', (walletAddress) => {
+    // Joins the authenticated user's own room only
+    socket.on('join', () => {
+        const walletAddress = socket.data.user.wallet_address;
         if (validateWalletAddress(walletAddress)) {
             connectedUsers.set(walletAddress, socket.id);
             socket.join(walletAddress);
@@ -129,7 +278,8 @@ app.use(cors({
     origin: process.env.NODE_ENV === 'production' 
         ? (process.env.ALLOWED_ORIGINS?.split(',') || ['https://blockchain-evidence.onrender.com']).map(url => url.trim())
         : ['http://localhost:3000', 'http://127.0.0.1:3000'],
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['Content-Disposition', 'X-Watermark-Applied', 'X-Original-SHA256', 'X-Content-SHA256', 'X-Export-Count', 'X-Export-Truncated', 'X-Export-SHA256', 'X-Signature-Key-Id']
 }));
 
 // 2. JSON/BODY PARSER
@@ -185,13 +335,137 @@ const authLimiter = rateLimit({
     message: { error: 'Too many authentication attempts, please try again later' }
 });
 
+// Resumable upload chunks; a 500MB file is 64 requests at the default chunk size
+const isUploadChunk = (req) => req.method === 'PUT' && /^\/evidence\/uploads\/[^/]+\/chunks\/[^/]+$/.test(req.path);
+
 // Rate limiting
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100 // limit each IP to 100 requests per windowMs
+    max: 100, // limit each IP to 100 requests per windowMs
+    skip: isUploadChunk // counted per user by chunkLimiter instead
 });
 app.use('/api/', limiter);
 
+// Limits for signed-in routes, counted per user rather than per IP so users behind one NAT do not share them
+const userLimiter = (options) => rateLimit({
+    keyGenerator: (req) => `user:${req.user.id}`,
+    ...options
+});
+
+// Upload chunks (UPLOAD_CHUNK_RATE_LIMIT per 15 minutes, default 2000: about 16GB at 8MB chunks)
+const chunkLimiter = userLimiter({
+    windowMs: 15 * 60 * 1000,
+    max: parseInt(process.env.UPLOAD_CHUNK_RATE_LIMIT || '2000', 10),
+    message: { error: 'Too many upload chunks, please wait before sending more' }
+});
+
+// Second-factor checks by a signed-in (or enrolling) user: step-up, enrollment, backup codes and
+// disabling. Kept apart from authLimiter so confirming a sensitive action does not use up the
+// sign-in attempts of everyone on the same IP
+const secondFactorLimiter = userLimiter({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    message: { error: 'Too many verification attempts, please try again later' }
+});
+
+// Every API route needs a bearer access token except these
+const publicApiPaths = [
+    '/health',
+    '/auth/email-login',
+    '/auth/email-register',
+    '/auth/wallet-register',
+    '/auth/siwe/nonce',
+    '/auth/siwe/verify',
+    '/auth/refresh',
+    '/auth/forgot-password',
+    '/auth/reset-password',
+    '/auth/password-policy',
+    '/auth/2fa/verify-login',
+    '/auth/webauthn/login/options',
+    '/auth/webauthn/login/verify',
+    // These authenticate either way themselves (authenticateEnrollment)
+    '/auth/2fa/setup',
+    '/auth/2fa/enable',
+    '/auth/change-password',
+    '/evidence/verify-integrity'
+];
+// Media elements cannot send headers, so these GET routes also accept ?access_token=
+const queryTokenPaths = [/^\/evidence\/[^/]+\/file$/];
+
+const requireAuth = authenticate(tokens);
+const requireAuthOrQueryToken = authenticate(tokens, { allowQueryToken: true });
+
+/**
+ * Mark active sessions ended and return them.
+ * @param {Function} filter - Narrows the update query, e.g. query => query.eq('user_id', id)
+ * @param {string} reason - 'logout', 'revoked', 'idle_timeout', 'password_reset' or 'account_inactive'
+ */
+const endSessions = async (filter, reason) => {
+    const { data: ended, error } = await filter(supabase
+        .from('user_sessions')
+        .update({ is_active: false, ended_at: new Date().toISOString(), end_reason: reason })
+        .eq('is_active', true))
+        .select('id, user_agent, ip_address');
+
+    if (error) throw error;
+    return ended;
+};
+
+const endSession = (sessionId, reason) => endSessions(query => query.eq('id', sessionId), reason);
+
+/**
+ * After the access token checks out: its session must still be active and not idle for longer
+ * than the role's timeout, so revoking a session takes effect on the next request.
+ */
+const requireActiveSession = async (req, res, next) => {
+    try {
+        const { data: session, error } = await supabase
+            .from('user_sessions')
+            .select('id, is_active, expires_at, created_at, last_activity_at')
+            .eq('id', req.user.session_id)
+            .eq('user_id', req.user.id)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        const now = Date.now();
+        if (!session || !session.is_active || new Date(session.expires_at).getTime() <= now) {
+            return res.status(401).json({ error: 'Session has ended. Please sign in again', code: 'session_inactive' });
+        }
+
+        if (idleExpiry(session, sessionIdleTimeouts, req.user.role).getTime() <= now) {
+            await endSession(session.id, 'idle_timeout');
+            return res.status(401).json({ error: 'Session timed out after inactivity. Please sign in again', code: 'session_idle_timeout' });
+        }
+
+        const lastActivity = new Date(session.last_activity_at || session.created_at).getTime();
+        if (now - lastActivity >= SESSION_ACTIVITY_WRITE_MS) {
+            await supabase
+                .from('user_sessions')
+                .update({ last_activity_at: new Date(now).toISOString(), last_ip_address: req.ip })
+                .eq('id', session.id);
+        }
+
+        next();
+    } catch (error) {
+        console.error('Session check error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// A valid access token for a session that is still active
+const requireSession = (req, res, next) => requireAuth(req, res, () => requireActiveSession(req, res, next));
+
+app.use('/api/', (req, res, next) => {
+    if (publicApiPaths.includes(req.path)) {
+        return next();
+    }
+    if (req.method === 'GET' && queryTokenPaths.some(pattern => pattern.test(req.path))) {
+        return requireAuthOrQueryToken(req, res, () => requireActiveSession(req, res, next));
+    }
+    return requireSession(req, res, next);
+});
+
 // Admin rate limiting (stricter)
 const adminLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
@@ -211,6 +485,10 @@ const validateWalletAddress = (address) => {
 
 const allowedRoles = ['public_viewer', 'investigator', 'forensic_analyst', 'legal_professional', 'court_official', 'evidence_manager', 'auditor', 'admin'];
 
+// Self-registered accounts get no privileges; other roles are granted through role change requests
+const SELF_REGISTRATION_ROLE = 'public_viewer';
+const SELF_REGISTRATION_ROLE_ERROR = `New accounts are created as ${SELF_REGISTRATION_ROLE}; other roles are granted by an administrator through a role change request`;
+
 // ============================================================================
 // CRITICAL: Health Check BEFORE Static Files (but after middleware)
 // ============================================================================
@@ -231,123 +509,390 @@ const generateWatermarkText = (userWallet, caseNumber, timestamp) => {
     return `${userWallet.slice(0, 8)}... | Case: ${caseNumber || 'N/A'} | ${new Date(timestamp).toLocaleString()}`;
 };
 
+const escapeXml = (text) => {
+    return String(text).replace(/[<>&'"]/g, (char) => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+    }[char]));
+};
+
+// Watermark helpers throw on failure: a download must never claim a watermark it doesn't carry
 const watermarkImage = async (imageBuffer, watermarkText) => {
-    try {
-        const image = sharp(imageBuffer);
-        const { width, height } = await image.metadata();
-        
-        const watermarkSvg = `
-            <svg width="${width}" height="${height}">
-                <rect width="100%" height="100%" fill="none"/>
-                <text x="10" y="${height - 20}" font-family="Arial" font-size="14" fill="rgba(255,255,255,0.8)" stroke="rgba(0,0,0,0.8)" stroke-width="1">${watermarkText}</text>
-            </svg>
-        `;
-        
-        return await image
-            .composite([{ input: Buffer.from(watermarkSvg), top: 0, left: 0 }])
-            .toBuffer();
-    } catch (error) {
-        console.error('Image watermarking error:', error);
-        return imageBuffer; // Return original if watermarking fails
-    }
+    const image = sharp(imageBuffer);
+    const { width, height } = await image.metadata();
+
+    const watermarkSvg = `
+        <svg width="${width}" height="${height}">
+            <rect width="100%" height="100%" fill="none"/>
+            <text x="10" y="${height - 20}" font-family="Arial" font-size="14" fill="rgba(255,255,255,0.8)" stroke="rgba(0,0,0,0.8)" stroke-width="1">${escapeXml(watermarkText)}</text>
+        </svg>
+    `;
+
+    return await image
+        .composite([{ input: Buffer.from(watermarkSvg), top: 0, left: 0 }])
+        .toBuffer();
 };
 
 const watermarkPDF = async (pdfBuffer, watermarkText) => {
-    try {
-        const pdfDoc = await PDFDocument.load(pdfBuffer);
-        const pages = pdfDoc.getPages();
-        
-        pages.forEach(page => {
-            const { width, height } = page.getSize();
-            page.drawText(watermarkText, {
-                x: 10,
-                y: 10,
-                size: 8,
-                color: rgb(0.5, 0.5, 0.5),
-            });
+    const pdfDoc = await PDFDocument.load(pdfBuffer);
+    const pages = pdfDoc.getPages();
+
+    pages.forEach(page => {
+        page.drawText(watermarkText, {
+            x: 10,
+            y: 10,
+            size: 8,
+            color: rgb(0.5, 0.5, 0.5),
         });
-        
-        return await pdfDoc.save();
-    } catch (error) {
-        console.error('PDF watermarking error:', error);
-        return pdfBuffer; // Return original if watermarking fails
+    });
+
+    return Buffer.from(await pdfDoc.save());
+};
+
+// Burn the watermark into every frame with ffmpeg's drawtext filter (requires FFMPEG_PATH)
+const execFileAsync = promisify(execFile);
+
+const watermarkVideo = async (videoBuffer, watermarkText, extension) => {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'evid-wm-'));
+    const inputFile = path.join(workDir, `input${extension}`);
+    const outputFile = path.join(workDir, `output${extension}`);
+    const textFile = path.join(workDir, 'watermark.txt');
+
+    try {
+        await fs.promises.writeFile(inputFile, videoBuffer);
+        // textfile= avoids escaping wallet/case text inside the filter graph
+        await fs.promises.writeFile(textFile, watermarkText);
+
+        await execFileAsync(process.env.FFMPEG_PATH, [
+            '-y',
+            '-i', inputFile,
+            '-vf', `drawtext=textfile=${textFile}:x=10:y=h-th-20:fontsize=18:fontcolor=white@0.8:box=1:boxcolor=black@0.5`,
+            '-c:a', 'copy',
+            outputFile
+        ], { maxBuffer: 10 * 1024 * 1024 });
+
+        return await fs.promises.readFile(outputFile);
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+};
+
+// Formats we can't watermark are served as-is and flagged with X-Watermark-Applied: false
+const getWatermarkStrategy = (mimeType) => {
+    if (mimeType?.startsWith('image/')) return 'image';
+    if (mimeType === 'application/pdf') return 'pdf';
+    if (mimeType?.startsWith('video/')) return 'video';
+    if (mimeType?.startsWith('audio/')) return 'audio';
+    return 'none';
+};
+
+// Why a watermarked copy can't be produced, or null when it can
+const getWatermarkUnavailableReason = (mimeType) => {
+    const strategy = getWatermarkStrategy(mimeType);
+
+    // Audio has no visual channel to carry a watermark, and video needs ffmpeg
+    if (strategy === 'audio') {
+        return 'Watermarked download is not available for audio evidence. Request a certified copy from the evidence manager.';
+    }
+    if (strategy === 'video' && !process.env.FFMPEG_PATH) {
+        return 'Watermarked download of video evidence requires ffmpeg, which is not configured on this server (FFMPEG_PATH).';
     }
+    return null;
+};
+
+// Load the stored original and render the watermarked derivative for the requesting user
+const createWatermarkedCopy = async (evidence, userWallet) => {
+    const strategy = getWatermarkStrategy(evidence.file_type);
+    const watermarkText = generateWatermarkText(userWallet, evidence.case_number || evidence.case_id, new Date());
+    const originalBuffer = await storage.get(evidence.storage_key);
+    const extension = path.extname(evidence.file_name || '').toLowerCase() || '.bin';
+
+    let buffer;
+    if (strategy === 'image') {
+        buffer = await watermarkImage(originalBuffer, watermarkText);
+    } else if (strategy === 'pdf') {
+        buffer = await watermarkPDF(originalBuffer, watermarkText);
+    } else if (strategy === 'video') {
+        buffer = await watermarkVideo(originalBuffer, watermarkText, extension);
+    } else {
+        buffer = originalBuffer;
+    }
+
+    return { buffer, extension, watermarkApplied: strategy !== 'none' };
 };
 
 const logDownloadAction = async (userWallet, evidenceId, actionType, details) => {
     try {
-        await supabase
-            .from('activity_logs')
-            .insert({
-                user_id: userWallet,
-                action: actionType,
-                details: JSON.stringify(details),
-                timestamp: new Date().toISOString()
-            });
+        await auditLog.append('activity_logs', {
+            user_id: userWallet,
+            action: actionType,
+            resource_type: evidenceId ? 'evidence' : null,
+            resource_id: evidenceId ? String(evidenceId) : null,
+            details,
+            timestamp: new Date().toISOString()
+        });
     } catch (error) {
         console.error('Error logging download action:', error);
     }
 };
 
-// Middleware to verify admin permissions
+// Middleware to verify admin permissions: the caller's session must still be live
+// and they must be an active admin in users
 const verifyAdmin = async (req, res, next) => {
     try {
-        const { adminWallet } = req.body;
+        const [{ data: admin }, { data: session }] = await Promise.all([
+            supabase
+                .from('users')
+                .select('*')
+                .eq('id', req.user.id)
+                .eq('is_active', true)
+                .maybeSingle(),
+            supabase
+                .from('user_sessions')
+                .select('id, step_up_at')
+                .eq('id', req.user.session_id)
+                .eq('user_id', req.user.id)
+                .eq('is_active', true)
+                .gt('expires_at', new Date().toISOString())
+                .maybeSingle()
+        ]);
+
+        if (!session) {
+            await logAdminDenial(req, 'session_inactive');
+            return res.status(401).json({ error: 'Session has ended. Please sign in again', code: 'session_inactive' });
+        }
 
-        if (!adminWallet || !validateWalletAddress(adminWallet)) {
-            return res.status(400).json({ error: 'Invalid admin wallet address' });
+        if (!admin || admin.role !== 'admin') {
+            await logAdminDenial(req, admin ? 'not_admin' : 'account_inactive');
+            return res.status(403).json({ error: 'Access denied. Administrator privileges required' });
         }
 
-        // For local development, allow any wallet to be admin (since we're using localStorage)
-        // In production, this should be restricted to specific wallets
-        req.admin = {
-            wallet_address: adminWallet,
-            full_name: 'Administrator',
-            role: 'admin',
-            is_active: true
-        };
+        req.admin = admin;
+        req.adminSession = session;
         next();
-        return;
+    } catch (error) {
+        console.error('Admin verification error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Destructive admin operations: when enabled, the session must have passed a second factor recently.
+// Must run after verifyAdmin.
+const requireStepUp = async (req, res, next) => {
+    if (!ADMIN_STEP_UP_REQUIRED) {
+        return next();
+    }
+
+    const steppedUpAt = req.adminSession.step_up_at ? new Date(req.adminSession.step_up_at).getTime() : 0;
+
+    if (Date.now() - steppedUpAt > STEP_UP_MAX_AGE_MS) {
+        await logAdminDenial(req, 'step_up_required');
+        return res.status(403).json({
+            error: 'Confirm this action with your second factor first',
+            code: 'step_up_required',
+            max_age_seconds: Math.floor(STEP_UP_MAX_AGE_MS / 1000)
+        });
+    }
+
+    next();
+};
+
+/**
+ * Sensitive actions named in PASSKEY_STEP_UP_ACTIONS (or marked `always`): the session must have passed a passkey
+ * assertion (POST /api/auth/webauthn/step-up/verify) within STEP_UP_MAX_AGE_MS.
+ * @param {string} action
+ * @param {Object} [options]
+ * @param {Function} [options.when] - Only enforce when this returns true for the request
+ */
+const requirePasskeyStepUp = (action, { when = () => true, always = false } = {}) => async (req, res, next) => {
+    if (!(always || PASSKEY_STEP_UP_ACTIONS.includes(action)) || !when(req)) {
+        return next();
+    }
+
+    try {
+        const { data: session } = await supabase
+            .from('user_sessions')
+            .select('step_up_at, step_up_method')
+            .eq('id', req.user.session_id)
+            .eq('user_id', req.user.id)
+            .maybeSingle();
+
+        const steppedUpAt = session && session.step_up_method === 'passkey' && session.step_up_at
+            ? new Date(session.step_up_at).getTime()
+            : 0;
+
+        if (Date.now() - steppedUpAt > STEP_UP_MAX_AGE_MS) {
+            return res.status(403).json({
+                error: 'Confirm this action with your passkey first',
+                code: 'passkey_step_up_required',
+                action,
+                max_age_seconds: Math.floor(STEP_UP_MAX_AGE_MS / 1000)
+            });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Passkey step-up check error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
 
-        // Database check (commented out for local development)
-        /*
-        const { data: admin, error } = await supabase
+// Role and user_permissions rows for a user; inactive accounts resolve to no permissions
+const loadEffectivePermissions = async (userId) => {
+    const [{ data: account }, { data: overrides }] = await Promise.all([
+        supabase
             .from('users')
-            .select('*')
-            .eq('wallet_address', adminWallet)
-            .eq('role', 'admin')
-            .eq('is_active', true)
-            .single();
+            .select('id, role, is_active, wallet_address, jurisdiction')
+            .eq('id', userId)
+            .maybeSingle(),
+        supabase
+            .from('user_permissions')
+            .select('permission_name, effect, is_active, expires_at')
+            .eq('user_id', userId)
+    ]);
+
+    const role = account && account.is_active ? account.role : null;
+    return { account, role, ...resolvePermissions(role, overrides || []) };
+};
 
-        if (error || !admin) {
-            return res.status(403).json({ error: 'Access denied. Administrator privileges required' });
+// Effective permissions of the caller, loaded once per request
+const loadPermissions = async (req) => {
+    if (!req.permissions) {
+        const { account, role, permissions } = await loadEffectivePermissions(req.user.id);
+        req.account = role ? account : null;
+        req.permissions = new Set(permissions);
+    }
+    return req.permissions;
+};
+
+const hasPermission = async (req, permission) => (await loadPermissions(req)).has(permission);
+
+// Cases (and their evidence) the caller may see, resolved once per request (see lib/access.js)
+const loadAccessScope = async (req) => {
+    if (!req.accessScope) {
+        await loadPermissions(req);
+        req.accessScope = await resolveAccessScope({ supabase, user: req.account });
+    }
+    return req.accessScope;
+};
+
+const isEvidenceVisible = async (req, evidence) => canViewEvidence(await loadAccessScope(req), evidence);
+
+// The evidence row when it exists and is in the caller's scope; otherwise answers 404 and returns null
+const loadVisibleEvidence = async (req, res, id = req.params.id) => {
+    const { data: evidence, error } = await supabase
+        .from('evidence')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+    if (error || !evidence || !(await isEvidenceVisible(req, evidence))) {
+        res.status(404).json({ error: 'Evidence not found' });
+        return null;
+    }
+    return evidence;
+};
+
+// The case named by caseKey (evidence.case_id holds an id or a case number) when it exists and is in
+// the caller's scope; otherwise answers 404 and returns null
+const loadVisibleCase = async (req, res, caseKey) => {
+    const key = String(caseKey);
+    let query = supabase.from('cases').select('id, case_number');
+    query = /^\d+$/.test(key)
+        ? query.or(`id.eq.${key},case_number.eq.${key}`)
+        : query.eq('case_number', key);
+
+    const { data: cases, error } = await query.limit(1);
+    if (error) throw error;
+
+    if (cases.length === 0 || !canViewCase(await loadAccessScope(req), cases[0])) {
+        res.status(404).json({ error: 'Case not found' });
+        return null;
+    }
+    return cases[0];
+};
+
+// Ids among evidenceIds that do not exist or are outside the caller's scope
+const findHiddenEvidence = async (req, evidenceIds) => {
+    const { data: rows, error } = await supabase
+        .from('evidence')
+        .select('id, case_id, submitted_by, custodian')
+        .in('id', evidenceIds);
+
+    if (error) throw error;
+
+    const scope = await loadAccessScope(req);
+    const visible = new Set(rows.filter(row => canViewEvidence(scope, row)).map(row => String(row.id)));
+    return evidenceIds.filter(id => !visible.has(String(id)));
+};
+
+// Route guard: the caller must hold every listed permission (see lib/permissions.js)
+const requirePermission = (...permissions) => async (req, res, next) => {
+    try {
+        const granted = await loadPermissions(req);
+        const missing = permissions.filter(permission => !granted.has(permission));
+
+        if (missing.length > 0) {
+            return res.status(403).json({ error: 'Insufficient permissions', code: 'permission_denied', missing });
         }
 
-        req.admin = admin;
         next();
-        */
     } catch (error) {
-        console.error('Admin verification error:', error);
+        console.error('Permission check error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 };
 
+// Append to the activity_logs hash chain; a failed write is logged and never fails the request
+const logActivity = async (entry) => {
+    try {
+        await auditLog.append('activity_logs', entry);
+    } catch (error) {
+        console.error('Error writing activity log:', error);
+    }
+};
+
+// Add an entry to an evidence item's custody ledger on behalf of the route that acted on it
+const recordCustody = async (evidence, event) => {
+    try {
+        await custodyLedger.record(evidence, event);
+    } catch (error) {
+        console.error(`Error recording custody event for evidence ${evidence.id}:`, error);
+    }
+};
+
+// Purpose given by the caller for a custody entry, or the route's default
+const custodyPurpose = (purpose, fallback) => (typeof purpose === 'string' && purpose.trim())
+    ? purpose.trim().slice(0, 500)
+    : fallback;
+
 // Log admin actions
 const logAdminAction = async (adminWallet, actionType, targetWallet, details) => {
     try {
-        await supabase
-            .from('admin_actions')
-            .insert({
-                admin_wallet: adminWallet,
-                action_type: actionType,
-                target_wallet: targetWallet,
-                details: details
-            });
+        await auditLog.append('admin_actions', {
+            admin_wallet: adminWallet,
+            action_type: actionType,
+            target_wallet: targetWallet,
+            details: details
+        });
     } catch (error) {
         console.error('Error logging admin action:', error);
     }
 };
 
+// Refused admin requests are kept alongside the actions themselves
+const logAdminDenial = (req, reason) => logAdminAction(
+    req.user.wallet_address || req.user.email || `user:${req.user.id}`,
+    'access_denied',
+    req.body?.targetWallet || req.body?.adminData?.walletAddress || null,
+    {
+        reason,
+        method: req.method,
+        path: req.originalUrl,
+        role: req.user.role,
+        ip_address: req.ip
+    }
+);
+
 // API Routes
 // Rate limiter for case timeline pages
 const timelineLimiter = rateLimit({
@@ -387,7 +932,7 @@ app.get('/demo-case', (req, res) => {
 
 // Notification API endpoints
 // Get user notifications
-app.get('/api/notifications/:wallet', async (req, res) => {
+app.get('/api/notifications/:wallet', requirePermission('notifications:view'), async (req, res) => {
     try {
         const { wallet } = req.params;
         const { limit = 50, offset = 0, unread_only = false } = req.query;
@@ -396,6 +941,10 @@ app.get('/api/notifications/:wallet', async (req, res) => {
             return res.status(400).json({ error: 'Invalid wallet address' });
         }
 
+        if (wallet.toLowerCase() !== req.user.wallet_address?.toLowerCase()) {
+            return res.status(403).json({ error: 'You can only read your own notifications' });
+        }
+
         let query = supabase
             .from('notifications')
             .select('*')
@@ -426,10 +975,10 @@ app.get('/api/notifications/:wallet', async (req, res) => {
 });
 
 // Mark notification as read
-app.post('/api/notifications/:id/read', async (req, res) => {
+app.post('/api/notifications/:id/read', requirePermission('notifications:view'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { userWallet } = req.body;
+        const userWallet = req.user.wallet_address;
 
         if (!validateWalletAddress(userWallet)) {
             return res.status(400).json({ error: 'Invalid wallet address' });
@@ -451,9 +1000,9 @@ app.post('/api/notifications/:id/read', async (req, res) => {
 });
 
 // Mark all notifications as read
-app.post('/api/notifications/read-all', async (req, res) => {
+app.post('/api/notifications/read-all', requirePermission('notifications:view'), async (req, res) => {
     try {
-        const { userWallet } = req.body;
+        const userWallet = req.user.wallet_address;
 
         if (!validateWalletAddress(userWallet)) {
             return res.status(400).json({ error: 'Invalid wallet address' });
@@ -475,7 +1024,7 @@ app.post('/api/notifications/read-all', async (req, res) => {
 });
 
 // Create notification (for testing)
-app.post('/api/notifications/create', async (req, res) => {
+app.post('/api/notifications/create', requirePermission('notifications:send'), async (req, res) => {
     try {
         const { userWallet, title, message, type, data } = req.body;
 
@@ -507,83 +1056,549 @@ app.post('/api/notifications/create', async (req, res) => {
     }
 });
 
-// Email authentication endpoints
-app.post('/api/auth/email-login', authLimiter, async (req, res) => {
-    try {
-        const { email, password } = req.body;
+// ============================================================================
+// ACCOUNT LOCKOUT
+// ============================================================================
 
-        if (!email || !password) {
-            return res.status(400).json({ error: 'Email and password are required' });
+/**
+ * Refuse a sign-in attempt while the account is locked or still waiting out its delay.
+ * @param {string} method - 'password', 'wallet' or 'two_factor'
+ * @returns {Promise<boolean>} True when the response has been sent
+ */
+const refuseLockedAccount = async (user, method, res) => {
+    const status = loginAttemptStatus(user, lockoutPolicy);
+    if (status.allowed) return false;
+
+    await logAuthActivity(user, 'login_blocked', { method, reason: status.reason, retry_after: status.retry_after });
+
+    res.set('Retry-After', String(status.retry_after));
+    if (status.reason === 'locked') {
+        res.status(423).json({
+            error: 'Account is temporarily locked after repeated failed sign-in attempts',
+            code: 'account_locked',
+            locked_until: status.locked_until,
+            retry_after: status.retry_after
+        });
+    } else {
+        res.status(429).json({
+            error: `Too many failed sign-in attempts. Try again in ${status.retry_after} seconds`,
+            code: 'login_delayed',
+            retry_after: status.retry_after
+        });
+    }
+    return true;
+};
+
+// Tell the user by email (when they have one) and in-app that someone keeps failing to sign in
+const notifyLoginFailures = async (user, failures, lockedUntil) => {
+    if (user.email) {
+        try {
+            await mailer.send({ to: user.email, ...failedSignInEmail({ name: user.full_name, failures, lockedUntil }) });
+        } catch (error) {
+            console.error('Failed sign-in email error:', error);
         }
+    }
 
-        // Get user by email
-        const { data: user, error } = await supabase
+    await createNotification(
+        user.wallet_address || user.email,
+        lockedUntil ? 'Account locked' : 'Failed sign-in attempts',
+        lockedUntil
+            ? `Your account was locked after ${failures} failed sign-in attempts`
+            : `There have been ${failures} failed attempts to sign in to your account`,
+        'urgent',
+        { failures, locked_until: lockedUntil }
+    );
+};
+
+/**
+ * Count a failed sign-in against the account, locking it once lockoutPolicy.maxAttempts is reached.
+ * The update is conditional on the count read, so concurrent failures are all counted.
+ */
+const recordLoginFailure = async (user, method, req) => {
+    let account = user;
+
+    for (let attempt = 0; attempt < 3 && account; attempt++) {
+        const failure = registerLoginFailure(account, lockoutPolicy);
+        const { data: updated, error } = await supabase
             .from('users')
-            .select('*')
-            .eq('email', email.toLowerCase())
-            .eq('is_active', true)
-            .single();
+            .update(failure.changes)
+            .eq('id', user.id)
+            .eq('failed_login_attempts', account.failed_login_attempts || 0)
+            .select('id')
+            .maybeSingle();
 
-        if (error || !user) {
-            return res.status(401).json({ error: 'Invalid email or password' });
+        if (error) throw error;
+
+        if (updated) {
+            const lockedUntil = failure.changes.locked_until;
+            await logAuthActivity(user, 'login_failed', { method, failed_attempts: failure.failures, ip_address: req.ip });
+            if (failure.locked) {
+                await logAuthActivity(user, 'account_locked', { method, failed_attempts: failure.failures, locked_until: lockedUntil });
+            }
+            if (failure.notify) {
+                await notifyLoginFailures(user, failure.failures, lockedUntil);
+            }
+            return;
         }
 
-        // Verify password using database function
-        const { data: passwordValid, error: verifyError } = await supabase
-            .rpc('verify_password', { password, hash: user.password_hash });
+        account = await loadActiveUser(user.id);
+    }
+};
 
-        if (verifyError || !passwordValid) {
-            return res.status(401).json({ error: 'Invalid email or password' });
-        }
+// Forget failed attempts after a successful sign-in, password reset or admin unlock
+const clearLoginFailures = async (user) => {
+    if (!user.failed_login_attempts && !user.locked_until) return;
 
-        // Log login activity
-        await supabase
-            .from('activity_logs')
-            .insert({
-                user_id: user.email,
-                action: 'email_login',
-                details: JSON.stringify({ auth_type: 'email' }),
-                timestamp: new Date().toISOString()
-            });
+    const { error } = await supabase
+        .from('users')
+        .update(CLEARED_LOGIN_FAILURES)
+        .eq('id', user.id);
 
-        res.json({ 
-            success: true, 
-            user: {
-                id: user.id,
-                email: user.email,
-                full_name: user.full_name,
-                role: user.role,
-                department: user.department,
-                jurisdiction: user.jurisdiction,
-                auth_type: user.auth_type
-            }
-        });
-    } catch (error) {
-        console.error('Email login error:', error);
-        res.status(500).json({ error: 'Login failed' });
-    }
-});
+    if (error) throw error;
+};
 
-// Email registration endpoint
-app.post('/api/auth/email-register', authLimiter, async (req, res) => {
-    try {
-        const { email, password, fullName, role, department, jurisdiction } = req.body;
-        
-        console.log('Email registration request:', { email, fullName, role, department, jurisdiction });
+// ============================================================================
+// SESSIONS AND SIGN-IN
+// ============================================================================
 
-        if (!email || !password || !fullName || !role) {
-            return res.status(400).json({ error: 'Email, password, full name, and role are required' });
-        }
+// How long a Sign-In with Ethereum challenge stays valid
+const SIWE_CHALLENGE_TTL_MS = 10 * 60 * 1000;
 
-        if (password.length < 6) {
-            return res.status(400).json({ error: 'Password must be at least 6 characters long' });
-        }
+const siweDomain = (req) => process.env.SIWE_DOMAIN || req.get('host');
 
-        if (!allowedRoles.includes(role)) {
-            return res.status(400).json({ error: 'Invalid role selected' });
-        }
+// WebAuthn relying party: passkeys are bound to the RP ID and only accepted from this origin
+const webauthnRelyingParty = (req) => {
+    const origin = process.env.WEBAUTHN_ORIGIN || `${req.protocol}://${req.get('host')}`;
+    return { origin, rpId: process.env.WEBAUTHN_RP_ID || new URL(origin).hostname };
+};
 
-        // Check if email already exists
+// Profile fields returned to the browser after sign-in
+const publicUser = (user) => ({
+    id: user.id,
+    wallet_address: user.wallet_address,
+    email: user.email,
+    full_name: user.full_name,
+    role: user.role,
+    department: user.department,
+    jurisdiction: user.jurisdiction,
+    badge_number: user.badge_number,
+    auth_type: user.auth_type
+});
+
+const tokenResponse = (user, sessionId, refreshToken) => ({
+    access_token: tokens.issueAccessToken(user, sessionId),
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_in: tokens.accessTtlSeconds
+});
+
+// Open a user_sessions row for a fresh login and issue its first token pair
+const startSession = async (user, loginType, req, { stepUpMethod = null } = {}) => {
+    const refreshToken = tokens.generateRefreshToken();
+
+    await clearLoginFailures(user);
+
+    const { data: session, error } = await supabase
+        .from('user_sessions')
+        .insert({
+            user_id: user.id,
+            session_token: tokens.hashRefreshToken(refreshToken),
+            wallet_address: user.wallet_address || null,
+            email: user.email || null,
+            login_type: loginType,
+            ip_address: req.ip,
+            user_agent: req.get('user-agent') || null,
+            expires_at: tokens.refreshExpiry(),
+            step_up_at: stepUpMethod ? new Date().toISOString() : null,
+            step_up_method: stepUpMethod
+        })
+        .select('id')
+        .single();
+
+    if (error) throw error;
+
+    return tokenResponse(user, session.id, refreshToken);
+};
+
+// Roles that must sign in with a second factor
+const TWO_FACTOR_ROLES = ['admin', 'evidence_manager', 'court_official'];
+
+const requiresTwoFactor = (role) => TWO_FACTOR_ROLES.includes(role);
+
+/**
+ * Second half of every sign-in response: a session, or a challenge token when a TOTP code is still needed.
+ * Users who enabled two-factor must enter a code; users whose role requires it but who have not
+ * enrolled yet must enroll before they get a session. Without ENCRYPTION_KEY neither is possible,
+ * so those users are refused ({ error, status, code }) rather than given a password-only session.
+ */
+const sessionOrChallenge = async (user, loginType, req) => {
+    const { data: twoFactor, error } = await supabase
+        .from('user_two_factor')
+        .select('user_id')
+        .eq('user_id', user.id)
+        .eq('enabled', true)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    if (!secretBox && (twoFactor || requiresTwoFactor(user.role))) {
+        return {
+            error: 'This account requires two-factor authentication, which is not configured on this server',
+            status: 503,
+            code: 'two_factor_unavailable'
+        };
+    }
+
+    if (twoFactor) {
+        return {
+            two_factor_required: true,
+            challenge_token: tokens.issueChallengeToken(user, 'two_factor_login', loginType)
+        };
+    }
+    if (requiresTwoFactor(user.role)) {
+        return {
+            two_factor_setup_required: true,
+            challenge_token: tokens.issueChallengeToken(user, 'two_factor_enroll', loginType)
+        };
+    }
+    return { tokens: await startSession(user, loginType, req) };
+};
+
+// Check a signed SIWE message and burn its nonce; returns the lower-cased wallet address
+const consumeSiweSignature = async (message, signature, req) => {
+    if (!message || !signature) {
+        throw new Error('Signed sign-in message is required');
+    }
+
+    const { address, nonce } = verifySiweMessage({ message, signature, domain: siweDomain(req) });
+    const now = new Date().toISOString();
+
+    // Conditional update so the same challenge can only ever be redeemed once
+    const { data: challenge } = await supabase
+        .from('auth_nonces')
+        .update({ used_at: now })
+        .eq('nonce', nonce)
+        .eq('wallet_address', address)
+        .is('used_at', null)
+        .gt('expires_at', now)
+        .select()
+        .maybeSingle();
+
+    if (!challenge) {
+        throw new Error('Sign-in challenge is unknown, expired or already used');
+    }
+
+    return address;
+};
+
+// Sign-In with Ethereum step 1: issue a one-time EIP-4361 message for the wallet to sign
+app.post('/api/auth/siwe/nonce', async (req, res) => {
+    try {
+        const { address, chainId } = req.body;
+
+        if (!validateWalletAddress(address)) {
+            return res.status(400).json({ error: 'Invalid wallet address' });
+        }
+
+        const nonce = generateNonce();
+        const issuedAt = new Date();
+        const expiresAt = new Date(issuedAt.getTime() + SIWE_CHALLENGE_TTL_MS);
+        const domain = siweDomain(req);
+
+        const { error } = await supabase
+            .from('auth_nonces')
+            .insert({
+                nonce,
+                wallet_address: address.toLowerCase(),
+                expires_at: expiresAt.toISOString()
+            });
+
+        if (error) throw error;
+
+        const message = createSiweMessage({
+            domain,
+            address,
+            uri: `${req.protocol}://${domain}`,
+            chainId: Number(chainId) || 1,
+            nonce,
+            issuedAt: issuedAt.toISOString(),
+            expirationTime: expiresAt.toISOString()
+        });
+
+        res.json({ success: true, message, nonce, expires_at: expiresAt.toISOString() });
+    } catch (error) {
+        console.error('SIWE nonce error:', error);
+        res.status(500).json({ error: 'Failed to create sign-in challenge' });
+    }
+});
+
+// Sign-In with Ethereum step 2: verify the signature and start a session
+app.post('/api/auth/siwe/verify', authLimiter, async (req, res) => {
+    try {
+        const { message, signature } = req.body;
+
+        // The account the message claims to sign for, so a bad signature counts against it
+        let claimedAddress = null;
+        try {
+            claimedAddress = parseSiweMessage(message).address.toLowerCase();
+        } catch (error) {
+            // Rejected by consumeSiweSignature below
+        }
+
+        const { data: user } = claimedAddress
+            ? await supabase
+                .from('users')
+                .select('*')
+                .eq('wallet_address', claimedAddress)
+                .eq('is_active', true)
+                .maybeSingle()
+            : { data: null };
+
+        if (user && await refuseLockedAccount(user, 'wallet', res)) {
+            return;
+        }
+
+        let walletAddress;
+        try {
+            walletAddress = await consumeSiweSignature(message, signature, req);
+        } catch (error) {
+            if (user) {
+                await recordLoginFailure(user, 'wallet', req);
+            }
+            return res.status(401).json({ error: error.message });
+        }
+
+        if (!user) {
+            return res.status(404).json({
+                error: 'Wallet not registered',
+                registered: false,
+                wallet_address: walletAddress
+            });
+        }
+
+        await logActivity({
+            user_id: user.wallet_address,
+            action: 'wallet_login',
+            resource_type: 'user',
+            resource_id: user.wallet_address,
+            details: { auth_type: 'wallet', method: 'siwe' },
+            timestamp: new Date().toISOString()
+        });
+
+        const signIn = await sessionOrChallenge(user, 'wallet', req);
+        if (signIn.error) {
+            return res.status(signIn.status).json({ error: signIn.error, code: signIn.code });
+        }
+
+        res.json({
+            success: true,
+            user: publicUser(user),
+            ...signIn
+        });
+    } catch (error) {
+        console.error('SIWE verify error:', error);
+        res.status(500).json({ error: 'Sign-in failed' });
+    }
+});
+
+// Exchange a refresh token for a new access token; the refresh token is rotated every time
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({ error: 'Refresh token is required' });
+        }
+
+        const tokenHash = tokens.hashRefreshToken(refreshToken);
+        const now = new Date().toISOString();
+
+        const { data: session } = await supabase
+            .from('user_sessions')
+            .select('*')
+            .eq('session_token', tokenHash)
+            .eq('is_active', true)
+            .gt('expires_at', now)
+            .maybeSingle();
+
+        if (!session) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token', code: 'invalid_refresh_token' });
+        }
+
+        const { data: user } = await supabase
+            .from('users')
+            .select('*')
+            .eq('id', session.user_id)
+            .eq('is_active', true)
+            .maybeSingle();
+
+        if (!user) {
+            await endSession(session.id, 'account_inactive');
+            return res.status(401).json({ error: 'Account is no longer active', code: 'invalid_refresh_token' });
+        }
+
+        // Refreshing keeps the tokens valid but is not activity; an idle session cannot be renewed
+        if (idleExpiry(session, sessionIdleTimeouts, user.role).getTime() <= Date.now()) {
+            await endSession(session.id, 'idle_timeout');
+            return res.status(401).json({ error: 'Session timed out after inactivity', code: 'invalid_refresh_token' });
+        }
+
+        // Conditional on the old hash: a replayed refresh token loses the race
+        const nextRefreshToken = tokens.generateRefreshToken();
+        const { data: rotated } = await supabase
+            .from('user_sessions')
+            .update({ session_token: tokens.hashRefreshToken(nextRefreshToken), last_used_at: now })
+            .eq('id', session.id)
+            .eq('session_token', tokenHash)
+            .select('id')
+            .maybeSingle();
+
+        if (!rotated) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token', code: 'invalid_refresh_token' });
+        }
+
+        res.json({ success: true, tokens: tokenResponse(user, session.id, nextRefreshToken) });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: 'Failed to refresh session' });
+    }
+});
+
+// End the current session; its refresh token stops working immediately
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        await endSession(req.user.session_id, 'logout');
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Logout failed' });
+    }
+});
+
+// Current user, resolved from the access token
+app.get('/api/auth/me', async (req, res) => {
+    try {
+        const { data: user } = await supabase
+            .from('users')
+            .select('id, wallet_address, email, full_name, role, department, jurisdiction, badge_number, auth_type')
+            .eq('id', req.user.id)
+            .eq('is_active', true)
+            .maybeSingle();
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({ success: true, user });
+    } catch (error) {
+        console.error('Get current user error:', error);
+        res.status(500).json({ error: 'Failed to load current user' });
+    }
+});
+
+// Email authentication endpoints
+app.post('/api/auth/email-login', authLimiter, async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
+        }
+
+        // Get user by email
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('*')
+            .eq('email', email.toLowerCase())
+            .eq('is_active', true)
+            .single();
+
+        if (error || !user) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        if (await refuseLockedAccount(user, 'password', res)) {
+            return;
+        }
+
+        // Verify password using database function
+        const { data: passwordValid, error: verifyError } = await supabase
+            .rpc('verify_password', { password, hash: user.password_hash });
+
+        if (verifyError || !passwordValid) {
+            if (!verifyError) {
+                await recordLoginFailure(user, 'password', req);
+            }
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        // An expired password must be changed (POST /api/auth/change-password) before the session starts
+        const { policy } = await loadPasswordPolicy();
+        if (passwordExpiry(user.password_changed_at, policy).expired) {
+            await logAuthActivity(user, 'password_expired', { max_age_days: policy.maxAge });
+            return res.json({
+                success: true,
+                user: publicUser(user),
+                password_change_required: true,
+                challenge_token: tokens.issueChallengeToken(user, 'password_change', 'email')
+            });
+        }
+
+        // Log login activity
+        await logActivity({
+            user_id: user.email,
+            action: 'email_login',
+            resource_type: 'user',
+            resource_id: user.email,
+            details: { auth_type: 'email' },
+            timestamp: new Date().toISOString()
+        });
+
+        const signIn = await sessionOrChallenge(user, 'email', req);
+        if (signIn.error) {
+            return res.status(signIn.status).json({ error: signIn.error, code: signIn.code });
+        }
+
+        res.json({ 
+            success: true, 
+            user: {
+                id: user.id,
+                email: user.email,
+                full_name: user.full_name,
+                role: user.role,
+                department: user.department,
+                jurisdiction: user.jurisdiction,
+                auth_type: user.auth_type
+            },
+            ...signIn
+        });
+    } catch (error) {
+        console.error('Email login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+// Email registration endpoint
+app.post('/api/auth/email-register', authLimiter, async (req, res) => {
+    try {
+        const { email, password, fullName, role, department } = req.body;
+
+        if (!email || !password || !fullName) {
+            return res.status(400).json({ error: 'Email, password and full name are required' });
+        }
+
+        if (role && role !== SELF_REGISTRATION_ROLE) {
+            return res.status(400).json({ error: SELF_REGISTRATION_ROLE_ERROR });
+        }
+
+        const { policy } = await loadPasswordPolicy();
+        const issues = await passwordPolicyIssues(password, policy, { email, full_name: fullName });
+        if (issues.length > 0) {
+            return res.status(400).json(passwordPolicyError(issues));
+        }
+
+        // Check if email already exists
         const { data: existingUser } = await supabase
             .from('users')
             .select('email')
@@ -610,9 +1625,10 @@ app.post('/api/auth/email-register', authLimiter, async (req, res) => {
                 email: email.toLowerCase(),
                 password_hash: hashedPassword,
                 full_name: fullName,
-                role: role,
+                role: SELF_REGISTRATION_ROLE,
                 department: department || 'General',
-                jurisdiction: jurisdiction || 'General',
+                // Jurisdiction decides case visibility; only POST /api/admin/user-jurisdiction changes it
+                jurisdiction: 'General',
                 auth_type: 'email',
                 account_type: 'real',
                 created_by: 'self_registration',
@@ -627,21 +1643,26 @@ app.post('/api/auth/email-register', authLimiter, async (req, res) => {
             throw error;
         }
 
-        console.log('User created successfully:', newUser.id);
+        await recordPasswordHistory(newUser.id, hashedPassword);
 
         // Log registration activity
-        await supabase
-            .from('activity_logs')
-            .insert({
-                user_id: newUser.email,
-                action: 'email_registration',
-                details: JSON.stringify({ 
-                    role: role,
-                    auth_type: 'email',
-                    department: department || 'General'
-                }),
-                timestamp: new Date().toISOString()
-            });
+        await logActivity({
+            user_id: newUser.email,
+            action: 'email_registration',
+            resource_type: 'user',
+            resource_id: newUser.email,
+            details: {
+                role: newUser.role,
+                auth_type: 'email',
+                department: department || 'General'
+            },
+            timestamp: new Date().toISOString()
+        });
+
+        const signIn = await sessionOrChallenge(newUser, 'email', req);
+        if (signIn.error) {
+            return res.status(signIn.status).json({ error: signIn.error, code: signIn.code });
+        }
 
         res.json({ 
             success: true, 
@@ -654,7 +1675,8 @@ app.post('/api/auth/email-register', authLimiter, async (req, res) => {
                 department: newUser.department,
                 jurisdiction: newUser.jurisdiction,
                 auth_type: newUser.auth_type
-            }
+            },
+            ...signIn
         });
     } catch (error) {
         console.error('Email registration error:', error);
@@ -665,20 +1687,22 @@ app.post('/api/auth/email-register', authLimiter, async (req, res) => {
 // Wallet registration endpoint
 app.post('/api/auth/wallet-register', authLimiter, async (req, res) => {
     try {
-        const { walletAddress, fullName, role, department, jurisdiction, badgeNumber } = req.body;
-        
-        console.log('Wallet registration request:', { walletAddress, fullName, role, department, jurisdiction });
+        const { message, signature, fullName, role, department, badgeNumber } = req.body;
 
-        if (!validateWalletAddress(walletAddress)) {
-            return res.status(400).json({ error: 'Invalid wallet address' });
+        // The wallet proves ownership with a signed SIWE challenge; the address comes from the signature
+        let walletAddress;
+        try {
+            walletAddress = await consumeSiweSignature(message, signature, req);
+        } catch (error) {
+            return res.status(401).json({ error: error.message });
         }
 
-        if (!fullName || !role) {
-            return res.status(400).json({ error: 'Full name and role are required' });
+        if (!fullName) {
+            return res.status(400).json({ error: 'Full name is required' });
         }
 
-        if (!allowedRoles.includes(role)) {
-            return res.status(400).json({ error: 'Invalid role selected' });
+        if (role && role !== SELF_REGISTRATION_ROLE) {
+            return res.status(400).json({ error: SELF_REGISTRATION_ROLE_ERROR });
         }
 
         // Check if wallet already exists
@@ -698,9 +1722,10 @@ app.post('/api/auth/wallet-register', authLimiter, async (req, res) => {
             .insert({
                 wallet_address: walletAddress.toLowerCase(),
                 full_name: fullName,
-                role: role,
+                role: SELF_REGISTRATION_ROLE,
                 department: department || 'General',
-                jurisdiction: jurisdiction || 'General',
+                // Jurisdiction decides case visibility; only POST /api/admin/user-jurisdiction changes it
+                jurisdiction: 'General',
                 badge_number: badgeNumber || '',
                 auth_type: 'wallet',
                 account_type: 'real',
@@ -715,21 +1740,24 @@ app.post('/api/auth/wallet-register', authLimiter, async (req, res) => {
             throw error;
         }
 
-        console.log('Wallet user created successfully:', newUser.id);
-
         // Log registration activity
-        await supabase
-            .from('activity_logs')
-            .insert({
-                user_id: newUser.wallet_address,
-                action: 'wallet_registration',
-                details: JSON.stringify({ 
-                    role: role,
-                    auth_type: 'wallet',
-                    department: department || 'General'
-                }),
-                timestamp: new Date().toISOString()
-            });
+        await logActivity({
+            user_id: newUser.wallet_address,
+            action: 'wallet_registration',
+            resource_type: 'user',
+            resource_id: newUser.wallet_address,
+            details: {
+                role: newUser.role,
+                auth_type: 'wallet',
+                department: department || 'General'
+            },
+            timestamp: new Date().toISOString()
+        });
+
+        const signIn = await sessionOrChallenge(newUser, 'wallet', req);
+        if (signIn.error) {
+            return res.status(signIn.status).json({ error: signIn.error, code: signIn.code });
+        }
 
         res.json({ 
             success: true, 
@@ -743,7 +1771,8 @@ app.post('/api/auth/wallet-register', authLimiter, async (req, res) => {
                 jurisdiction: newUser.jurisdiction,
                 badge_number: newUser.badge_number,
                 auth_type: newUser.auth_type
-            }
+            },
+            ...signIn
         });
     } catch (error) {
         console.error('Wallet registration error:', error);
@@ -751,444 +1780,2478 @@ app.post('/api/auth/wallet-register', authLimiter, async (req, res) => {
     }
 });
 
-// Update user profile
-app.put('/api/user/profile/:id', authLimiter, async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { fullName, department, jurisdiction, badgeNumber, updatedBy } = req.body;
+// ============================================================================
+// TWO-FACTOR AUTHENTICATION
+// ============================================================================
 
-        if (!validateWalletAddress(updatedBy)) {
-            return res.status(400).json({ error: 'Invalid updater wallet address' });
-        }
+const requireSecretBox = (req, res, next) => {
+    if (!secretBox) {
+        return res.status(503).json({ error: 'Two-factor authentication is not configured', code: 'two_factor_unavailable' });
+    }
+    next();
+};
 
-        // Get updater info
-        const { data: updater } = await supabase
-            .from('users')
-            .select('id, role')
-            .eq('wallet_address', updatedBy)
-            .single();
+// Setup and enable accept a normal session, or the enrollment challenge sign-in hands to
+// users whose role requires two-factor but who have not enrolled yet
+const authenticateEnrollment = (req, res, next) => {
+    const { challengeToken } = req.body || {};
 
-        if (!updater) {
-            return res.status(403).json({ error: 'Unauthorized' });
-        }
+    if (!challengeToken) {
+        return requireSession(req, res, next);
+    }
 
-        // Check if user can update this profile (self or admin)
-        const { data: targetUser } = await supabase
-            .from('users')
-            .select('wallet_address')
-            .eq('id', id)
-            .single();
+    try {
+        req.enrollment = tokens.verifyChallengeToken(challengeToken, 'two_factor_enroll');
+        req.user = { id: req.enrollment.id };
+        next();
+    } catch (error) {
+        res.status(401).json({ error: 'Sign-in challenge is invalid or expired', code: 'invalid_challenge' });
+    }
+};
 
-        if (!targetUser) {
-            return res.status(404).json({ error: 'User not found' });
-        }
+const loadActiveUser = async (userId) => {
+    const { data: user, error } = await supabase
+        .from('users')
+        .select('*')
+        .eq('id', userId)
+        .eq('is_active', true)
+        .maybeSingle();
 
-        if (targetUser.wallet_address !== updatedBy && updater.role !== 'admin') {
-            return res.status(403).json({ error: 'Can only update own profile or admin required' });
-        }
+    if (error) throw error;
+    return user;
+};
 
-        // Use database function to update profile
-        const { data: result, error } = await supabase
-            .rpc('update_user_profile', {
-                p_user_id: parseInt(id),
-                p_full_name: fullName,
-                p_department: department,
-                p_jurisdiction: jurisdiction,
-                p_badge_number: badgeNumber,
-                p_updated_by: updater.id
-            });
+// Second-factor and passkey events in activity_logs
+const logAuthActivity = async (user, action, details = {}) => {
+    try {
+        await auditLog.append('activity_logs', {
+            user_id: user.wallet_address || user.email,
+            action,
+            resource_type: 'user',
+            resource_id: user.wallet_address || user.email,
+            details,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error logging authentication activity:', error);
+    }
+};
 
-        if (error) {
-            throw error;
-        }
+// Issue a fresh set of backup codes, invalidating any earlier ones; the plain codes are returned once
+const replaceBackupCodes = async (userId) => {
+    const codes = generateBackupCodes();
 
-        res.json(result);
+    const { error: deleteError } = await supabase
+        .from('two_factor_backup_codes')
+        .delete()
+        .eq('user_id', userId);
+
+    if (deleteError) throw deleteError;
+
+    const { error } = await supabase
+        .from('two_factor_backup_codes')
+        .insert(codes.map(code => ({ user_id: userId, code_hash: secretBox.hashBackupCode(code) })));
+
+    if (error) throw error;
+    return codes;
+};
+
+/**
+ * Check a TOTP code or a backup code for a user with two-factor enabled.
+ * Both are single-use: the TOTP step and the backup code are claimed with conditional updates.
+ * @returns {Promise<'totp'|'backup_code'|null>} How the user verified, or null
+ */
+const checkSecondFactor = async (userId, { code, backupCode } = {}) => {
+    const { data: record, error } = await supabase
+        .from('user_two_factor')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('enabled', true)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!record) return null;
+
+    const now = new Date().toISOString();
+
+    if (code) {
+        const lastUsedStep = record.last_used_step === null ? null : Number(record.last_used_step);
+        const step = verifyTotp(secretBox.decrypt(record.secret_encrypted), code, { lastUsedStep });
+        if (step === null) return null;
+
+        let claim = supabase
+            .from('user_two_factor')
+            .update({ last_used_step: step, last_used_at: now })
+            .eq('user_id', userId);
+        claim = lastUsedStep === null ? claim.is('last_used_step', null) : claim.eq('last_used_step', lastUsedStep);
+
+        const { data: claimed } = await claim.select('user_id').maybeSingle();
+        return claimed ? 'totp' : null;
+    }
+
+    if (backupCode) {
+        const { data: redeemed } = await supabase
+            .from('two_factor_backup_codes')
+            .update({ used_at: now })
+            .eq('user_id', userId)
+            .eq('code_hash', secretBox.hashBackupCode(backupCode))
+            .is('used_at', null)
+            .select('id')
+            .maybeSingle();
+
+        return redeemed ? 'backup_code' : null;
+    }
+
+    return null;
+};
+
+// Two-factor state for the current user
+app.get('/api/auth/2fa/status', async (req, res) => {
+    try {
+        const [{ data: record }, { count }] = await Promise.all([
+            supabase
+                .from('user_two_factor')
+                .select('enabled, enabled_at')
+                .eq('user_id', req.user.id)
+                .maybeSingle(),
+            supabase
+                .from('two_factor_backup_codes')
+                .select('id', { count: 'exact', head: true })
+                .eq('user_id', req.user.id)
+                .is('used_at', null)
+        ]);
+
+        const enabled = Boolean(record && record.enabled);
+
+        res.json({
+            success: true,
+            available: Boolean(secretBox),
+            required: requiresTwoFactor(req.user.role),
+            enabled,
+            enabled_at: enabled ? record.enabled_at : null,
+            backup_codes_remaining: enabled ? count || 0 : 0
+        });
     } catch (error) {
-        console.error('Update profile error:', error);
-        res.status(500).json({ error: 'Failed to update profile' });
+        console.error('Two-factor status error:', error);
+        res.status(500).json({ error: 'Failed to load two-factor status' });
     }
 });
 
-// Get user by wallet address with enhanced data
-app.get('/api/user/:wallet', authLimiter, async (req, res) => {
+// Enrollment step 1: generate a secret for the authenticator app; it is stored encrypted and stays
+// pending until a code from it is confirmed
+app.post('/api/auth/2fa/setup', requireSecretBox, authenticateEnrollment, secondFactorLimiter, async (req, res) => {
     try {
-        const { wallet } = req.params;
+        const user = await loadActiveUser(req.user.id);
 
-        if (!validateWalletAddress(wallet)) {
-            return res.status(400).json({ error: 'Invalid wallet address' });
+        if (!user) {
+            return res.status(401).json({ error: 'Account is no longer active' });
         }
 
-        // Use database function to get user
-        const { data: result, error } = await supabase
-            .rpc('get_user_by_identifier', {
-                p_identifier: wallet
-            });
+        const { data: existing } = await supabase
+            .from('user_two_factor')
+            .select('enabled')
+            .eq('user_id', user.id)
+            .maybeSingle();
 
-        if (error) {
-            throw error;
+        if (existing && existing.enabled) {
+            return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
         }
 
-        res.json({ user: result });
+        const secret = generateTotpSecret();
+
+        const { error } = await supabase
+            .from('user_two_factor')
+            .upsert({
+                user_id: user.id,
+                secret_encrypted: secretBox.encrypt(secret),
+                enabled: false,
+                enabled_at: null,
+                last_used_step: null,
+                last_used_at: null,
+                created_at: new Date().toISOString()
+            }, { onConflict: 'user_id' });
+
+        if (error) throw error;
+
+        const url = otpauthUrl({ secret, account: user.email || user.wallet_address });
+
+        res.json({
+            success: true,
+            secret,
+            otpauth_url: url,
+            qr_code: await QRCode.toDataURL(url)
+        });
     } catch (error) {
-        console.error('Get user error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
     }
 });
 
-// Create regular user (Admin only)
-app.post('/api/admin/create-user', adminLimiter, verifyAdmin, async (req, res) => {
+// Enrollment step 2: confirm a code from the app, turn two-factor on and hand out backup codes.
+// When enrolling during sign-in, this also starts the session.
+app.post('/api/auth/2fa/enable', requireSecretBox, authenticateEnrollment, secondFactorLimiter, async (req, res) => {
     try {
-        const { adminWallet, userData } = req.body;
-        const { walletAddress, fullName, role, department, jurisdiction, badgeNumber } = userData;
+        const user = await loadActiveUser(req.user.id);
 
-        // Validate input
-        if (!validateWalletAddress(walletAddress)) {
-            return res.status(400).json({ error: 'Invalid wallet address format' });
+        if (!user) {
+            return res.status(401).json({ error: 'Account is no longer active' });
         }
 
-        if (!fullName || !role) {
-            return res.status(400).json({ error: 'Full name and role are required' });
+        const { data: record } = await supabase
+            .from('user_two_factor')
+            .select('*')
+            .eq('user_id', user.id)
+            .maybeSingle();
+
+        if (!record) {
+            return res.status(400).json({ error: 'Start two-factor setup first' });
+        }
+        if (record.enabled) {
+            return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
         }
 
-        if (!allowedRoles.includes(role) || role === 'admin') {
-            return res.status(400).json({ error: 'Invalid role for regular user' });
+        const step = verifyTotp(secretBox.decrypt(record.secret_encrypted), req.body.code);
+
+        if (step === null) {
+            return res.status(400).json({ error: 'Invalid verification code', code: 'invalid_code' });
         }
 
-        // Check if wallet already exists
-        const { data: existingUser } = await supabase
-            .from('users')
-            .select('wallet_address')
-            .eq('wallet_address', walletAddress)
-            .single();
+        const now = new Date().toISOString();
+        const { data: enabled } = await supabase
+            .from('user_two_factor')
+            .update({ enabled: true, enabled_at: now, last_used_step: step, last_used_at: now })
+            .eq('user_id', user.id)
+            .eq('enabled', false)
+            .select('user_id')
+            .maybeSingle();
 
-        if (existingUser) {
-            return res.status(409).json({ error: 'Wallet address already registered' });
+        if (!enabled) {
+            return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
         }
 
-        // Create user
-        const { data: newUser, error } = await supabase
-            .from('users')
-            .insert({
-                wallet_address: walletAddress,
-                full_name: fullName,
-                role: role,
-                department: department || 'General',
-                jurisdiction: jurisdiction || 'General',
-                badge_number: badgeNumber || '',
-                account_type: 'real',
-                created_by: adminWallet,
-                is_active: true
-            })
-            .select()
-            .single();
+        const backupCodes = await replaceBackupCodes(user.id);
+        await logAuthActivity(user, 'two_factor_enabled');
 
-        if (error) {
-            throw error;
+        res.json({
+            success: true,
+            backup_codes: backupCodes,
+            ...(req.enrollment
+                ? { tokens: await startSession(user, req.enrollment.login_type, req, { stepUpMethod: 'totp' }) }
+                : {})
+        });
+    } catch (error) {
+        console.error('Two-factor enable error:', error);
+        res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+});
+
+// Sign-in step 2 for users with two-factor enabled: exchange the challenge and a code for a session
+app.post('/api/auth/2fa/verify-login', authLimiter, requireSecretBox, async (req, res) => {
+    try {
+        const { challengeToken, code, backupCode } = req.body;
+
+        let challenge;
+        try {
+            challenge = tokens.verifyChallengeToken(challengeToken, 'two_factor_login');
+        } catch (error) {
+            return res.status(401).json({ error: 'Sign-in challenge is invalid or expired', code: 'invalid_challenge' });
         }
 
-        // Log admin action
-        await logAdminAction(adminWallet, 'create_user', walletAddress, {
-            user_name: fullName,
-            user_role: role,
-            department: department
+        const user = await loadActiveUser(challenge.id);
+
+        if (!user) {
+            return res.status(401).json({ error: 'Account is no longer active' });
+        }
+
+        if (await refuseLockedAccount(user, 'two_factor', res)) {
+            return;
+        }
+
+        const method = await checkSecondFactor(user.id, { code, backupCode });
+
+        if (!method) {
+            await recordLoginFailure(user, 'two_factor', req);
+            return res.status(401).json({ error: 'Invalid verification code', code: 'invalid_code' });
+        }
+
+        await logAuthActivity(user, 'two_factor_login', { method, login_type: challenge.login_type });
+
+        res.json({
+            success: true,
+            method,
+            tokens: await startSession(user, challenge.login_type, req, { stepUpMethod: method })
         });
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({ error: 'Two-factor verification failed' });
+    }
+});
 
-        // Send welcome notification to new user
-        await createNotification(
-            walletAddress,
-            'Welcome to EVID-DGC',
-            `Your ${role} account has been created successfully. You can now access the system.`,
-            'system',
-            { role, department }
-        );
+// Re-confirm the second factor within a session (see requireStepUp)
+app.post('/api/auth/2fa/step-up', secondFactorLimiter, requireSecretBox, async (req, res) => {
+    try {
+        const method = await checkSecondFactor(req.user.id, req.body);
 
-        // Notify admin of successful user creation
-        await createNotification(
-            adminWallet,
-            'User Created Successfully',
-            `New ${role} account created for ${fullName}`,
-            'system',
-            { action: 'user_created', targetUser: fullName, role }
-        );
+        if (!method) {
+            return res.status(401).json({ error: 'Invalid verification code', code: 'invalid_code' });
+        }
 
-        res.json({ success: true, user: newUser });
+        const steppedUpAt = new Date().toISOString();
+        const { error } = await supabase
+            .from('user_sessions')
+            .update({ step_up_at: steppedUpAt, step_up_method: method })
+            .eq('id', req.user.session_id)
+            .eq('user_id', req.user.id);
+
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            method,
+            step_up_at: steppedUpAt,
+            max_age_seconds: Math.floor(STEP_UP_MAX_AGE_MS / 1000)
+        });
     } catch (error) {
-        console.error('Create user error:', error);
-        res.status(500).json({ error: 'Failed to create user' });
+        console.error('Two-factor step-up error:', error);
+        res.status(500).json({ error: 'Two-factor verification failed' });
     }
 });
 
-// Create admin user (Admin only)
-app.post('/api/admin/create-admin', adminLimiter, verifyAdmin, async (req, res) => {
+// Replace all backup codes; needs a current authenticator code
+app.post('/api/auth/2fa/backup-codes', secondFactorLimiter, requireSecretBox, async (req, res) => {
     try {
-        const { adminWallet, adminData } = req.body;
-        const { walletAddress, fullName } = adminData;
+        const method = await checkSecondFactor(req.user.id, { code: req.body.code });
 
-        // Validate input
-        if (!validateWalletAddress(walletAddress)) {
-            return res.status(400).json({ error: 'Invalid wallet address format' });
+        if (!method) {
+            return res.status(401).json({ error: 'Invalid verification code', code: 'invalid_code' });
         }
 
-        if (!fullName) {
-            return res.status(400).json({ error: 'Full name is required' });
+        const backupCodes = await replaceBackupCodes(req.user.id);
+        await logAuthActivity(req.user, 'two_factor_backup_codes_regenerated');
+
+        res.json({ success: true, backup_codes: backupCodes });
+    } catch (error) {
+        console.error('Backup code regeneration error:', error);
+        res.status(500).json({ error: 'Failed to regenerate backup codes' });
+    }
+});
+
+// Turn two-factor off; not allowed for roles that require it
+app.post('/api/auth/2fa/disable', secondFactorLimiter, requireSecretBox, async (req, res) => {
+    try {
+        if (requiresTwoFactor(req.user.role)) {
+            return res.status(403).json({
+                error: 'Two-factor authentication is required for your role',
+                code: 'two_factor_required'
+            });
         }
 
-        // Check admin limit
-        const { count } = await supabase
-            .from('users')
-            .select('*', { count: 'exact', head: true })
-            .eq('role', 'admin')
-            .eq('is_active', true);
+        const method = await checkSecondFactor(req.user.id, req.body);
 
-        if (count >= 10) {
-            return res.status(400).json({ error: 'Maximum admin limit (10) reached' });
+        if (!method) {
+            return res.status(401).json({ error: 'Invalid verification code', code: 'invalid_code' });
         }
 
-        // Check if wallet already exists
-        const { data: existingUser } = await supabase
-            .from('users')
-            .select('wallet_address')
-            .eq('wallet_address', walletAddress)
-            .single();
+        await supabase.from('two_factor_backup_codes').delete().eq('user_id', req.user.id);
+        const { error } = await supabase.from('user_two_factor').delete().eq('user_id', req.user.id);
 
-        if (existingUser) {
-            return res.status(409).json({ error: 'Wallet address already registered' });
+        if (error) throw error;
+
+        await logAuthActivity(req.user, 'two_factor_disabled', { method });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Two-factor disable error:', error);
+        res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+});
+
+// ============================================================================
+// PASSKEYS (WEBAUTHN)
+// ============================================================================
+
+const WEBAUTHN_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+const issueWebauthnChallenge = async (purpose, userId = null) => {
+    const challenge = webauthn.createChallenge();
+
+    const { error } = await supabase
+        .from('webauthn_challenges')
+        .insert({
+            challenge,
+            user_id: userId,
+            purpose,
+            expires_at: new Date(Date.now() + WEBAUTHN_CHALLENGE_TTL_MS).toISOString()
+        });
+
+    if (error) throw error;
+    return challenge;
+};
+
+// Burn the challenge the authenticator signed; throws when it is unknown, expired, used or for someone else
+const consumeWebauthnChallenge = async (credential, purpose, userId = null) => {
+    const { challenge } = webauthn.readClientData(credential);
+    const now = new Date().toISOString();
+
+    let query = supabase
+        .from('webauthn_challenges')
+        .update({ used_at: now })
+        .eq('challenge', challenge)
+        .eq('purpose', purpose)
+        .is('used_at', null)
+        .gt('expires_at', now);
+    query = userId === null ? query.is('user_id', null) : query.eq('user_id', userId);
+
+    const { data: consumed } = await query.select('challenge').maybeSingle();
+
+    if (!consumed) {
+        throw new Error('Passkey challenge is unknown, expired or already used');
+    }
+    return challenge;
+};
+
+const listPasskeys = async (userId) => {
+    const { data, error } = await supabase
+        .from('webauthn_credentials')
+        .select('id, credential_id, name, transports, created_at, last_used_at')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+};
+
+/**
+ * Check a navigator.credentials.get() response and advance the credential's signature counter.
+ * @param {Object} options
+ * @param {string} options.purpose - 'authentication' or 'step_up'
+ * @param {number|null} options.userId - Required owner of the credential, or null for sign-in
+ * @returns {Promise<Object>} The webauthn_credentials row
+ */
+const verifyPasskeyAssertion = async (req, credential, { purpose, userId = null, requireUserVerification = false }) => {
+    const expectedChallenge = await consumeWebauthnChallenge(credential, purpose, userId);
+
+    let lookup = supabase
+        .from('webauthn_credentials')
+        .select('*')
+        .eq('credential_id', String(credential.id));
+    if (userId !== null) lookup = lookup.eq('user_id', userId);
+
+    const { data: stored } = await lookup.maybeSingle();
+
+    if (!stored) {
+        throw new Error('Unknown passkey');
+    }
+
+    // Discoverable credentials report the user handle set at registration
+    const userHandle = credential.response.userHandle;
+    if (userHandle && userHandle !== Buffer.from(String(stored.user_id)).toString('base64url')) {
+        throw new Error('Passkey does not belong to this account');
+    }
+
+    const { origin, rpId } = webauthnRelyingParty(req);
+    const { signCount } = webauthn.verifyAuthentication({
+        credential,
+        expectedChallenge,
+        expectedOrigin: origin,
+        expectedRpId: rpId,
+        publicKey: stored.public_key,
+        algorithm: stored.algorithm,
+        storedSignCount: Number(stored.sign_count) || 0,
+        requireUserVerification
+    });
+
+    // Conditional on the old counter so two racing assertions cannot both pass
+    const { data: updated } = await supabase
+        .from('webauthn_credentials')
+        .update({ sign_count: signCount, last_used_at: new Date().toISOString() })
+        .eq('id', stored.id)
+        .eq('sign_count', stored.sign_count)
+        .select('id')
+        .maybeSingle();
+
+    if (!updated) {
+        throw new Error('Passkey was used concurrently');
+    }
+    return stored;
+};
+
+// Passkeys registered to the current user
+app.get('/api/auth/webauthn/credentials', async (req, res) => {
+    try {
+        const credentials = await listPasskeys(req.user.id);
+        res.json({ success: true, credentials });
+    } catch (error) {
+        console.error('List passkeys error:', error);
+        res.status(500).json({ error: 'Failed to load passkeys' });
+    }
+});
+
+// Registration step 1: creation options for navigator.credentials.create()
+app.post('/api/auth/webauthn/register/options', async (req, res) => {
+    try {
+        const user = await loadActiveUser(req.user.id);
+
+        if (!user) {
+            return res.status(401).json({ error: 'Account is no longer active' });
         }
 
-        // Create admin
-        const { data: newAdmin, error } = await supabase
-            .from('users')
+        const existing = await listPasskeys(user.id);
+        const challenge = await issueWebauthnChallenge('registration', user.id);
+
+        res.json({
+            success: true,
+            options: webauthn.registrationOptions({
+                rpId: webauthnRelyingParty(req).rpId,
+                user,
+                challenge,
+                excludeCredentials: existing
+            })
+        });
+    } catch (error) {
+        console.error('Passkey registration options error:', error);
+        res.status(500).json({ error: 'Failed to start passkey registration' });
+    }
+});
+
+// Registration step 2: verify the new credential and store its public key
+app.post('/api/auth/webauthn/register/verify', secondFactorLimiter, async (req, res) => {
+    try {
+        const { credential, name } = req.body;
+
+        let registration;
+        try {
+            const expectedChallenge = await consumeWebauthnChallenge(credential, 'registration', req.user.id);
+            const { origin, rpId } = webauthnRelyingParty(req);
+            registration = webauthn.verifyRegistration({
+                credential,
+                expectedChallenge,
+                expectedOrigin: origin,
+                expectedRpId: rpId
+            });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const { data: stored, error } = await supabase
+            .from('webauthn_credentials')
             .insert({
-                wallet_address: walletAddress,
-                full_name: fullName,
-                role: 'admin',
-                department: 'Administration',
-                jurisdiction: 'System',
-                account_type: 'real',
-                created_by: adminWallet,
-                is_active: true
+                user_id: req.user.id,
+                credential_id: registration.credentialId,
+                public_key: registration.publicKey,
+                algorithm: registration.algorithm,
+                sign_count: registration.signCount,
+                transports: registration.transports,
+                aaguid: registration.aaguid,
+                name: String(name || 'Passkey').slice(0, 100)
             })
-            .select()
+            .select('id, credential_id, name, transports, created_at, last_used_at')
             .single();
 
-        if (error) {
-            throw error;
+        if (error && error.code === '23505') {
+            return res.status(409).json({ error: 'This passkey is already registered' });
         }
+        if (error) throw error;
 
-        // Log admin action
-        await logAdminAction(adminWallet, 'create_admin', walletAddress, {
-            admin_name: fullName
+        await logAuthActivity(req.user, 'passkey_registered', { credential_id: stored.id });
+
+        res.json({ success: true, credential: stored });
+    } catch (error) {
+        console.error('Passkey registration error:', error);
+        res.status(500).json({ error: 'Failed to register passkey' });
+    }
+});
+
+// Remove one of the current user's passkeys
+app.delete('/api/auth/webauthn/credentials/:id', async (req, res) => {
+    try {
+        const { data: removed, error } = await supabase
+            .from('webauthn_credentials')
+            .delete()
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .select('id')
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!removed) {
+            return res.status(404).json({ error: 'Passkey not found' });
+        }
+
+        await logAuthActivity(req.user, 'passkey_removed', { credential_id: removed.id });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Remove passkey error:', error);
+        res.status(500).json({ error: 'Failed to remove passkey' });
+    }
+});
+
+// Passkey sign-in step 1: request options. With an email the user's passkeys are listed;
+// without one the browser offers discoverable passkeys. Unknown emails get the same empty list.
+app.post('/api/auth/webauthn/login/options', async (req, res) => {
+    try {
+        const { email } = req.body;
+        let allowCredentials = [];
+
+        if (email) {
+            const { data: user } = await supabase
+                .from('users')
+                .select('id')
+                .eq('email', String(email).toLowerCase())
+                .eq('is_active', true)
+                .maybeSingle();
+
+            if (user) {
+                allowCredentials = await listPasskeys(user.id);
+            }
+        }
+
+        const challenge = await issueWebauthnChallenge('authentication');
+
+        res.json({
+            success: true,
+            options: webauthn.authenticationOptions({
+                rpId: webauthnRelyingParty(req).rpId,
+                challenge,
+                allowCredentials,
+                userVerification: 'required'
+            })
         });
+    } catch (error) {
+        console.error('Passkey login options error:', error);
+        res.status(500).json({ error: 'Failed to start passkey sign-in' });
+    }
+});
 
-        // Send welcome notification to new admin
-        await createNotification(
-            walletAddress,
-            'Admin Access Granted',
-            `Your administrator account has been created. You now have full system access.`,
-            'system',
-            { role: 'admin' }
+// Passkey sign-in step 2: a user-verified passkey is a second factor on its own, so this starts
+// a session directly, already stepped up
+app.post('/api/auth/webauthn/login/verify', authLimiter, async (req, res) => {
+    try {
+        const { credential } = req.body;
+
+        let stored;
+        try {
+            stored = await verifyPasskeyAssertion(req, credential, {
+                purpose: 'authentication',
+                requireUserVerification: true
+            });
+        } catch (error) {
+            return res.status(401).json({ error: error.message });
+        }
+
+        const user = await loadActiveUser(stored.user_id);
+
+        if (!user) {
+            return res.status(401).json({ error: 'Account is no longer active' });
+        }
+
+        await logAuthActivity(user, 'passkey_login', { credential_id: stored.id });
+
+        res.json({
+            success: true,
+            user: publicUser(user),
+            tokens: await startSession(user, 'passkey', req, { stepUpMethod: 'passkey' })
+        });
+    } catch (error) {
+        console.error('Passkey login error:', error);
+        res.status(500).json({ error: 'Passkey sign-in failed' });
+    }
+});
+
+// Step-up step 1: request options limited to the current user's passkeys
+app.post('/api/auth/webauthn/step-up/options', async (req, res) => {
+    try {
+        const credentials = await listPasskeys(req.user.id);
+
+        if (credentials.length === 0) {
+            return res.status(400).json({ error: 'Register a passkey first', code: 'no_passkey' });
+        }
+
+        const challenge = await issueWebauthnChallenge('step_up', req.user.id);
+
+        res.json({
+            success: true,
+            options: webauthn.authenticationOptions({
+                rpId: webauthnRelyingParty(req).rpId,
+                challenge,
+                allowCredentials: credentials
+            })
+        });
+    } catch (error) {
+        console.error('Passkey step-up options error:', error);
+        res.status(500).json({ error: 'Failed to start passkey confirmation' });
+    }
+});
+
+// Step-up step 2: mark the session as confirmed by passkey (see requirePasskeyStepUp)
+app.post('/api/auth/webauthn/step-up/verify', secondFactorLimiter, async (req, res) => {
+    try {
+        const { credential } = req.body;
+
+        let stored;
+        try {
+            stored = await verifyPasskeyAssertion(req, credential, { purpose: 'step_up', userId: req.user.id });
+        } catch (error) {
+            return res.status(401).json({ error: error.message });
+        }
+
+        const steppedUpAt = new Date().toISOString();
+        const { error } = await supabase
+            .from('user_sessions')
+            .update({ step_up_at: steppedUpAt, step_up_method: 'passkey' })
+            .eq('id', req.user.session_id)
+            .eq('user_id', req.user.id);
+
+        if (error) throw error;
+
+        await logAuthActivity(req.user, 'passkey_step_up', { credential_id: stored.id });
+
+        res.json({
+            success: true,
+            step_up_at: steppedUpAt,
+            max_age_seconds: Math.floor(STEP_UP_MAX_AGE_MS / 1000)
+        });
+    } catch (error) {
+        console.error('Passkey step-up error:', error);
+        res.status(500).json({ error: 'Passkey confirmation failed' });
+    }
+});
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+// A user_sessions row as shown in the device list
+const describeSession = (session, req) => ({
+    id: session.id,
+    device: describeDevice(session.user_agent),
+    user_agent: session.user_agent,
+    login_type: session.login_type,
+    ip_address: session.ip_address,
+    last_ip_address: session.last_ip_address || session.ip_address,
+    created_at: session.created_at,
+    last_activity_at: session.last_activity_at || session.created_at,
+    expires_at: session.expires_at,
+    idle_expires_at: idleExpiry(session, sessionIdleTimeouts, req.user.role).toISOString(),
+    current: session.id === req.user.session_id
+});
+
+const SESSION_LIST_COLUMNS = 'id, login_type, ip_address, last_ip_address, user_agent, created_at, last_activity_at, expires_at';
+
+// The signed-in user's active sessions, most recently used first
+app.get('/api/sessions', async (req, res) => {
+    try {
+        const now = new Date();
+        const { data: sessions, error } = await supabase
+            .from('user_sessions')
+            .select(SESSION_LIST_COLUMNS)
+            .eq('user_id', req.user.id)
+            .eq('is_active', true)
+            .gt('expires_at', now.toISOString())
+            .order('last_activity_at', { ascending: false });
+
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            idle_timeout_minutes: idleTimeoutMinutes(sessionIdleTimeouts, req.user.role),
+            sessions: sessions
+                .map(session => describeSession(session, req))
+                .filter(session => new Date(session.idle_expires_at) > now)
+        });
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({ error: 'Failed to load sessions' });
+    }
+});
+
+// The current session; calling it counts as activity, so it also keeps the session alive
+app.get('/api/sessions/current', async (req, res) => {
+    try {
+        const { data: session, error } = await supabase
+            .from('user_sessions')
+            .select(SESSION_LIST_COLUMNS)
+            .eq('id', req.user.session_id)
+            .single();
+
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            idle_timeout_minutes: idleTimeoutMinutes(sessionIdleTimeouts, req.user.role),
+            session: describeSession(session, req)
+        });
+    } catch (error) {
+        console.error('Get current session error:', error);
+        res.status(500).json({ error: 'Failed to load session' });
+    }
+});
+
+// Sign out everywhere else; the current session stays
+app.post('/api/sessions/revoke-all', async (req, res) => {
+    try {
+        const revoked = await endSessions(
+            query => query.eq('user_id', req.user.id).neq('id', req.user.session_id),
+            'revoked'
+        );
+
+        await logAuthActivity(req.user, 'sessions_revoked', { session_ids: revoked.map(session => session.id) });
+
+        res.json({ success: true, revoked: revoked.length });
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({ error: 'Failed to sign out other sessions' });
+    }
+});
+
+// Sign out one device; revoking the current session is the same as logging out
+app.delete('/api/sessions/:id', async (req, res) => {
+    try {
+        const [revoked] = await endSessions(
+            query => query.eq('id', parseInt(req.params.id, 10)).eq('user_id', req.user.id),
+            'revoked'
         );
 
-        // Notify creating admin
-        await createNotification(
-            adminWallet,
-            'New Administrator Created',
-            `Administrator account created for ${fullName}`,
-            'system',
-            { action: 'admin_created', targetAdmin: fullName }
-        );
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        await logAuthActivity(req.user, 'session_revoked', {
+            session_id: revoked.id,
+            device: describeDevice(revoked.user_agent),
+            ip_address: revoked.ip_address
+        });
+
+        res.json({ success: true, current: revoked.id === req.user.session_id });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
+// ============================================================================
+// PASSWORD POLICY
+// ============================================================================
+
+// The stored policy over the defaults; without a password_policy row the defaults apply
+const loadPasswordPolicy = async () => {
+    const { data, error } = await supabase
+        .from('password_policy')
+        .select('settings, updated_by, updated_at')
+        .eq('id', 1)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    return {
+        policy: normalizePasswordPolicy(data ? data.settings : {}).policy,
+        updated_by: data ? data.updated_by : null,
+        updated_at: data ? data.updated_at : null
+    };
+};
+
+/**
+ * Reasons `password` cannot become the user's password: the policy rules, plus reuse of one of
+ * the last `preventReuse` passwords once the account exists.
+ * @param {{ id?: number, email?: string, full_name?: string, password_hash?: string }} user
+ */
+const passwordPolicyIssues = async (password, policy, user) => {
+    const issues = checkPassword(password, policy, user);
+    if (issues.length > 0 || !user.id || !policy.preventReuse) {
+        return issues;
+    }
+
+    const { data: history, error } = await supabase
+        .from('password_history')
+        .select('password_hash')
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: false })
+        .limit(policy.preventReuse);
+
+    if (error) throw error;
+
+    // Accounts created before password_history existed only have their current hash
+    const hashes = new Set([user.password_hash, ...history.map(entry => entry.password_hash)].filter(Boolean));
+    const matches = await Promise.all([...hashes].map(hash => supabase.rpc('verify_password', { password, hash })));
+
+    if (matches.some(({ data }) => data === true)) {
+        issues.push(`Password cannot be one of your last ${policy.preventReuse} passwords`);
+    }
+    return issues;
+};
+
+const passwordPolicyError = (issues) => ({ error: issues.join('. '), code: 'password_policy', issues });
+
+const recordPasswordHistory = async (userId, passwordHash) => {
+    const { error } = await supabase
+        .from('password_history')
+        .insert({ user_id: userId, password_hash: passwordHash });
+
+    if (error) throw error;
+};
+
+// Hash and store a new password; it restarts the max-age clock and lifts any lockout
+const setPassword = async (userId, password) => {
+    const { data: hashedPassword, error: hashError } = await supabase
+        .rpc('hash_password', { password });
+
+    if (hashError) throw hashError;
+
+    const now = new Date().toISOString();
+    const { error } = await supabase
+        .from('users')
+        .update({ password_hash: hashedPassword, password_changed_at: now, last_updated: now, ...CLEARED_LOGIN_FAILURES })
+        .eq('id', userId);
+
+    if (error) throw error;
+
+    await recordPasswordHistory(userId, hashedPassword);
+};
+
+// The rules new passwords must meet, for showing requirements before the user submits
+app.get('/api/auth/password-policy', async (req, res) => {
+    try {
+        const { policy } = await loadPasswordPolicy();
+        res.json({ success: true, policy });
+    } catch (error) {
+        console.error('Get password policy error:', error);
+        res.status(500).json({ error: 'Failed to load password policy' });
+    }
+});
+
+// When the signed-in user's password expires
+app.get('/api/auth/password-status', async (req, res) => {
+    try {
+        const user = await loadActiveUser(req.user.id);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!user.password_hash) {
+            return res.json({ success: true, has_password: false });
+        }
+
+        const { policy } = await loadPasswordPolicy();
+
+        res.json({
+            success: true,
+            has_password: true,
+            password_changed_at: user.password_changed_at,
+            warning_days: policy.warningDays,
+            ...passwordExpiry(user.password_changed_at, policy)
+        });
+    } catch (error) {
+        console.error('Password status error:', error);
+        res.status(500).json({ error: 'Failed to load password status' });
+    }
+});
+
+// Accepts a normal session, or the challenge email login hands out when the password has expired
+const authenticatePasswordChange = (req, res, next) => {
+    const { challengeToken } = req.body || {};
+
+    if (!challengeToken) {
+        return requireSession(req, res, next);
+    }
+
+    try {
+        req.passwordChange = tokens.verifyChallengeToken(challengeToken, 'password_change');
+        req.user = { id: req.passwordChange.id };
+        next();
+    } catch (error) {
+        res.status(401).json({ error: 'Sign-in challenge is invalid or expired', code: 'invalid_challenge' });
+    }
+};
+
+// Change the password with the current one; after an expired-password sign-in this also finishes the sign-in
+app.post('/api/auth/change-password', authLimiter, authenticatePasswordChange, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ error: 'Current and new password are required' });
+        }
+
+        const user = await loadActiveUser(req.user.id);
+
+        if (!user || !user.password_hash) {
+            return res.status(400).json({ error: 'This account does not sign in with a password' });
+        }
+
+        const { data: passwordValid, error: verifyError } = await supabase
+            .rpc('verify_password', { password: currentPassword, hash: user.password_hash });
+
+        if (verifyError || !passwordValid) {
+            await logAuthActivity(user, 'password_change_failed', { reason: 'wrong_current_password' });
+            return res.status(401).json({ error: 'Current password is incorrect', code: 'invalid_password' });
+        }
+
+        const { policy } = await loadPasswordPolicy();
+        const issues = await passwordPolicyIssues(newPassword, policy, user);
+
+        if (issues.length > 0) {
+            await logAuthActivity(user, 'password_change_failed', { reason: 'password_policy', issues });
+            return res.status(400).json(passwordPolicyError(issues));
+        }
+
+        await setPassword(user.id, newPassword);
+        await logAuthActivity(user, 'password_changed', { expired: Boolean(req.passwordChange) });
+
+        try {
+            await mailer.send({ to: user.email, ...passwordChangedEmail({ name: user.full_name }) });
+        } catch (mailError) {
+            console.error('Password changed notice error:', mailError);
+        }
+
+        if (!req.passwordChange) {
+            return res.json({ success: true, message: 'Password changed successfully' });
+        }
+
+        const signIn = await sessionOrChallenge(user, req.passwordChange.login_type, req);
+        if (signIn.error) {
+            return res.status(signIn.status).json({ error: signIn.error, code: signIn.code });
+        }
+
+        res.json({
+            success: true,
+            message: 'Password changed successfully',
+            user: publicUser(user),
+            ...signIn
+        });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+});
+
+// ============================================================================
+// PASSWORD RESET
+// ============================================================================
+
+const resetTokenHash = (resetToken) => crypto.createHash('sha256').update(resetToken).digest('hex');
+
+const appBaseUrl = (req) => process.env.APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+const logPasswordReset = async (accountEmail, action, details, req) => {
+    try {
+        await auditLog.append('activity_logs', {
+            user_id: accountEmail,
+            action,
+            resource_type: accountEmail === 'anonymous' ? null : 'user',
+            resource_id: accountEmail === 'anonymous' ? null : accountEmail,
+            details,
+            timestamp: new Date().toISOString(),
+            ip_address: req.ip
+        });
+    } catch (error) {
+        console.error('Error logging password reset:', error);
+    }
+};
+
+// Always answers the same way, so the response does not reveal whether an account exists
+const FORGOT_PASSWORD_RESPONSE = {
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent'
+};
+
+// Email a single-use reset link; each account may request PASSWORD_RESET_MAX_PER_HOUR links an hour
+app.post('/api/auth/forgot-password', authLimiter, async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email || typeof email !== 'string') {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+
+        const accountEmail = email.toLowerCase().trim();
+        const { data: user } = await supabase
+            .from('users')
+            .select('id, email, full_name, password_hash')
+            .eq('email', accountEmail)
+            .eq('is_active', true)
+            .maybeSingle();
+
+        // Wallet-only accounts have no password to reset
+        if (!user || !user.password_hash) {
+            await logPasswordReset(accountEmail, 'password_reset_requested', { outcome: 'no_password_account' }, req);
+            return res.json(FORGOT_PASSWORD_RESPONSE);
+        }
+
+        const { count, error: countError } = await supabase
+            .from('password_reset_tokens')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', user.id)
+            .gt('created_at', new Date(Date.now() - 60 * 60 * 1000).toISOString());
+
+        if (countError) throw countError;
+
+        if (count >= PASSWORD_RESET_MAX_PER_HOUR) {
+            await logPasswordReset(user.email, 'password_reset_rate_limited', { requests_last_hour: count }, req);
+            return res.json(FORGOT_PASSWORD_RESPONSE);
+        }
+
+        // Only the newest link works
+        await supabase
+            .from('password_reset_tokens')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('user_id', user.id)
+            .is('used_at', null)
+            .is('revoked_at', null);
+
+        const resetToken = crypto.randomBytes(32).toString('base64url');
+        const { error } = await supabase
+            .from('password_reset_tokens')
+            .insert({
+                user_id: user.id,
+                token_hash: resetTokenHash(resetToken),
+                requested_ip: req.ip,
+                expires_at: new Date(Date.now() + PASSWORD_RESET_TTL_MS).toISOString()
+            });
+
+        if (error) throw error;
+
+        await mailer.send({
+            to: user.email,
+            ...passwordResetEmail({
+                name: user.full_name,
+                resetUrl: `${appBaseUrl(req)}/reset-password.html?token=${resetToken}`,
+                expiresInMinutes: Math.round(PASSWORD_RESET_TTL_MS / 60000)
+            })
+        });
+
+        await logPasswordReset(user.email, 'password_reset_requested', { outcome: 'email_sent' }, req);
+
+        res.json(FORGOT_PASSWORD_RESPONSE);
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Failed to start password reset' });
+    }
+});
+
+// Redeem a reset link: sets the new password and signs out every existing session
+app.post('/api/auth/reset-password', authLimiter, async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({ error: 'Reset token and new password are required' });
+        }
+
+        const now = new Date().toISOString();
+        const { data: pending } = await supabase
+            .from('password_reset_tokens')
+            .select('id, user_id')
+            .eq('token_hash', resetTokenHash(String(token)))
+            .is('used_at', null)
+            .is('revoked_at', null)
+            .gt('expires_at', now)
+            .maybeSingle();
+
+        const user = pending ? await loadActiveUser(pending.user_id) : null;
+
+        if (!user) {
+            await logPasswordReset('anonymous', 'password_reset_failed', { reason: 'invalid_or_expired_token' }, req);
+            return res.status(400).json({ error: 'Invalid or expired reset link' });
+        }
+
+        // Checked before the link is used up, so the user can try another password with it
+        const { policy } = await loadPasswordPolicy();
+        const issues = await passwordPolicyIssues(password, policy, user);
+        if (issues.length > 0) {
+            return res.status(400).json(passwordPolicyError(issues));
+        }
+
+        // Conditional update so a link can only ever be redeemed once
+        const { data: redeemed } = await supabase
+            .from('password_reset_tokens')
+            .update({ used_at: now })
+            .eq('id', pending.id)
+            .is('used_at', null)
+            .select('id')
+            .maybeSingle();
+
+        if (!redeemed) {
+            await logPasswordReset(user.email, 'password_reset_failed', { reason: 'token_already_used' }, req);
+            return res.status(400).json({ error: 'Invalid or expired reset link' });
+        }
+
+        await setPassword(user.id, password);
+
+        await endSessions(query => query.eq('user_id', user.id), 'password_reset');
+
+        await logPasswordReset(user.email, 'password_reset_completed', { reset_token_id: redeemed.id }, req);
+
+        // The password is already changed; a failed notice should not fail the reset
+        try {
+            await mailer.send({ to: user.email, ...passwordChangedEmail({ name: user.full_name }) });
+        } catch (mailError) {
+            console.error('Password changed notice error:', mailError);
+        }
+
+        res.json({ success: true, message: 'Password has been reset. You can now log in.' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+});
+
+// Update user profile
+app.put('/api/user/profile/:id', authLimiter, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { fullName, department, badgeNumber } = req.body;
+        const updatedBy = req.user.wallet_address;
+
+        if (!validateWalletAddress(updatedBy)) {
+            return res.status(400).json({ error: 'Invalid updater wallet address' });
+        }
+
+        // Jurisdiction widens case access for some roles, so only administrators change it
+        if (req.body.jurisdiction !== undefined) {
+            return res.status(400).json({ error: 'Jurisdiction is changed by an administrator, not through the profile' });
+        }
+
+        // Get updater info
+        const { data: updater } = await supabase
+            .from('users')
+            .select('id, role')
+            .eq('wallet_address', updatedBy)
+            .single();
+
+        if (!updater) {
+            return res.status(403).json({ error: 'Unauthorized' });
+        }
+
+        // Check if user can update this profile (self or admin)
+        const { data: targetUser } = await supabase
+            .from('users')
+            .select('wallet_address')
+            .eq('id', id)
+            .single();
+
+        if (!targetUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (targetUser.wallet_address !== updatedBy && !(await hasPermission(req, 'users:manage'))) {
+            return res.status(403).json({ error: 'Can only update own profile or admin required' });
+        }
+
+        // Use database function to update profile
+        const { data: result, error } = await supabase
+            .rpc('update_user_profile', {
+                p_user_id: parseInt(id),
+                p_full_name: fullName,
+                p_department: department,
+                p_badge_number: badgeNumber,
+                p_updated_by: updater.id
+            });
+
+        if (error) {
+            throw error;
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Update profile error:', error);
+        res.status(500).json({ error: 'Failed to update profile' });
+    }
+});
+
+// Get user by wallet address with enhanced data
+app.get('/api/user/:wallet', authLimiter, requirePermission('users:view'), async (req, res) => {
+    try {
+        const { wallet } = req.params;
+
+        if (!validateWalletAddress(wallet)) {
+            return res.status(400).json({ error: 'Invalid wallet address' });
+        }
+
+        // Use database function to get user
+        const { data: result, error } = await supabase
+            .rpc('get_user_by_identifier', {
+                p_identifier: wallet
+            });
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({ user: result });
+    } catch (error) {
+        console.error('Get user error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Effective permissions for the role wizards: the caller's own by default, another user's
+// with ?userId= (needs permissions:view_any), or a role's defaults with ?role=
+app.get('/api/permissions/effective', async (req, res) => {
+    try {
+        const { userId, role } = req.query;
+
+        if (role) {
+            if (!allowedRoles.includes(role)) {
+                return res.status(400).json({ error: 'Invalid role' });
+            }
+
+            return res.json({
+                success: true,
+                role,
+                permissions: describePermissions(rolePermissions(role))
+            });
+        }
+
+        const targetId = userId ? parseInt(userId, 10) : req.user.id;
+
+        if (!Number.isInteger(targetId)) {
+            return res.status(400).json({ error: 'Invalid user id' });
+        }
+
+        if (targetId !== req.user.id && !(await hasPermission(req, 'permissions:view_any'))) {
+            return res.status(403).json({ error: 'Insufficient permissions', code: 'permission_denied', missing: ['permissions:view_any'] });
+        }
+
+        const effective = await loadEffectivePermissions(targetId);
+
+        if (!effective.account) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({
+            success: true,
+            user_id: targetId,
+            role: effective.role,
+            permissions: describePermissions(effective.permissions),
+            granted: effective.granted,
+            denied: effective.denied
+        });
+    } catch (error) {
+        console.error('Effective permissions error:', error);
+        res.status(500).json({ error: 'Failed to load permissions' });
+    }
+});
+
+// Create regular user (Admin only)
+app.post('/api/admin/create-user', adminLimiter, verifyAdmin, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { userData } = req.body;
+        const adminWallet = req.user.wallet_address;
+        const { walletAddress, fullName, role, department, badgeNumber } = userData;
+
+        // Validate input
+        if (!validateWalletAddress(walletAddress)) {
+            return res.status(400).json({ error: 'Invalid wallet address format' });
+        }
+
+        if (!fullName || !role) {
+            return res.status(400).json({ error: 'Full name and role are required' });
+        }
+
+        if (!allowedRoles.includes(role) || role === 'admin') {
+            return res.status(400).json({ error: 'Invalid role for regular user' });
+        }
+
+        // Check if wallet already exists
+        const { data: existingUser } = await supabase
+            .from('users')
+            .select('wallet_address')
+            .eq('wallet_address', walletAddress)
+            .single();
+
+        if (existingUser) {
+            return res.status(409).json({ error: 'Wallet address already registered' });
+        }
+
+        // Create user
+        const { data: newUser, error } = await supabase
+            .from('users')
+            .insert({
+                wallet_address: walletAddress,
+                full_name: fullName,
+                role: role,
+                department: department || 'General',
+                // Jurisdiction decides case visibility; only POST /api/admin/user-jurisdiction changes it
+                jurisdiction: 'General',
+                badge_number: badgeNumber || '',
+                account_type: 'real',
+                created_by: adminWallet,
+                is_active: true
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        // Log admin action
+        await logAdminAction(adminWallet, 'create_user', walletAddress, {
+            user_name: fullName,
+            user_role: role,
+            department: department
+        });
+
+        // Send welcome notification to new user
+        await createNotification(
+            walletAddress,
+            'Welcome to EVID-DGC',
+            `Your ${role} account has been created successfully. You can now access the system.`,
+            'system',
+            { role, department }
+        );
+
+        // Notify admin of successful user creation
+        await createNotification(
+            adminWallet,
+            'User Created Successfully',
+            `New ${role} account created for ${fullName}`,
+            'system',
+            { action: 'user_created', targetUser: fullName, role }
+        );
+
+        res.json({ success: true, user: newUser });
+    } catch (error) {
+        console.error('Create user error:', error);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+// Create admin user (Admin only)
+app.post('/api/admin/create-admin', adminLimiter, verifyAdmin, requireStepUp, requirePermission('admins:manage'), async (req, res) => {
+    try {
+        const { adminData } = req.body;
+        const adminWallet = req.user.wallet_address;
+        const { walletAddress, fullName } = adminData;
+
+        // Validate input
+        if (!validateWalletAddress(walletAddress)) {
+            return res.status(400).json({ error: 'Invalid wallet address format' });
+        }
+
+        if (!fullName) {
+            return res.status(400).json({ error: 'Full name is required' });
+        }
+
+        // Check admin limit
+        const { count } = await supabase
+            .from('users')
+            .select('*', { count: 'exact', head: true })
+            .eq('role', 'admin')
+            .eq('is_active', true);
+
+        if (count >= 10) {
+            return res.status(400).json({ error: 'Maximum admin limit (10) reached' });
+        }
+
+        // Check if wallet already exists
+        const { data: existingUser } = await supabase
+            .from('users')
+            .select('wallet_address')
+            .eq('wallet_address', walletAddress)
+            .single();
+
+        if (existingUser) {
+            return res.status(409).json({ error: 'Wallet address already registered' });
+        }
+
+        // Create admin
+        const { data: newAdmin, error } = await supabase
+            .from('users')
+            .insert({
+                wallet_address: walletAddress,
+                full_name: fullName,
+                role: 'admin',
+                department: 'Administration',
+                jurisdiction: 'System',
+                account_type: 'real',
+                created_by: adminWallet,
+                is_active: true
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        // Log admin action
+        await logAdminAction(adminWallet, 'create_admin', walletAddress, {
+            admin_name: fullName
+        });
+
+        // Send welcome notification to new admin
+        await createNotification(
+            walletAddress,
+            'Admin Access Granted',
+            `Your administrator account has been created. You now have full system access.`,
+            'system',
+            { role: 'admin' }
+        );
+
+        // Notify creating admin
+        await createNotification(
+            adminWallet,
+            'New Administrator Created',
+            `Administrator account created for ${fullName}`,
+            'system',
+            { action: 'admin_created', targetAdmin: fullName }
+        );
+
+        res.json({ success: true, admin: newAdmin });
+    } catch (error) {
+        console.error('Create admin error:', error);
+        res.status(500).json({ error: 'Failed to create admin' });
+    }
+});
+
+// Delete user (Admin only)
+app.post('/api/admin/delete-user', adminLimiter, verifyAdmin, requireStepUp, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { targetWallet } = req.body;
+        const adminWallet = req.user.wallet_address;
+
+        if (!validateWalletAddress(targetWallet)) {
+            return res.status(400).json({ error: 'Invalid target wallet address' });
+        }
+
+        // Prevent self-deletion
+        if (adminWallet === targetWallet) {
+            return res.status(400).json({ error: 'Administrators cannot delete their own account' });
+        }
+
+        // Get target user info for logging
+        const { data: targetUser } = await supabase
+            .from('users')
+            .select('*')
+            .eq('wallet_address', targetWallet)
+            .single();
+
+        if (!targetUser) {
+            return res.status(404).json({ error: 'Target user not found' });
+        }
+
+        // Soft delete user
+        const { error } = await supabase
+            .from('users')
+            .update({
+                is_active: false,
+                last_updated: new Date().toISOString()
+            })
+            .eq('wallet_address', targetWallet);
+
+        if (error) {
+            throw error;
+        }
+
+        // Log admin action
+        await logAdminAction(adminWallet, 'delete_user', targetWallet, {
+            action: 'soft_delete',
+            target_user_name: targetUser.full_name,
+            target_user_role: targetUser.role
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete user error:', error);
+        res.status(500).json({ error: 'Failed to delete user' });
+    }
+});
+
+// Get all users with enhanced filtering and pagination
+app.get('/api/admin/users', adminLimiter, verifyAdmin, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { limit = 50, offset = 0, role, active_only = 'true' } = req.query;
+
+        // Use database function for efficient user retrieval
+        const { data: result, error } = await supabase
+            .rpc('get_all_users', {
+                p_limit: parseInt(limit),
+                p_offset: parseInt(offset),
+                p_role_filter: role || null,
+                p_active_only: active_only === 'true'
+            });
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({ 
+            success: true, 
+            ...result
+        });
+    } catch (error) {
+        console.error('Get users error:', error);
+        res.status(500).json({ error: 'Failed to get users' });
+    }
+});
+
+// Lift a sign-in lockout and forget the account's failed attempts
+app.post('/api/admin/unlock-account', adminLimiter, verifyAdmin, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const userId = parseInt(req.body.userId, 10);
+
+        if (!userId) {
+            return res.status(400).json({ error: 'User ID is required' });
+        }
+
+        const { data: user, error } = await supabase
+            .from('users')
+            .update(CLEARED_LOGIN_FAILURES)
+            .eq('id', userId)
+            .select('id, wallet_address, email, full_name')
+            .maybeSingle();
+
+        if (error) throw error;
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await logAdminAction(req.user.wallet_address, 'account_unlocked', user.wallet_address || user.email, {
+            target_user_id: user.id,
+            target_user_name: user.full_name
+        });
+        await logAuthActivity(user, 'account_unlocked', { unlocked_by: req.admin.email || req.admin.wallet_address });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Unlock account error:', error);
+        res.status(500).json({ error: 'Failed to unlock account' });
+    }
+});
+
+// Change a user's jurisdiction, which decides the cases court officials and evidence managers see
+app.post('/api/admin/user-jurisdiction', adminLimiter, verifyAdmin, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const userId = parseInt(req.body.userId, 10);
+        const jurisdiction = typeof req.body.jurisdiction === 'string' ? req.body.jurisdiction.trim() : '';
+
+        if (!userId || !jurisdiction) {
+            return res.status(400).json({ error: 'User ID and jurisdiction are required' });
+        }
+
+        const { data: user, error: userError } = await supabase
+            .from('users')
+            .select('id, wallet_address, email, full_name, role, jurisdiction')
+            .eq('id', userId)
+            .maybeSingle();
+
+        if (userError) throw userError;
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const { error } = await supabase
+            .from('users')
+            .update({ jurisdiction })
+            .eq('id', userId);
+
+        if (error) throw error;
+
+        await logAdminAction(req.user.wallet_address, 'user_jurisdiction_changed', user.wallet_address || user.email, {
+            target_user_id: user.id,
+            target_user_name: user.full_name,
+            role: user.role,
+            old_jurisdiction: user.jurisdiction,
+            new_jurisdiction: jurisdiction,
+            reason: req.body.reason || null
+        });
+
+        res.json({ success: true, user: { id: user.id, jurisdiction } });
+    } catch (error) {
+        console.error('Change jurisdiction error:', error);
+        res.status(500).json({ error: 'Failed to change jurisdiction' });
+    }
+});
+
+// Wait for an anchoring transaction in the background and record the outcome on the evidence row
+const trackAnchorConfirmation = (evidenceId, txHash) => {
+    chain.waitForAnchor(txHash)
+        .then(async ({ blockNumber, onChainId }) => {
+            await supabase
+                .from('evidence')
+                .update({
+                    anchor_status: 'confirmed',
+                    block_number: blockNumber,
+                    onchain_id: onChainId,
+                    anchored_at: new Date().toISOString()
+                })
+                .eq('id', evidenceId);
+        })
+        .catch(async (error) => {
+            console.error(`Anchor confirmation failed for evidence ${evidenceId}:`, error.message);
+            await supabase
+                .from('evidence')
+                .update({ anchor_status: 'failed', anchor_error: error.message })
+                .eq('id', evidenceId);
+        });
+};
+
+// Same as trackAnchorConfirmation, for a Merkle root and every evidence row in its batch
+const trackBatchConfirmation = (batchId, txHash) => {
+    chain.waitForAnchor(txHash)
+        .then(async ({ blockNumber, batchId: onChainBatchId }) => {
+            const anchoredAt = new Date().toISOString();
+
+            await supabase
+                .from('anchor_batches')
+                .update({
+                    status: 'confirmed',
+                    block_number: blockNumber,
+                    onchain_batch_id: onChainBatchId,
+                    anchored_at: anchoredAt
+                })
+                .eq('id', batchId);
+
+            await supabase
+                .from('evidence')
+                .update({ anchor_status: 'confirmed', block_number: blockNumber, anchored_at: anchoredAt })
+                .eq('anchor_batch_id', batchId);
+        })
+        .catch(async (error) => {
+            console.error(`Anchor confirmation failed for batch ${batchId}:`, error.message);
+            await supabase
+                .from('anchor_batches')
+                .update({ status: 'failed', anchor_error: error.message })
+                .eq('id', batchId);
+            await supabase
+                .from('evidence')
+                .update({ anchor_status: 'failed', anchor_error: error.message })
+                .eq('anchor_batch_id', batchId);
+        });
+};
+
+// Anchor fields of an earlier row with the same bytes that already made it into a batch
+const findBatchedSibling = async (hash) => {
+    const { data: sibling } = await supabase
+        .from('evidence')
+        .select('anchor_status, anchor_batch_id, merkle_proof, blockchain_tx, block_number, anchored_at')
+        .eq('hash', hash)
+        .in('anchor_status', ['pending', 'confirmed'])
+        .not('anchor_batch_id', 'is', null)
+        .limit(1)
+        .maybeSingle();
+
+    return sibling;
+};
+
+// Anchor the evidence hash: queue it for the next Merkle batch, or submit it to
+// storeEvidence directly in single mode. Returns the anchor fields written to the row.
+const anchorEvidence = async (evidence) => {
+    if (!chain) {
+        return {};
+    }
+
+    let anchor;
+    try {
+        if (ANCHOR_MODE === 'batch') {
+            const sibling = await findBatchedSibling(evidence.hash);
+            anchor = sibling || { anchor_status: 'queued' };
+        } else {
+            const existing = await chain.verifyHash(evidence.hash);
+
+            if (existing.exists) {
+                // Same bytes were anchored before (deduplicated upload): reuse that anchor
+                const { data: sibling } = await supabase
+                    .from('evidence')
+                    .select('blockchain_tx, block_number, anchored_at')
+                    .eq('hash', evidence.hash)
+                    .eq('anchor_status', 'confirmed')
+                    .limit(1)
+                    .maybeSingle();
+
+                anchor = {
+                    anchor_status: 'confirmed',
+                    onchain_id: existing.evidenceId,
+                    blockchain_tx: sibling?.blockchain_tx || null,
+                    block_number: sibling?.block_number || null,
+                    anchored_at: sibling?.anchored_at || new Date().toISOString()
+                };
+            } else {
+                const { txHash } = await chain.submitEvidenceHash(
+                    evidence.hash,
+                    JSON.stringify({ evidence_id: evidence.id })
+                );
+                anchor = { anchor_status: 'pending', blockchain_tx: txHash };
+            }
+        }
+    } catch (error) {
+        console.error(`Anchoring failed for evidence ${evidence.id}:`, error.message);
+        anchor = { anchor_status: 'failed', anchor_error: error.message };
+    }
+
+    await supabase.from('evidence').update(anchor).eq('id', evidence.id);
+
+    if (anchor.anchor_status === 'pending' && !anchor.anchor_batch_id) {
+        trackAnchorConfirmation(evidence.id, anchor.blockchain_tx);
+    }
+
+    return anchor;
+};
+
+// Build a Merkle tree over queued evidence hashes and anchor its root in one transaction
+let batchInFlight = false;
+const anchorQueuedEvidence = async () => {
+    if (!chain || batchInFlight) return;
+    batchInFlight = true;
+
+    try {
+        const { data: queued, error } = await supabase
+            .from('evidence')
+            .select('id, hash')
+            .eq('anchor_status', 'queued')
+            .order('timestamp', { ascending: true })
+            .limit(ANCHOR_BATCH_MAX_SIZE);
+
+        if (error) throw error;
+        if (!queued || queued.length === 0) return;
+
+        const tree = buildMerkleTree(queued.map(item => item.hash));
+
+        const { data: batch, error: batchError } = await supabase
+            .from('anchor_batches')
+            .insert({ merkle_root: tree.root, leaf_count: tree.leafCount, status: 'pending' })
+            .select()
+            .single();
+
+        if (batchError) throw batchError;
+
+        let txHash;
+        try {
+            ({ txHash } = await chain.submitBatchRoot(tree.root, tree.leafCount));
+        } catch (error) {
+            // Nothing reached the chain: drop the batch, rows stay queued for the next window
+            await supabase.from('anchor_batches').delete().eq('id', batch.id);
+            throw error;
+        }
+
+        await supabase.from('anchor_batches').update({ blockchain_tx: txHash }).eq('id', batch.id);
+
+        await Promise.all(queued.map(item => supabase
+            .from('evidence')
+            .update({
+                anchor_status: 'pending',
+                anchor_batch_id: batch.id,
+                merkle_proof: tree.proofs[item.hash].proof,
+                blockchain_tx: txHash
+            })
+            .eq('id', item.id)));
+
+        console.log(`⛓️ Anchored batch ${batch.id}: ${queued.length} evidence item(s), root ${tree.root}`);
+        trackBatchConfirmation(batch.id, txHash);
+    } catch (error) {
+        console.error('Batch anchoring failed:', error.message);
+    } finally {
+        batchInFlight = false;
+    }
+};
+
+// Pick up confirmations for transactions still pending from before a restart
+const resumePendingAnchors = async () => {
+    if (!chain) return;
+
+    const { data: pending, error } = await supabase
+        .from('evidence')
+        .select('id, blockchain_tx')
+        .eq('anchor_status', 'pending')
+        .is('anchor_batch_id', null)
+        .not('blockchain_tx', 'is', null);
+
+    const { data: pendingBatches, error: batchError } = await supabase
+        .from('anchor_batches')
+        .select('id, blockchain_tx')
+        .eq('status', 'pending')
+        .not('blockchain_tx', 'is', null);
+
+    if (error || batchError) {
+        console.error('Failed to load pending anchors:', error || batchError);
+        return;
+    }
+
+    pending.forEach(item => trackAnchorConfirmation(item.id, item.blockchain_tx));
+    pendingBatches.forEach(batch => trackBatchConfirmation(batch.id, batch.blockchain_tx));
+    if (pending.length + pendingBatches.length > 0) {
+        console.log(`⛓️ Tracking ${pending.length + pendingBatches.length} pending anchor transaction(s)`);
+    }
+};
+
+// ============================================================================
+// AUDIT LOG INTEGRITY
+// ============================================================================
+
+const trackCheckpointConfirmation = (checkpointId, txHash) => {
+    chain.waitForAnchor(txHash)
+        .then(({ blockNumber, batchId: onChainBatchId }) => supabase
+            .from('audit_checkpoints')
+            .update({
+                status: 'confirmed',
+                block_number: blockNumber,
+                onchain_batch_id: onChainBatchId,
+                anchored_at: new Date().toISOString()
+            })
+            .eq('id', checkpointId))
+        .catch(async (error) => {
+            console.error(`Anchor confirmation failed for audit checkpoint ${checkpointId}:`, error.message);
+            await supabase
+                .from('audit_checkpoints')
+                .update({ status: 'failed', anchor_error: error.message })
+                .eq('id', checkpointId);
+        });
+};
+
+/**
+ * Record the current head of every audit chain and anchor their Merkle root on-chain.
+ * Skipped when nothing has been logged since the last checkpoint.
+ * @returns {Promise<Object|null>} The new audit_checkpoints row
+ */
+let checkpointInFlight = false;
+const createAuditCheckpoint = async () => {
+    if (checkpointInFlight) return null;
+    checkpointInFlight = true;
+
+    try {
+        const heads = {};
+        for (const chainName of Object.keys(AUDIT_CHAINS)) {
+            heads[chainName] = await auditLog.head(chainName);
+        }
+        const merkleRoot = checkpointRoot(heads);
+
+        const { data: latest, error: latestError } = await supabase
+            .from('audit_checkpoints')
+            .select('merkle_root')
+            .order('id', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (latestError) throw latestError;
+        if (latest && latest.merkle_root === merkleRoot) return null;
+
+        const { data: checkpoint, error } = await supabase
+            .from('audit_checkpoints')
+            .insert({ heads, merkle_root: merkleRoot, status: chain ? 'pending' : 'unanchored' })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        if (chain) {
+            try {
+                const { txHash } = await chain.submitBatchRoot(merkleRoot, Object.keys(heads).length);
+                await supabase.from('audit_checkpoints').update({ blockchain_tx: txHash }).eq('id', checkpoint.id);
+                trackCheckpointConfirmation(checkpoint.id, txHash);
+            } catch (anchorError) {
+                await supabase
+                    .from('audit_checkpoints')
+                    .update({ status: 'failed', anchor_error: chainErrorMessage(anchorError) })
+                    .eq('id', checkpoint.id);
+                throw anchorError;
+            }
+        }
+
+        console.log(`🧾 Audit checkpoint ${checkpoint.id}: activity_logs #${heads.activity_logs.seq}, admin_actions #${heads.admin_actions.seq}`);
+        return checkpoint;
+    } catch (error) {
+        console.error('Audit checkpoint failed:', error.message);
+        return null;
+    } finally {
+        checkpointInFlight = false;
+    }
+};
+
+// Pick up checkpoint confirmations still pending from before a restart
+const resumePendingCheckpoints = async () => {
+    if (!chain) return;
+
+    const { data: pending, error } = await supabase
+        .from('audit_checkpoints')
+        .select('id, blockchain_tx')
+        .eq('status', 'pending')
+        .not('blockchain_tx', 'is', null);
+
+    if (error) {
+        console.error('Failed to load pending audit checkpoints:', error);
+        return;
+    }
+    pending.forEach(checkpoint => trackCheckpointConfirmation(checkpoint.id, checkpoint.blockchain_tx));
+};
+
+// The latest confirmed checkpoint's root must still be known to the contract
+const verifyLatestAnchor = async (checkpoints) => {
+    const anchored = checkpoints.filter(checkpoint => checkpoint.status === 'confirmed').pop();
+
+    if (!anchored) {
+        return { status: 'skipped', reason: 'No checkpoint has been anchored yet' };
+    }
+    if (!chain) {
+        return { status: 'skipped', reason: 'Blockchain not configured', checkpoint_id: anchored.id };
+    }
+
+    const { exists, batchId } = await chain.verifyRoot(anchored.merkle_root);
+    return {
+        status: exists ? 'passed' : 'failed',
+        reason: exists ? 'Checkpoint root is anchored on-chain' : 'Checkpoint root is not known to the contract',
+        checkpoint_id: anchored.id,
+        blockchain_tx: anchored.blockchain_tx,
+        onchain_batch_id: batchId
+    };
+};
+
+// Walk both audit chains and their checkpoints; reports the first broken link of each
+app.get('/api/audit/verify', requirePermission('audit:view'), async (req, res) => {
+    try {
+        const chains = {};
+        for (const chainName of Object.keys(AUDIT_CHAINS)) {
+            chains[chainName] = await auditLog.verifyChain(chainName);
+        }
+
+        const { data: checkpoints, error } = await supabase
+            .from('audit_checkpoints')
+            .select('*')
+            .order('id', { ascending: true });
+
+        if (error) throw error;
+
+        const checkpointResult = await auditLog.verifyCheckpoints(checkpoints);
+        let anchor;
+        try {
+            anchor = await verifyLatestAnchor(checkpoints);
+        } catch (chainError) {
+            anchor = { status: 'failed', reason: `Chain lookup failed: ${chainErrorMessage(chainError)}` };
+        }
+
+        const latest = checkpoints[checkpoints.length - 1] || null;
+
+        res.json({
+            success: true,
+            valid: Object.values(chains).every(result => result.valid) && checkpointResult.valid && anchor.status !== 'failed',
+            verified_at: new Date().toISOString(),
+            chains,
+            checkpoints: {
+                ...checkpointResult,
+                latest: latest && {
+                    id: latest.id,
+                    created_at: latest.created_at,
+                    status: latest.status,
+                    heads: latest.heads,
+                    merkle_root: latest.merkle_root,
+                    blockchain_tx: latest.blockchain_tx,
+                    block_number: latest.block_number
+                },
+                anchor
+            }
+        });
+    } catch (error) {
+        console.error('Audit verification error:', error);
+        res.status(500).json({ error: 'Failed to verify audit log' });
+    }
+});
+
+// ============================================================================
+// AUDIT EVENTS
+// ============================================================================
+
+const AUDIT_EXPORT_MAX_EVENTS = 10000;
+const AUDIT_EXPORT_PAGE_SIZE = 1000;
+
+// Events matching the filters, newest first, starting below chain_seq `before`
+const queryAuditEvents = async (filters, { before, limit }) => {
+    if (!sourceHasResourceType(filters.source, filters.resourceType)) return [];
+
+    let query = applyEventFilters(supabase.from(filters.source).select('*'), filters)
+        .order('chain_seq', { ascending: false })
+        .limit(limit);
+    if (before) query = query.lt('chain_seq', before);
+
+    const { data: rows, error } = await query;
+    if (error) throw error;
+    return rows.map(row => toAuditEvent(filters.source, row));
+};
+
+// Everything an export covers, oldest first; stops at AUDIT_EXPORT_MAX_EVENTS
+const collectAuditExport = async (filters) => {
+    const events = [];
+    let before = filters.cursor;
+
+    for (;;) {
+        const page = await queryAuditEvents(filters, {
+            before,
+            limit: Math.min(AUDIT_EXPORT_PAGE_SIZE, AUDIT_EXPORT_MAX_EVENTS + 1 - events.length)
+        });
+        events.push(...page);
+
+        if (events.length > AUDIT_EXPORT_MAX_EVENTS) {
+            return { events: events.slice(0, AUDIT_EXPORT_MAX_EVENTS).reverse(), truncated: true };
+        }
+        if (page.length < AUDIT_EXPORT_PAGE_SIZE) {
+            return { events: events.reverse(), truncated: false };
+        }
+        before = page[page.length - 1].seq;
+    }
+};
+
+// Query one audit chain; format=csv|jsonl|pdf exports every match instead of a page
+app.get('/api/audit/events', requirePermission('audit:view'), async (req, res) => {
+    try {
+        const { filters, error } = parseEventFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        if (filters.format === 'json') {
+            const rows = await queryAuditEvents(filters, { before: filters.cursor, limit: filters.limit + 1 });
+            const events = rows.slice(0, filters.limit);
+
+            return res.json({
+                success: true,
+                source: filters.source,
+                events,
+                next_cursor: rows.length > filters.limit ? encodeCursor(events[events.length - 1].seq) : null
+            });
+        }
+
+        const { events, truncated } = await collectAuditExport(filters);
+        const exportedBy = req.user.wallet_address || req.user.email;
+        const filename = `audit_${filters.source}_${new Date().toISOString().split('T')[0]}.${filters.format}`;
+
+        await logActivity({
+            user_id: exportedBy,
+            action: 'audit_log_exported',
+            details: {
+                source: filters.source,
+                format: filters.format,
+                actor: filters.actor,
+                actions: filters.actions,
+                resource_type: filters.resourceType,
+                resource_id: filters.resourceId,
+                from: filters.from,
+                to: filters.to,
+                event_count: events.length,
+                truncated
+            },
+            timestamp: new Date().toISOString()
+        });
+
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('X-Export-Count', events.length.toString());
+        res.setHeader('X-Export-Truncated', truncated.toString());
 
-        res.json({ success: true, admin: newAdmin });
+        if (filters.format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            return res.send(eventsToCsv(events));
+        }
+        if (filters.format === 'jsonl') {
+            res.setHeader('Content-Type', 'application/x-ndjson');
+            return res.send(eventsToJsonLines(events));
+        }
+
+        const pdf = await createSignedEventsPdf({ events, filters, generatedBy: exportedBy, truncated, signer });
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('X-Export-SHA256', pdf.sha256);
+        res.setHeader('X-Signature-Key-Id', signer.keyId);
+        res.send(pdf.buffer);
     } catch (error) {
-        console.error('Create admin error:', error);
-        res.status(500).json({ error: 'Failed to create admin' });
+        console.error('Audit events error:', error);
+        res.status(500).json({ error: 'Failed to query audit events' });
     }
 });
 
-// Delete user (Admin only)
-app.post('/api/admin/delete-user', adminLimiter, verifyAdmin, async (req, res) => {
-    try {
-        const { adminWallet, targetWallet } = req.body;
+// Maximum size in MB per accepted evidence MIME type
+const EVIDENCE_SIZE_LIMITS_MB = {
+    'application/pdf': 100,
+    'image/jpeg': 50,
+    'image/jpg': 50,
+    'image/png': 50,
+    'image/gif': 25,
+    'video/mp4': 500,
+    'video/avi': 500,
+    'video/mov': 500,
+    'audio/mp3': 100,
+    'audio/wav': 200,
+    'audio/m4a': 100,
+    'application/msword': 50,
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 50,
+    'text/plain': 10
+};
 
-        if (!validateWalletAddress(targetWallet)) {
-            return res.status(400).json({ error: 'Invalid target wallet address' });
-        }
+// Error body for an uploaded file of an unsupported type or size, or whose content does not match
+// its declared type; null when it is acceptable. Content is only checked when file.buffer is present.
+const checkEvidenceFile = (file) => {
+    const maxSize = EVIDENCE_SIZE_LIMITS_MB[file.mimetype];
+    if (!maxSize) {
+        return {
+            error: `File type ${file.mimetype} not supported`,
+            supportedTypes: Object.keys(EVIDENCE_SIZE_LIMITS_MB)
+        };
+    }
 
-        // Prevent self-deletion
-        if (adminWallet === targetWallet) {
-            return res.status(400).json({ error: 'Administrators cannot delete their own account' });
-        }
+    const maxSizeBytes = maxSize * 1024 * 1024;
+    if (file.size > maxSizeBytes) {
+        return {
+            error: `File too large. Maximum size for ${file.mimetype} is ${maxSize}MB`,
+            fileSize: file.size,
+            maxSize: maxSizeBytes
+        };
+    }
 
-        // Get target user info for logging
-        const { data: targetUser } = await supabase
-            .from('users')
-            .select('*')
-            .eq('wallet_address', targetWallet)
-            .single();
+    if (file.buffer) {
+        return checkContentType(file.mimetype, file.buffer.subarray(0, SNIFF_BYTES));
+    }
+    return null;
+};
 
-        if (!targetUser) {
-            return res.status(404).json({ error: 'Target user not found' });
+// Evidence ids being scanned, so an upload's own scan and the retry sweep never overlap
+const scansInFlight = new Set();
+
+/**
+ * Scan a stored evidence file and record the result on the item. Only a clean result releases
+ * the file from quarantine; a scan that cannot finish is recorded as 'error' and retried later.
+ * @param {{ id: number, hash: string, file_name: string, storage_key: string, submitted_by: string }} evidence
+ */
+const scanEvidence = async (evidence) => {
+    if (scansInFlight.has(evidence.id)) return;
+    scansInFlight.add(evidence.id);
+
+    try {
+        let result;
+        try {
+            result = await scanner.scan(await storage.createReadStream(evidence.storage_key));
+        } catch (scanError) {
+            console.error(`Malware scan of evidence ${evidence.id} failed:`, scanError.message);
+            await supabase
+                .from('evidence')
+                .update({ scan_status: 'error', scan_error: scanError.message, scanned_at: new Date().toISOString() })
+                .eq('id', evidence.id);
+            return;
         }
 
-        // Soft delete user
+        const scannedAt = new Date().toISOString();
         const { error } = await supabase
-            .from('users')
+            .from('evidence')
             .update({
-                is_active: false,
-                last_updated: new Date().toISOString()
+                scan_status: result.status,
+                scan_signature: result.signature,
+                scan_engine: result.engine,
+                scan_error: null,
+                scanned_at: scannedAt
             })
-            .eq('wallet_address', targetWallet);
+            .eq('id', evidence.id);
 
         if (error) {
             throw error;
         }
 
-        // Log admin action
-        await logAdminAction(adminWallet, 'delete_user', targetWallet, {
-            action: 'soft_delete',
-            target_user_name: targetUser.full_name,
-            target_user_role: targetUser.role
+        await logActivity({
+            user_id: 'system',
+            action: result.status === 'clean' ? 'evidence_scan_passed' : 'evidence_malware_detected',
+            resource_type: 'evidence',
+            resource_id: String(evidence.id),
+            details: { hash: evidence.hash, engine: result.engine, signature: result.signature },
+            timestamp: scannedAt
         });
 
-        res.json({ success: true });
+        if (result.status === 'infected') {
+            console.warn(`🦠 Evidence ${evidence.id} quarantined: ${result.signature}`);
+            await createNotification(
+                evidence.submitted_by,
+                'Evidence quarantined',
+                `"${evidence.file_name}" was flagged by the malware scanner (${result.signature}) and cannot be opened or exported`,
+                'urgent',
+                { evidence_id: evidence.id, signature: result.signature }
+            );
+        }
     } catch (error) {
-        console.error('Delete user error:', error);
-        res.status(500).json({ error: 'Failed to delete user' });
+        console.error(`Recording malware scan of evidence ${evidence.id} failed:`, error);
+    } finally {
+        scansInFlight.delete(evidence.id);
     }
-});
+};
+
+// Retry scans that never ran (e.g. the server restarted mid-scan) or could not finish
+let rescanInFlight = false;
+const rescanQuarantinedEvidence = async () => {
+    if (rescanInFlight) return;
+    rescanInFlight = true;
 
-// Get all users with enhanced filtering and pagination
-app.get('/api/admin/users', adminLimiter, async (req, res) => {
     try {
-        const { adminWallet } = req.query;
-        const { limit = 50, offset = 0, role, active_only = 'true' } = req.query;
+        const { data: waiting, error } = await supabase
+            .from('evidence')
+            .select('id, hash, file_name, storage_key, submitted_by')
+            .in('scan_status', ['pending', 'error'])
+            .not('storage_key', 'is', null)
+            .order('id', { ascending: true });
 
-        if (!validateWalletAddress(adminWallet)) {
-            return res.status(400).json({ error: 'Invalid admin wallet address' });
+        if (error) {
+            console.error('Failed to load evidence awaiting a malware scan:', error);
+            return;
         }
 
-        // Verify admin permissions
-        const { data: admin } = await supabase
-            .from('users')
-            .select('role')
-            .eq('wallet_address', adminWallet)
-            .eq('is_active', true)
-            .single();
-
-        if (!admin || admin.role !== 'admin') {
-            return res.status(403).json({ error: 'Admin privileges required' });
+        if (waiting.length > 0) {
+            console.log(`🦠 Scanning ${waiting.length} quarantined evidence item(s)`);
+        }
+        for (const evidence of waiting) {
+            await scanEvidence(evidence);
         }
+    } finally {
+        rescanInFlight = false;
+    }
+};
 
-        // Use database function for efficient user retrieval
-        const { data: result, error } = await supabase
-            .rpc('get_all_users', {
-                p_limit: parseInt(limit),
-                p_offset: parseInt(offset),
-                p_role_filter: role || null,
-                p_active_only: active_only === 'true'
-            });
+// Why an evidence file may not be opened or exported yet, or null once its scan has passed
+const quarantineReason = (evidence) => {
+    switch (evidence.scan_status) {
+        case 'clean':
+            return null;
+        case 'infected':
+            return `Evidence is quarantined: the malware scanner detected ${evidence.scan_signature}`;
+        case 'error':
+            return 'Evidence is quarantined: its malware scan could not complete and will be retried';
+        default:
+            return 'Evidence is quarantined until its malware scan completes';
+    }
+};
 
-        if (error) {
-            throw error;
+// Descriptive fields sent with a new evidence upload, trimmed; { error } when required ones are missing
+const parseEvidenceFields = ({ caseId, type, description, location, collectionDate }) => {
+    if (!caseId || !type) {
+        return { error: 'Case ID, type, and uploader are required' };
+    }
+
+    return {
+        fields: {
+            caseId: String(caseId).trim(),
+            type: String(type).trim(),
+            description: description ? String(description).trim() : '',
+            location: location ? String(location).trim() : '',
+            collectionDate: collectionDate || null
         }
+    };
+};
 
-        res.json({ 
-            success: true, 
-            ...result
+/**
+ * Insert the evidence row for a stored upload, open its custody ledger and anchor its hash.
+ * @param {Object} fields - From parseEvidenceFields
+ * @param {{ originalname: string, mimetype: string, size: number }} file
+ * @param {{ hash: string, key: string, digests: Object }} stored - From storeBlob or storeFile
+ * @param {string} uploadedBy - Wallet address of the uploader
+ * @param {string|null} clientHash - SHA-256 the uploader computed, already checked against stored.hash
+ * @returns {Promise<Object>} The evidence row with its anchor status
+ */
+const createUploadedEvidence = async (fields, file, stored, uploadedBy, clientHash) => {
+    const { data: evidence, error } = await supabase
+        .from('evidence')
+        .insert({
+            case_id: fields.caseId,
+            title: file.originalname,
+            description: fields.description,
+            type: fields.type,
+            file_name: file.originalname,
+            file_size: file.size,
+            file_type: file.mimetype,
+            hash: stored.hash,
+            digests: stored.digests,
+            client_hash: clientHash || null,
+            storage_key: stored.key,
+            location: fields.location,
+            collection_date: fields.collectionDate,
+            submitted_by: uploadedBy,
+            status: 'uploaded'
+        })
+        .select()
+        .single();
+
+    if (error) {
+        throw error;
+    }
+
+    // Collection happened before the upload; the uploader vouches for its time and place
+    if (evidence.collection_date) {
+        await recordCustody(evidence, {
+            eventType: 'collected',
+            actor: uploadedBy,
+            occurredAt: evidence.collection_date,
+            location: fields.location,
+            purpose: 'Evidence collection',
+            details: { case_id: fields.caseId }
         });
-    } catch (error) {
-        console.error('Get users error:', error);
-        res.status(500).json({ error: 'Failed to get users' });
     }
-});
+    await recordCustody(evidence, {
+        eventType: 'uploaded',
+        actor: uploadedBy,
+        occurredAt: evidence.timestamp,
+        purpose: 'Initial submission',
+        details: {
+            case_id: fields.caseId,
+            file_name: file.originalname,
+            storage_key: stored.key,
+            client_sha256: clientHash || null
+        }
+    });
+
+    // The file stays quarantined until the scan, which runs in the background, passes
+    scanEvidence(evidence);
+
+    // Anchor the hash on-chain; confirmation is tracked in the background
+    const anchor = await anchorEvidence(evidence);
+    return { ...evidence, ...anchor };
+};
 
 // Enhanced Evidence Upload API Endpoint
-app.post('/api/evidence/upload', upload.single('file'), async (req, res) => {
+// Single request, buffered in memory and limited by multer to 100MB; larger files use /api/evidence/uploads.
+// clientHash, the SHA-256 computed before sending, must match what arrived
+app.post('/api/evidence/upload', requirePermission('evidence:upload'), upload.single('file'), async (req, res) => {
     try {
-        const { caseId, type, description, location, collectionDate, uploadedBy } = req.body;
+        const uploadedBy = req.user.wallet_address;
         const file = req.file;
+        const clientHash = req.body.clientHash ? String(req.body.clientHash).toLowerCase() : null;
 
         // Input validation
         if (!file) {
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
-        if (!caseId || !type || !uploadedBy) {
-            return res.status(400).json({ error: 'Case ID, type, and uploader are required' });
+        const { fields, error: fieldsError } = parseEvidenceFields(req.body);
+        if (fieldsError) {
+            return res.status(400).json({ error: fieldsError });
         }
 
         if (!validateWalletAddress(uploadedBy)) {
             return res.status(400).json({ error: 'Invalid uploader wallet address' });
         }
 
-        // Sanitize inputs
-        const sanitizedCaseId = String(caseId).trim();
-        const sanitizedType = String(type).trim();
-        const sanitizedDescription = description ? String(description).trim() : '';
-        const sanitizedLocation = location ? String(location).trim() : '';
-
-        // File validation
-        const allowedTypes = {
-            'application/pdf': 100,
-            'image/jpeg': 50,
-            'image/jpg': 50,
-            'image/png': 50,
-            'image/gif': 25,
-            'video/mp4': 500,
-            'video/avi': 500,
-            'video/mov': 500,
-            'audio/mp3': 100,
-            'audio/wav': 200,
-            'audio/m4a': 100,
-            'application/msword': 50,
-            'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 50,
-            'text/plain': 10
-        };
+        // Evidence can only be added to a case the uploader can see
+        if (!(await loadVisibleCase(req, res, fields.caseId))) return;
 
-        const maxSize = allowedTypes[file.mimetype];
-        if (!maxSize) {
-            return res.status(400).json({ 
-                error: `File type ${file.mimetype} not supported`,
-                supportedTypes: Object.keys(allowedTypes)
-            });
+        if (clientHash && !SHA256_PATTERN.test(clientHash)) {
+            return res.status(400).json({ error: 'clientHash must be a hex SHA-256 digest' });
         }
 
-        const maxSizeBytes = maxSize * 1024 * 1024;
-        if (file.size > maxSizeBytes) {
-            return res.status(400).json({ 
-                error: `File too large. Maximum size for ${file.mimetype} is ${maxSize}MB`,
-                fileSize: file.size,
-                maxSize: maxSizeBytes
-            });
+        const fileProblem = checkEvidenceFile(file);
+        if (fileProblem) {
+            return res.status(400).json(fileProblem);
         }
 
-        // Calculate file hash
-        const crypto = require('crypto');
-        const hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+        const serverHash = hashBuffer(file.buffer);
+        if (clientHash && clientHash !== serverHash) {
+            return res.status(422).json({
+                error: 'The file received does not match the hash computed before upload',
+                client_sha256: clientHash,
+                server_sha256: serverHash
+            });
+        }
 
-        // Create evidence record
-        const evidenceData = {
-            id: 'EVD-' + Date.now(),
-            caseId: sanitizedCaseId,
-            type: sanitizedType,
-            description: sanitizedDescription,
-            location: sanitizedLocation,
-            collectionDate,
-            fileName: file.originalname,
-            fileSize: file.size,
-            mimeType: file.mimetype,
-            hash,
-            uploadedBy,
-            uploadedAt: new Date().toISOString(),
-            status: 'uploaded'
-        };
+        // Persist the original bytes; blobs are keyed by SHA-256 so duplicates are stored once
+        const stored = await storeBlob(storage, file.buffer, EVIDENCE_DIGEST_ALGORITHMS);
+        const evidence = await createUploadedEvidence(fields, file, stored, uploadedBy, clientHash);
 
-        // Store file (in production, use cloud storage)
-        // For now, just return success with metadata
-        
         res.json({
             success: true,
-            evidence: evidenceData,
+            evidence,
+            deduplicated: stored.deduplicated,
+            receipt: signUploadReceipt(evidence, signer),
             message: 'Evidence uploaded successfully'
         });
 
@@ -1198,11 +4261,31 @@ app.post('/api/evidence/upload', upload.single('file'), async (req, res) => {
     }
 });
 
+// Signed upload receipt, re-issued for an item already uploaded
+app.get('/api/evidence/:id/receipt', requirePermission('evidence:view'), async (req, res) => {
+    try {
+        const { data: evidence, error } = await supabase
+            .from('evidence')
+            .select('*')
+            .eq('id', req.params.id)
+            .single();
+
+        if (error || !evidence || !(await isEvidenceVisible(req, evidence))) {
+            return res.status(404).json({ error: 'Evidence not found' });
+        }
+
+        res.json({ success: true, ...signUploadReceipt(evidence, signer) });
+    } catch (error) {
+        console.error('Upload receipt error:', error);
+        res.status(500).json({ error: 'Failed to create upload receipt' });
+    }
+});
+
 // Download single evidence file with watermark
-app.post('/api/evidence/:id/download', exportLimiter, async (req, res) => {
+app.post('/api/evidence/:id/download', exportLimiter, requirePermission('evidence:download'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { userWallet } = req.body;
+        const userWallet = req.user.wallet_address;
 
         if (!validateWalletAddress(userWallet)) {
             return res.status(400).json({ error: 'Invalid wallet address' });
@@ -1220,11 +4303,6 @@ app.post('/api/evidence/:id/download', exportLimiter, async (req, res) => {
             return res.status(403).json({ error: 'Unauthorized access' });
         }
 
-        // Check role permissions (public_viewer cannot download)
-        if (user.role === 'public_viewer') {
-            return res.status(403).json({ error: 'Public viewers cannot download evidence' });
-        }
-
         // Get evidence details
         const { data: evidence, error: evidenceError } = await supabase
             .from('evidence')
@@ -1232,54 +4310,55 @@ app.post('/api/evidence/:id/download', exportLimiter, async (req, res) => {
             .eq('id', id)
             .single();
 
-        if (evidenceError || !evidence) {
+        if (evidenceError || !evidence || !(await isEvidenceVisible(req, evidence))) {
             return res.status(404).json({ error: 'Evidence not found' });
         }
 
-        // Generate watermark text
-        const watermarkText = generateWatermarkText(userWallet, evidence.case_number, new Date());
-        
-        // For demo purposes, create a mock file buffer
-        let fileBuffer;
-        let contentType;
-        let filename;
-
-        if (evidence.file_type?.startsWith('image/')) {
-            // Create a simple image buffer for demo
-            fileBuffer = Buffer.from('Mock image data for evidence ' + id);
-            contentType = evidence.file_type;
-            filename = `evidence_${id}_watermarked.jpg`;
-            
-            // Apply watermark (in real implementation, you'd get actual file from storage)
-            // fileBuffer = await watermarkImage(fileBuffer, watermarkText);
-        } else if (evidence.file_type === 'application/pdf') {
-            fileBuffer = Buffer.from('Mock PDF data for evidence ' + id);
-            contentType = 'application/pdf';
-            filename = `evidence_${id}_watermarked.pdf`;
-            
-            // Apply watermark (in real implementation, you'd get actual file from storage)
-            // fileBuffer = await watermarkPDF(fileBuffer, watermarkText);
-        } else {
-            fileBuffer = Buffer.from('Mock file data for evidence ' + id);
-            contentType = 'application/octet-stream';
-            filename = `evidence_${id}_watermarked.bin`;
+        if (!evidence.storage_key) {
+            return res.status(404).json({ error: 'No stored file for this evidence' });
+        }
+
+        const quarantined = quarantineReason(evidence);
+        if (quarantined) {
+            return res.status(423).json({ error: quarantined, scan_status: evidence.scan_status });
         }
 
+        const unavailableReason = getWatermarkUnavailableReason(evidence.file_type);
+        if (unavailableReason) {
+            return res.status(415).json({ error: unavailableReason });
+        }
+
+        const { buffer: fileBuffer, extension, watermarkApplied } = await createWatermarkedCopy(evidence, userWallet);
+        const derivativeHash = hashBuffer(fileBuffer);
+        const filename = `evidence_${id}${watermarkApplied ? '_watermarked' : ''}${extension}`;
+
         // Log download action
         await logDownloadAction(userWallet, id, 'evidence_download', {
             evidence_id: id,
             evidence_name: evidence.name,
             file_type: evidence.file_type,
-            watermark_applied: true,
+            watermark_applied: watermarkApplied,
+            original_hash: evidence.hash,
+            derivative_hash: derivativeHash,
             download_timestamp: new Date().toISOString()
         });
+        await recordCustody(evidence, {
+            eventType: 'downloaded',
+            actor: userWallet,
+            purpose: custodyPurpose(req.body.purpose, 'Watermarked copy'),
+            details: { watermark_applied: watermarkApplied, derivative_hash: derivativeHash }
+        });
 
         // Set response headers
-        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Type', evidence.file_type || 'application/octet-stream');
+        res.setHeader('Content-Length', fileBuffer.length);
         res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-        res.setHeader('X-Watermark-Applied', 'true');
+        res.setHeader('X-Watermark-Applied', String(watermarkApplied));
         res.setHeader('X-Downloaded-By', userWallet.slice(0, 8) + '...');
-        
+        // The served copy differs from the original whenever a watermark was applied
+        res.setHeader('X-Original-SHA256', evidence.hash);
+        res.setHeader('X-Content-SHA256', derivativeHash);
+
         res.send(fileBuffer);
     } catch (error) {
         console.error('Evidence download error:', error);
@@ -1287,10 +4366,56 @@ app.post('/api/evidence/:id/download', exportLimiter, async (req, res) => {
     }
 });
 
+// Chain-of-custody entries recorded for an evidence item, oldest first, with their signatures
+const getCustodyEntries = async (evidence) => {
+    const rows = await custodyLedger.list(evidence.id);
+
+    return rows.map(row => ({
+        id: row.id,
+        event: row.event_type,
+        actor: row.actor,
+        timestamp: row.occurred_at,
+        location: row.location,
+        purpose: row.purpose,
+        details: row.details,
+        signature: row.signature,
+        signing_key_id: row.signing_key_id,
+        signature_status: custodyLedger.signatureStatus(row)
+    }));
+};
+
+// On-chain anchoring data as recorded on the evidence row
+// (select EVIDENCE_WITH_BATCH so batched rows carry their Merkle inclusion proof)
+const getOnChainProof = (evidence) => {
+    const batch = evidence.anchor_batch;
+
+    return {
+        anchored: evidence.anchor_status === 'confirmed',
+        anchor_status: evidence.anchor_status || 'unanchored',
+        anchor_type: evidence.anchor_batch_id ? 'merkle_batch' : 'single',
+        contract_address: chain?.contractAddress || null,
+        onchain_id: evidence.onchain_id ?? null,
+        transaction_hash: evidence.blockchain_tx || null,
+        block_number: evidence.block_number ?? null,
+        anchored_at: evidence.anchored_at || null,
+        merkle: batch ? {
+            leaf: merkleLeaf(evidence.hash),
+            proof: evidence.merkle_proof || [],
+            root: batch.merkle_root,
+            leaf_count: batch.leaf_count,
+            onchain_batch_id: batch.onchain_batch_id ?? null,
+            root_transaction_hash: batch.blockchain_tx || null
+        } : null
+    };
+};
+
+
 // Bulk export multiple evidence files as ZIP
-app.post('/api/evidence/bulk-export', exportLimiter, async (req, res) => {
+// format: 'watermarked' (default) or 'forensic'; layout: 'forensic' (default) or 'bagit'
+app.post('/api/evidence/bulk-export', exportLimiter, requirePermission('evidence:download'), async (req, res) => {
     try {
-        const { evidenceIds, userWallet } = req.body;
+        const { evidenceIds, format = 'watermarked', layout = 'forensic', purpose } = req.body;
+        const userWallet = req.user.wallet_address;
 
         if (!validateWalletAddress(userWallet)) {
             return res.status(400).json({ error: 'Invalid wallet address' });
@@ -1304,6 +4429,14 @@ app.post('/api/evidence/bulk-export', exportLimiter, async (req, res) => {
             return res.status(400).json({ error: 'Maximum 50 files per bulk export' });
         }
 
+        if (!['watermarked', 'forensic'].includes(format)) {
+            return res.status(400).json({ error: 'Export format must be "watermarked" or "forensic"' });
+        }
+
+        if (format === 'forensic' && !FORENSIC_EXPORT_LAYOUTS.includes(layout)) {
+            return res.status(400).json({ error: `Export layout must be one of: ${FORENSIC_EXPORT_LAYOUTS.join(', ')}` });
+        }
+
         // Verify user exists and has appropriate role
         const { data: user, error: userError } = await supabase
             .from('users')
@@ -1316,29 +4449,102 @@ app.post('/api/evidence/bulk-export', exportLimiter, async (req, res) => {
             return res.status(403).json({ error: 'Unauthorized access' });
         }
 
-        // Check role permissions
-        if (user.role === 'public_viewer') {
-            return res.status(403).json({ error: 'Public viewers cannot export evidence' });
+        if (format === 'forensic' && !(await hasPermission(req, 'evidence:export_forensic'))) {
+            return res.status(403).json({ error: 'Forensic export of original files is restricted to evidence managers, legal and court roles' });
         }
 
         // Get evidence details
         const { data: evidenceItems, error: evidenceError } = await supabase
             .from('evidence')
-            .select('*')
+            .select(EVIDENCE_WITH_BATCH)
             .in('id', evidenceIds);
 
         if (evidenceError || !evidenceItems || evidenceItems.length === 0) {
             return res.status(404).json({ error: 'No evidence found with provided IDs' });
         }
 
+        const scope = await loadAccessScope(req);
+        const hiddenItems = evidenceItems.filter(item => !canViewEvidence(scope, item)).map(item => item.id);
+        if (hiddenItems.length > 0) {
+            return res.status(404).json({ error: 'Some evidence was not found', evidence_ids: hiddenItems });
+        }
+
+        const missingFiles = evidenceItems.filter(item => !item.storage_key).map(item => item.id);
+        if (missingFiles.length > 0) {
+            return res.status(409).json({ error: 'Some evidence has no stored file', evidence_ids: missingFiles });
+        }
+
+        const quarantinedItems = evidenceItems.filter(item => quarantineReason(item)).map(item => item.id);
+        if (quarantinedItems.length > 0) {
+            return res.status(423).json({ error: 'Some evidence is quarantined pending a clean malware scan', evidence_ids: quarantinedItems });
+        }
+
         // Create ZIP archive
         const archive = archiver('zip', { zlib: { level: 9 } });
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+        archive.on('error', (archiveError) => {
+            console.error('Bulk export archive error:', archiveError);
+            res.destroy(archiveError);
+        });
+
+        if (format === 'forensic') {
+            const items = [];
+            for (const evidence of evidenceItems) {
+                items.push({
+                    evidence,
+                    custody: await getCustodyEntries(evidence),
+                    proof: getOnChainProof(evidence)
+                });
+            }
+
+            const forensicPackage = createForensicPackage({ items, exportedBy: userWallet, signer, layout });
+            const zipFilename = `forensic_export_${forensicPackage.exportId}.zip`;
+
+            res.setHeader('Content-Type', 'application/zip');
+            res.setHeader('Content-Disposition', `attachment; filename="${zipFilename}"`);
+            res.setHeader('X-Export-Count', evidenceItems.length.toString());
+            res.setHeader('X-Exported-By', userWallet.slice(0, 8) + '...');
+
+            archive.pipe(res);
+
+            forensicPackage.files.forEach(file => archive.append(file.content, { name: file.name }));
+            for (const entry of forensicPackage.payload) {
+                archive.append(await storage.createReadStream(entry.evidence.storage_key), { name: entry.path });
+            }
+
+            await logDownloadAction(userWallet, null, 'evidence_bulk_export', {
+                evidence_ids: evidenceItems.map(item => item.id),
+                total_files: evidenceItems.length,
+                export_format: `forensic_${layout}`,
+                export_id: forensicPackage.exportId,
+                watermark_applied: false,
+                export_timestamp: new Date().toISOString()
+            });
+            for (const evidence of evidenceItems) {
+                await recordCustody(evidence, {
+                    eventType: 'downloaded',
+                    actor: userWallet,
+                    purpose: custodyPurpose(purpose, 'Forensic export'),
+                    details: { export_id: forensicPackage.exportId, layout, watermark_applied: false }
+                });
+            }
+
+            archive.finalize();
+            return;
+        }
+
+        // Watermarked export: items that can't carry a watermark are left out and listed
+        const skipped = evidenceItems
+            .filter(item => getWatermarkUnavailableReason(item.file_type))
+            .map(item => ({ id: item.id, reason: getWatermarkUnavailableReason(item.file_type) }));
+        const exportable = evidenceItems.filter(item => !getWatermarkUnavailableReason(item.file_type));
+
         const zipFilename = `evidence_export_${timestamp}.zip`;
 
         res.setHeader('Content-Type', 'application/zip');
         res.setHeader('Content-Disposition', `attachment; filename="${zipFilename}"`);
-        res.setHeader('X-Export-Count', evidenceItems.length.toString());
+        res.setHeader('X-Export-Count', exportable.length.toString());
         res.setHeader('X-Exported-By', userWallet.slice(0, 8) + '...');
 
         archive.pipe(res);
@@ -1348,46 +4554,44 @@ app.post('/api/evidence/bulk-export', exportLimiter, async (req, res) => {
             export_info: {
                 exported_by: userWallet,
                 export_timestamp: new Date().toISOString(),
-                total_files: evidenceItems.length,
+                total_files: exportable.length,
                 watermark_applied: true
             },
-            evidence_items: evidenceItems.map(item => ({
+            evidence_items: exportable.map(item => ({
                 id: item.id,
                 name: item.name,
                 case_number: item.case_number,
                 file_type: item.file_type,
                 hash: item.hash,
+                digests: item.digests || { sha256: item.hash },
                 submitted_by: item.submitted_by,
                 timestamp: item.timestamp,
-                blockchain_verified: true
-            }))
+                blockchain_anchored: getOnChainProof(item).anchored
+            })),
+            skipped_items: skipped
         };
 
         archive.append(JSON.stringify(metadata, null, 2), { name: 'export_metadata.json' });
 
         // Add each evidence file with watermark
-        for (const evidence of evidenceItems) {
-            const watermarkText = generateWatermarkText(userWallet, evidence.case_number, new Date());
-            
-            // For demo purposes, create mock file data
-            let fileBuffer = Buffer.from(`Mock evidence data for ${evidence.name} (ID: ${evidence.id})`);
-            let filename = `${evidence.id}_${evidence.name || 'evidence'}`;
-
-            if (evidence.file_type?.startsWith('image/')) {
-                filename += '_watermarked.jpg';
-            } else if (evidence.file_type === 'application/pdf') {
-                filename += '_watermarked.pdf';
-            } else {
-                filename += '_watermarked.bin';
-            }
-
-            archive.append(fileBuffer, { name: filename });
+        for (const evidence of exportable) {
+            const { buffer, extension, watermarkApplied } = await createWatermarkedCopy(evidence, userWallet);
+            const filename = `${evidence.id}_${evidence.name || 'evidence'}${watermarkApplied ? '_watermarked' : ''}${extension}`;
+
+            archive.append(buffer, { name: filename });
+            await recordCustody(evidence, {
+                eventType: 'downloaded',
+                actor: userWallet,
+                purpose: custodyPurpose(purpose, 'Bulk export'),
+                details: { export: 'zip', watermark_applied: watermarkApplied, derivative_hash: hashBuffer(buffer) }
+            });
         }
 
         // Log bulk export action
         await logDownloadAction(userWallet, null, 'evidence_bulk_export', {
-            evidence_ids: evidenceIds,
-            total_files: evidenceItems.length,
+            evidence_ids: exportable.map(item => item.id),
+            skipped_ids: skipped.map(item => item.id),
+            total_files: exportable.length,
             export_format: 'zip',
             watermark_applied: true,
             export_timestamp: new Date().toISOString()
@@ -1396,50 +4600,46 @@ app.post('/api/evidence/bulk-export', exportLimiter, async (req, res) => {
         archive.finalize();
     } catch (error) {
         console.error('Bulk export error:', error);
-        res.status(500).json({ error: 'Failed to export evidence' });
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            res.status(500).json({ error: 'Failed to export evidence' });
+        }
     }
 });
 
 // Get download history for specific evidence
-app.get('/api/evidence/:id/download-history', async (req, res) => {
+app.get('/api/evidence/:id/download-history', requirePermission('audit:view'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { userWallet } = req.query;
-
-        if (!validateWalletAddress(userWallet)) {
-            return res.status(400).json({ error: 'Invalid wallet address' });
-        }
-
-        // Verify user has admin or auditor role to view download history
-        const { data: user, error: userError } = await supabase
-            .from('users')
-            .select('role')
-            .eq('wallet_address', userWallet)
-            .eq('is_active', true)
-            .single();
-
-        if (userError || !user || !['admin', 'auditor'].includes(user.role)) {
-            return res.status(403).json({ error: 'Unauthorized: Admin or Auditor role required' });
-        }
 
-        // Get download history from activity logs
-        const { data: downloadHistory, error } = await supabase
-            .from('activity_logs')
-            .select('*')
-            .or(`action.eq.evidence_download,action.eq.evidence_bulk_export`)
-            .ilike('details', `%"evidence_id":${id}%`)
-            .order('timestamp', { ascending: false });
+        // Single downloads carry the evidence as their resource; bulk exports list it in details
+        const [downloads, bulkExports] = await Promise.all([
+            supabase
+                .from('activity_logs')
+                .select('*')
+                .eq('action', 'evidence_download')
+                .eq('resource_type', 'evidence')
+                .eq('resource_id', String(id)),
+            supabase
+                .from('activity_logs')
+                .select('*')
+                .eq('action', 'evidence_bulk_export')
+                .contains('details', { evidence_ids: [Number(id)] })
+        ]);
 
-        if (error) {
-            throw error;
+        if (downloads.error || bulkExports.error) {
+            throw downloads.error || bulkExports.error;
         }
 
-        const formattedHistory = downloadHistory.map(log => ({
-            timestamp: log.timestamp,
-            user_id: log.user_id,
-            action: log.action,
-            details: JSON.parse(log.details || '{}')
-        }));
+        const formattedHistory = [...downloads.data, ...bulkExports.data]
+            .sort((a, b) => b.chain_seq - a.chain_seq)
+            .map(log => ({
+                timestamp: log.timestamp,
+                user_id: log.user_id,
+                action: log.action,
+                details: log.details || {}
+            }));
 
         res.json({
             success: true,
@@ -1455,7 +4655,7 @@ app.get('/api/evidence/:id/download-history', async (req, res) => {
 // Evidence Tagging API Endpoints
 
 // Get all tags with usage statistics
-app.get('/api/tags', async (req, res) => {
+app.get('/api/tags', requirePermission('tags:view'), async (req, res) => {
     try {
         const { data: tags, error } = await supabase
             .from('tags')
@@ -1472,9 +4672,10 @@ app.get('/api/tags', async (req, res) => {
 });
 
 // Create new tag
-app.post('/api/tags', async (req, res) => {
+app.post('/api/tags', requirePermission('tags:create'), async (req, res) => {
     try {
-        const { name, color, category, userWallet } = req.body;
+        const { name, color, category } = req.body;
+        const userWallet = req.user.wallet_address;
 
         if (!validateWalletAddress(userWallet)) {
             return res.status(400).json({ error: 'Invalid wallet address' });
@@ -1510,10 +4711,11 @@ app.post('/api/tags', async (req, res) => {
 });
 
 // Add tags to evidence
-app.post('/api/evidence/:id/tags', async (req, res) => {
+app.post('/api/evidence/:id/tags', requirePermission('tags:apply'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { tagIds, userWallet } = req.body;
+        const { tagIds } = req.body;
+        const userWallet = req.user.wallet_address;
 
         if (!validateWalletAddress(userWallet)) {
             return res.status(400).json({ error: 'Invalid wallet address' });
@@ -1523,6 +4725,8 @@ app.post('/api/evidence/:id/tags', async (req, res) => {
             return res.status(400).json({ error: 'Tag IDs array is required' });
         }
 
+        if (!(await loadVisibleEvidence(req, res))) return;
+
         const evidenceTags = tagIds.map(tagId => ({
             evidence_id: parseInt(id),
             tag_id: tagId,
@@ -1544,15 +4748,17 @@ app.post('/api/evidence/:id/tags', async (req, res) => {
 });
 
 // Remove tag from evidence
-app.delete('/api/evidence/:id/tags/:tagId', async (req, res) => {
+app.delete('/api/evidence/:id/tags/:tagId', requirePermission('tags:apply'), async (req, res) => {
     try {
         const { id, tagId } = req.params;
-        const { userWallet } = req.body;
+        const userWallet = req.user.wallet_address;
 
         if (!validateWalletAddress(userWallet)) {
             return res.status(400).json({ error: 'Invalid wallet address' });
         }
 
+        if (!(await loadVisibleEvidence(req, res))) return;
+
         const { error } = await supabase
             .from('evidence_tags')
             .delete()
@@ -1570,9 +4776,10 @@ app.delete('/api/evidence/:id/tags/:tagId', async (req, res) => {
 });
 
 // Batch tag operations
-app.post('/api/evidence/batch-tag', async (req, res) => {
+app.post('/api/evidence/batch-tag', requirePermission('tags:apply'), async (req, res) => {
     try {
-        const { evidenceIds, tagIds, userWallet } = req.body;
+        const { evidenceIds, tagIds } = req.body;
+        const userWallet = req.user.wallet_address;
 
         if (!validateWalletAddress(userWallet)) {
             return res.status(400).json({ error: 'Invalid wallet address' });
@@ -1582,6 +4789,11 @@ app.post('/api/evidence/batch-tag', async (req, res) => {
             return res.status(400).json({ error: 'Evidence IDs and tag IDs arrays are required' });
         }
 
+        const hiddenEvidence = await findHiddenEvidence(req, evidenceIds);
+        if (hiddenEvidence.length > 0) {
+            return res.status(404).json({ error: 'Some evidence was not found', evidence_ids: hiddenEvidence });
+        }
+
         const evidenceTags = [];
         evidenceIds.forEach(evidenceId => {
             tagIds.forEach(tagId => {
@@ -1608,7 +4820,7 @@ app.post('/api/evidence/batch-tag', async (req, res) => {
 });
 
 // Filter evidence by tags
-app.get('/api/evidence/by-tags', async (req, res) => {
+app.get('/api/evidence/by-tags', requirePermission('evidence:view', 'tags:view'), async (req, res) => {
     try {
         const { tagIds, logic = 'AND' } = req.query;
 
@@ -1641,7 +4853,8 @@ app.get('/api/evidence/by-tags', async (req, res) => {
 
         if (error) throw error;
 
-        res.json({ success: true, evidence, filter_logic: logic });
+        const scope = await loadAccessScope(req);
+        res.json({ success: true, evidence: evidence.filter(item => canViewEvidence(scope, item)), filter_logic: logic });
     } catch (error) {
         console.error('Filter by tags error:', error);
         res.status(500).json({ error: 'Failed to filter evidence by tags' });
@@ -1649,7 +4862,7 @@ app.get('/api/evidence/by-tags', async (req, res) => {
 });
 
 // Auto-suggest tags
-app.get('/api/tags/suggest', async (req, res) => {
+app.get('/api/tags/suggest', requirePermission('tags:view'), async (req, res) => {
     try {
         const { query = '', limit = 10 } = req.query;
 
@@ -1672,9 +4885,10 @@ app.get('/api/tags/suggest', async (req, res) => {
 // Timeline Visualization API Endpoints
 
 // Get evidence by case for timeline
-app.get('/api/evidence/by-case/:caseId', async (req, res) => {
+app.get('/api/evidence/by-case/:caseId', requirePermission('evidence:view'), async (req, res) => {
     try {
         const { caseId } = req.params;
+        const scope = await loadAccessScope(req);
 
         const { data: evidence, error } = await supabase
             .from('evidence')
@@ -1684,7 +4898,7 @@ app.get('/api/evidence/by-case/:caseId', async (req, res) => {
 
         if (error) throw error;
 
-        res.json({ success: true, evidence });
+        res.json({ success: true, evidence: evidence.filter(item => canViewEvidence(scope, item)) });
     } catch (error) {
         console.error('Get evidence by case error:', error);
         res.status(500).json({ error: 'Failed to get evidence for case' });
@@ -1692,7 +4906,7 @@ app.get('/api/evidence/by-case/:caseId', async (req, res) => {
 });
 
 // Export timeline as PDF
-app.post('/api/timeline/export-pdf', async (req, res) => {
+app.post('/api/timeline/export-pdf', requirePermission('reports:generate'), async (req, res) => {
     try {
         const { caseId, evidence } = req.body;
 
@@ -1726,13 +4940,20 @@ This report was generated by EVID-DGC Blockchain Evidence Management System.
 });
 
 // Get cases for timeline
-app.get('/api/cases', async (req, res) => {
+app.get('/api/cases', requirePermission('cases:view'), async (req, res) => {
     try {
-        const { data: cases, error } = await supabase
+        let query = supabase
             .from('cases')
             .select('id, title, description, status, created_date')
             .order('created_date', { ascending: false });
 
+        const visibility = caseFilter(await loadAccessScope(req));
+        if (visibility) {
+            query = query.or(visibility);
+        }
+
+        const { data: cases, error } = await query;
+
         if (error) throw error;
 
         res.json({ success: true, cases });
@@ -1742,64 +4963,91 @@ app.get('/api/cases', async (req, res) => {
     }
 });
 
+// Fields anyone may see when a file they hold matches stored evidence
+const PUBLIC_EVIDENCE_FIELDS = 'id, timestamp, hash, digests, anchor_status, blockchain_tx';
+
+// First evidence item with a digest; SHA-256 is the hash column, other algorithms live in digests
+const findEvidenceByDigest = async ({ algorithm, value }) => {
+    let query = supabase.from('evidence').select(PUBLIC_EVIDENCE_FIELDS);
+    query = algorithm === 'sha256'
+        ? query.eq('hash', value)
+        : query.contains('digests', { [algorithm]: value });
+
+    const { data: evidence, error } = await query.limit(1).maybeSingle();
+    if (error) throw error;
+    return evidence;
+};
+
 // Verify file integrity against blockchain
+// calculatedHash may be any supported digest; name it in `algorithm` for SHA3
 app.post('/api/evidence/verify-integrity', async (req, res) => {
     try {
-        const { fileName, fileSize, calculatedHash, evidenceId } = req.body;
+        const { fileName, fileSize, calculatedHash, algorithm: requestedAlgorithm, evidenceId } = req.body;
+
+        const digest = parseDigest(calculatedHash, requestedAlgorithm);
+        if (digest.error) {
+            return res.status(400).json({ error: digest.error });
+        }
 
         let evidence = null;
         let verified = false;
         let blockchainHash = null;
+        let recordedHash = null;
 
         if (evidenceId) {
             // Verify against specific evidence ID
             const { data: evidenceData, error } = await supabase
                 .from('evidence')
-                .select('*')
+                .select(PUBLIC_EVIDENCE_FIELDS)
                 .eq('id', evidenceId)
                 .single();
 
-            if (evidenceData) {
+            // Stored digests are only returned on a match; otherwise anyone could read them by id
+            if (evidenceData && evidenceDigest(evidenceData, digest.algorithm) === digest.value) {
                 evidence = evidenceData;
                 blockchainHash = evidenceData.hash;
-                verified = calculatedHash === blockchainHash;
+                recordedHash = digest.value;
+                verified = true;
             }
         } else {
             // Search for evidence by hash
-            const { data: evidenceData, error } = await supabase
-                .from('evidence')
-                .select('*')
-                .eq('hash', calculatedHash)
-                .single();
+            const evidenceData = await findEvidenceByDigest(digest);
 
             if (evidenceData) {
                 evidence = evidenceData;
                 blockchainHash = evidenceData.hash;
+                recordedHash = digest.value;
                 verified = true;
             }
         }
 
         // Log verification attempt
-        await supabase.from('activity_logs').insert({
+        await logActivity({
             user_id: 'public_verification',
             action: 'evidence_verification',
-            details: JSON.stringify({
+            resource_type: evidenceId ? 'evidence' : null,
+            resource_id: evidenceId ? String(evidenceId) : null,
+            details: {
                 fileName,
                 fileSize,
-                calculatedHash: calculatedHash.substring(0, 16) + '...',
+                algorithm: digest.algorithm,
+                calculatedHash: digest.value.substring(0, 16) + '...',
                 verified,
                 evidenceId
-            }),
+            },
             timestamp: new Date().toISOString()
         });
 
+        const verificationQuery = digest.algorithm === 'sha256' ? '' : `?algorithm=${digest.algorithm}`;
         res.json({
             success: true,
             verified,
-            calculatedHash,
+            algorithm: digest.algorithm,
+            calculatedHash: digest.value,
+            recordedHash,
             blockchainHash,
             evidence,
-            verificationUrl: `${req.protocol}://${req.get('host')}/verify/${calculatedHash}`,
+            verificationUrl: `${req.protocol}://${req.get('host')}/verify/${digest.value}${verificationQuery}`,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -1809,7 +5057,7 @@ app.post('/api/evidence/verify-integrity', async (req, res) => {
 });
 
 // Generate verification certificate
-app.post('/api/evidence/verification-certificate', async (req, res) => {
+app.post('/api/evidence/verification-certificate', requirePermission('evidence:verify'), async (req, res) => {
     try {
         const { fileName, verificationResult, timestamp } = req.body;
 
@@ -1847,28 +5095,28 @@ This certificate confirms the integrity verification of the above evidence file.
 // Public verification endpoint (no authentication required)
 app.get('/verify/:hash', async (req, res) => {
     try {
-        const { hash } = req.params;
+        const digest = parseDigest(req.params.hash, req.query.algorithm);
+        if (digest.error) {
+            return res.status(400).json({ error: digest.error });
+        }
 
-        const { data: evidence, error } = await supabase
-            .from('evidence')
-            .select('id, title, case_id, timestamp, submitted_by, hash')
-            .eq('hash', hash)
-            .single();
+        // Public proof of existence only: nothing that identifies the case or its contents
+        const evidence = await findEvidenceByDigest(digest);
 
-        if (error || !evidence) {
+        if (!evidence) {
             return res.status(404).json({ error: 'Evidence not found' });
         }
 
         res.json({
             success: true,
             verified: true,
+            algorithm: digest.algorithm,
             evidence: {
-                id: evidence.id,
-                title: evidence.title,
-                case_id: evidence.case_id,
                 timestamp: evidence.timestamp,
-                submitted_by: evidence.submitted_by.substring(0, 8) + '...', // Partial wallet for privacy
-                hash: evidence.hash
+                hash: evidence.hash,
+                digests: evidence.digests || { sha256: evidence.hash },
+                anchor_status: evidence.anchor_status,
+                blockchain_tx: evidence.blockchain_tx || null
             },
             verification_timestamp: new Date().toISOString()
         });
@@ -1879,25 +5127,9 @@ app.get('/verify/:hash', async (req, res) => {
 });
 
 // Get verification history (for admin/auditor)
-app.get('/api/evidence/verification-history', async (req, res) => {
+app.get('/api/evidence/verification-history', requirePermission('audit:view'), async (req, res) => {
     try {
-        const { userWallet, limit = 100 } = req.query;
-
-        if (!validateWalletAddress(userWallet)) {
-            return res.status(400).json({ error: 'Invalid wallet address' });
-        }
-
-        // Verify user has admin or auditor role
-        const { data: user, error: userError } = await supabase
-            .from('users')
-            .select('role')
-            .eq('wallet_address', userWallet)
-            .eq('is_active', true)
-            .single();
-
-        if (userError || !user || !['admin', 'auditor'].includes(user.role)) {
-            return res.status(403).json({ error: 'Unauthorized: Admin or Auditor role required' });
-        }
+        const { limit = 100 } = req.query;
 
         const { data: history, error } = await supabase
             .from('activity_logs')
@@ -1918,7 +5150,7 @@ app.get('/api/evidence/verification-history', async (req, res) => {
 // Retention Policy API Endpoints
 
 // Get all retention policies
-app.get('/api/retention-policies', async (req, res) => {
+app.get('/api/retention-policies', requirePermission('retention:view'), async (req, res) => {
     try {
         const { data: policies, error } = await supabase
             .from('retention_policies')
@@ -1935,9 +5167,10 @@ app.get('/api/retention-policies', async (req, res) => {
 });
 
 // Create retention policy
-app.post('/api/retention-policies', async (req, res) => {
+app.post('/api/retention-policies', requirePermission('retention:manage'), async (req, res) => {
     try {
-        const { name, caseType, retentionDays, archiveMethod, jurisdiction, lawReference, userWallet } = req.body;
+        const { name, caseType, retentionDays, archiveMethod, jurisdiction, lawReference } = req.body;
+        const userWallet = req.user.wallet_address;
 
         if (!validateWalletAddress(userWallet)) {
             return res.status(400).json({ error: 'Invalid wallet address' });
@@ -1966,7 +5199,7 @@ app.post('/api/retention-policies', async (req, res) => {
 });
 
 // Get evidence with expiry information
-app.get('/api/evidence/expiry', async (req, res) => {
+app.get('/api/evidence/expiry', requirePermission('retention:view'), async (req, res) => {
     try {
         const { filter = 'all' } = req.query;
         let query = supabase.from('evidence').select('*');
@@ -2000,16 +5233,22 @@ app.get('/api/evidence/expiry', async (req, res) => {
     }
 });
 
+// Releasing a hold can require a passkey step-up (PASSKEY_STEP_UP_ACTIONS=legal_hold_release)
+const isLegalHoldRelease = (req) => !req.body.legalHold;
+
 // Set legal hold on evidence
-app.post('/api/evidence/:id/legal-hold', async (req, res) => {
+app.post('/api/evidence/:id/legal-hold', requirePermission('evidence:legal_hold'), requirePasskeyStepUp('legal_hold_release', { when: isLegalHoldRelease }), async (req, res) => {
     try {
         const { id } = req.params;
-        const { legalHold, userWallet } = req.body;
+        const { legalHold } = req.body;
+        const userWallet = req.user.wallet_address;
 
         if (!validateWalletAddress(userWallet)) {
             return res.status(400).json({ error: 'Invalid wallet address' });
         }
 
+        if (!(await loadVisibleEvidence(req, res))) return;
+
         const { error } = await supabase
             .from('evidence')
             .update({ legal_hold: legalHold })
@@ -2018,10 +5257,12 @@ app.post('/api/evidence/:id/legal-hold', async (req, res) => {
         if (error) throw error;
 
         // Log the action
-        await supabase.from('activity_logs').insert({
+        await logActivity({
             user_id: userWallet,
             action: legalHold ? 'legal_hold_set' : 'legal_hold_removed',
-            details: `Evidence ID: ${id}`,
+            resource_type: 'evidence',
+            resource_id: String(id),
+            details: { evidence_id: id },
             timestamp: new Date().toISOString()
         });
 
@@ -2033,9 +5274,10 @@ app.post('/api/evidence/:id/legal-hold', async (req, res) => {
 });
 
 // Apply retention policy to multiple evidence
-app.post('/api/evidence/bulk-retention-policy', async (req, res) => {
+app.post('/api/evidence/bulk-retention-policy', requirePermission('retention:manage'), async (req, res) => {
     try {
-        const { policyId, evidenceIds, userWallet } = req.body;
+        const { policyId, evidenceIds } = req.body;
+        const userWallet = req.user.wallet_address;
 
         if (!validateWalletAddress(userWallet)) {
             return res.status(400).json({ error: 'Invalid wallet address' });
@@ -2074,7 +5316,7 @@ app.post('/api/evidence/bulk-retention-policy', async (req, res) => {
 });
 
 // Check for expiring evidence and send notifications
-app.post('/api/evidence/check-expiry', async (req, res) => {
+app.post('/api/evidence/check-expiry', requirePermission('retention:manage'), async (req, res) => {
     try {
         const now = new Date();
         const thirtyDaysFromNow = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
@@ -2114,7 +5356,7 @@ app.post('/api/evidence/check-expiry', async (req, res) => {
 // Evidence Comparison API Endpoints
 
 // Get multiple evidence items for comparison
-app.get('/api/evidence/compare', async (req, res) => {
+app.get('/api/evidence/compare', requirePermission('evidence:compare'), async (req, res) => {
     try {
         const { ids } = req.query;
 
@@ -2137,15 +5379,17 @@ app.get('/api/evidence/compare', async (req, res) => {
             throw error;
         }
 
-        if (!evidenceItems || evidenceItems.length === 0) {
+        const scope = await loadAccessScope(req);
+        const visibleItems = (evidenceItems || []).filter(item => canViewEvidence(scope, item));
+
+        if (visibleItems.length === 0) {
             return res.status(404).json({ error: 'No evidence found with provided IDs' });
         }
 
-        // Add blockchain verification status
-        const enrichedEvidence = evidenceItems.map(item => ({
+        // Add blockchain anchoring status
+        const enrichedEvidence = visibleItems.map(item => ({
             ...item,
-            blockchain_verified: true,
-            verification_timestamp: new Date().toISOString()
+            blockchain_verified: item.anchor_status === 'confirmed'
         }));
 
         res.json({
@@ -2160,9 +5404,10 @@ app.get('/api/evidence/compare', async (req, res) => {
 });
 
 // Create comparison report
-app.post('/api/evidence/comparison-report', async (req, res) => {
+app.post('/api/evidence/comparison-report', requirePermission('reports:generate'), async (req, res) => {
     try {
-        const { evidenceIds, reportData, generatedBy } = req.body;
+        const { evidenceIds, reportData } = req.body;
+        const generatedBy = req.user.wallet_address || req.user.email;
 
         if (!evidenceIds || !Array.isArray(evidenceIds) || evidenceIds.length < 2) {
             return res.status(400).json({ error: 'At least 2 evidence IDs required' });
@@ -2178,14 +5423,12 @@ app.post('/api/evidence/comparison-report', async (req, res) => {
         };
 
         // Log the comparison action
-        await supabase
-            .from('activity_logs')
-            .insert({
-                user_id: generatedBy,
-                action: 'evidence_comparison_report_generated',
-                details: `Generated comparison report for ${evidenceIds.length} evidence items`,
-                timestamp: new Date().toISOString()
-            });
+        await logActivity({
+            user_id: generatedBy,
+            action: 'evidence_comparison_report_generated',
+            details: { evidence_ids: evidenceIds },
+            timestamp: new Date().toISOString()
+        });
 
         res.json({
             success: true,
@@ -2199,7 +5442,7 @@ app.post('/api/evidence/comparison-report', async (req, res) => {
 });
 
 // Get all evidence
-app.get('/api/evidence', async (req, res) => {
+app.get('/api/evidence', requirePermission('evidence:view'), async (req, res) => {
     try {
         const { limit = 50, offset = 0, case_id, status, submitted_by } = req.query;
         
@@ -2221,6 +5464,11 @@ app.get('/api/evidence', async (req, res) => {
         if (submitted_by) {
             query = query.eq('submitted_by', submitted_by);
         }
+
+        const visibility = evidenceFilter(await loadAccessScope(req));
+        if (visibility) {
+            query = query.or(visibility);
+        }
         
         const { data: evidence, error } = await query;
         
@@ -2228,13 +5476,11 @@ app.get('/api/evidence', async (req, res) => {
             throw error;
         }
         
-        // Add mock blockchain data for display
+        // Blockchain status comes from the recorded anchor, never from placeholders
         const enrichedEvidence = evidence.map(item => ({
             ...item,
-            ipfs_hash: item.ipfs_hash || generateMockIPFSHash(),
-            blockchain_tx: item.blockchain_tx || generateMockTxHash(),
-            blockchain_verified: true,
-            verification_timestamp: new Date().toISOString()
+            blockchain_tx: item.blockchain_tx || null,
+            blockchain_verified: item.anchor_status === 'confirmed'
         }));
         
         res.json({ 
@@ -2248,109 +5494,869 @@ app.get('/api/evidence', async (req, res) => {
     }
 });
 
-// Helper functions for mock data
-function generateMockIPFSHash() {
-    return 'Qm' + Array.from({length: 44}, () => 
-        'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789'
-        .charAt(Math.floor(Math.random() * 62))
-    ).join('');
-}
+// Get evidence details for preview
+app.get('/api/evidence/:id', requirePermission('evidence:view'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: evidence, error } = await supabase
+            .from('evidence')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        // Evidence outside the caller's cases is reported as missing rather than forbidden
+        if (error || !evidence || !(await isEvidenceVisible(req, evidence))) {
+            return res.status(404).json({ error: 'Evidence not found' });
+        }
+
+        res.json(evidence);
+    } catch (error) {
+        console.error('Get evidence error:', error);
+        res.status(500).json({ error: 'Failed to get evidence' });
+    }
+});
+
+// Stream the stored original for in-browser preview
+app.get('/api/evidence/:id/file', requirePermission('evidence:view'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: evidence, error } = await supabase
+            .from('evidence')
+            .select('id, case_id, submitted_by, custodian, file_name, file_type, file_size, hash, storage_key, scan_status, scan_signature')
+            .eq('id', id)
+            .single();
+
+        if (error || !evidence || !(await isEvidenceVisible(req, evidence))) {
+            return res.status(404).json({ error: 'Evidence not found' });
+        }
+
+        if (!evidence.storage_key) {
+            return res.status(404).json({ error: 'No stored file for this evidence' });
+        }
+
+        const quarantined = quarantineReason(evidence);
+        if (quarantined) {
+            return res.status(423).json({ error: quarantined, scan_status: evidence.scan_status });
+        }
+
+        const fileStream = await storage.createReadStream(evidence.storage_key);
+
+        res.setHeader('Content-Type', evidence.file_type || 'application/octet-stream');
+        res.setHeader('Content-Length', evidence.file_size);
+        res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(evidence.file_name)}"`);
+        res.setHeader('X-Evidence-Hash', evidence.hash);
+
+        await recordCustody(evidence, {
+            eventType: 'viewed',
+            actor: req.user.wallet_address || req.user.email,
+            purpose: 'Preview'
+        });
+
+        fileStream.on('error', (streamError) => {
+            console.error('Evidence file stream error:', streamError);
+            res.destroy(streamError);
+        });
+        fileStream.pipe(res);
+    } catch (error) {
+        console.error('Get evidence file error:', error);
+        res.status(500).json({ error: 'Failed to read evidence file' });
+    }
+});
+
+// Verify evidence hash against storage, database and chain
+app.get('/api/evidence/:id/verify', requirePermission('evidence:verify'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: evidence, error } = await supabase
+            .from('evidence')
+            .select(EVIDENCE_WITH_BATCH)
+            .eq('id', id)
+            .single();
+
+        if (error || !evidence || !(await isEvidenceVisible(req, evidence))) {
+            return res.status(404).json({ error: 'Evidence not found' });
+        }
+
+        const verification = await verifyEvidence({ evidence, storage, chain });
+
+        res.json({ ...verification, evidence_id: evidence.id, hash: evidence.hash });
+    } catch (error) {
+        console.error('Verify evidence error:', error);
+        res.status(500).json({ error: 'Failed to verify evidence' });
+    }
+});
+
+// Get blockchain proof for specific evidence
+app.get('/api/evidence/:id/blockchain-proof', requirePermission('evidence:verify'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: evidence, error } = await supabase
+            .from('evidence')
+            .select(EVIDENCE_WITH_BATCH)
+            .eq('id', id)
+            .single();
+
+        if (error || !evidence || !(await isEvidenceVisible(req, evidence))) {
+            return res.status(404).json({ error: 'Evidence not found' });
+        }
+
+        const verification = await verifyEvidence({ evidence, storage, chain });
+        const custody = await getCustodyEntries(evidence);
+        const network = chain ? await chain.getNetwork() : null;
+        const accesses = custody.filter(entry => ['viewed', 'downloaded'].includes(entry.event));
+
+        // Custody transfers recorded by the contract itself
+        let onChainCustody = null;
+        if (chain && evidence.onchain_id) {
+            const [custodian, transfers] = await Promise.all([
+                chain.getCustodian(evidence.onchain_id),
+                chain.getCustodyHistory(evidence.onchain_id)
+            ]);
+            onChainCustody = { custodian, sealed: Boolean(evidence.is_sealed), transfers };
+        }
+
+        const blockchainProof = {
+            evidence_id: evidence.id,
+            hash: evidence.hash,
+            hash_algorithm: 'SHA-256',
+            timestamp: evidence.timestamp,
+            submitted_by: evidence.submitted_by,
+            verification_status: verification.valid ? 'verified' : 'unverified',
+            blockchain_network: network ? { chain_id: network.chainId, name: network.name } : null,
+            anchor: getOnChainProof(evidence),
+            chain_of_custody: {
+                created: evidence.timestamp,
+                current_custodian: evidence.custodian || evidence.submitted_by,
+                last_accessed: accesses.length > 0 ? accesses[accesses.length - 1].timestamp : null,
+                access_count: accesses.length,
+                entries: custody,
+                onchain: onChainCustody
+            },
+            integrity_check: {
+                status: verification.valid ? 'passed' : 'failed',
+                checks: verification.checks,
+                verified_at: verification.verified_at
+            }
+        };
+
+        res.json({
+            success: true,
+            proof: blockchainProof
+        });
+    } catch (error) {
+        console.error('Blockchain proof error:', error);
+        res.status(500).json({ error: 'Failed to retrieve blockchain proof' });
+    }
+});
+
+// ============================================================================
+// CHAIN OF CUSTODY LEDGER
+// ============================================================================
+
+// Custody ledger of one evidence item, with the key its entries are checked against
+app.get('/api/evidence/:id/custody', requirePermission('evidence:view'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: evidence, error } = await supabase
+            .from('evidence')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (error || !evidence || !(await isEvidenceVisible(req, evidence))) {
+            return res.status(404).json({ error: 'Evidence not found' });
+        }
+
+        res.json({
+            success: true,
+            evidence: {
+                id: evidence.id,
+                title: evidence.title,
+                case_id: evidence.case_id,
+                file_name: evidence.file_name,
+                hash: evidence.hash,
+                submitted_by: evidence.submitted_by,
+                current_custodian: evidence.custodian || evidence.submitted_by,
+                is_sealed: Boolean(evidence.is_sealed),
+                status: evidence.status
+            },
+            entries: await getCustodyEntries(evidence),
+            signing_key: {
+                algorithm: signer.algorithm,
+                key_id: signer.keyId,
+                public_key_pem: signer.publicKeyPem
+            }
+        });
+    } catch (error) {
+        console.error('Get custody ledger error:', error);
+        res.status(500).json({ error: 'Failed to get custody ledger' });
+    }
+});
+
+// Evidence is never removed from the database; destroying (or archiving) it is how it is deleted. Neither can
+// be undone, so both need evidence:dispose and a passkey confirmation
+const isDisposalEvent = (req) => DISPOSAL_CUSTODY_EVENTS.includes(req.body.eventType);
+const requireDisposalPermission = (req, res, next) => isDisposalEvent(req)
+    ? requirePermission('evidence:dispose')(req, res, next)
+    : next();
+
+// Record a custody event that happened outside the system: collection, analysis, archiving or destruction
+app.post('/api/evidence/:id/custody',
+    requirePermission('evidence:record_custody'),
+    requireDisposalPermission,
+    requirePasskeyStepUp('evidence_delete', { when: isDisposalEvent, always: true }),
+    async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { eventType, occurredAt, location, purpose, notes } = req.body;
+            const actor = req.user.wallet_address || req.user.email;
+
+            if (!MANUAL_CUSTODY_EVENTS.includes(eventType)) {
+                return res.status(400).json({ error: `Event type must be one of: ${MANUAL_CUSTODY_EVENTS.join(', ')}` });
+            }
+
+            if (!purpose || !String(purpose).trim()) {
+                return res.status(400).json({ error: 'Purpose is required' });
+            }
+
+            const occurred = occurredAt ? new Date(occurredAt) : new Date();
+            if (Number.isNaN(occurred.getTime()) || occurred.getTime() > Date.now() + 60 * 1000) {
+                return res.status(400).json({ error: 'occurredAt must be a date that is not in the future' });
+            }
+
+            const { data: evidence, error } = await supabase
+                .from('evidence')
+                .select('*')
+                .eq('id', id)
+                .single();
+
+            if (error || !evidence || !(await isEvidenceVisible(req, evidence))) {
+                return res.status(404).json({ error: 'Evidence not found' });
+            }
+
+            if (evidence.status === 'destroyed') {
+                return res.status(409).json({ error: 'Evidence has been destroyed' });
+            }
+
+            if (eventType === 'destroyed' && evidence.legal_hold) {
+                return res.status(409).json({ error: 'Evidence under legal hold cannot be destroyed' });
+            }
+
+            // Archiving and destruction also change the evidence status. That happens first, and only if
+            // nothing changed since the checks above, so the ledger never records a disposal the
+            // evidence row does not show
+            const changesStatus = eventType === 'archived' || eventType === 'destroyed';
+            if (changesStatus) {
+                let update = supabase
+                    .from('evidence')
+                    .update({ status: eventType })
+                    .eq('id', evidence.id)
+                    .eq('status', evidence.status);
+                if (eventType === 'destroyed') {
+                    update = update.eq('legal_hold', false);
+                }
+                const { data: updated, error: updateError } = await update.select('id').maybeSingle();
+
+                if (updateError) {
+                    console.error('Custody status update error:', updateError);
+                    return res.status(500).json({ error: 'Failed to update evidence status' });
+                }
+                if (!updated) {
+                    return res.status(409).json({ error: 'Evidence changed while the event was being recorded, please retry' });
+                }
+            }
+
+            let entry;
+            try {
+                entry = await custodyLedger.record(evidence, {
+                    eventType,
+                    actor,
+                    occurredAt: occurred,
+                    location: location ? String(location).trim() : null,
+                    purpose: custodyPurpose(purpose),
+                    details: notes ? { notes: String(notes).trim() } : null
+                });
+            } catch (recordError) {
+                // Put the status back so the row does not claim a disposal the ledger lacks
+                if (changesStatus) {
+                    const { error: restoreError } = await supabase
+                        .from('evidence')
+                        .update({ status: evidence.status })
+                        .eq('id', evidence.id);
+                    if (restoreError) console.error('Custody status restore error:', restoreError);
+                }
+                throw recordError;
+            }
+
+            await logActivity({
+                user_id: actor,
+                action: 'custody_event_recorded',
+                resource_type: 'evidence',
+                resource_id: String(evidence.id),
+                details: { custody_event_id: entry.id, event_type: eventType },
+                timestamp: new Date().toISOString()
+            });
+
+            res.json({ success: true, entry });
+        } catch (error) {
+            console.error('Record custody event error:', error);
+            res.status(500).json({ error: 'Failed to record custody event' });
+        }
+    }
+);
+
+// ============================================================================
+// RESUMABLE UPLOADS
+// ============================================================================
+
+// Upload sessions belong to whoever opened them
+const loadOwnUpload = async (req, res) => {
+    const session = await resumableUploads.get(req.params.uploadId);
+    if (!session || session.owner !== req.user.wallet_address) {
+        res.status(404).json({ error: 'Upload not found or expired' });
+        return null;
+    }
+    return session;
+};
+
+// Open an upload session; the file itself follows in chunks
+app.post('/api/evidence/uploads', requirePermission('evidence:upload'), async (req, res) => {
+    try {
+        const { fileName, fileType, sha256 } = req.body;
+        const fileSize = Number(req.body.fileSize);
+        const uploadedBy = req.user.wallet_address;
+
+        if (!validateWalletAddress(uploadedBy)) {
+            return res.status(400).json({ error: 'Invalid uploader wallet address' });
+        }
+
+        if (!fileName || !String(fileName).trim() || !fileType) {
+            return res.status(400).json({ error: 'fileName and fileType are required' });
+        }
+
+        if (!Number.isSafeInteger(fileSize) || fileSize <= 0) {
+            return res.status(400).json({ error: 'fileSize must be a positive number of bytes' });
+        }
+
+        if (sha256 && !SHA256_PATTERN.test(String(sha256).toLowerCase())) {
+            return res.status(400).json({ error: 'sha256 must be a hex SHA-256 digest' });
+        }
+
+        const { fields, error: fieldsError } = parseEvidenceFields(req.body);
+        if (fieldsError) {
+            return res.status(400).json({ error: fieldsError });
+        }
+
+        const fileProblem = checkEvidenceFile({ mimetype: fileType, size: fileSize });
+        if (fileProblem) {
+            return res.status(400).json(fileProblem);
+        }
+
+        // Evidence can only be added to a case the uploader can see
+        if (!(await loadVisibleCase(req, res, fields.caseId))) return;
+
+        const session = await resumableUploads.create({
+            owner: uploadedBy,
+            fileName: String(fileName).trim(),
+            fileType,
+            fileSize,
+            sha256,
+            metadata: fields
+        });
+
+        res.status(201).json({ success: true, upload: uploadStatus(session) });
+    } catch (error) {
+        console.error('Open upload error:', error);
+        res.status(500).json({ error: 'Failed to open upload' });
+    }
+});
+
+// Which chunks the server already has, for resuming after a dropped connection
+app.get('/api/evidence/uploads/:uploadId', requirePermission('evidence:upload'), async (req, res) => {
+    try {
+        const session = await loadOwnUpload(req, res);
+        if (!session) return;
+
+        res.json({ success: true, upload: uploadStatus(session) });
+    } catch (error) {
+        console.error('Upload status error:', error);
+        res.status(500).json({ error: 'Failed to get upload status' });
+    }
+});
+
+// One chunk as the raw request body, with its SHA-256 in X-Chunk-SHA256
+app.put('/api/evidence/uploads/:uploadId/chunks/:index',
+    chunkLimiter,
+    requirePermission('evidence:upload'),
+    express.raw({ type: 'application/octet-stream', limit: resumableUploads.chunkSize }),
+    async (req, res) => {
+        try {
+            const session = await loadOwnUpload(req, res);
+            if (!session) return;
+
+            const chunkHash = req.get('X-Chunk-SHA256');
+            if (!chunkHash) {
+                return res.status(400).json({ error: 'X-Chunk-SHA256 header is required' });
+            }
+
+            if (!Buffer.isBuffer(req.body)) {
+                return res.status(415).json({ error: 'Chunks must be sent as application/octet-stream' });
+            }
+
+            // The first chunk shows what the file really is. It is only checked once its hash matches, so a
+            // chunk damaged in transit gets a retryable 422 instead of dropping the upload.
+            const sniffFirstChunk = (upload, index, buffer) => (index === 0
+                ? checkContentType(upload.file_type, buffer.subarray(0, SNIFF_BYTES))
+                : null);
+
+            const result = await resumableUploads.writeChunk(session.id, Number(req.params.index), req.body, chunkHash, sniffFirstChunk);
+            if (result.rejected) {
+                return res.status(result.status).json(result.rejected);
+            }
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error });
+            }
+
+            res.json({ success: true, upload: uploadStatus(result.session) });
+        } catch (error) {
+            console.error('Upload chunk error:', error);
+            res.status(500).json({ error: 'Failed to store chunk' });
+        }
+    }
+);
+
+// Verify the assembled file, store it and create the evidence record
+app.post('/api/evidence/uploads/:uploadId/complete', requirePermission('evidence:upload'), async (req, res) => {
+    try {
+        const session = await loadOwnUpload(req, res);
+        if (!session) return;
+
+        // Checked when the upload was opened; again here in case the uploader has since lost the case
+        if (!(await loadVisibleCase(req, res, session.metadata.caseId))) return;
+
+        // Storing, the evidence insert and removing the session run in the upload's queue, so a
+        // double submit waits for the first and then finds the session gone instead of inserting twice
+        const completed = await resumableUploads.complete(session.id, async (assembled) => {
+            const stored = await storeFile(storage, assembled.filePath, EVIDENCE_DIGEST_ALGORITHMS);
+            if (stored.hash !== assembled.hash) {
+                throw new Error('Upload changed while it was being stored');
+            }
+
+            const file = { originalname: session.file_name, mimetype: session.file_type, size: session.file_size };
+            const evidence = await createUploadedEvidence(session.metadata, file, stored, session.owner, session.sha256);
+            return { stored, evidence };
+        });
+
+        if (completed.error) {
+            return res.status(completed.status).json({
+                error: completed.error,
+                missing: completed.missing,
+                client_sha256: session.sha256,
+                server_sha256: completed.hash
+            });
+        }
+
+        const { stored, evidence } = completed.result;
+        res.json({
+            success: true,
+            evidence,
+            deduplicated: stored.deduplicated,
+            receipt: signUploadReceipt(evidence, signer),
+            message: 'Evidence uploaded successfully'
+        });
+    } catch (error) {
+        console.error('Complete upload error:', error);
+        res.status(500).json({ error: 'Upload failed: ' + error.message });
+    }
+});
+
+// Abandon an upload and delete its chunks
+app.delete('/api/evidence/uploads/:uploadId', requirePermission('evidence:upload'), async (req, res) => {
+    try {
+        const session = await loadOwnUpload(req, res);
+        if (!session) return;
+
+        await resumableUploads.cancel(session.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Cancel upload error:', error);
+        res.status(500).json({ error: 'Failed to cancel upload' });
+    }
+});
+
+// ============================================================================
+// EVIDENCE VERSIONS
+// ============================================================================
+
+// Add a derived version (enhanced, redacted, ...) of an evidence item; the item itself is untouched
+app.post('/api/evidence/:id/versions', requirePermission('evidence:upload'), upload.single('file'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { relationType, title, description } = req.body;
+        const uploadedBy = req.user.wallet_address;
+        const file = req.file;
+
+        if (!file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        if (!validateWalletAddress(uploadedBy)) {
+            return res.status(400).json({ error: 'Invalid uploader wallet address' });
+        }
+
+        if (!DERIVATION_RELATIONS.includes(relationType)) {
+            return res.status(400).json({ error: `Relation type must be one of: ${DERIVATION_RELATIONS.join(', ')}` });
+        }
 
-function generateMockTxHash() {
-    return '0x' + Array.from({length: 64}, () => 
-        '0123456789abcdef'.charAt(Math.floor(Math.random() * 16))
-    ).join('');
-}
+        const { derivation, error: derivationError } = parseDerivation(req.body);
+        if (derivationError) {
+            return res.status(400).json({ error: derivationError });
+        }
 
-// Get evidence details for preview
-app.get('/api/evidence/:id', async (req, res) => {
-    try {
-        const { id } = req.params;
+        const fileProblem = checkEvidenceFile(file);
+        if (fileProblem) {
+            return res.status(400).json(fileProblem);
+        }
 
-        const { data: evidence, error } = await supabase
+        const { data: parent, error: parentError } = await supabase
             .from('evidence')
             .select('*')
             .eq('id', id)
             .single();
 
-        if (error || !evidence) {
+        if (parentError || !parent || !(await isEvidenceVisible(req, parent))) {
             return res.status(404).json({ error: 'Evidence not found' });
         }
 
-        res.json(evidence);
+        if (parent.status === 'destroyed') {
+            return res.status(409).json({ error: 'Evidence has been destroyed' });
+        }
+
+        const stored = await storeBlob(storage, file.buffer, EVIDENCE_DIGEST_ALGORITHMS);
+        if (stored.hash === parent.hash) {
+            return res.status(409).json({ error: 'The file is identical to the evidence it is derived from' });
+        }
+
+        const { data: version, error } = await supabase
+            .from('evidence')
+            .insert({
+                case_id: parent.case_id,
+                title: title ? String(title).trim() : `${parent.title} (${relationType})`,
+                description: description ? String(description).trim() : '',
+                type: parent.type,
+                file_name: file.originalname,
+                file_size: file.size,
+                file_type: file.mimetype,
+                hash: stored.hash,
+                digests: stored.digests,
+                storage_key: stored.key,
+                submitted_by: uploadedBy,
+                status: 'uploaded',
+                parent_id: parent.id,
+                root_id: parent.root_id || parent.id,
+                relation_type: relationType,
+                derivation
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        await recordCustody(parent, {
+            eventType: 'analyzed',
+            actor: uploadedBy,
+            purpose: `Produced ${relationType} version #${version.id}`,
+            details: { derived_evidence_id: version.id, relation_type: relationType, tool: derivation.tool }
+        });
+        await recordCustody(version, {
+            eventType: 'uploaded',
+            actor: uploadedBy,
+            occurredAt: version.timestamp,
+            purpose: `${relationType} version of evidence #${parent.id}`,
+            details: { parent_id: parent.id, relation_type: relationType, derivation, storage_key: stored.key }
+        });
+
+        await logActivity({
+            user_id: uploadedBy,
+            action: 'evidence_version_created',
+            resource_type: 'evidence',
+            resource_id: String(version.id),
+            details: { parent_id: parent.id, root_id: version.root_id, relation_type: relationType, hash: stored.hash, tool: derivation.tool },
+            timestamp: new Date().toISOString()
+        });
+
+        scanEvidence(version);
+        const anchor = await anchorEvidence(version);
+
+        res.json({
+            success: true,
+            evidence: { ...version, ...anchor },
+            deduplicated: stored.deduplicated
+        });
     } catch (error) {
-        console.error('Get evidence error:', error);
-        res.status(500).json({ error: 'Failed to get evidence' });
+        console.error('Create evidence version error:', error);
+        res.status(500).json({ error: 'Failed to create evidence version' });
     }
 });
 
-// Verify evidence hash
-app.get('/api/evidence/:id/verify', async (req, res) => {
+// Version tree of an evidence item: the original with every version derived from it
+app.get('/api/evidence/:id/versions', requirePermission('evidence:view'), async (req, res) => {
     try {
         const { id } = req.params;
 
         const { data: evidence, error } = await supabase
             .from('evidence')
-            .select('*')
+            .select('id, case_id, submitted_by, custodian, root_id')
             .eq('id', id)
             .single();
 
-        if (error || !evidence) {
+        if (error || !evidence || !(await isEvidenceVisible(req, evidence))) {
             return res.status(404).json({ error: 'Evidence not found' });
         }
 
-        // Simulate hash verification
-        const valid = true; // In real implementation, verify against blockchain
-        
-        res.json({ valid, hash: evidence.hash });
+        const rootId = evidence.root_id || evidence.id;
+        const { data: lineage, error: lineageError } = await supabase
+            .from('evidence')
+            .select('*')
+            .or(`id.eq.${rootId},root_id.eq.${rootId}`);
+
+        if (lineageError) throw lineageError;
+
+        const scope = await loadAccessScope(req);
+        const visible = lineage.filter(row => canViewEvidence(scope, row));
+
+        res.json({
+            success: true,
+            evidence_id: evidence.id,
+            root_id: rootId,
+            versions: buildVersionTree(visible, rootId)
+        });
     } catch (error) {
-        console.error('Verify evidence error:', error);
-        res.status(500).json({ error: 'Failed to verify evidence' });
+        console.error('Get evidence versions error:', error);
+        res.status(500).json({ error: 'Failed to get evidence versions' });
     }
 });
 
-// Get blockchain proof for specific evidence
-app.get('/api/evidence/:id/blockchain-proof', async (req, res) => {
+// ============================================================================
+// ON-CHAIN CUSTODY AND SEALING
+// ============================================================================
+
+
+const chainErrorMessage = (error) => error.reason || error.info?.error?.message || error.shortMessage || error.message;
+
+// Mirror an on-chain action in activity_logs
+const logChainAction = async (userWallet, action, details) => {
     try {
-        const { id } = req.params;
+        const resource = details.evidence_id
+            ? { resource_type: 'evidence', resource_id: String(details.evidence_id) }
+            : { resource_type: 'user', resource_id: details.target_wallet };
 
-        const { data: evidence, error } = await supabase
-            .from('evidence')
-            .select('*')
-            .eq('id', id)
+        await auditLog.append('activity_logs', {
+            user_id: userWallet,
+            action,
+            ...resource,
+            details: { contract_address: chain.contractAddress, ...details },
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error logging chain action:', error);
+    }
+};
+
+// Custody and sealing act on an individual EvidenceStorage record;
+// evidence anchored only through a Merkle batch gets one on first use
+const ensureOnChainRecord = async (evidence) => {
+    if (evidence.onchain_id) {
+        return Number(evidence.onchain_id);
+    }
+
+    const existing = await chain.verifyHash(evidence.hash);
+    let onChainId = existing.exists ? existing.evidenceId : null;
+
+    if (!onChainId) {
+        const { txHash } = await chain.submitEvidenceHash(
+            evidence.hash,
+            JSON.stringify({ evidence_id: evidence.id })
+        );
+        ({ onChainId } = await chain.waitForAnchor(txHash));
+    }
+
+    await supabase.from('evidence').update({ onchain_id: onChainId }).eq('id', evidence.id);
+    return onChainId;
+};
+
+// Load the acting user and the evidence, rejecting anything the chain cannot act on yet
+const loadChainActionContext = async (req, res) => {
+    const userWallet = req.user.wallet_address;
+
+    if (!chain) {
+        res.status(503).json({ error: 'Blockchain is not configured on this server' });
+        return null;
+    }
+
+    if (!validateWalletAddress(userWallet)) {
+        res.status(400).json({ error: 'Invalid wallet address' });
+        return null;
+    }
+
+    const { data: user } = await supabase
+        .from('users')
+        .select('*')
+        .eq('wallet_address', userWallet)
+        .eq('is_active', true)
+        .single();
+
+    if (!user) {
+        res.status(403).json({ error: 'Insufficient permissions for this evidence action' });
+        return null;
+    }
+
+    const evidence = await loadVisibleEvidence(req, res);
+    if (!evidence) {
+        return null;
+    }
+
+    if (evidence.is_sealed) {
+        res.status(409).json({ error: 'Evidence is sealed' });
+        return null;
+    }
+
+    if (evidence.anchor_status === 'pending' && !evidence.anchor_batch_id) {
+        res.status(409).json({ error: 'Evidence anchor is still pending confirmation' });
+        return null;
+    }
+
+    // Current custodian, or someone allowed to supervise custody
+    const custodian = evidence.custodian || evidence.submitted_by;
+    if (custodian !== user.wallet_address && !(await hasPermission(req, 'evidence:supervise_custody'))) {
+        res.status(403).json({ error: 'Only the current custodian can act on this evidence' });
+        return null;
+    }
+
+    return { user, evidence, custodian };
+};
+
+// Transfer custody of evidence to another user, recorded on-chain
+app.post('/api/evidence/:id/custody/transfer', requirePermission('evidence:transfer_custody'), async (req, res) => {
+    try {
+        const { toWallet, reason } = req.body;
+
+        if (!validateWalletAddress(toWallet)) {
+            return res.status(400).json({ error: 'Invalid recipient wallet address' });
+        }
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({ error: 'A reason for the transfer is required' });
+        }
+
+        const context = await loadChainActionContext(req, res);
+        if (!context) return;
+        const { user, evidence, custodian } = context;
+
+        const { data: recipient } = await supabase
+            .from('users')
+            .select('wallet_address, role')
+            .eq('wallet_address', toWallet)
+            .eq('is_active', true)
             .single();
 
-        if (error || !evidence) {
-            return res.status(404).json({ error: 'Evidence not found' });
+        if (!recipient || recipient.role === 'public_viewer') {
+            return res.status(400).json({ error: 'Recipient must be an active user who can hold evidence' });
         }
 
-        // Generate blockchain proof
-        const blockchainProof = {
-            evidence_id: evidence.id,
-            hash: evidence.hash,
-            timestamp: evidence.timestamp,
-            submitted_by: evidence.submitted_by,
-            verification_status: 'verified',
-            blockchain_network: 'Ethereum',
-            verification_method: 'SHA-256',
-            chain_of_custody: {
-                created: evidence.timestamp,
-                last_accessed: new Date().toISOString(),
-                access_count: 1
-            },
-            integrity_check: {
-                status: 'passed',
-                verified_at: new Date().toISOString()
-            }
-        };
+        if (toWallet === custodian) {
+            return res.status(400).json({ error: 'Recipient already holds this evidence' });
+        }
+
+        const onChainId = await ensureOnChainRecord(evidence);
+        const { txHash, blockNumber } = await chain.transferCustody(onChainId, toWallet, reason.trim());
+
+        await supabase
+            .from('evidence')
+            .update({ custodian: toWallet })
+            .eq('id', evidence.id);
+
+        await logChainAction(user.wallet_address, 'chain_custody_transfer', {
+            evidence_id: String(evidence.id),
+            onchain_id: onChainId,
+            from: custodian,
+            to: toWallet,
+            reason: reason.trim(),
+            tx_hash: txHash,
+            block_number: blockNumber
+        });
+
+        await recordCustody(evidence, {
+            eventType: 'transferred',
+            actor: user.wallet_address,
+            purpose: reason.trim(),
+            details: { from: custodian, to: toWallet, tx_hash: txHash, block_number: blockNumber }
+        });
+
+        await createNotification(toWallet, 'Evidence Custody Transferred',
+            `Custody of evidence #${evidence.id} was transferred to you`, 'custody_transfer',
+            { evidence_id: evidence.id, tx_hash: txHash });
 
         res.json({
             success: true,
-            proof: blockchainProof
+            custody: { evidence_id: evidence.id, onchain_id: onChainId, from: custodian, to: toWallet },
+            transaction_hash: txHash,
+            block_number: blockNumber
         });
     } catch (error) {
-        console.error('Blockchain proof error:', error);
-        res.status(500).json({ error: 'Failed to retrieve blockchain proof' });
+        console.error('Custody transfer error:', error);
+        res.status(500).json({ error: `Failed to transfer custody: ${chainErrorMessage(error)}` });
+    }
+});
+
+// Seal evidence on-chain; sealed evidence can no longer change custody
+app.post('/api/evidence/:id/seal', requirePermission('evidence:seal'), async (req, res) => {
+    try {
+        const context = await loadChainActionContext(req, res);
+        if (!context) return;
+        const { user, evidence } = context;
+
+        const onChainId = await ensureOnChainRecord(evidence);
+        const { txHash, blockNumber } = await chain.sealEvidence(onChainId);
+        const sealedAt = new Date().toISOString();
+
+        await supabase
+            .from('evidence')
+            .update({ is_sealed: true, sealed_at: sealedAt, sealed_by: user.wallet_address })
+            .eq('id', evidence.id);
+
+        await logChainAction(user.wallet_address, 'chain_evidence_sealed', {
+            evidence_id: String(evidence.id),
+            onchain_id: onChainId,
+            tx_hash: txHash,
+            block_number: blockNumber
+        });
+        await recordCustody(evidence, {
+            eventType: 'sealed',
+            actor: user.wallet_address,
+            occurredAt: sealedAt,
+            purpose: 'Sealed on-chain',
+            details: { tx_hash: txHash, block_number: blockNumber }
+        });
+
+        res.json({
+            success: true,
+            evidence_id: evidence.id,
+            onchain_id: onChainId,
+            sealed_at: sealedAt,
+            transaction_hash: txHash,
+            block_number: blockNumber
+        });
+    } catch (error) {
+        console.error('Seal evidence error:', error);
+        res.status(500).json({ error: `Failed to seal evidence: ${chainErrorMessage(error)}` });
     }
 });
 
@@ -2359,7 +6365,7 @@ app.get('/api/evidence/:id/blockchain-proof', async (req, res) => {
 // ============================================================================
 
 // Get all case statuses
-app.get('/api/case-statuses', async (req, res) => {
+app.get('/api/case-statuses', requirePermission('cases:view'), async (req, res) => {
     try {
         const { data: statuses, error } = await supabase
             .from('case_statuses')
@@ -2377,7 +6383,7 @@ app.get('/api/case-statuses', async (req, res) => {
 });
 
 // Get cases with enhanced filtering
-app.get('/api/cases/enhanced', async (req, res) => {
+app.get('/api/cases/enhanced', requirePermission('cases:view'), async (req, res) => {
     try {
         const { 
             status, 
@@ -2445,6 +6451,11 @@ app.get('/api/cases/enhanced', async (req, res) => {
             query = query.or(`title.ilike.%${search}%,description.ilike.%${search}%,case_number.ilike.%${search}%`);
         }
 
+        const visibility = caseFilter(await loadAccessScope(req));
+        if (visibility) {
+            query = query.or(visibility);
+        }
+
         // Apply sorting and pagination
         const offset = (page - 1) * limit;
         query = query
@@ -2456,10 +6467,16 @@ app.get('/api/cases/enhanced', async (req, res) => {
         if (error) throw error;
 
         // Get total count for pagination
-        const { count: totalCount } = await supabase
+        let countQuery = supabase
             .from('cases')
             .select('*', { count: 'exact', head: true });
 
+        if (visibility) {
+            countQuery = countQuery.or(visibility);
+        }
+
+        const { count: totalCount } = await countQuery;
+
         res.json({
             success: true,
             cases,
@@ -2477,9 +6494,10 @@ app.get('/api/cases/enhanced', async (req, res) => {
 });
 
 // Create new case
-app.post('/api/cases', async (req, res) => {
+app.post('/api/cases', requirePermission('cases:create'), async (req, res) => {
     try {
-        const { title, description, priority_level, case_type, jurisdiction, estimated_completion, created_by } = req.body;
+        const { title, description, priority_level, case_type, jurisdiction, estimated_completion } = req.body;
+        const created_by = req.user.wallet_address;
 
         if (!validateWalletAddress(created_by)) {
             return res.status(400).json({ error: 'Invalid wallet address' });
@@ -2515,17 +6533,17 @@ app.post('/api/cases', async (req, res) => {
         if (error) throw error;
 
         // Log activity
-        await supabase
-            .from('activity_logs')
-            .insert({
-                user_id: created_by,
-                action: 'case_created',
-                details: JSON.stringify({
-                    case_id: newCase.id,
-                    case_title: title,
-                    case_type
-                })
-            });
+        await logActivity({
+            user_id: created_by,
+            action: 'case_created',
+            resource_type: 'case',
+            resource_id: String(newCase.id),
+            details: {
+                case_id: newCase.id,
+                case_title: title,
+                case_type
+            }
+        });
 
         res.json({ success: true, case: newCase });
     } catch (error) {
@@ -2535,7 +6553,7 @@ app.post('/api/cases', async (req, res) => {
 });
 
 // Get case details with full status history
-app.get('/api/cases/:id/details', async (req, res) => {
+app.get('/api/cases/:id/details', requirePermission('cases:view'), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -2553,10 +6571,14 @@ app.get('/api/cases/:id/details', async (req, res) => {
                 )
             `)
             .eq('id', id)
-            .single();
+            .maybeSingle();
 
         if (caseError) throw caseError;
 
+        if (!caseData || !canViewCase(await loadAccessScope(req), caseData)) {
+            return res.status(404).json({ error: 'Case not found' });
+        }
+
         // Get status history
         const { data: statusHistory, error: historyError } = await supabase
             .from('case_status_history')
@@ -2601,10 +6623,11 @@ app.get('/api/cases/:id/details', async (req, res) => {
 });
 
 // Update case status with validation
-app.post('/api/cases/:id/status', async (req, res) => {
+app.post('/api/cases/:id/status', requirePermission('cases:update_status'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { newStatusCode, userWallet, reason, metadata = {} } = req.body;
+        const { newStatusCode, reason, metadata = {} } = req.body;
+        const userWallet = req.user.wallet_address;
 
         if (!validateWalletAddress(userWallet)) {
             return res.status(400).json({ error: 'Invalid wallet address' });
@@ -2625,11 +6648,11 @@ app.post('/api/cases/:id/status', async (req, res) => {
         // Get current case status
         const { data: currentCase, error: caseError } = await supabase
             .from('cases')
-            .select('status_id, case_statuses(status_code)')
+            .select('id, status_id, case_statuses(status_code)')
             .eq('id', id)
             .single();
 
-        if (caseError || !currentCase) {
+        if (caseError || !currentCase || !canViewCase(await loadAccessScope(req), currentCase)) {
             return res.status(404).json({ error: 'Case not found' });
         }
 
@@ -2696,18 +6719,18 @@ app.post('/api/cases/:id/status', async (req, res) => {
         await createStatusChangeNotification(id, currentCase.status_id, newStatus.id, userWallet);
 
         // Log activity
-        await supabase
-            .from('activity_logs')
-            .insert({
-                user_id: userWallet,
-                action: 'case_status_change',
-                details: JSON.stringify({
-                    case_id: id,
-                    from_status: currentCase.case_statuses.status_code,
-                    to_status: newStatusCode,
-                    reason
-                })
-            });
+        await logActivity({
+            user_id: userWallet,
+            action: 'case_status_change',
+            resource_type: 'case',
+            resource_id: String(id),
+            details: {
+                case_id: id,
+                from_status: currentCase.case_statuses.status_code,
+                to_status: newStatusCode,
+                reason
+            }
+        });
 
         res.json({ 
             success: true, 
@@ -2721,10 +6744,10 @@ app.post('/api/cases/:id/status', async (req, res) => {
 });
 
 // Get available status transitions for a case
-app.get('/api/cases/:id/available-transitions', async (req, res) => {
+app.get('/api/cases/:id/available-transitions', requirePermission('cases:view'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { userWallet } = req.query;
+        const userWallet = req.user.wallet_address;
 
         if (!validateWalletAddress(userWallet)) {
             return res.status(400).json({ error: 'Invalid wallet address' });
@@ -2778,24 +6801,25 @@ app.get('/api/cases/:id/available-transitions', async (req, res) => {
 });
 
 // Assign user to case
-app.post('/api/cases/:id/assign', async (req, res) => {
+app.post('/api/cases/:id/assign', requirePermission('cases:assign'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { assignToWallet, roleType, assignmentType = 'primary', assignedByWallet, notes } = req.body;
+        const { assignToWallet, roleType, assignmentType = 'primary', notes } = req.body;
+        const assignedByWallet = req.user.wallet_address;
 
         if (!validateWalletAddress(assignToWallet) || !validateWalletAddress(assignedByWallet)) {
             return res.status(400).json({ error: 'Invalid wallet addresses' });
         }
 
-        // Verify assigner has permission
-        const { data: assigner, error: assignerError } = await supabase
-            .from('users')
-            .select('role')
-            .eq('wallet_address', assignedByWallet)
-            .single();
+        // Assigning someone widens their case scope, so the case must already be in the caller's
+        const { data: caseRow } = await supabase
+            .from('cases')
+            .select('id')
+            .eq('id', id)
+            .maybeSingle();
 
-        if (assignerError || !assigner || !['admin', 'court_official', 'evidence_manager'].includes(assigner.role)) {
-            return res.status(403).json({ error: 'Insufficient permissions to assign cases' });
+        if (!caseRow || !canViewCase(await loadAccessScope(req), caseRow)) {
+            return res.status(404).json({ error: 'Case not found' });
         }
 
         // Verify assignee exists and has appropriate role
@@ -2854,18 +6878,18 @@ app.post('/api/cases/:id/assign', async (req, res) => {
         );
 
         // Log activity
-        await supabase
-            .from('activity_logs')
-            .insert({
-                user_id: assignedByWallet,
-                action: 'case_assignment',
-                details: JSON.stringify({
-                    case_id: id,
-                    assigned_to: assignToWallet,
-                    role_type: roleType,
-                    assignee_name: assignee.full_name
-                })
-            });
+        await logActivity({
+            user_id: assignedByWallet,
+            action: 'case_assignment',
+            resource_type: 'case',
+            resource_id: String(id),
+            details: {
+                case_id: id,
+                assigned_to: assignToWallet,
+                role_type: roleType,
+                assignee_name: assignee.full_name
+            }
+        });
 
         res.json({ success: true, message: 'Case assigned successfully' });
     } catch (error) {
@@ -2875,9 +6899,10 @@ app.post('/api/cases/:id/assign', async (req, res) => {
 });
 
 // Get case statistics by status
-app.get('/api/cases/statistics', async (req, res) => {
+app.get('/api/cases/statistics', requirePermission('cases:view'), async (req, res) => {
     try {
-        const { userWallet, timeframe = '30d' } = req.query;
+        const { timeframe = '30d' } = req.query;
+        const userWallet = req.user.wallet_address;
 
         let dateFilter = '';
         const now = new Date();
@@ -2965,7 +6990,7 @@ app.get('/api/cases/statistics', async (req, res) => {
 });
 
 // Export cases as CSV
-app.get('/api/cases/export', async (req, res) => {
+app.get('/api/cases/export', requirePermission('cases:export'), async (req, res) => {
     try {
         const { status, priority, assignedTo, caseType, jurisdiction, dateFrom, dateTo, search } = req.query;
 
@@ -2986,6 +7011,9 @@ app.get('/api/cases/export', async (req, res) => {
         if (dateTo) query = query.lte('created_date', dateTo);
         if (search) query = query.or(`title.ilike.%${search}%,description.ilike.%${search}%,case_number.ilike.%${search}%`);
 
+        const visibility = caseFilter(await loadAccessScope(req));
+        if (visibility) query = query.or(visibility);
+
         const { data: cases, error } = await query.order('created_date', { ascending: false });
 
         if (error) throw error;
@@ -3062,9 +7090,10 @@ async function createStatusChangeNotification(caseId, fromStatusId, toStatusId,
 // Role Change Approval API Endpoints
 
 // Request role change (Admin only)
-app.post('/api/admin/role-change-request', adminLimiter, verifyAdmin, async (req, res) => {
+app.post('/api/admin/role-change-request', adminLimiter, verifyAdmin, requirePermission('roles:manage'), async (req, res) => {
     try {
-        const { adminWallet, targetWallet, newRole, reason } = req.body;
+        const { targetWallet, newRole, reason } = req.body;
+        const adminWallet = req.user.wallet_address;
 
         if (!validateWalletAddress(targetWallet) || !allowedRoles.includes(newRole)) {
             return res.status(400).json({ error: 'Invalid target wallet or role' });
@@ -3107,13 +7136,9 @@ app.post('/api/admin/role-change-request', adminLimiter, verifyAdmin, async (req
 });
 
 // Get pending role change requests
-app.get('/api/admin/role-change-requests', adminLimiter, async (req, res) => {
+app.get('/api/admin/role-change-requests', adminLimiter, verifyAdmin, requirePermission('roles:manage'), async (req, res) => {
     try {
-        const { adminWallet } = req.query;
-
-        if (!validateWalletAddress(adminWallet)) {
-            return res.status(400).json({ error: 'Invalid admin wallet' });
-        }
+        const adminWallet = req.user.wallet_address;
 
         const { data: requests, error } = await supabase
             .from('role_change_requests')
@@ -3132,9 +7157,10 @@ app.get('/api/admin/role-change-requests', adminLimiter, async (req, res) => {
 });
 
 // Approve role change request
-app.post('/api/admin/role-change-approve', adminLimiter, verifyAdmin, async (req, res) => {
+app.post('/api/admin/role-change-approve', adminLimiter, verifyAdmin, requirePermission('roles:manage'), requirePasskeyStepUp('role_change_approve'), async (req, res) => {
     try {
-        const { adminWallet, requestId } = req.body;
+        const { requestId } = req.body;
+        const adminWallet = req.user.wallet_address;
 
         const { data: request } = await supabase
             .from('role_change_requests')
@@ -3185,9 +7211,10 @@ app.post('/api/admin/role-change-approve', adminLimiter, verifyAdmin, async (req
 });
 
 // Reject role change request
-app.post('/api/admin/role-change-reject', adminLimiter, verifyAdmin, async (req, res) => {
+app.post('/api/admin/role-change-reject', adminLimiter, verifyAdmin, requirePermission('roles:manage'), async (req, res) => {
     try {
-        const { adminWallet, requestId, reason } = req.body;
+        const { requestId, reason } = req.body;
+        const adminWallet = req.user.wallet_address;
 
         const { data: request } = await supabase
             .from('role_change_requests')
@@ -3226,6 +7253,122 @@ app.post('/api/admin/role-change-reject', adminLimiter, verifyAdmin, async (req,
     }
 });
 
+// Grant a role on the EvidenceStorage contract (admin-only on-chain as well)
+app.post('/api/admin/chain/authorize', adminLimiter, verifyAdmin, requirePermission('chain:manage'), async (req, res) => {
+    try {
+        const { targetWallet, role } = req.body;
+        const adminWallet = req.user.wallet_address;
+
+        if (!chain) {
+            return res.status(503).json({ error: 'Blockchain is not configured on this server' });
+        }
+
+        if (!validateWalletAddress(targetWallet)) {
+            return res.status(400).json({ error: 'Invalid target wallet address' });
+        }
+
+        if (!allowedRoles.includes(role) || role === 'public_viewer') {
+            return res.status(400).json({ error: 'Invalid role selected' });
+        }
+
+        const { txHash, blockNumber } = await chain.authorizeUser(targetWallet, role);
+
+        await logAdminAction(adminWallet, 'chain_authorize_user', targetWallet, { role, tx_hash: txHash });
+        await logChainAction(adminWallet, 'chain_user_authorized', {
+            target_wallet: targetWallet,
+            role,
+            tx_hash: txHash,
+            block_number: blockNumber
+        });
+
+        res.json({ success: true, transaction_hash: txHash, block_number: blockNumber });
+    } catch (error) {
+        console.error('Chain authorize user error:', error);
+        res.status(500).json({ error: `Failed to authorize user on-chain: ${chainErrorMessage(error)}` });
+    }
+});
+
+// Revoke a wallet's role on the EvidenceStorage contract
+app.post('/api/admin/chain/revoke', adminLimiter, verifyAdmin, requirePermission('chain:manage'), async (req, res) => {
+    try {
+        const { targetWallet } = req.body;
+        const adminWallet = req.user.wallet_address;
+
+        if (!chain) {
+            return res.status(503).json({ error: 'Blockchain is not configured on this server' });
+        }
+
+        if (!validateWalletAddress(targetWallet)) {
+            return res.status(400).json({ error: 'Invalid target wallet address' });
+        }
+
+        const { txHash, blockNumber } = await chain.revokeUser(targetWallet);
+
+        await logAdminAction(adminWallet, 'chain_revoke_user', targetWallet, { tx_hash: txHash });
+        await logChainAction(adminWallet, 'chain_user_revoked', {
+            target_wallet: targetWallet,
+            tx_hash: txHash,
+            block_number: blockNumber
+        });
+
+        res.json({ success: true, transaction_hash: txHash, block_number: blockNumber });
+    } catch (error) {
+        console.error('Chain revoke user error:', error);
+        res.status(500).json({ error: `Failed to revoke user on-chain: ${chainErrorMessage(error)}` });
+    }
+});
+
+// Current password policy, with the defaults for "Reset to Defaults"
+app.get('/api/admin/password-policy', adminLimiter, verifyAdmin, requirePermission('security:manage'), async (req, res) => {
+    try {
+        res.json({ success: true, ...await loadPasswordPolicy(), defaults: DEFAULT_PASSWORD_POLICY });
+    } catch (error) {
+        console.error('Get password policy error:', error);
+        res.status(500).json({ error: 'Failed to load password policy' });
+    }
+});
+
+// Change some or all policy settings; applies to passwords set from now on and to expiry at sign-in
+app.put('/api/admin/password-policy', adminLimiter, verifyAdmin, requirePermission('security:manage'), async (req, res) => {
+    try {
+        const changes = req.body.policy;
+
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            return res.status(400).json({ error: 'Password policy settings are required' });
+        }
+
+        const current = await loadPasswordPolicy();
+        const { policy, errors } = normalizePasswordPolicy(changes, current.policy);
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('. '), errors });
+        }
+
+        const { data: saved, error } = await supabase
+            .from('password_policy')
+            .upsert({
+                id: 1,
+                settings: policy,
+                updated_by: req.admin.email || req.admin.wallet_address,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'id' })
+            .select('settings, updated_by, updated_at')
+            .single();
+
+        if (error) throw error;
+
+        await logAdminAction(req.user.wallet_address, 'password_policy_updated', null, {
+            previous: current.policy,
+            policy
+        });
+
+        res.json({ success: true, policy: saved.settings, updated_by: saved.updated_by, updated_at: saved.updated_at });
+    } catch (error) {
+        console.error('Update password policy error:', error);
+        res.status(500).json({ error: 'Failed to update password policy' });
+    }
+});
+
 // Prevent user self-deletion
 app.post('/api/user/delete-self', (req, res) => {
     res.status(403).json({
@@ -3241,24 +7384,21 @@ app.post('/api/admin/*', (req, res) => {
 });
 
 // Log activity (role selection, etc.)
-app.post('/api/activity-logs', async (req, res) => {
+app.post('/api/activity-logs', requirePermission('activity:log'), async (req, res) => {
     try {
-        const { user_id, action, details } = req.body;
+        const { action, details } = req.body;
+        const user_id = req.user.wallet_address || req.user.email;
 
-        if (!user_id || !action) {
-            return res.status(400).json({ error: 'User ID and action are required' });
+        if (!action) {
+            return res.status(400).json({ error: 'Action is required' });
         }
 
-        const { error } = await supabase
-            .from('activity_logs')
-            .insert({
-                user_id,
-                action,
-                details: typeof details === 'string' ? details : JSON.stringify(details),
-                timestamp: new Date().toISOString()
-            });
-
-        if (error) throw error;
+        await auditLog.append('activity_logs', {
+            user_id,
+            action,
+            details: typeof details === 'string' ? { message: details } : (details || null),
+            timestamp: new Date().toISOString()
+        });
 
         res.json({ success: true, message: 'Activity logged successfully' });
     } catch (error) {
@@ -3269,6 +7409,9 @@ app.post('/api/activity-logs', async (req, res) => {
 
 // Error handling middleware
 app.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Request body too large' });
+    }
     console.error('Unhandled error:', error);
     res.status(500).json({ error: 'Internal server error' });
 });
@@ -3282,6 +7425,19 @@ server.listen(PORT, () => {
     console.log(`🔐 EVID-DGC API Server running on port ${PORT}`);
     console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
     console.log(`🔔 WebSocket notifications enabled`);
+    resumePendingAnchors();
+    resumePendingCheckpoints();
+    setInterval(createAuditCheckpoint, AUDIT_CHECKPOINT_INTERVAL_MS);
+    setInterval(() => {
+        resumableUploads.removeExpired().catch(error => console.error('Upload session cleanup error:', error));
+    }, UPLOAD_SESSION_CLEANUP_INTERVAL_MS);
+    rescanQuarantinedEvidence();
+    setInterval(rescanQuarantinedEvidence, SCAN_RETRY_INTERVAL_MS);
+
+    if (chain && ANCHOR_MODE === 'batch') {
+        setInterval(anchorQueuedEvidence, ANCHOR_BATCH_INTERVAL_MS);
+        console.log(`⛓️ Batching evidence anchors every ${ANCHOR_BATCH_INTERVAL_MS / 1000}s`);
+    }
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,249 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { resolveAccessScope, canViewCase, canViewEvidence, evidenceFilter, caseFilter } = require('../lib/access');
+
+const ALICE = '0xAaAa000000000000000000000000000000000001';
+const BOB = '0xbbbb000000000000000000000000000000000002';
+const CAROL = '0xcccc000000000000000000000000000000000003';
+
+const TABLES = {
+    cases: [
+        { id: 1, case_number: 'CASE-2026-001', created_by: ALICE.toLowerCase(), jurisdiction: 'North' },
+        { id: 2, case_number: 'CASE-2026-002', created_by: CAROL, assigned_investigator: BOB, jurisdiction: 'South' },
+        { id: 3, case_number: 'CASE-2026-003', created_by: CAROL, jurisdiction: 'North, "East"' },
+        { id: 4, case_number: 'CASE-2026-004', created_by: CAROL, jurisdiction: 'South' }
+    ],
+    case_assignments: [
+        { case_id: 4, assigned_to: BOB.toUpperCase().replace('0X', '0x'), is_active: true },
+        { case_id: 3, assigned_to: BOB, is_active: false }
+    ]
+};
+
+// Split a PostgREST filter list on the commas that are not inside parentheses or quotes
+const splitConditions = (filter) => {
+    const parts = [];
+    let current = '';
+    let depth = 0;
+    let quoted = false;
+
+    for (let i = 0; i < filter.length; i++) {
+        const char = filter[i];
+        if (quoted && char === '\\') {
+            current += char + filter[++i];
+            continue;
+        }
+        if (char === '"') quoted = !quoted;
+        if (!quoted && char === '(') depth++;
+        if (!quoted && char === ')') depth--;
+        if (char === ',' && depth === 0 && !quoted) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+    return parts;
+};
+
+const unquote = (value) => value.startsWith('"')
+    ? value.slice(1, -1).replace(/\\(.)/g, '$1')
+    : value;
+
+const matchesCondition = (row, condition) => {
+    const [, column, operator, value] = condition.match(/^(\w+)\.(\w+)\.(.*)$/);
+    const cell = row[column];
+
+    switch (operator) {
+        case 'eq':
+            return String(cell) === unquote(value);
+        case 'ilike':
+            return cell !== undefined && String(cell).toLowerCase() === value.toLowerCase();
+        case 'in':
+            return splitConditions(value.slice(1, -1)).map(unquote).includes(String(cell));
+        default:
+            throw new Error(`Unsupported operator ${operator}`);
+    }
+};
+
+// Just enough of the supabase-js query builder for lib/access.js, over in-memory tables
+const fakeSupabase = (tables = TABLES, queries = []) => ({
+    from(table) {
+        const filters = [];
+        const query = {
+            select() { return query; },
+            eq(column, value) { filters.push(row => row[column] === value); return query; },
+            ilike(column, value) { filters.push(row => matchesCondition(row, `${column}.ilike.${value}`)); return query; },
+            or(filter) {
+                const conditions = splitConditions(filter);
+                filters.push(row => conditions.some(condition => matchesCondition(row, condition)));
+                return query;
+            },
+            then(resolve, reject) {
+                queries.push(table);
+                const data = tables[table].filter(row => filters.every(matches => matches(row)));
+                return Promise.resolve({ data, error: null }).then(resolve, reject);
+            }
+        };
+        return query;
+    }
+});
+
+const failingSupabase = () => ({
+    from() {
+        const query = {
+            select: () => query,
+            eq: () => query,
+            ilike: () => query,
+            or: () => query,
+            then: (resolve, reject) => Promise.resolve({ data: null, error: new Error('connection refused') }).then(resolve, reject)
+        };
+        return query;
+    }
+});
+
+const scopeFor = (user, queries) => resolveAccessScope({ supabase: fakeSupabase(TABLES, queries), user });
+
+const evidence = (fields) => ({ submitted_by: CAROL, custodian: CAROL, ...fields });
+
+test('resolveAccessScope', async (t) => {
+    await t.test('gives admins and auditors every case without querying', async () => {
+        for (const role of ['admin', 'auditor']) {
+            const queries = [];
+            const scope = await scopeFor({ role, wallet_address: ALICE }, queries);
+            assert.strictEqual(scope.global, true);
+            assert.deepStrictEqual(queries, []);
+            assert.ok(canViewCase(scope, { id: 4 }));
+            assert.ok(canViewEvidence(scope, evidence({ case_id: 'CASE-2026-999' })));
+            assert.strictEqual(evidenceFilter(scope), null);
+            assert.strictEqual(caseFilter(scope), null);
+        }
+    });
+
+    await t.test('gives public viewers, unknown roles and missing users no cases', async () => {
+        for (const user of [{ role: 'public_viewer', wallet_address: ALICE }, { role: 'superuser', wallet_address: ALICE }, null]) {
+            const queries = [];
+            const scope = await scopeFor(user, queries);
+            assert.strictEqual(scope.global, false);
+            assert.deepStrictEqual(scope.caseIds, []);
+            assert.deepStrictEqual(queries, []);
+            assert.ok(!canViewCase(scope, { id: 1 }));
+            assert.strictEqual(caseFilter(scope), 'id.eq.0');
+        }
+    });
+
+    await t.test('limits investigators to cases they created, whatever the wallet case', async () => {
+        const scope = await scopeFor({ role: 'investigator', wallet_address: ALICE, jurisdiction: 'North' });
+        assert.deepStrictEqual(scope.caseIds, [1]);
+        assert.deepStrictEqual(scope.caseKeys, ['1', 'CASE-2026-001']);
+        assert.ok(canViewCase(scope, { id: 1 }));
+        assert.ok(canViewCase(scope, { id: '1' }));
+    });
+
+    await t.test('does not give investigators cases in their jurisdiction', async () => {
+        const scope = await scopeFor({ role: 'investigator', wallet_address: ALICE, jurisdiction: 'North' });
+        assert.ok(!canViewCase(scope, { id: 3 }), 'case 3 is in North but not theirs');
+        assert.ok(!canViewEvidence(scope, evidence({ case_id: 'CASE-2026-003' })));
+        assert.ok(!canViewEvidence(scope, evidence({ case_id: 3 })));
+    });
+
+    await t.test('includes assigned cases and active case assignments only', async () => {
+        for (const role of ['investigator', 'forensic_analyst', 'legal_professional']) {
+            const scope = await scopeFor({ role, wallet_address: BOB });
+            assert.deepStrictEqual(scope.caseIds.sort(), [2, 4], role);
+            assert.ok(!canViewCase(scope, { id: 3 }), `${role}: inactive assignment must not grant case 3`);
+            assert.ok(!canViewCase(scope, { id: 1 }), `${role}: case 1 is out of scope`);
+        }
+    });
+
+    await t.test('gives court officials and evidence managers their jurisdiction plus assignments', async () => {
+        for (const role of ['court_official', 'evidence_manager']) {
+            const scope = await scopeFor({ role, wallet_address: BOB, jurisdiction: 'South' });
+            assert.deepStrictEqual(scope.caseIds.sort(), [2, 4], role);
+            assert.ok(!canViewCase(scope, { id: 1 }), `${role}: case 1 is in another jurisdiction`);
+        }
+
+        const north = await scopeFor({ role: 'court_official', wallet_address: ALICE, jurisdiction: 'North' });
+        assert.deepStrictEqual(north.caseIds, [1], 'jurisdiction must match exactly');
+    });
+
+    await t.test('matches jurisdictions containing commas and quotes exactly', async () => {
+        const scope = await scopeFor({ role: 'evidence_manager', wallet_address: null, jurisdiction: 'North, "East"' });
+        assert.deepStrictEqual(scope.caseIds, [3]);
+        assert.strictEqual(scope.wallet, null);
+    });
+
+    await t.test('gives jurisdiction roles without a jurisdiction only their own cases', async () => {
+        const scope = await scopeFor({ role: 'evidence_manager', wallet_address: CAROL.replace('0xcccc', '0xdddd') });
+        assert.deepStrictEqual(scope.caseIds, []);
+        assert.strictEqual(caseFilter(scope), 'id.eq.0');
+    });
+
+    await t.test('returns an empty scope without querying cases when there is nothing to match', async () => {
+        const queries = [];
+        const scope = await scopeFor({ role: 'investigator', wallet_address: null }, queries);
+        assert.deepStrictEqual(scope, { global: false, wallet: null, caseIds: [], caseKeys: [] });
+        assert.deepStrictEqual(queries, []);
+        assert.strictEqual(evidenceFilter(scope), 'id.eq.0');
+    });
+
+    await t.test('passes database errors on', async () => {
+        await assert.rejects(
+            resolveAccessScope({ supabase: failingSupabase(), user: { role: 'investigator', wallet_address: ALICE } }),
+            /connection refused/
+        );
+    });
+});
+
+test('canViewEvidence', async (t) => {
+    const scope = await scopeFor({ role: 'forensic_analyst', wallet_address: ALICE });
+
+    await t.test('allows evidence in a visible case, by case id or case number', () => {
+        assert.ok(canViewEvidence(scope, evidence({ case_id: 1 })));
+        assert.ok(canViewEvidence(scope, evidence({ case_id: '1' })));
+        assert.ok(canViewEvidence(scope, evidence({ case_id: 'CASE-2026-001' })));
+    });
+
+    await t.test('allows evidence they submitted or hold in another case', () => {
+        assert.ok(canViewEvidence(scope, evidence({ case_id: 4, submitted_by: ALICE.toLowerCase() })));
+        assert.ok(canViewEvidence(scope, evidence({ case_id: 4, custodian: ALICE.toUpperCase().replace('0X', '0x') })));
+    });
+
+    await t.test('denies evidence in a case out of scope', () => {
+        assert.ok(!canViewEvidence(scope, evidence({ case_id: 4 })));
+        assert.ok(!canViewEvidence(scope, evidence({ case_id: 'CASE-2026-002' })));
+        assert.ok(!canViewEvidence(scope, evidence({ case_id: null })));
+    });
+
+    await t.test('does not treat a missing wallet as matching evidence without a submitter', () => {
+        const anonymous = { global: false, wallet: null, caseIds: [], caseKeys: [] };
+        assert.ok(!canViewEvidence(anonymous, { case_id: 1, submitted_by: null, custodian: null }));
+    });
+});
+
+test('list filters', async (t) => {
+    await t.test('restrict evidence to visible case keys and the user\'s own items', async () => {
+        const scope = await scopeFor({ role: 'investigator', wallet_address: ALICE });
+        assert.strictEqual(
+            evidenceFilter(scope),
+            `case_id.in.("1","CASE-2026-001"),submitted_by.ilike.${ALICE},custodian.ilike.${ALICE}`
+        );
+        assert.strictEqual(caseFilter(scope), 'id.in.(1)');
+    });
+
+    await t.test('select the same rows canViewEvidence allows', async () => {
+        const scope = await scopeFor({ role: 'investigator', wallet_address: BOB });
+        const rows = [
+            evidence({ id: 1, case_id: 1 }),
+            evidence({ id: 2, case_id: 'CASE-2026-002' }),
+            evidence({ id: 3, case_id: 3 }),
+            evidence({ id: 4, case_id: '4' }),
+            evidence({ id: 5, case_id: 1, custodian: BOB })
+        ];
+        const { data } = await fakeSupabase({ evidence: rows }).from('evidence').select('*').or(evidenceFilter(scope));
+
+        assert.deepStrictEqual(data.map(row => row.id), rows.filter(row => canViewEvidence(scope, row)).map(row => row.id));
+        assert.deepStrictEqual(data.map(row => row.id), [2, 4, 5]);
+    });
+});
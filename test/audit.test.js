@@ -0,0 +1,273 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { AuditLog, GENESIS_HASH, canonicalJson, entryHash, checkpointRoot } = require('../lib/audit');
+
+// Just enough of the Supabase query builder for lib/audit, over in-memory tables. chain_seq is
+// unique, like the real tables.
+const createSupabaseStub = () => {
+    const tables = { activity_logs: [], admin_actions: [] };
+    let nextId = 1;
+
+    const query = (table) => {
+        let filters = [];
+        let order = null;
+        let limit = Infinity;
+        let inserted = null;
+
+        const rows = () => {
+            let result = tables[table].filter(row => filters.every(filter => filter(row)));
+            if (order) {
+                result = [...result].sort((a, b) => (a[order.column] - b[order.column]) * (order.ascending ? 1 : -1));
+            }
+            return result.slice(0, limit).map(row => ({ ...row }));
+        };
+
+        const run = () => {
+            if (!inserted) return { data: rows(), error: null };
+            if (tables[table].some(row => row.chain_seq === inserted.chain_seq)) {
+                return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+            }
+            const row = { id: nextId++, ...inserted };
+            tables[table].push(row);
+            return { data: [{ ...row }], error: null };
+        };
+
+        const builder = {
+            select: () => builder,
+            insert: (row) => {
+                inserted = row;
+                return builder;
+            },
+            gte: (column, value) => {
+                filters.push(row => row[column] >= value);
+                return builder;
+            },
+            in: (column, values) => {
+                filters.push(row => values.includes(row[column]));
+                return builder;
+            },
+            order: (column, { ascending }) => {
+                order = { column, ascending };
+                return builder;
+            },
+            limit: (count) => {
+                limit = count;
+                return builder;
+            },
+            single: async () => {
+                const { data, error } = run();
+                return { data: data && data[0], error };
+            },
+            maybeSingle: async () => {
+                const { data, error } = run();
+                return { data: (data && data[0]) || null, error };
+            },
+            then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject)
+        };
+        return builder;
+    };
+
+    return { tables, from: query };
+};
+
+const auditEntry = (n) => ({
+    user_id: `0x${String(n).padStart(40, '0')}`,
+    action: 'evidence_viewed',
+    resource_type: 'evidence',
+    resource_id: String(n),
+    details: { step: n, nested: { b: 2, a: 1 } },
+    timestamp: new Date(Date.UTC(2026, 0, 1, 0, 0, n)).toISOString(),
+    ip_address: '127.0.0.1'
+});
+
+const chainOf = async (count) => {
+    const supabase = createSupabaseStub();
+    const audit = new AuditLog({ supabase });
+    for (let n = 1; n <= count; n++) {
+        await audit.append('activity_logs', auditEntry(n));
+    }
+    return { supabase, audit, rows: supabase.tables.activity_logs };
+};
+
+test('canonicalJson', async (t) => {
+    await t.test('sorts keys at every depth', () => {
+        assert.strictEqual(canonicalJson({ b: 1, a: { d: [{ z: 1, y: 2 }], c: null } }), '{"a":{"c":null,"d":[{"y":2,"z":1}]},"b":1}');
+    });
+
+    await t.test('matches what a value looks like after a database round trip', () => {
+        assert.strictEqual(canonicalJson(undefined), 'null');
+        assert.strictEqual(canonicalJson({ a: undefined, b: 1 }), '{"b":1}');
+        assert.strictEqual(canonicalJson({ at: new Date('2026-01-01T00:00:00Z') }), '{"at":"2026-01-01T00:00:00.000Z"}');
+    });
+});
+
+test('entryHash', async (t) => {
+    const row = { ...auditEntry(1), chain_seq: 1, prev_hash: GENESIS_HASH };
+
+    await t.test('is the same for the row as inserted and as read back', () => {
+        const readBack = {
+            ...row,
+            id: 42,
+            entry_hash: 'ignored',
+            details: { nested: { a: 1, b: 2 }, step: 1 },
+            chain_seq: '1',
+            timestamp: '2026-01-01T00:00:01+00:00'
+        };
+        assert.strictEqual(entryHash('activity_logs', readBack), entryHash('activity_logs', row));
+    });
+
+    await t.test('changes with any covered field, the position or the chain', () => {
+        const original = entryHash('activity_logs', row);
+        assert.notStrictEqual(entryHash('activity_logs', { ...row, action: 'evidence_deleted' }), original);
+        assert.notStrictEqual(entryHash('activity_logs', { ...row, details: { step: 2 } }), original);
+        assert.notStrictEqual(entryHash('activity_logs', { ...row, chain_seq: 2 }), original);
+        assert.notStrictEqual(entryHash('activity_logs', { ...row, prev_hash: 'f'.repeat(64) }), original);
+        assert.notStrictEqual(entryHash('admin_actions', row), original);
+    });
+});
+
+test('AuditLog.append', async (t) => {
+    await t.test('links each entry to the one before it', async () => {
+        const { rows } = await chainOf(3);
+
+        assert.deepStrictEqual(rows.map(row => row.chain_seq), [1, 2, 3]);
+        assert.strictEqual(rows[0].prev_hash, GENESIS_HASH);
+        assert.strictEqual(rows[1].prev_hash, rows[0].entry_hash);
+        assert.strictEqual(rows[2].prev_hash, rows[1].entry_hash);
+        rows.forEach(row => assert.strictEqual(row.entry_hash, entryHash('activity_logs', row)));
+    });
+
+    await t.test('re-reads the head and retries when another writer took the sequence number', async () => {
+        const { supabase, audit: other } = await chainOf(0);
+        const audit = new AuditLog({ supabase });
+
+        await audit.append('activity_logs', auditEntry(1));
+        // Written by another process, so this one's cached head is stale
+        await other.append('activity_logs', auditEntry(2));
+        const row = await audit.append('activity_logs', auditEntry(3));
+
+        assert.strictEqual(row.chain_seq, 3);
+        assert.strictEqual(row.prev_hash, supabase.tables.activity_logs[1].entry_hash);
+        assert.strictEqual((await audit.verifyChain('activity_logs')).valid, true);
+    });
+
+    await t.test('gives up on errors other than a unique-key violation', async () => {
+        const supabase = createSupabaseStub();
+        const from = supabase.from;
+        supabase.from = (table) => {
+            const builder = from(table);
+            builder.insert = () => ({
+                select: () => ({ single: async () => ({ data: null, error: { code: '42501', message: 'permission denied' } }) })
+            });
+            return builder;
+        };
+
+        await assert.rejects(new AuditLog({ supabase }).append('activity_logs', auditEntry(1)), { code: '42501' });
+    });
+
+    await t.test('rejects unknown chains', () => {
+        assert.throws(() => new AuditLog({ supabase: createSupabaseStub() }).append('evidence', {}), /Unknown audit chain "evidence"/);
+    });
+});
+
+test('AuditLog.verifyChain', async (t) => {
+    await t.test('accepts an intact chain and reports its head', async () => {
+        const { audit, rows } = await chainOf(4);
+        const result = await audit.verifyChain('activity_logs');
+
+        assert.strictEqual(result.valid, true);
+        assert.strictEqual(result.entries, 4);
+        assert.deepStrictEqual(result.head, { seq: 4, hash: rows[3].entry_hash });
+        assert.strictEqual(result.first_broken, null);
+    });
+
+    await t.test('accepts an empty chain', async () => {
+        const result = await new AuditLog({ supabase: createSupabaseStub() }).verifyChain('admin_actions');
+
+        assert.strictEqual(result.valid, true);
+        assert.deepStrictEqual(result.head, { seq: 0, hash: GENESIS_HASH });
+    });
+
+    await t.test('finds a missing entry', async () => {
+        const { audit, rows } = await chainOf(4);
+        rows.splice(1, 1);
+
+        const result = await audit.verifyChain('activity_logs');
+        assert.strictEqual(result.valid, false);
+        assert.strictEqual(result.entries, 1);
+        assert.deepStrictEqual(result.first_broken, { seq: 2, id: null, reason: 'Entry 2 is missing' });
+    });
+
+    await t.test('finds reordered entries', async () => {
+        const { audit, rows } = await chainOf(4);
+        [rows[1].chain_seq, rows[2].chain_seq] = [rows[2].chain_seq, rows[1].chain_seq];
+
+        const result = await audit.verifyChain('activity_logs');
+        assert.strictEqual(result.valid, false);
+        assert.deepStrictEqual(result.first_broken, { seq: 2, id: rows[2].id, reason: 'prev_hash does not match the previous entry' });
+    });
+
+    await t.test('finds an edited entry', async () => {
+        const { audit, rows } = await chainOf(4);
+        rows[2].details = { step: 3, edited: true };
+
+        const result = await audit.verifyChain('activity_logs');
+        assert.strictEqual(result.valid, false);
+        assert.strictEqual(result.entries, 2);
+        assert.deepStrictEqual(result.first_broken, { seq: 3, id: rows[2].id, reason: 'Entry contents do not match its hash' });
+    });
+
+    await t.test('finds an edited entry whose hash was recomputed', async () => {
+        const { audit, rows } = await chainOf(4);
+        rows[1].action = 'evidence_downloaded';
+        rows[1].entry_hash = entryHash('activity_logs', rows[1]);
+
+        const result = await audit.verifyChain('activity_logs');
+        assert.strictEqual(result.valid, false);
+        assert.deepStrictEqual(result.first_broken, { seq: 3, id: rows[2].id, reason: 'prev_hash does not match the previous entry' });
+    });
+});
+
+test('AuditLog.verifyCheckpoints', async (t) => {
+    const checkpointAt = async (audit, id) => {
+        const heads = {
+            activity_logs: await audit.head('activity_logs'),
+            admin_actions: await audit.head('admin_actions')
+        };
+        return { id, heads, merkle_root: checkpointRoot(heads) };
+    };
+
+    await t.test('accepts checkpoints the chains still hold', async () => {
+        const { audit } = await chainOf(2);
+        const first = await checkpointAt(audit, 1);
+        await audit.append('activity_logs', auditEntry(3));
+        const second = await checkpointAt(audit, 2);
+
+        assert.deepStrictEqual(await audit.verifyCheckpoints([first, second]), { valid: true, checked: 2, first_broken: null });
+    });
+
+    await t.test('finds a tail truncated after the checkpoint', async () => {
+        const { audit, rows } = await chainOf(4);
+        const checkpoint = await checkpointAt(audit, 7);
+        rows.splice(2);
+
+        // The shortened chain still links up on its own; only the checkpoint shows it lost entries
+        assert.strictEqual((await audit.verifyChain('activity_logs')).valid, true);
+        assert.deepStrictEqual(await audit.verifyCheckpoints([checkpoint]), {
+            valid: false,
+            checked: 1,
+            first_broken: { id: 7, reason: 'activity_logs entry 4 is missing or differs from the checkpoint' }
+        });
+    });
+
+    await t.test('finds a checkpoint whose heads were changed after it was anchored', async () => {
+        const { audit, rows } = await chainOf(2);
+        const checkpoint = await checkpointAt(audit, 3);
+        checkpoint.heads.activity_logs = { seq: 1, hash: rows[0].entry_hash };
+
+        const result = await audit.verifyCheckpoints([checkpoint]);
+        assert.strictEqual(result.valid, false);
+        assert.deepStrictEqual(result.first_broken, { id: 3, reason: 'Checkpoint root does not match its recorded heads' });
+    });
+});
@@ -0,0 +1,156 @@
+/**
+ * Anchors Merkle roots on a throwaway Anvil chain and checks proofs with EvidenceStorage.verifyInclusion.
+ * Needs Foundry's anvil on PATH (or ANVIL_BIN); skipped without it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const net = require('net');
+const { spawn, spawnSync } = require('child_process');
+const { ethers } = require('ethers');
+
+const { compileContract } = require('../lib/chain/compile');
+const { EvidenceChainClient, buildMerkleTree, merkleLeaf, verifyMerkleProof } = require('../lib/chain');
+
+const ANVIL_BIN = process.env.ANVIL_BIN || 'anvil';
+// Anvil's first two default accounts (mnemonic "test test ... junk"); they only exist on the local chain
+const DEPLOYER_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const OUTSIDER_KEY = '0x59c6995e998f97a5a0044966f0929d7e0c35a1a20c4b5f4ddbc9af2f97e0e5a6';
+
+const anvilAvailable = () => !spawnSync(ANVIL_BIN, ['--version'], { stdio: 'ignore' }).error;
+
+const freePort = () => new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+        const { port } = server.address();
+        server.close(() => resolve(port));
+    });
+});
+
+const canConnect = (port) => new Promise((resolve) => {
+    const socket = net.createConnection(port, '127.0.0.1');
+    socket.once('connect', () => {
+        socket.destroy();
+        resolve(true);
+    });
+    socket.once('error', () => resolve(false));
+});
+
+const startAnvil = async () => {
+    const port = await freePort();
+    const anvil = spawn(ANVIL_BIN, ['--port', String(port), '--host', '127.0.0.1', '--silent'], { stdio: 'ignore' });
+
+    // --silent prints nothing, so poll until the port accepts connections
+    for (let attempt = 0; attempt < 100; attempt++) {
+        if (anvil.exitCode !== null) throw new Error(`anvil exited with code ${anvil.exitCode}`);
+        if (await canConnect(port)) {
+            const rpcUrl = `http://127.0.0.1:${port}`;
+            return { anvil, rpcUrl, provider: new ethers.JsonRpcProvider(rpcUrl) };
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    anvil.kill();
+    throw new Error('anvil did not start within 10s');
+};
+
+const randomEvidenceHash = () => '0x' + crypto.randomBytes(32).toString('hex');
+
+test('Merkle anchoring on Anvil', { skip: !anvilAvailable() && `${ANVIL_BIN} not found; install Foundry or set ANVIL_BIN` }, async (t) => {
+    const { anvil, provider, rpcUrl } = await startAnvil();
+    t.after(() => {
+        provider.destroy();
+        anvil.kill();
+    });
+
+    const artifact = compileContract('EvidenceStorage');
+    const deployer = new ethers.Wallet(DEPLOYER_KEY, provider);
+    const contract = await new ethers.ContractFactory(artifact.abi, artifact.bytecode, deployer).deploy();
+    await contract.waitForDeployment();
+    const contractAddress = await contract.getAddress();
+
+    const client = new EvidenceChainClient({ rpcUrl, contractAddress, privateKey: DEPLOYER_KEY });
+    t.after(() => client.provider.destroy());
+
+    const hashes = Array.from({ length: 7 }, randomEvidenceHash);
+    const tree = buildMerkleTree(hashes);
+
+    await t.test('anchors a root and reports its batch', async () => {
+        const { txHash } = await client.submitBatchRoot(tree.root, tree.leafCount);
+        const anchor = await client.waitForAnchor(txHash);
+
+        assert.strictEqual(anchor.batchId, 1);
+        assert.deepStrictEqual(await client.verifyRoot(tree.root), { exists: true, batchId: 1 });
+
+        const batch = await client.getBatch(1);
+        assert.strictEqual(batch.merkleRoot, tree.root);
+        assert.strictEqual(batch.leafCount, 7);
+        assert.strictEqual(batch.anchoredBy, deployer.address);
+    });
+
+    await t.test('accepts every proof on-chain and offline', async () => {
+        for (const hash of hashes) {
+            const { leaf, proof } = tree.proofs[hash];
+            assert.strictEqual(leaf, merkleLeaf(hash));
+            assert.strictEqual(await client.verifyInclusion(leaf, proof, tree.root), true, `proof for ${hash}`);
+            assert.strictEqual(verifyMerkleProof(leaf, proof, tree.root), true);
+        }
+    });
+
+    await t.test('rejects hashes that are not in the batch', async () => {
+        const { proof } = tree.proofs[hashes[0]];
+        const outsider = merkleLeaf(randomEvidenceHash());
+
+        assert.strictEqual(await client.verifyInclusion(outsider, proof, tree.root), false);
+        assert.strictEqual(verifyMerkleProof(outsider, proof, tree.root), false);
+    });
+
+    await t.test('rejects a raw evidence hash used as the leaf', async () => {
+        const { proof } = tree.proofs[hashes[0]];
+        assert.strictEqual(await client.verifyInclusion(hashes[0], proof, tree.root), false);
+    });
+
+    await t.test('rejects a tampered proof', async () => {
+        const { leaf, proof } = tree.proofs[hashes[2]];
+        const tampered = [...proof];
+        tampered[1] = randomEvidenceHash();
+
+        assert.strictEqual(await client.verifyInclusion(leaf, tampered, tree.root), false);
+        assert.strictEqual(verifyMerkleProof(leaf, tampered, tree.root), false);
+    });
+
+    await t.test('rejects a proof against another root', async () => {
+        const other = buildMerkleTree([randomEvidenceHash(), randomEvidenceHash()]);
+        const { leaf, proof } = tree.proofs[hashes[0]];
+
+        assert.strictEqual(await client.verifyInclusion(leaf, proof, other.root), false);
+        assert.deepStrictEqual(await client.verifyRoot(other.root), { exists: false, batchId: 0 });
+    });
+
+    await t.test('anchors a single-leaf batch with an empty proof', async () => {
+        const hash = randomEvidenceHash();
+        const single = buildMerkleTree([hash]);
+        const anchor = await client.waitForAnchor((await client.submitBatchRoot(single.root, 1)).txHash);
+
+        assert.strictEqual(anchor.batchId, 2);
+        assert.deepStrictEqual(single.proofs[hash].proof, []);
+        assert.strictEqual(await client.verifyInclusion(single.proofs[hash].leaf, [], single.root), true);
+    });
+
+    await t.test('refuses to anchor the same root twice', async () => {
+        await assert.rejects(client.submitBatchRoot(tree.root, tree.leafCount), /Root already anchored/);
+
+        // The nonce is resynced after the revert, so the next batch still goes through
+        const next = buildMerkleTree([randomEvidenceHash()]);
+        const anchor = await client.waitForAnchor((await client.submitBatchRoot(next.root, 1)).txHash);
+        assert.strictEqual(anchor.batchId, 3);
+    });
+
+    await t.test('refuses roots from unauthorized wallets', async () => {
+        const outsider = new EvidenceChainClient({ rpcUrl, contractAddress, privateKey: OUTSIDER_KEY });
+        t.after(() => outsider.provider.destroy());
+
+        await assert.rejects(outsider.submitBatchRoot(buildMerkleTree([randomEvidenceHash()]).root, 1), /Not authorized/);
+    });
+});
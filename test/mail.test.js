@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createMailTransport, ConsoleMailTransport, SmtpMailTransport } = require('../lib/mail');
+
+test('createMailTransport', async (t) => {
+    await t.test('defaults to the console outside production', () => {
+        assert.ok(createMailTransport({}) instanceof ConsoleMailTransport);
+        assert.ok(createMailTransport({ NODE_ENV: 'development' }) instanceof ConsoleMailTransport);
+    });
+
+    await t.test('requires an explicit transport in production', () => {
+        assert.throws(() => createMailTransport({ NODE_ENV: 'production' }), /MAIL_TRANSPORT is required in production/);
+        assert.throws(() => createMailTransport({ NODE_ENV: 'production', MAIL_TRANSPORT: '' }), /required in production/);
+    });
+
+    await t.test('uses the transport named in production', () => {
+        const transport = createMailTransport({ NODE_ENV: 'production', MAIL_TRANSPORT: 'smtp', SMTP_HOST: 'smtp.example.com' });
+        assert.ok(transport instanceof SmtpMailTransport);
+    });
+
+    await t.test('rejects unknown transports', () => {
+        assert.throws(() => createMailTransport({ MAIL_TRANSPORT: 'pigeon' }), /Unknown MAIL_TRANSPORT "pigeon"/);
+    });
+});
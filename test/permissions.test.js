@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { PERMISSIONS, ROLE_MATRIX, rolePermissions, resolvePermissions } = require('../lib/permissions');
+
+const BASE = ['evidence:view', 'evidence:verify', 'cases:view', 'tags:view', 'notifications:view', 'activity:log', 'users:view'];
+
+// What each role is expected to be allowed; everything else in PERMISSIONS must be denied
+const EXPECTED = {
+    public_viewer: BASE,
+    investigator: [
+        ...BASE,
+        'evidence:upload', 'evidence:download', 'evidence:compare', 'evidence:transfer_custody', 'evidence:record_custody',
+        'cases:create', 'cases:update_status', 'tags:create', 'tags:apply', 'reports:generate', 'retention:view'
+    ],
+    forensic_analyst: [
+        ...BASE,
+        'evidence:upload', 'evidence:download', 'evidence:compare', 'evidence:transfer_custody', 'evidence:record_custody',
+        'tags:create', 'tags:apply', 'reports:generate', 'retention:view'
+    ],
+    legal_professional: [
+        ...BASE,
+        'evidence:download', 'evidence:export_forensic', 'evidence:compare', 'evidence:legal_hold',
+        'cases:update_status', 'reports:generate', 'retention:view'
+    ],
+    court_official: [
+        ...BASE,
+        'evidence:download', 'evidence:export_forensic', 'evidence:compare', 'evidence:seal', 'evidence:legal_hold',
+        'cases:update_status', 'cases:assign', 'reports:generate', 'retention:view'
+    ],
+    evidence_manager: [
+        ...BASE,
+        'evidence:upload', 'evidence:download', 'evidence:export_forensic', 'evidence:compare', 'evidence:transfer_custody',
+        'evidence:supervise_custody', 'evidence:seal', 'evidence:legal_hold', 'evidence:record_custody', 'evidence:dispose',
+        'cases:create', 'cases:update_status', 'cases:assign', 'cases:export',
+        'tags:create', 'tags:apply', 'reports:generate', 'retention:view', 'retention:manage'
+    ],
+    auditor: [
+        ...BASE,
+        'evidence:download', 'evidence:compare', 'cases:export', 'reports:generate', 'retention:view', 'audit:view'
+    ],
+    admin: Object.keys(PERMISSIONS)
+};
+
+test('every role in the matrix has expectations', () => {
+    assert.deepStrictEqual(Object.keys(EXPECTED).sort(), Object.keys(ROLE_MATRIX).sort());
+});
+
+test('matrix only names declared permissions', () => {
+    for (const role of Object.keys(ROLE_MATRIX)) {
+        for (const permission of rolePermissions(role)) {
+            assert.ok(PERMISSIONS[permission], `${role} has undeclared permission ${permission}`);
+        }
+    }
+});
+
+for (const [role, allowed] of Object.entries(EXPECTED)) {
+    test(`${role} permissions`, async (t) => {
+        const permissions = rolePermissions(role);
+
+        for (const permission of Object.keys(PERMISSIONS)) {
+            const expected = allowed.includes(permission);
+            await t.test(`${expected ? 'allows' : 'denies'} ${permission}`, () => {
+                assert.strictEqual(permissions.includes(permission), expected);
+            });
+        }
+    });
+}
+
+test('unknown roles get nothing', () => {
+    assert.deepStrictEqual(rolePermissions('superuser'), []);
+    assert.deepStrictEqual(rolePermissions(undefined), []);
+    assert.deepStrictEqual(resolvePermissions('superuser').permissions, []);
+});
+
+test('resolvePermissions', async (t) => {
+    const now = Date.parse('2026-06-01T00:00:00Z');
+
+    await t.test('adds granted permissions to the role', () => {
+        const { permissions, granted } = resolvePermissions('investigator', [{ permission_name: 'evidence:seal' }], now);
+        assert.ok(permissions.includes('evidence:seal'));
+        assert.deepStrictEqual(granted, ['evidence:seal']);
+    });
+
+    await t.test('removes denied permissions, even from admins', () => {
+        const { permissions, denied } = resolvePermissions('admin', [{ permission_name: 'users:manage', effect: 'deny' }], now);
+        assert.ok(!permissions.includes('users:manage'));
+        assert.deepStrictEqual(denied, ['users:manage']);
+    });
+
+    await t.test('lets a deny win over a grant of the same permission', () => {
+        const { permissions } = resolvePermissions('public_viewer', [
+            { permission_name: 'evidence:download' },
+            { permission_name: 'evidence:download', effect: 'deny' }
+        ], now);
+        assert.ok(!permissions.includes('evidence:download'));
+    });
+
+    await t.test('ignores inactive, expired and unknown overrides', () => {
+        const { permissions, granted } = resolvePermissions('public_viewer', [
+            { permission_name: 'evidence:upload', is_active: false },
+            { permission_name: 'evidence:download', expires_at: '2026-05-31T23:59:59Z' },
+            { permission_name: 'evidence:delete_everything' }
+        ], now);
+        assert.deepStrictEqual(permissions, rolePermissions('public_viewer'));
+        assert.deepStrictEqual(granted, []);
+    });
+
+    await t.test('keeps overrides that have not expired yet', () => {
+        const { permissions } = resolvePermissions('public_viewer', [
+            { permission_name: 'evidence:download', expires_at: '2026-06-02T00:00:00Z' }
+        ], now);
+        assert.ok(permissions.includes('evidence:download'));
+    });
+});
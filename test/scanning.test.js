@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+
+const { createScanner, ClamdScanner, StubScanner } = require('../lib/scanning');
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$' + 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+test('createScanner', async (t) => {
+    await t.test('defaults to the stub outside production', () => {
+        assert.ok(createScanner({}) instanceof StubScanner);
+        assert.ok(createScanner({ NODE_ENV: 'development', SCAN_BACKEND: 'stub' }) instanceof StubScanner);
+    });
+
+    await t.test('refuses the stub in production, set or not', () => {
+        assert.throws(() => createScanner({ NODE_ENV: 'production' }), /SCAN_BACKEND=clamd is required in production/);
+        assert.throws(() => createScanner({ NODE_ENV: 'production', SCAN_BACKEND: 'stub' }), /required in production/);
+    });
+
+    await t.test('accepts clamd in production', () => {
+        const scanner = createScanner({ NODE_ENV: 'production', SCAN_BACKEND: 'ClamD', CLAMD_SOCKET: '/run/clamd.ctl' });
+        assert.ok(scanner instanceof ClamdScanner);
+        assert.strictEqual(scanner.socketPath, '/run/clamd.ctl');
+    });
+
+    await t.test('rejects unknown backends', () => {
+        assert.throws(() => createScanner({ SCAN_BACKEND: 'sophos' }), /Unknown SCAN_BACKEND "sophos"/);
+    });
+});
+
+test('StubScanner finds the EICAR test file split across chunks', async () => {
+    const scanner = new StubScanner();
+    const content = Buffer.from(`header ${EICAR} trailer`, 'latin1');
+    const chunks = [content.subarray(0, 20), content.subarray(20, 40), content.subarray(40)];
+
+    assert.strictEqual((await scanner.scan(Readable.from(chunks))).status, 'infected');
+    assert.strictEqual((await scanner.scan(Readable.from([Buffer.from('clean evidence')]))).status, 'clean');
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createSecretBox, SecretBox } = require('../lib/auth/totp');
+
+test('createSecretBox', async (t) => {
+    await t.test('is null without ENCRYPTION_KEY outside production', () => {
+        assert.strictEqual(createSecretBox({}), null);
+        assert.strictEqual(createSecretBox({ NODE_ENV: 'development' }), null);
+    });
+
+    await t.test('requires ENCRYPTION_KEY in production', () => {
+        assert.throws(() => createSecretBox({ NODE_ENV: 'production' }), /ENCRYPTION_KEY is required in production/);
+    });
+
+    await t.test('encrypts secrets so only the same key decrypts them', () => {
+        const box = createSecretBox({ NODE_ENV: 'production', ENCRYPTION_KEY: 'first key' });
+        assert.ok(box instanceof SecretBox);
+
+        const sealed = box.encrypt('JBSWY3DPEHPK3PXP');
+        assert.strictEqual(box.decrypt(sealed), 'JBSWY3DPEHPK3PXP');
+        assert.throws(() => new SecretBox('second key').decrypt(sealed));
+    });
+});
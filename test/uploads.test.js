@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { ResumableUploads } = require('../lib/uploads');
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const uploadedSession = async (uploads, content) => {
+    const session = await uploads.create({
+        owner: '0x0000000000000000000000000000000000000001',
+        fileName: 'evidence.bin',
+        fileType: 'application/octet-stream',
+        fileSize: content.length,
+        sha256: sha256(content)
+    });
+
+    for (let index = 0; index < session.chunk_count; index++) {
+        const chunk = content.subarray(index * session.chunk_size, (index + 1) * session.chunk_size);
+        const written = await uploads.writeChunk(session.id, index, chunk, sha256(chunk));
+        assert.ok(!written.error, written.error);
+    }
+    return session;
+};
+
+test('ResumableUploads.complete', async (t) => {
+    const root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'evid-uploads-'));
+    t.after(() => fs.promises.rm(root, { recursive: true, force: true }));
+
+    const uploads = new ResumableUploads({ root, chunkSize: 16, ttlMs: 60 * 1000 });
+    const content = crypto.randomBytes(40);
+
+    await t.test('finishes a double submit once and reports the session gone to the second', async () => {
+        const session = await uploadedSession(uploads, content);
+        let finished = 0;
+        const finish = async ({ hash, filePath }) => {
+            finished++;
+            // Long enough for the second request to arrive while the first is storing
+            await new Promise(resolve => setTimeout(resolve, 50));
+            return { hash, bytes: (await fs.promises.readFile(filePath)).length };
+        };
+
+        const [first, second] = await Promise.all([
+            uploads.complete(session.id, finish),
+            uploads.complete(session.id, finish)
+        ]);
+
+        assert.strictEqual(finished, 1);
+        assert.deepStrictEqual(first.result, { hash: sha256(content), bytes: 40 });
+        assert.strictEqual(second.status, 404);
+        assert.strictEqual(await uploads.get(session.id), null);
+    });
+
+    await t.test('keeps the session when finishing fails, so it can be retried', async () => {
+        const session = await uploadedSession(uploads, content);
+
+        await assert.rejects(uploads.complete(session.id, async () => {
+            throw new Error('storage unavailable');
+        }), /storage unavailable/);
+
+        const retried = await uploads.complete(session.id, async ({ hash }) => hash);
+        assert.strictEqual(retried.result, sha256(content));
+    });
+
+    await t.test('does not finish an upload with missing chunks', async () => {
+        const session = await uploads.create({ owner: '0x01', fileName: 'a', fileType: 'text/plain', fileSize: 40 });
+        const completed = await uploads.complete(session.id, async () => assert.fail('finish must not run'));
+
+        assert.strictEqual(completed.status, 409);
+        assert.deepStrictEqual(completed.missing, [0, 1, 2]);
+    });
+
+    await t.test('cancels only after queued work has finished', async () => {
+        const session = await uploadedSession(uploads, content);
+        const completing = uploads.complete(session.id, async ({ filePath }) => {
+            await new Promise(resolve => setTimeout(resolve, 50));
+            return (await fs.promises.readFile(filePath)).length;
+        });
+        const cancelling = uploads.cancel(session.id);
+
+        assert.strictEqual((await completing).result, 40);
+        await cancelling;
+        assert.strictEqual(await uploads.get(session.id), null);
+    });
+});
+
+test('ResumableUploads.writeChunk content check', async (t) => {
+    const root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'evid-uploads-'));
+    t.after(() => fs.promises.rm(root, { recursive: true, force: true }));
+
+    const uploads = new ResumableUploads({ root, chunkSize: 16, ttlMs: 60 * 1000 });
+    const content = crypto.randomBytes(40);
+    const open = () => uploads.create({ owner: '0x01', fileName: 'a.pdf', fileType: 'application/pdf', fileSize: content.length });
+    const rejectAll = () => ({ error: 'File content does not match its declared type application/pdf' });
+
+    await t.test('answers a damaged chunk with a retryable 422 before checking its content', async () => {
+        const session = await open();
+        const chunk = content.subarray(0, 16);
+        let checked = false;
+
+        const result = await uploads.writeChunk(session.id, 0, chunk, sha256(Buffer.from('something else')), () => {
+            checked = true;
+            return rejectAll();
+        });
+
+        assert.strictEqual(result.status, 422);
+        assert.strictEqual(checked, false);
+        assert.ok(await uploads.get(session.id), 'session must survive a damaged chunk');
+    });
+
+    await t.test('drops the session when an intact chunk fails the content check', async () => {
+        const session = await open();
+        const chunk = content.subarray(0, 16);
+
+        const result = await uploads.writeChunk(session.id, 0, chunk, sha256(chunk), rejectAll);
+
+        assert.strictEqual(result.status, 400);
+        assert.deepStrictEqual(result.rejected, rejectAll());
+        assert.strictEqual(await uploads.get(session.id), null);
+    });
+
+    await t.test('stores an intact chunk that passes the content check', async () => {
+        const session = await open();
+        const chunk = content.subarray(0, 16);
+
+        const result = await uploads.writeChunk(session.id, 0, chunk, sha256(chunk), () => null);
+
+        assert.ok(!result.error && !result.rejected);
+        assert.strictEqual(result.session.chunks[0], sha256(chunk));
+    });
+});
@@ -0,0 +1,275 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const webauthn = require('../lib/auth/webauthn');
+
+const RP_ID = 'evidence.example';
+const ORIGIN = 'https://evidence.example';
+
+// Minimal CBOR encoder for the values an authenticator emits: integers, byte/text strings and maps
+const encodeHead = (major, length) => {
+    if (length < 24) return Buffer.from([(major << 5) | length]);
+    if (length < 0x100) return Buffer.from([(major << 5) | 24, length]);
+    const head = Buffer.alloc(3);
+    head[0] = (major << 5) | 25;
+    head.writeUInt16BE(length, 1);
+    return head;
+};
+
+const encodeCbor = (value) => {
+    if (typeof value === 'number') {
+        return value >= 0 ? encodeHead(0, value) : encodeHead(1, -1 - value);
+    }
+    if (Buffer.isBuffer(value)) return Buffer.concat([encodeHead(2, value.length), value]);
+    if (typeof value === 'string') {
+        const text = Buffer.from(value, 'utf8');
+        return Buffer.concat([encodeHead(3, text.length), text]);
+    }
+    if (value instanceof Map) {
+        const entries = [...value].map(([key, entry]) => Buffer.concat([encodeCbor(key), encodeCbor(entry)]));
+        return Buffer.concat([encodeHead(5, value.size), ...entries]);
+    }
+    throw new Error(`Cannot encode ${typeof value}`);
+};
+
+// Software authenticator holding one credential; signs like a platform authenticator would
+class SoftwareAuthenticator {
+    constructor({ algorithm = 'ES256', rpId = RP_ID } = {}) {
+        this.algorithm = algorithm;
+        this.rpId = rpId;
+        this.credentialId = crypto.randomBytes(16);
+        this.signCount = 0;
+
+        if (algorithm === 'ES256') {
+            this.keys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        } else if (algorithm === 'EdDSA') {
+            this.keys = crypto.generateKeyPairSync('ed25519');
+        } else {
+            this.keys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        }
+    }
+
+    coseKey() {
+        const jwk = this.keys.publicKey.export({ format: 'jwk' });
+        if (this.algorithm === 'ES256') {
+            return new Map([[1, 2], [3, -7], [-1, 1], [-2, Buffer.from(jwk.x, 'base64url')], [-3, Buffer.from(jwk.y, 'base64url')]]);
+        }
+        if (this.algorithm === 'EdDSA') {
+            return new Map([[1, 1], [3, -8], [-1, 6], [-2, Buffer.from(jwk.x, 'base64url')]]);
+        }
+        return new Map([[1, 3], [3, -257], [-1, Buffer.from(jwk.n, 'base64url')], [-2, Buffer.from(jwk.e, 'base64url')]]);
+    }
+
+    authenticatorData({ flags, attested = false }) {
+        const header = Buffer.alloc(37);
+        crypto.createHash('sha256').update(this.rpId).digest().copy(header, 0);
+        header[32] = flags | (attested ? 0x40 : 0);
+        header.writeUInt32BE(this.signCount, 33);
+        if (!attested) return header;
+
+        const idLength = Buffer.alloc(2);
+        idLength.writeUInt16BE(this.credentialId.length);
+        return Buffer.concat([header, Buffer.alloc(16), idLength, this.credentialId, encodeCbor(this.coseKey())]);
+    }
+
+    create({ challenge, origin = ORIGIN, flags = 0x05 }) {
+        const clientDataJSON = Buffer.from(JSON.stringify({ type: 'webauthn.create', challenge, origin }));
+        const attestationObject = encodeCbor(new Map([
+            ['fmt', 'none'],
+            ['attStmt', new Map()],
+            ['authData', this.authenticatorData({ flags, attested: true })]
+        ]));
+
+        return {
+            id: this.credentialId.toString('base64url'),
+            type: 'public-key',
+            response: {
+                clientDataJSON: clientDataJSON.toString('base64url'),
+                attestationObject: attestationObject.toString('base64url'),
+                transports: ['internal']
+            }
+        };
+    }
+
+    get({ challenge, origin = ORIGIN, flags = 0x05, counterStep = 1 }) {
+        this.signCount += counterStep;
+        const clientDataJSON = Buffer.from(JSON.stringify({ type: 'webauthn.get', challenge, origin }));
+        const authenticatorData = this.authenticatorData({ flags });
+        const signedData = Buffer.concat([authenticatorData, crypto.createHash('sha256').update(clientDataJSON).digest()]);
+        const digest = this.algorithm === 'EdDSA' ? null : 'sha256';
+
+        return {
+            id: this.credentialId.toString('base64url'),
+            type: 'public-key',
+            response: {
+                clientDataJSON: clientDataJSON.toString('base64url'),
+                authenticatorData: authenticatorData.toString('base64url'),
+                signature: crypto.sign(digest, signedData, this.keys.privateKey).toString('base64url')
+            }
+        };
+    }
+}
+
+const register = (authenticator, options = {}) => {
+    const challenge = webauthn.createChallenge();
+    return webauthn.verifyRegistration({
+        credential: authenticator.create({ challenge, ...options }),
+        expectedChallenge: challenge,
+        expectedOrigin: ORIGIN,
+        expectedRpId: RP_ID
+    });
+};
+
+const authenticate = (authenticator, stored, options = {}, expected = {}) => {
+    const challenge = webauthn.createChallenge();
+    return webauthn.verifyAuthentication({
+        credential: authenticator.get({ challenge, ...options }),
+        expectedChallenge: challenge,
+        expectedOrigin: ORIGIN,
+        expectedRpId: RP_ID,
+        publicKey: stored.publicKey,
+        algorithm: stored.algorithm,
+        storedSignCount: stored.signCount,
+        ...expected
+    });
+};
+
+test('registration', async (t) => {
+    for (const [algorithm, cose] of [['ES256', -7], ['EdDSA', -8], ['RS256', -257]]) {
+        await t.test(`returns the ${algorithm} public key and credential id`, () => {
+            const authenticator = new SoftwareAuthenticator({ algorithm });
+            const stored = register(authenticator);
+
+            assert.strictEqual(stored.credentialId, authenticator.credentialId.toString('base64url'));
+            assert.strictEqual(stored.algorithm, cose);
+            assert.strictEqual(stored.signCount, 0);
+            assert.strictEqual(stored.userVerified, true);
+            assert.deepStrictEqual(stored.transports, ['internal']);
+            assert.match(stored.publicKey, /^-----BEGIN PUBLIC KEY-----/);
+        });
+    }
+
+    await t.test('rejects a different challenge', () => {
+        const authenticator = new SoftwareAuthenticator();
+        assert.throws(() => webauthn.verifyRegistration({
+            credential: authenticator.create({ challenge: webauthn.createChallenge() }),
+            expectedChallenge: webauthn.createChallenge(),
+            expectedOrigin: ORIGIN,
+            expectedRpId: RP_ID
+        }), /Challenge does not match/);
+    });
+
+    await t.test('rejects another origin', () => {
+        assert.throws(() => register(new SoftwareAuthenticator(), { origin: 'https://phish.example' }),
+            /is not allowed/);
+    });
+
+    await t.test('rejects a credential created for another relying party', () => {
+        assert.throws(() => register(new SoftwareAuthenticator({ rpId: 'phish.example' })),
+            /different relying party/);
+    });
+
+    await t.test('rejects a response without user presence', () => {
+        assert.throws(() => register(new SoftwareAuthenticator(), { flags: 0x00 }), /User presence/);
+    });
+
+    await t.test('rejects a credential id that does not match the authenticator data', () => {
+        const authenticator = new SoftwareAuthenticator();
+        const challenge = webauthn.createChallenge();
+        const credential = authenticator.create({ challenge });
+        credential.id = crypto.randomBytes(16).toString('base64url');
+
+        assert.throws(() => webauthn.verifyRegistration({
+            credential,
+            expectedChallenge: challenge,
+            expectedOrigin: ORIGIN,
+            expectedRpId: RP_ID
+        }), /Credential id does not match/);
+    });
+});
+
+test('assertion', async (t) => {
+    for (const algorithm of ['ES256', 'EdDSA', 'RS256']) {
+        await t.test(`accepts a valid ${algorithm} signature and returns the new counter`, () => {
+            const authenticator = new SoftwareAuthenticator({ algorithm });
+            const stored = register(authenticator);
+            const result = authenticate(authenticator, stored);
+
+            assert.deepStrictEqual(result, { signCount: 1, userVerified: true });
+        });
+    }
+
+    await t.test('rejects a signature made with another key', () => {
+        const authenticator = new SoftwareAuthenticator();
+        const stored = register(authenticator);
+        const impostor = new SoftwareAuthenticator();
+        impostor.credentialId = authenticator.credentialId;
+
+        assert.throws(() => authenticate(impostor, stored), /Invalid passkey signature/);
+    });
+
+    await t.test('rejects authenticator data changed after signing', () => {
+        const authenticator = new SoftwareAuthenticator();
+        const stored = register(authenticator);
+        const challenge = webauthn.createChallenge();
+        const credential = authenticator.get({ challenge });
+        const authenticatorData = Buffer.from(credential.response.authenticatorData, 'base64url');
+        authenticatorData.writeUInt32BE(1000, 33);
+        credential.response.authenticatorData = authenticatorData.toString('base64url');
+
+        assert.throws(() => webauthn.verifyAuthentication({
+            credential,
+            expectedChallenge: challenge,
+            expectedOrigin: ORIGIN,
+            expectedRpId: RP_ID,
+            publicKey: stored.publicKey,
+            algorithm: stored.algorithm,
+            storedSignCount: stored.signCount
+        }), /Invalid passkey signature/);
+    });
+
+    await t.test('rejects a counter that does not increase', () => {
+        const authenticator = new SoftwareAuthenticator();
+        const stored = register(authenticator);
+        const { signCount } = authenticate(authenticator, stored, { counterStep: 5 });
+
+        assert.throws(() => authenticate(authenticator, { ...stored, signCount }, { counterStep: 0 }),
+            /may be cloned/);
+    });
+
+    await t.test('accepts authenticators that always report a zero counter', () => {
+        const authenticator = new SoftwareAuthenticator();
+        const stored = register(authenticator);
+
+        assert.strictEqual(authenticate(authenticator, stored, { counterStep: 0 }).signCount, 0);
+        assert.strictEqual(authenticate(authenticator, stored, { counterStep: 0 }).signCount, 0);
+    });
+
+    await t.test('rejects a registration response replayed as an assertion', () => {
+        const authenticator = new SoftwareAuthenticator();
+        const stored = register(authenticator);
+        const challenge = webauthn.createChallenge();
+        const credential = authenticator.get({ challenge });
+        credential.response.clientDataJSON = Buffer.from(JSON.stringify({ type: 'webauthn.create', challenge, origin: ORIGIN }))
+            .toString('base64url');
+
+        assert.throws(() => webauthn.verifyAuthentication({
+            credential,
+            expectedChallenge: challenge,
+            expectedOrigin: ORIGIN,
+            expectedRpId: RP_ID,
+            publicKey: stored.publicKey,
+            algorithm: stored.algorithm
+        }), /Expected a webauthn.get response/);
+    });
+
+    await t.test('requires user verification when asked to', () => {
+        const authenticator = new SoftwareAuthenticator();
+        const stored = register(authenticator);
+
+        assert.throws(() => authenticate(authenticator, stored, { flags: 0x01 }, { requireUserVerification: true }),
+            /User verification is required/);
+        assert.strictEqual(authenticate(authenticator, stored, { flags: 0x01 }).userVerified, false);
+    });
+});